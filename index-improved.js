@@ -9,21 +9,19 @@ import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { config } from './src/config/environment.js';
-import { leadDb } from './src/models/database-production.js';
-import { calculateLeadScore } from './src/services/leadScoring.js';
-import { 
-  sendEnhancedEmail,
-  createClioLead,
-  addToKitWithIntelligentTagging,
-  sanitizeInput,
-  escapeHtml
-} from './src/services/coreServices.js';
-import { 
-  generateClientEmail, 
-  generateInternalEmail, 
-  generateResourceThankYouEmail, 
-  generateNewsletterWelcomeEmail 
-} from './src/simple-email-templates.js';
+import { mountIntakes, listIntakeDefinitions } from './src/services/intakePipeline.js';
+import './src/services/intakeDefinitions.js';
+import { startJobWorker, getJobStats } from './src/services/jobQueue.js';
+import adminDashboard from './src/routes/admin-dashboard.js';
+import adminSession from './src/routes/admin-session.js';
+import emailPreferences from './src/routes/email-preferences.js';
+import emailTracking from './src/routes/email-tracking.js';
+import inboundEmail from './src/routes/inbound-email.js';
+import mailWebhooks from './src/routes/mail-webhooks.js';
+import kitWebhooks from './src/routes/kit-webhooks.js';
+import documentDownloads from './src/routes/documents.js';
+import { requireAdminToken } from './src/middleware/security.js';
+import { getGraphTokenHealth } from './src/services/graphAuth.js';
 import { log } from './src/utils/logger.js';
 
 // ES modules __dirname setup
@@ -31,7 +29,11 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+// Intake uploads stay in memory until src/services/documents.js stores them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.documents.maxFileMb * 1024 * 1024, files: config.documents.maxFiles }
+});
 
 // Security and middleware
 app.use(helmet());
@@ -72,39 +74,6 @@ app.get('/outside-counsel-intake.html', (req, res) => {
   res.sendFile(path.join(__dirname, 'outside-counsel-intake.html'));
 });
 
-// Helper functions
-const getClientSubject = (submissionType) => {
-  const subjects = {
-    'estate-intake': 'Estate Planning Intake Received',
-    'business-formation': 'Business Formation Intake Received',
-    'brand-protection': 'Brand Protection Intake Received',
-    'gaming-legal-intake': 'Gaming Legal Consultation Request Received',
-    'legal-strategy-builder': 'Legal Strategy Assessment Complete',
-    'newsletter-signup': 'Welcome to Strategic Legal Insights',
-    'resource-guide': 'Your Legal Resource Guide',
-    'business-guide': 'Your Business Formation Guide',
-    'brand-guide': 'Your Brand Protection Guide',
-    'estate-guide': 'Your Estate Planning Guide'
-  };
-  return subjects[submissionType] || 'Submission Received';
-};
-
-const getServiceName = (submissionType) => {
-  const names = {
-    'estate-intake': 'Estate Planning',
-    'business-formation': 'Business Formation',
-    'brand-protection': 'Brand Protection',
-    'gaming-legal-intake': 'Gaming & Interactive Entertainment Legal',
-    'legal-strategy-builder': 'Legal Strategy Builder',
-    'newsletter-signup': 'Newsletter Signup',
-    'resource-guide': 'Resource Guide',
-    'business-guide': 'Business Guide',
-    'brand-guide': 'Brand Guide',
-    'estate-guide': 'Estate Guide'
-  };
-  return names[submissionType] || 'Legal Intake';
-};
-
 // 🏠 Root endpoint
 app.get('/', (req, res) => {
   res.json({
@@ -112,620 +81,37 @@ app.get('/', (req, res) => {
     system: 'Jacobs Counsel Legal Intake & Intelligent Automation',
     version: '2.1.0',
     features: ['3-Part Email Flow', 'Kit Intelligent Tagging', 'Clio Integration', 'Lead Scoring'],
-    endpoints: [
-      '/estate-intake',
-      '/business-formation-intake', 
-      '/brand-protection-intake',
-      '/gaming-legal-intake',
-      '/legal-strategy-builder',
-      '/newsletter-signup'
-    ]
+    endpoints: listIntakeDefinitions().map(definition => definition.path)
   });
 });
 
-// 1. ESTATE INTAKE ENDPOINT
-app.post('/estate-intake', upload.array('documents'), async (req, res) => {
-  try {
-    const formData = sanitizeInput(req.body || {});
-    const submissionId = formData.submissionId || `estate-${Date.now()}`;
-    const submissionType = 'estate-intake';
-    
-    console.log(`📥 New ${submissionType} submission:`, formData.email);
-
-    const leadScore = calculateLeadScore(formData, submissionType);
-    console.log(`📊 Lead score: ${leadScore.score}/100 (${leadScore.priority})`);
-
-    // Store in database
-    const leadId = leadDb.insertLead({
-      ...formData,
-      submission_type: submissionType,
-      lead_score: leadScore.score,
-      priority: leadScore.priority,
-      submission_id: submissionId
-    }).lastInsertRowid;
-
-    // 3-PART EMAIL FLOW
-    
-    // 1. CLIENT CONFIRMATION EMAIL
-    const clientEmail = generateClientEmail(formData, submissionType);
-    await sendEnhancedEmail({
-      to: [formData.email],
-      subject: getClientSubject(submissionType) + ' - Next Steps',
-      html: clientEmail
-    }).catch(e => console.error('❌ Client email failed:', e.message));
-
-    // 2. INTERNAL ALERT EMAIL
-    const internalEmail = generateInternalEmail(formData, leadScore, submissionType);
-    const alertRecipients = leadScore.score >= 80 
-      ? ['drew@jacobscounsel.com', 'intake@jacobscounsel.com']
-      : ['drew@jacobscounsel.com'];
-    
-    await sendEnhancedEmail({
-      to: alertRecipients,
-      subject: `${leadScore.score >= 80 ? '🔥 HIGH VALUE' : '📋'} ${getServiceName(submissionType)} — ${formData.email} (Score: ${leadScore.score})`,
-      html: internalEmail,
-      priority: leadScore.score >= 80 ? 'high' : 'normal'
-    }).catch(e => console.error('❌ Internal email failed:', e.message));
-
-    // 3. CLIO GROW INTEGRATION
-    await createClioLead(formData, leadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          leadDb.logInteraction(leadId, 'clio_lead_created', { clioId: result.clioId });
-          console.log('✅ Clio lead created:', result.clioId);
-        }
-      })
-      .catch(e => console.error('❌ Clio integration failed:', e.message));
-
-    // 4. KIT INTELLIGENT TAGGING
-    await addToKitWithIntelligentTagging(formData, leadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          console.log(`✅ Kit tagging applied: ${result.tags?.length || 0} tags`);
-        }
-      })
-      .catch(e => console.error('❌ Kit tagging failed:', e.message));
-
-    // Log interaction
-    leadDb.logInteraction(leadId, 'form_submitted', { 
-      type: submissionType,
-      score: leadScore.score,
-      priority: leadScore.priority
-    });
-
-    res.json({ 
-      success: true, 
-      message: `${getServiceName(submissionType)} submission received successfully. Check your email for next steps.`,
-      submissionId
-    });
-
-  } catch (error) {
-    console.error(`❌ ${submissionType} error:`, error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error. Please try again.',
-      submissionId: req.body?.submissionId || `error-${Date.now()}`
-    });
-  }
-});
-
-// 2. BUSINESS FORMATION ENDPOINT
-app.post('/business-formation-intake', upload.array('documents'), async (req, res) => {
-  try {
-    const formData = sanitizeInput(req.body || {});
-    const submissionId = formData.submissionId || `business-${Date.now()}`;
-    const submissionType = 'business-formation';
-    
-    console.log(`📥 New ${submissionType} submission:`, formData.email);
-
-    const leadScore = calculateLeadScore(formData, submissionType);
-    console.log(`📊 Lead score: ${leadScore.score}/100 (${leadScore.priority})`);
-
-    const leadId = leadDb.insertLead({
-      ...formData,
-      submission_type: submissionType,
-      lead_score: leadScore.score,
-      priority: leadScore.priority,
-      submission_id: submissionId
-    }).lastInsertRowid;
-
-    // 3-PART EMAIL FLOW
-    const clientEmail = generateClientEmail(formData, submissionType);
-    await sendEnhancedEmail({
-      to: [formData.email],
-      subject: getClientSubject(submissionType) + ' - Next Steps',
-      html: clientEmail
-    }).catch(e => console.error('❌ Client email failed:', e.message));
-
-    const internalEmail = generateInternalEmail(formData, leadScore, submissionType);
-    const alertRecipients = leadScore.score >= 80 
-      ? ['drew@jacobscounsel.com', 'intake@jacobscounsel.com']
-      : ['drew@jacobscounsel.com'];
-    
-    await sendEnhancedEmail({
-      to: alertRecipients,
-      subject: `${leadScore.score >= 80 ? '🔥 HIGH VALUE' : '📋'} ${getServiceName(submissionType)} — ${formData.email} (Score: ${leadScore.score})`,
-      html: internalEmail,
-      priority: leadScore.score >= 80 ? 'high' : 'normal'
-    }).catch(e => console.error('❌ Internal email failed:', e.message));
-
-    await createClioLead(formData, leadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          leadDb.logInteraction(leadId, 'clio_lead_created', { clioId: result.clioId });
-          console.log('✅ Clio lead created:', result.clioId);
-        }
-      })
-      .catch(e => console.error('❌ Clio integration failed:', e.message));
-
-    await addToKitWithIntelligentTagging(formData, leadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          console.log(`✅ Kit tagging applied: ${result.tags?.length || 0} tags`);
-        }
-      })
-      .catch(e => console.error('❌ Kit tagging failed:', e.message));
-
-    leadDb.logInteraction(leadId, 'form_submitted', { 
-      type: submissionType,
-      score: leadScore.score,
-      priority: leadScore.priority
-    });
-
-    res.json({ 
-      success: true, 
-      message: `${getServiceName(submissionType)} submission received successfully. Check your email for next steps.`,
-      submissionId
-    });
-
-  } catch (error) {
-    console.error(`❌ ${submissionType} error:`, error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error. Please try again.',
-      submissionId: req.body?.submissionId || `error-${Date.now()}`
-    });
-  }
-});
-
-// 3. BRAND PROTECTION ENDPOINT
-app.post('/brand-protection-intake', upload.array('documents'), async (req, res) => {
-  try {
-    const formData = sanitizeInput(req.body || {});
-    const submissionId = formData.submissionId || `brand-${Date.now()}`;
-    const submissionType = 'brand-protection';
-    
-    console.log(`📥 New ${submissionType} submission:`, formData.email);
-
-    const leadScore = calculateLeadScore(formData, submissionType);
-    console.log(`📊 Lead score: ${leadScore.score}/100 (${leadScore.priority})`);
-
-    const leadId = leadDb.insertLead({
-      ...formData,
-      submission_type: submissionType,
-      lead_score: leadScore.score,
-      priority: leadScore.priority,
-      submission_id: submissionId
-    }).lastInsertRowid;
-
-    // 3-PART EMAIL FLOW
-    const clientEmail = generateClientEmail(formData, submissionType);
-    await sendEnhancedEmail({
-      to: [formData.email],
-      subject: getClientSubject(submissionType) + ' - Next Steps',
-      html: clientEmail
-    }).catch(e => console.error('❌ Client email failed:', e.message));
-
-    const internalEmail = generateInternalEmail(formData, leadScore, submissionType);
-    const alertRecipients = leadScore.score >= 80 
-      ? ['drew@jacobscounsel.com', 'intake@jacobscounsel.com']
-      : ['drew@jacobscounsel.com'];
-    
-    await sendEnhancedEmail({
-      to: alertRecipients,
-      subject: `${leadScore.score >= 80 ? '🔥 HIGH VALUE' : '📋'} ${getServiceName(submissionType)} — ${formData.email} (Score: ${leadScore.score})`,
-      html: internalEmail,
-      priority: leadScore.score >= 80 ? 'high' : 'normal'
-    }).catch(e => console.error('❌ Internal email failed:', e.message));
-
-    await createClioLead(formData, leadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          leadDb.logInteraction(leadId, 'clio_lead_created', { clioId: result.clioId });
-          console.log('✅ Clio lead created:', result.clioId);
-        }
-      })
-      .catch(e => console.error('❌ Clio integration failed:', e.message));
-
-    await addToKitWithIntelligentTagging(formData, leadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          console.log(`✅ Kit tagging applied: ${result.tags?.length || 0} tags`);
-        }
-      })
-      .catch(e => console.error('❌ Kit tagging failed:', e.message));
-
-    leadDb.logInteraction(leadId, 'form_submitted', { 
-      type: submissionType,
-      score: leadScore.score,
-      priority: leadScore.priority
-    });
-
-    res.json({ 
-      success: true, 
-      message: `${getServiceName(submissionType)} submission received successfully. Check your email for next steps.`,
-      submissionId
-    });
-
-  } catch (error) {
-    console.error(`❌ ${submissionType} error:`, error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error. Please try again.',
-      submissionId: req.body?.submissionId || `error-${Date.now()}`
-    });
-  }
-});
-
-// 4. GAMING & INTERACTIVE ENTERTAINMENT LEGAL INTAKE ENDPOINT
-app.post('/gaming-legal-intake', upload.array('documents'), async (req, res) => {
-  try {
-    const formData = sanitizeInput(req.body || {});
-    const submissionId = formData.submissionId || `gaming-${Date.now()}`;
-    const submissionType = 'gaming-legal-intake';
-    
-    console.log(`🎮 New ${submissionType} submission:`, formData.email);
-
-    // Gaming-specific lead scoring with high base value
-    let leadScore = 40; // Base score (equalized system)
-    
-    // High-value indicators for gaming legal
-    if (formData.hasRealMoney === true || formData.hasRealMoney === 'true') leadScore += 15;
-    if (formData.isSkillBased === true || formData.isSkillBased === 'true') leadScore += 20; // Highest complexity
-    if (formData.currentStage === 'live' || formData.currentStage === 'scaling') leadScore += 10;
-    if (formData.urgencyLevel === 'immediate') leadScore += 15;
-    if (formData.monthlyRevenue && ['100k-500k', '500k+'].includes(formData.monthlyRevenue)) leadScore += 10;
-    if (formData.specificChallenges && formData.specificChallenges.length > 50) leadScore += 5;
-    
-    // Gaming-specific services boost
-    if (formData.legalServices && Array.isArray(formData.legalServices)) {
-      if (formData.legalServices.includes('compliance-analysis')) leadScore += 5;
-      if (formData.legalServices.includes('legal-opinions')) leadScore += 10;
-      if (formData.legalServices.includes('regulatory-defense')) leadScore += 15;
-    }
-    
-    // Cap the score at 100
-    leadScore = Math.min(leadScore, 100);
-
-    // Determine priority - gaming legal clients are inherently high value
-    let priority = 'high'; // Default high for all gaming legal
-    
-    if (formData.isSkillBased === true || formData.isSkillBased === 'true' || 
-        formData.hasRealMoney === true || formData.hasRealMoney === 'true' || 
-        formData.urgencyLevel === 'immediate' || 
-        leadScore >= 80) {
-      priority = 'critical';
-    }
-
-    const finalLeadScore = { score: leadScore, priority };
-    console.log(`🎯 Gaming legal lead score: ${finalLeadScore.score}/100 (${finalLeadScore.priority})`);
-
-    // Store in database with gaming-specific fields
-    const leadId = leadDb.insertLead({
-      ...formData,
-      submission_type: submissionType,
-      lead_score: finalLeadScore.score,
-      priority: finalLeadScore.priority,
-      submission_id: submissionId,
-      practice_area: 'Gaming & Interactive Entertainment Legal',
-      game_type: formData.gameType || 'Not specified',
-      has_real_money: formData.hasRealMoney === true || formData.hasRealMoney === 'true' ? 'Yes' : 'No',
-      is_skill_based: formData.isSkillBased === true || formData.isSkillBased === 'true' ? 'Yes' : 'No',
-      business_value: 'High' // Gaming legal clients are inherently high value
-    }).lastInsertRowid;
-
-    // 3-PART EMAIL FLOW FOR GAMING LEGAL
-    
-    // 1. CLIENT CONFIRMATION EMAIL
-    const clientEmail = generateClientEmail(formData, submissionType);
-    await sendEnhancedEmail({
-      to: [formData.email],
-      subject: getClientSubject(submissionType) + ' - High Priority Response',
-      html: clientEmail
-    }).catch(e => console.error('❌ Gaming client email failed:', e.message));
-
-    // 2. INTERNAL ALERT EMAIL - Always high priority for gaming
-    const internalEmail = generateInternalEmail(formData, finalLeadScore, submissionType);
-    const alertRecipients = ['drew@jacobscounsel.com']; // Always alert Drew for gaming legal
-    
-    const priorityEmoji = finalLeadScore.priority === 'critical' ? '🚨 CRITICAL' : '🎮 HIGH PRIORITY';
-    await sendEnhancedEmail({
-      to: alertRecipients,
-      subject: `${priorityEmoji} Gaming Legal — ${formData.company || formData.firstName} ${formData.lastName} (Score: ${finalLeadScore.score})`,
-      html: internalEmail,
-      priority: 'high' // Always high priority for gaming
-    }).catch(e => console.error('❌ Gaming internal email failed:', e.message));
-
-    // 3. CLIO GROW INTEGRATION
-    await createClioLead(formData, finalLeadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          leadDb.logInteraction(leadId, 'clio_lead_created', { clioId: result.clioId });
-          console.log('✅ Gaming Clio lead created:', result.clioId);
-        }
-      })
-      .catch(e => console.error('❌ Gaming Clio integration failed:', e.message));
-
-    // 4. KIT INTELLIGENT TAGGING FOR GAMING LEGAL
-    await addToKitWithIntelligentTagging(formData, finalLeadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          console.log(`✅ Gaming Kit tagging applied: ${result.tags?.length || 0} tags`);
-        }
-      })
-      .catch(e => console.error('❌ Gaming Kit tagging failed:', e.message));
-
-    // Log the interaction
-    leadDb.logInteraction(leadId, 'gaming_legal_submission', {
-      score: finalLeadScore.score,
-      priority: finalLeadScore.priority,
-      gameType: formData.gameType,
-      hasRealMoney: formData.hasRealMoney,
-      isSkillBased: formData.isSkillBased,
-      urgencyLevel: formData.urgencyLevel
-    });
-
-    // Success response with gaming-specific messaging
-    res.json({ 
-      success: true, 
-      message: `Gaming legal consultation request received with ${finalLeadScore.priority.toUpperCase()} priority status`,
-      submissionId,
-      leadScore: finalLeadScore.score,
-      priority: finalLeadScore.priority,
-      nextSteps: {
-        responseTime: finalLeadScore.priority === 'critical' ? 'Within 2 hours' : 'Within 24 hours',
-        schedulingLink: 'https://calendly.com/jacobscounsel/gaming-consultation',
-        emergencyContact: finalLeadScore.priority === 'critical' ? 'Immediate consultation available' : null
-      },
-      practiceArea: 'Gaming & Interactive Entertainment Legal',
-      estimatedValue: finalLeadScore.score > 80 ? 'Very High' : finalLeadScore.score > 60 ? 'High' : 'Medium'
-    });
-
-  } catch (error) {
-    console.error(`❌ ${submissionType} error:`, error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'An error occurred processing your gaming legal consultation request. Please try again.',
-      submissionId: req.body?.submissionId || `gaming-error-${Date.now()}`
-    });
-  }
-});
-
-// 5. LEGAL STRATEGY BUILDER ENDPOINT (The premium assessment tool)
-app.post('/legal-strategy-builder', async (req, res) => {
-  try {
-    const formData = sanitizeInput(req.body || {});
-    const submissionId = formData.submissionId || `strategy-${Date.now()}`;
-    const submissionType = 'legal-strategy-builder';
-    
-    console.log(`📥 New ${submissionType} submission:`, formData.email);
-
-    const leadScore = calculateLeadScore(formData, submissionType);
-    console.log(`📊 Lead score: ${leadScore.score}/100 (${leadScore.priority})`);
-
-    const leadId = leadDb.insertLead({
-      ...formData,
-      submission_type: submissionType,
-      lead_score: leadScore.score,
-      priority: leadScore.priority,
-      submission_id: submissionId
-    }).lastInsertRowid;
-
-    // 3-PART EMAIL FLOW
-    const clientEmail = generateClientEmail(formData, submissionType);
-    await sendEnhancedEmail({
-      to: [formData.email],
-      subject: getClientSubject(submissionType) + ' - Your Results & Next Steps',
-      html: clientEmail
-    }).catch(e => console.error('❌ Client email failed:', e.message));
-
-    const internalEmail = generateInternalEmail(formData, leadScore, submissionType);
-    const alertRecipients = leadScore.score >= 80 
-      ? ['drew@jacobscounsel.com', 'intake@jacobscounsel.com']
-      : ['drew@jacobscounsel.com'];
-    
-    await sendEnhancedEmail({
-      to: alertRecipients,
-      subject: `${leadScore.score >= 80 ? '🔥 HIGH VALUE' : '📋'} ${getServiceName(submissionType)} — ${formData.email} (Score: ${leadScore.score})`,
-      html: internalEmail,
-      priority: leadScore.score >= 80 ? 'high' : 'normal'
-    }).catch(e => console.error('❌ Internal email failed:', e.message));
-
-    await createClioLead(formData, leadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          leadDb.logInteraction(leadId, 'clio_lead_created', { clioId: result.clioId });
-          console.log('✅ Clio lead created:', result.clioId);
-        }
-      })
-      .catch(e => console.error('❌ Clio integration failed:', e.message));
-
-    await addToKitWithIntelligentTagging(formData, leadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          console.log(`✅ Kit tagging applied: ${result.tags?.length || 0} tags`);
-        }
-      })
-      .catch(e => console.error('❌ Kit tagging failed:', e.message));
-
-    leadDb.logInteraction(leadId, 'form_submitted', { 
-      type: submissionType,
-      score: leadScore.score,
-      priority: leadScore.priority
-    });
-
-    res.json({ 
-      success: true, 
-      message: `${getServiceName(submissionType)} complete. Check your email for detailed results.`,
-      submissionId
-    });
-
-  } catch (error) {
-    console.error(`❌ ${submissionType} error:`, error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error. Please try again.',
-      submissionId: req.body?.submissionId || `error-${Date.now()}`
-    });
-  }
-});
-
-// 5. NEWSLETTER SIGNUP ENDPOINT
-app.post('/newsletter-signup', async (req, res) => {
-  try {
-    const formData = sanitizeInput(req.body || {});
-    const submissionId = formData.submissionId || `newsletter-${Date.now()}`;
-    const submissionType = 'newsletter-signup';
-    
-    console.log(`📥 New ${submissionType} submission:`, formData.email);
-
-    const leadScore = calculateLeadScore(formData, submissionType);
-    console.log(`📊 Lead score: ${leadScore.score}/100 (${leadScore.priority})`);
-
-    const leadId = leadDb.insertLead({
-      ...formData,
-      submission_type: submissionType,
-      lead_score: leadScore.score,
-      priority: leadScore.priority,
-      submission_id: submissionId
-    }).lastInsertRowid;
+// Intake endpoints - one per registered definition in src/services/intakeDefinitions.js
+mountIntakes(app, upload);
 
-    // 3-PART EMAIL FLOW
-    const clientEmail = generateNewsletterWelcomeEmail(formData, submissionType);
-    await sendEnhancedEmail({
-      to: [formData.email],
-      subject: getClientSubject(submissionType),
-      html: clientEmail
-    }).catch(e => console.error('❌ Client email failed:', e.message));
+// Unsubscribe and preference center pages linked from every email
+app.use(emailPreferences);
 
-    const internalEmail = generateInternalEmail(formData, leadScore, submissionType);
-    await sendEnhancedEmail({
-      to: ['drew@jacobscounsel.com'],
-      subject: `📧 ${getServiceName(submissionType)} — ${formData.email} (Score: ${leadScore.score})`,
-      html: internalEmail
-    }).catch(e => console.error('❌ Internal email failed:', e.message));
+// Open pixel and click redirector for tracked emails
+app.use(emailTracking);
 
-    await createClioLead(formData, leadScore, submissionType)
-      .catch(e => console.error('❌ Clio integration failed:', e.message));
-
-    await addToKitWithIntelligentTagging(formData, leadScore, submissionType)
-      .then(result => {
-        if (result.success) {
-          console.log(`✅ Kit tagging applied: ${result.tags?.length || 0} tags`);
-        }
-      })
-      .catch(e => console.error('❌ Kit tagging failed:', e.message));
-
-    leadDb.logInteraction(leadId, 'newsletter_signup', { 
-      score: leadScore.score,
-      priority: leadScore.priority
-    });
-
-    res.json({ 
-      success: true, 
-      message: 'Successfully subscribed to newsletter. Check your email for confirmation.',
-      submissionId
-    });
-
-  } catch (error) {
-    console.error(`❌ Newsletter signup error:`, error);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Internal server error. Please try again.',
-      submissionId: req.body?.submissionId || `error-${Date.now()}`
-    });
-  }
-});
+// Inbound mail webhook - replies stop the lead's nurture sequences (requires INBOUND_EMAIL_TOKEN)
+app.use(inboundEmail);
 
-// 6-9. RESOURCE GUIDE DOWNLOAD ENDPOINTS
-const resourceEndpoints = [
-  { path: '/resource-guide-download', type: 'resource-guide' },
-  { path: '/business-guide-download', type: 'business-guide' },
-  { path: '/brand-guide-download', type: 'brand-guide' },
-  { path: '/estate-guide-download', type: 'estate-guide' }
-];
+// Bounce and complaint webhooks - affected addresses are suppressed (requires INBOUND_EMAIL_TOKEN)
+app.use(mailWebhooks);
 
-resourceEndpoints.forEach(({ path, type }) => {
-  app.post(path, async (req, res) => {
-    try {
-      const formData = sanitizeInput(req.body || {});
-      const submissionId = formData.submissionId || `${type}-${Date.now()}`;
-      const submissionType = type;
-      
-      console.log(`📥 New ${submissionType} download:`, formData.email);
+// Kit subscriber events - tags, clicks, form signups, finished sequences, unsubscribes (requires INBOUND_EMAIL_TOKEN)
+app.use(kitWebhooks);
 
-      const leadScore = calculateLeadScore(formData, submissionType);
-      console.log(`📊 Lead score: ${leadScore.score}/100 (${leadScore.priority})`);
+// Signed, expiring download links for intake documents (sent in internal alerts)
+app.use(documentDownloads);
 
-      const leadId = leadDb.insertLead({
-        ...formData,
-        submission_type: submissionType,
-        lead_score: leadScore.score,
-        priority: leadScore.priority,
-        submission_id: submissionId
-      }).lastInsertRowid;
-
-      // 3-PART EMAIL FLOW
-      const clientEmail = generateResourceThankYouEmail(formData, submissionType);
-      await sendEnhancedEmail({
-        to: [formData.email],
-        subject: getClientSubject(submissionType),
-        html: clientEmail
-      }).catch(e => console.error('❌ Client email failed:', e.message));
-
-      const internalEmail = generateInternalEmail(formData, leadScore, submissionType);
-      await sendEnhancedEmail({
-        to: ['drew@jacobscounsel.com'],
-        subject: `📚 ${getServiceName(submissionType)} Download — ${formData.email} (Score: ${leadScore.score})`,
-        html: internalEmail
-      }).catch(e => console.error('❌ Internal email failed:', e.message));
-
-      await createClioLead(formData, leadScore, submissionType)
-        .catch(e => console.error('❌ Clio integration failed:', e.message));
-
-      await addToKitWithIntelligentTagging(formData, leadScore, submissionType)
-        .then(result => {
-          if (result.success) {
-            console.log(`✅ Kit tagging applied: ${result.tags?.length || 0} tags`);
-          }
-        })
-        .catch(e => console.error('❌ Kit tagging failed:', e.message));
-
-      leadDb.logInteraction(leadId, 'resource_download', { 
-        resource: submissionType,
-        score: leadScore.score,
-        priority: leadScore.priority
-      });
-
-      res.json({ 
-        success: true, 
-        message: `${getServiceName(submissionType)} sent to your email. Check your inbox!`,
-        submissionId
-      });
-
-    } catch (error) {
-      console.error(`❌ ${type} download error:`, error);
-      res.status(500).json({ 
-        success: false, 
-        message: 'Internal server error. Please try again.',
-        submissionId: req.body?.submissionId || `error-${Date.now()}`
-      });
-    }
-  });
-});
+// Admin dashboard (/admin) and its JSON API (/admin/api/...) - ADMIN_TOKEN in a header, or a session from /admin/login
+app.use('/admin', adminSession);
+app.use('/admin', requireAdminToken, adminDashboard);
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
@@ -735,7 +121,9 @@ app.get('/health', (req, res) => {
       kitTagging: 'Intelligent 50+ tags',
       clioIntegration: 'Active',
       leadScoring: '0-100 scale'
-    }
+    },
+    jobs: await getJobStats().catch(error => ({ error: error.message })),
+    graphToken: getGraphTokenHealth()
   });
 });
 
@@ -748,4 +136,5 @@ app.listen(PORT, () => {
   console.log(`🎮 Gaming Legal Endpoint: ACTIVE`); 
   console.log(`📊 Clio Grow Integration: Active`);
   console.log(`✅ All endpoints cleaned and operational`);
+  startJobWorker();
 });
\ No newline at end of file
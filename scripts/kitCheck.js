@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+// Kit drift check - every tag/sequence the generators emit for tests/fixtures/kit-submissions.json
+// must be in src/config/kit-manifest.json (and the live account when Kit is configured)
+// Usage: npm run kit:check [-- --offline]   (exits 1 when drift is found)
+
+import { checkKitDrift } from '../src/services/kitDrift.js';
+import { getKitClient } from '../src/services/kitClient.js';
+
+const KIND_LABELS = { tags: 'tag', sequences: 'sequence' };
+const SOURCE_LABELS = { manifest: 'Missing from src/config/kit-manifest.json', account: 'Missing from the Kit account' };
+
+function printMissing(missing) {
+  for (const [from, label] of Object.entries(SOURCE_LABELS)) {
+    const entries = missing.filter(entry => entry.from === from);
+    if (entries.length === 0) continue;
+
+    console.log(`\n${label}:`);
+    entries.forEach(({ kind, name, generators, fixtures }) => {
+      console.log(`  ✗ ${KIND_LABELS[kind]} "${name}"`);
+      console.log(`      from ${generators.join(', ')}`);
+      console.log(`      e.g. ${fixtures.slice(0, 3).join('; ')}${fixtures.length > 3 ? ` (+${fixtures.length - 3} more)` : ''}`);
+    });
+  }
+}
+
+async function main(args = []) {
+  const kit = getKitClient();
+  const account = kit.isConfigured() && !args.includes('--offline');
+
+  const report = await checkKitDrift({ kit, account });
+  console.log(`🔍 ${report.fixtures} fixture submissions → ${report.emitted.tags} tags, ${report.emitted.sequences} sequences`);
+  if (!report.accountChecked) {
+    console.log(kit.isConfigured() ? 'ℹ️  --offline: checked the manifest only' : 'ℹ️  Kit not configured: checked the manifest only');
+  }
+
+  if (report.missing.length === 0) {
+    console.log(`✅ Every emitted name is in the manifest${report.accountChecked ? ` and the Kit ${kit.version} account` : ''}`);
+    return;
+  }
+
+  printMissing(report.missing);
+  console.log(`\n❌ ${report.missing.length} drifted name(s) - add them to the manifest (then npm run kit:apply) or fix the generator`);
+  process.exitCode = 1;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(`❌ Kit check failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export default main;
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+// Kit account sync CLI - src/config/kit-manifest.json against the live account
+// Usage: npm run kit:plan | npm run kit:apply
+
+import { getKitClient } from '../src/services/kitClient.js';
+import { planKitSync, applyKitSync } from '../src/services/kitSync.js';
+
+const SYMBOLS = { create: '+', rename: '~', manual: '!' };
+const KIND_LABELS = { tags: 'tag', sequences: 'sequence', customFields: 'custom field' };
+
+function describe({ kind, action, name, from, reason }) {
+  const label = `${KIND_LABELS[kind]} "${name}"`;
+  if (action === 'rename') return `${label} (renamed from "${from}")`;
+  if (action === 'manual') return `${label} - ${reason}`;
+  return label;
+}
+
+function printPlan(plan) {
+  for (const [kind, { desired, present, existing }] of Object.entries(plan.counts)) {
+    console.log(`📋 ${KIND_LABELS[kind]}s: ${present}/${desired} in place (${existing} in the account)`);
+  }
+  console.log('');
+
+  plan.actions.forEach(action => console.log(`  ${SYMBOLS[action.action]} ${describe(action)}`));
+
+  const unmanaged = Object.entries(plan.unmanaged).filter(([, names]) => names.length > 0);
+  if (unmanaged.length > 0) {
+    console.log('\nNot in the manifest (left alone):');
+    unmanaged.forEach(([kind, names]) => console.log(`  ${KIND_LABELS[kind]}s: ${names.join(', ')}`));
+  }
+
+  const count = (type) => plan.actions.filter(action => action.action === type).length;
+  console.log(plan.actions.length
+    ? `\nPlan: ${count('create')} to create, ${count('rename')} to rename, ${count('manual')} manual`
+    : 'Kit account matches the manifest');
+}
+
+async function main([command = 'plan'] = []) {
+  if (!['plan', 'apply'].includes(command)) {
+    throw new Error(`Unknown command "${command}" (expected plan or apply)`);
+  }
+
+  const kit = getKitClient();
+  if (!kit.isConfigured()) {
+    throw new Error(`Kit ${kit.version} credentials not configured (KIT_API_KEY / KIT_API_SECRET)`);
+  }
+  console.log(`🔄 Kit ${kit.version} account vs src/config/kit-manifest.json\n`);
+
+  const plan = await planKitSync({ kit });
+  printPlan(plan);
+  if (command === 'plan' || plan.actions.length === 0) return;
+
+  console.log('');
+  const results = await applyKitSync(plan, {
+    kit,
+    onAction: (result) => {
+      const mark = { done: '✅', failed: '❌', manual: '⚠️ ' }[result.status];
+      console.log(`${mark} ${describe(result)}${result.error ? `: ${result.error}` : ''}`);
+    }
+  });
+
+  const failed = results.filter(result => result.status === 'failed').length;
+  console.log(`\n${results.filter(result => result.status === 'done').length} change(s) applied${failed ? `, ${failed} failed` : ''}`);
+  if (failed) process.exitCode = 1;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(`❌ Kit sync failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export default main;
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+// Kit webhook CLI - point Kit's subscriber events at this server (BASE_URL + INBOUND_EMAIL_TOKEN)
+// Usage: npm run kit:webhooks [-- register | list | remove]
+
+import { getKitClient } from '../src/services/kitClient.js';
+import { registerKitWebhooks, removeKitWebhooks, listKitWebhooks, KIT_WEBHOOK_PATH } from '../src/services/kitWebhooks.js';
+import { config } from '../src/config/environment.js';
+
+const describe = ({ event, name, resource }) => `${event}${name || resource ? ` (${name || resource})` : ''}`;
+
+async function main([command = 'register'] = []) {
+  if (!['register', 'list', 'remove'].includes(command)) {
+    throw new Error(`Unknown command "${command}" (expected register, list or remove)`);
+  }
+
+  if (command === 'list') {
+    const webhooks = await listKitWebhooks();
+    webhooks.forEach(webhook => console.log(`  ${describe({ ...webhook, name: webhook.resource_name })} → Kit ${webhook.api_version} #${webhook.kit_webhook_id}`));
+    console.log(`${webhooks.length} Kit webhook(s) registered`);
+    return;
+  }
+
+  const kit = getKitClient();
+  if (!kit.isConfigured()) {
+    throw new Error(`Kit ${kit.version} credentials not configured (KIT_API_KEY / KIT_API_SECRET)`);
+  }
+
+  if (command === 'remove') {
+    const { removed, failed } = await removeKitWebhooks({ kit });
+    failed.forEach(webhook => console.log(`❌ ${describe(webhook)}: ${webhook.error}`));
+    console.log(`${removed} Kit webhook(s) removed${failed.length ? `, ${failed.length} failed` : ''}`);
+    if (failed.length) process.exitCode = 1;
+    return;
+  }
+
+  if (/localhost|127\.0\.0\.1/.test(config.baseUrl)) {
+    console.log(`⚠️  BASE_URL is ${config.baseUrl} - Kit cannot reach it; set the public URL first`);
+  }
+  console.log(`🪝 Registering Kit ${kit.version} webhooks → ${new URL(KIT_WEBHOOK_PATH, config.baseUrl)}\n`);
+
+  const { created, existing, failed } = await registerKitWebhooks({
+    kit,
+    onWebhook: (result) => console.log(`${result.status === 'created' ? '✅' : '❌'} ${describe(result)}${result.error ? `: ${result.error}` : ''}`)
+  });
+  console.log(`\n${created.length} created, ${existing} already registered${failed.length ? `, ${failed.length} failed` : ''}`);
+  if (failed.length) process.exitCode = 1;
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(`❌ Kit webhooks failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export default main;
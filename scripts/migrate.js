@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+// Schema migration CLI
+// Usage: npm run migrate [-- up | down [steps] | status]
+
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config/environment.js';
+import { openDatabase } from '../src/db/connection.js';
+import { migrateUp, migrateDown, getMigrationStatus } from '../src/db/migrate.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const dbPath = config.database.path || join(__dirname, '../data/leads.db');
+
+async function main([command = 'up', stepsArg] = []) {
+  const db = openDatabase(dbPath);
+  console.log(`🗄️  Database: ${dbPath}\n`);
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(db);
+        applied.forEach(({ version, name }) => console.log(`✅ Applied ${version} ${name}`));
+        console.log(applied.length ? `\n${applied.length} migration(s) applied` : 'Schema is up to date');
+        break;
+      }
+
+      case 'down': {
+        const steps = Number.parseInt(stepsArg || '1', 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+          throw new Error(`Invalid step count: ${stepsArg}`);
+        }
+        const reverted = await migrateDown(db, steps);
+        reverted.forEach(({ version, name }) => console.log(`↩️  Reverted ${version} ${name}`));
+        console.log(reverted.length ? `\n${reverted.length} migration(s) reverted` : 'Nothing to revert');
+        break;
+      }
+
+      case 'status': {
+        const status = await getMigrationStatus(db);
+        status.forEach(({ version, name, applied, appliedAt }) => {
+          console.log(`${applied ? '✅' : '⏳'} ${String(version).padStart(3, '0')} ${name}${applied ? ` (${appliedAt})` : ''}`);
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(`❌ Migration failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export default main;
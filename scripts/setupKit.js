@@ -1,18 +1,19 @@
 #!/usr/bin/env node
 
 // Kit/ConvertKit Automated Setup Script
-// Creates sequences, tags, and automations for Jacobs Counsel intelligent system
+// Creates the tags and sequences in src/config/kit-manifest.json (as npm run kit:apply does), fills the
+// nurture sequences it created with their emails, and lists automations for the Kit dashboard
 
-import fetch from 'node-fetch';
-import { config } from '../src/config/environment.js';
 import { log } from '../src/utils/logger.js';
+import { getKitClient } from '../src/services/kitClient.js';
+import { syncKitManifest } from '../src/services/kitSync.js';
 
 class KitSetupAutomation {
   constructor() {
-    this.apiKey = config.kit.apiSecret || config.kit.apiKey;
-    this.baseUrl = 'https://api.convertkit.com/v3';
+    this.kit = getKitClient();
     this.createdSequences = [];
     this.createdTags = [];
+    this.created = { tags: [], sequences: [] };
   }
 
   async setup() {
@@ -22,11 +23,11 @@ class KitSetupAutomation {
       // Verify API connection
       await this.verifyConnection();
       
-      // Create tags first
-      await this.createIntelligentTags();
+      // Create the manifest's tags and sequences
+      await this.syncManifest();
       
-      // Create sequences
-      await this.createNurtureSequences();
+      // Fill the new sequences with emails
+      await this.fillNurtureSequences();
       
       // Create automation rules
       await this.createAutomationRules();
@@ -46,85 +47,29 @@ class KitSetupAutomation {
   async verifyConnection() {
     console.log('🔍 Verifying Kit API connection...');
     
-    const response = await fetch(`${this.baseUrl}/account?api_secret=${this.apiKey}`);
-    
-    if (!response.ok) {
-      throw new Error(`Kit API connection failed: ${response.status}`);
-    }
-    
-    const account = await response.json();
-    console.log(`✅ Connected to Kit account: ${account.name}`);
+    const account = await this.kit.getAccount();
+    console.log(`✅ Connected to Kit ${this.kit.version} account: ${account.name}`);
     console.log(`📊 Current subscribers: ${account.subscriber_count?.toLocaleString() || 'N/A'}\n`);
   }
 
-  async createIntelligentTags() {
-    console.log('🏷️ Creating intelligent tag structure...\n');
-
-    const tagCategories = {
-      'System Tags': [
-        'jc-lead', 'active-prospect', 'platinum-prospect', 'gold-prospect', 
-        'silver-prospect', 'bronze-prospect', 'vip-treatment'
-      ],
-      'Client Profiles': [
-        'athlete', 'creator', 'startup-founder', 'high-net-worth', 'business-owner',
-        'sports-professional', 'digital-entrepreneur', 'family-office-services'
-      ],
-      'Practice Areas': [
-        'estate-planning', 'business-law', 'brand-law', 'wealth-transfer',
-        'entity-formation', 'trademark-strategy', 'asset-protection'
-      ],
-      'Sophistication': [
-        'ultra-high-net-worth', 'very-high-net-worth', 'affluent', 
-        'foundational-planning', 'complex-structures', 'sophisticated-strategies'
-      ],
-      'Urgency & Timeline': [
-        'urgent', 'immediate-need', 'time-sensitive', 'near-term',
-        'long-term-planning', 'flexible-timeline'
-      ],
-      'Engagement': [
-        'high-engagement-likely', 'consultation-ready', 'decision-maker',
-        'education-focused', 'consideration-stage'
-      ],
-      'Sequence Assignment': [
-        'seq-general-welcome', 'seq-athlete-welcome', 'seq-creator-welcome',
-        'seq-startup-welcome', 'seq-hnw-welcome', 'seq-athlete-vip',
-        'seq-consultation-push', 'seq-high-touch', 'seq-estate-education',
-        'seq-business-education', 'seq-brand-education'
-      ]
-    };
+  async syncManifest() {
+    console.log('🏷️ Creating tags and sequences from src/config/kit-manifest.json...\n');
 
-    for (const [category, tags] of Object.entries(tagCategories)) {
-      console.log(`📋 Creating ${category}...`);
-      
-      for (const tagName of tags) {
-        try {
-          const response = await fetch(`${this.baseUrl}/tags`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              api_secret: this.apiKey,
-              tag: { name: tagName }
-            })
-          });
-
-          if (response.ok) {
-            this.createdTags.push(tagName);
-            process.stdout.write('✅ ');
-          } else {
-            process.stdout.write('⚠️ ');
-          }
-        } catch (error) {
-          process.stdout.write('❌ ');
-        }
-      }
-      console.log(`\n`);
-    }
+    const { results, created } = await syncKitManifest({
+      kit: this.kit,
+      onAction: (result) => process.stdout.write({ done: '✅ ', failed: '❌ ', manual: '⚠️ ' }[result.status])
+    });
+    this.created = created;
+    this.createdTags = created.tags;
 
-    console.log(`🏷️ Tag creation complete: ${this.createdTags.length} tags ready\n`);
+    results.filter(result => result.status === 'manual').forEach(result => {
+      console.log(`\n   ⚠️ ${result.kind} "${result.name}": ${result.reason}`);
+    });
+    console.log(`\n🏷️ Manifest sync complete: ${created.tags.length} tags and ${created.sequences.length} sequences created\n`);
   }
 
-  async createNurtureSequences() {
-    console.log('📧 Creating intelligent nurture sequences...\n');
+  async fillNurtureSequences() {
+    console.log('📧 Filling intelligent nurture sequences...\n');
 
     const sequences = [
       {
@@ -297,54 +242,27 @@ class KitSetupAutomation {
     ];
 
     for (const sequence of sequences) {
-      console.log(`📋 Creating: ${sequence.name}`);
+      console.log(`📋 Filling: ${sequence.name}`);
       
       try {
-        // Create the sequence
-        const seqResponse = await fetch(`${this.baseUrl}/sequences`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            api_secret: this.apiKey,
-            sequence: {
-              name: sequence.name,
-              description: sequence.description
-            }
-          })
-        });
-
-        if (!seqResponse.ok) {
-          console.log(`❌ Failed to create sequence: ${sequence.name}`);
+        // Only sequences this run created get emails; existing ones are never duplicated
+        if (!this.created.sequences.includes(sequence.name)) {
+          console.log('   ⏭️ Not created by this run - emails left unchanged\n');
           continue;
         }
-
-        const seqData = await seqResponse.json();
-        const sequenceId = seqData.sequence.id;
+        const { id: sequenceId } = await this.kit.findSequence(sequence.name);
         this.createdSequences.push({ name: sequence.name, id: sequenceId, tag: sequence.tag });
-
         console.log(`   ✅ Sequence created (ID: ${sequenceId})`);
 
         // Create emails in the sequence
         for (const email of sequence.emails) {
           try {
-            const emailResponse = await fetch(`${this.baseUrl}/sequences/${sequenceId}/emails`, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                api_secret: this.apiKey,
-                email: {
-                  subject: email.subject,
-                  content: email.content,
-                  delay_days: email.delay_days
-                }
-              })
+            await this.kit.addSequenceEmail(sequenceId, {
+              subject: email.subject,
+              content: email.content,
+              delayDays: email.delay_days
             });
-
-            if (emailResponse.ok) {
-              process.stdout.write('📧 ');
-            } else {
-              process.stdout.write('⚠️ ');
-            }
+            process.stdout.write('📧 ');
           } catch (error) {
             process.stdout.write('❌ ');
           }
@@ -352,11 +270,11 @@ class KitSetupAutomation {
         console.log(`\n   📧 ${sequence.emails.length} emails added\n`);
 
       } catch (error) {
-        console.log(`❌ Error creating ${sequence.name}: ${error.message}\n`);
+        console.log(`❌ Error filling ${sequence.name}: ${error.message}\n`);
       }
     }
 
-    console.log(`📧 Sequence creation complete: ${this.createdSequences.length} sequences ready\n`);
+    console.log(`📧 Sequence fill complete: ${this.createdSequences.length} sequences filled\n`);
   }
 
   async createAutomationRules() {
@@ -26,6 +26,43 @@ export const config = {
   email: {
     fromAddress: process.env.FROM_EMAIL || 'drew@jacobscounsellaw.com',
     fromName: process.env.FROM_NAME || 'Drew Jacobs, Esq.',
+    // Provider failover order, e.g. "graph,sendgrid,smtp" (defaults to every configured provider)
+    providers: (process.env.MAIL_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean),
+    // Where the file transport writes .eml files (used in development when no provider is configured)
+    captureDir: process.env.MAIL_CAPTURE_DIR || 'data/outbox',
+    // Addresses the admin template studio may send test copies to (defaults to the firm's own inboxes)
+    testRecipients: (process.env.TEMPLATE_TEST_RECIPIENTS || '').split(',').map(address => address.trim()).filter(Boolean),
+    // Open pixel and click redirector on tracked sends (set EMAIL_TRACKING=false to turn off)
+    tracking: process.env.EMAIL_TRACKING !== 'false'
+  },
+  
+  // Fallback mail providers
+  sendgrid: {
+    apiKey: process.env.SENDGRID_API_KEY || '',
+    sandbox: process.env.SENDGRID_SANDBOX === 'true' // SendGrid validates and drops every send; never set in production
+  },
+  
+  resend: {
+    apiKey: process.env.RESEND_API_KEY || ''
+  },
+  
+  mailgun: {
+    apiKey: process.env.MAILGUN_API_KEY || '',
+    domain: process.env.MAILGUN_DOMAIN || '',
+    apiBase: process.env.MAILGUN_API_BASE || 'https://api.mailgun.net' // https://api.eu.mailgun.net for EU domains
+  },
+  
+  smtp: {
+    host: process.env.SMTP_HOST || '',
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    password: process.env.SMTP_PASSWORD || ''
+  },
+  
+  // Lead store (SQLite) - point at persistent storage in production
+  database: {
+    path: process.env.DATABASE_PATH || ''
   },
   
   // Base URL
@@ -39,7 +76,23 @@ export const config = {
   kit: {
     apiKey: process.env.KIT_API_KEY || '',
     apiSecret: process.env.KIT_API_SECRET || '',
-    formId: process.env.KIT_FORM_ID || ''
+    formId: process.env.KIT_FORM_ID || '',
+    // Sequence for leads whose score/practice-area sequence does not exist in Kit
+    defaultSequence: process.env.KIT_DEFAULT_SEQUENCE ?? 'Long-Term-Nurture-Sequence',
+    // 'v3' (api.convertkit.com, api_secret) or 'v4' (api.kit.com, X-Kit-Api-Key); v4 keys start with "kit_"
+    apiVersion: process.env.KIT_API_VERSION || ((process.env.KIT_API_KEY || '').startsWith('kit_') ? 'v4' : 'v3')
+  },
+  
+  // Firm details shown in email layouts, signatures and footers
+  firm: {
+    name: 'Jacobs Counsel LLC',
+    shortName: 'Jacobs Counsel',
+    attorney: 'Drew Jacobs, Esq.',
+    attorneyTitle: 'Founder & Managing Attorney',
+    tagline: 'Strategic Legal Counsel for High-Performers',
+    email: process.env.FIRM_EMAIL || 'drew@jacobscounsellaw.com',
+    phone: process.env.FIRM_PHONE || '646-343-7227',
+    website: 'https://jacobscounsellaw.com'
   },
   
   // Calendly Links - YOUR ACTUAL LINKS (preserved exactly)
@@ -58,6 +111,22 @@ export const config = {
     inboxToken: process.env.CLIO_GROW_INBOX_TOKEN || ''
   },
   
+  // Intake document uploads (src/services/documents.js)
+  documents: {
+    storage: process.env.DOCUMENT_STORAGE || 'disk',
+    dir: process.env.DOCUMENT_STORAGE_DIR || '', // disk storage root (default data/documents)
+    maxFileMb: parseInt(process.env.DOCUMENT_MAX_FILE_MB) || 15,
+    maxFiles: parseInt(process.env.DOCUMENT_MAX_FILES) || 10,
+    linkTtlHours: parseInt(process.env.DOCUMENT_LINK_TTL_HOURS) || 72, // download links in the internal alert
+    clioUpload: process.env.DOCUMENT_CLIO_UPLOAD === 'true', // also attach uploads to the Clio contact
+    // Optional clamd scan of every upload (src/services/documentInspection.js)
+    clamav: {
+      host: process.env.CLAMAV_HOST || '',
+      port: parseInt(process.env.CLAMAV_PORT) || 3310,
+      timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS) || 15000
+    }
+  },
+  
   // Email notifications
   notifications: {
     intakeNotifyTo: process.env.INTAKE_NOTIFY_TO || 'intake@jacobscounsellaw.com',
@@ -74,6 +143,23 @@ export const config = {
     token: process.env.MIXPANEL_TOKEN || null
   },
   
+  // Signed links (unsubscribe, preferences) - set a long random secret in production
+  security: {
+    linkSecret: process.env.LINK_SIGNING_SECRET || '',
+    emailLinkTtlDays: parseInt(process.env.EMAIL_LINK_TTL_DAYS) || 180
+  },
+  
+  // Admin API (dashboard, job replay) - requests must send this token
+  admin: {
+    token: process.env.ADMIN_TOKEN || ''
+  },
+  
+  // Inbound mail webhooks (replies forwarded by SendGrid Inbound Parse, Mailgun routes, Postmark, ...;
+  // bounce and complaint events from the providers) and Kit subscriber webhooks
+  inbound: {
+    token: process.env.INBOUND_EMAIL_TOKEN || ''
+  },
+  
   // Calendly Webhook
   calendly: {
     webhookSecret: process.env.CALENDLY_WEBHOOK_SECRET || ''
@@ -82,15 +168,19 @@ export const config = {
 
 // Environment validation (improved)
 export function validateEnvironment() {
-  const requiredEmail = config.microsoft.clientId && 
-                       config.microsoft.clientSecret && 
-                       config.microsoft.tenantId && 
-                       config.microsoft.sender;
+  const requiredEmail = !!((config.microsoft.clientId &&
+                         config.microsoft.clientSecret &&
+                         config.microsoft.tenantId &&
+                         config.microsoft.sender) ||
+                        config.sendgrid.apiKey ||
+                        config.resend.apiKey ||
+                        (config.mailgun.apiKey && config.mailgun.domain) ||
+                        config.smtp.host);
   
   const requiredKit = config.kit.apiKey && config.kit.apiSecret;
   
   const status = {
-    email: requiredEmail ? '✅ Configured' : '⚠️ Not configured (emails disabled)',
+    email: requiredEmail ? '✅ Configured' : `⚠️ Not configured (emails ${config.isDevelopment ? `captured to ${config.email.captureDir}` : 'disabled'})`,
     kit: requiredKit ? '✅ Configured' : '⚠️ Not configured (email automation disabled)',
     openai: config.openai.apiKey ? '✅ Configured' : '⚠️ Not configured (AI disabled)',
     clio: config.clio.inboxToken ? '✅ Configured' : '⚠️ Not configured (CRM disabled)',
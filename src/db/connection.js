@@ -0,0 +1,73 @@
+// src/db/connection.js - Promise wrapper around a sqlite3 connection
+// Shared by the lead store and the migration CLI so both talk to SQLite the same way.
+
+import sqlite3 from 'sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname } from 'path';
+
+// sqlite3 binds undefined poorly; accept both spread params and a single array
+const bindParams = (params) => {
+  const list = params.length === 1 && Array.isArray(params[0]) ? params[0] : params;
+  return list.map(value => value === undefined ? null : value);
+};
+
+/**
+ * Open a SQLite database, creating its directory when needed
+ * @param {String} path - Database file path (or ':memory:')
+ * @returns {Object} { run, get, all, exec, transaction, close } - every method returns a Promise
+ */
+export function openDatabase(path) {
+  if (path !== ':memory:') {
+    mkdirSync(dirname(path), { recursive: true });
+  }
+
+  const connection = new sqlite3.Database(path);
+
+  const run = (sql, ...params) => new Promise((resolve, reject) => {
+    connection.run(sql, bindParams(params), function onRun(error) {
+      if (error) return reject(error);
+      resolve({ lastInsertRowid: this.lastID, changes: this.changes });
+    });
+  });
+
+  const get = (sql, ...params) => new Promise((resolve, reject) => {
+    connection.get(sql, bindParams(params), (error, row) => error ? reject(error) : resolve(row));
+  });
+
+  const all = (sql, ...params) => new Promise((resolve, reject) => {
+    connection.all(sql, bindParams(params), (error, rows) => error ? reject(error) : resolve(rows));
+  });
+
+  const exec = (sql) => new Promise((resolve, reject) => {
+    connection.exec(sql, (error) => error ? reject(error) : resolve(true));
+  });
+
+  const database = {
+    path,
+    run,
+    get,
+    all,
+    exec,
+
+    // Run fn inside BEGIN/COMMIT, rolling back if it throws
+    transaction: async (fn) => {
+      await exec('BEGIN');
+      try {
+        const result = await fn(database);
+        await exec('COMMIT');
+        return result;
+      } catch (error) {
+        await exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    close: () => new Promise((resolve, reject) => {
+      connection.close((error) => error ? reject(error) : resolve());
+    })
+  };
+
+  return database;
+}
+
+export default { openDatabase };
@@ -0,0 +1,118 @@
+// src/db/migrate.js - Versioned schema migrations
+// Migrations live in src/db/migrations as NNN_description.js and export
+// async up(db) / down(db). Applied versions are recorded in schema_migrations.
+
+import { readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { log } from '../utils/logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Load every migration module, ordered by version
+ * @returns {Array} [{ version, name, up, down }]
+ */
+export async function loadMigrations() {
+  const files = readdirSync(MIGRATIONS_DIR).filter(file => MIGRATION_FILE.test(file));
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE);
+    const module = await import(pathToFileURL(join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    migrations.push({ version: Number(version), name, up: module.up, down: module.down });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  const duplicate = migrations.find((migration, i) => i > 0 && migration.version === migrations[i - 1].version);
+  if (duplicate) {
+    throw new Error(`Duplicate migration version: ${duplicate.version}`);
+  }
+
+  return migrations;
+}
+
+async function appliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const rows = await db.all('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map(row => row.version));
+}
+
+/**
+ * Apply every pending migration, each in its own transaction
+ * @param {Object} db - Connection from openDatabase()
+ * @returns {Array} Migrations applied by this run
+ */
+export async function migrateUp(db) {
+  const applied = await appliedVersions(db);
+  const pending = (await loadMigrations()).filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await db.transaction(async () => {
+      await migration.up(db);
+      await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', migration.version, migration.name);
+    });
+    log.info('Migration applied', { version: migration.version, name: migration.name });
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Object} db - Connection from openDatabase()
+ * @param {Number} steps - How many migrations to revert
+ * @returns {Array} Migrations reverted by this run
+ */
+export async function migrateDown(db, steps = 1) {
+  const applied = await appliedVersions(db);
+  const targets = (await loadMigrations())
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of targets) {
+    await db.transaction(async () => {
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', migration.version);
+    });
+    log.info('Migration reverted', { version: migration.version, name: migration.name });
+  }
+
+  return targets;
+}
+
+/**
+ * Applied/pending state of every known migration
+ * @param {Object} db - Connection from openDatabase()
+ */
+export async function getMigrationStatus(db) {
+  await ensureMigrationsTable(db);
+  const rows = await db.all('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+  return (await loadMigrations()).map(({ version, name }) => ({
+    version,
+    name,
+    applied: appliedAt.has(version),
+    appliedAt: appliedAt.get(version) || null
+  }));
+}
+
+export default { loadMigrations, migrateUp, migrateDown, getMigrationStatus };
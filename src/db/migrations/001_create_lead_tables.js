@@ -0,0 +1,71 @@
+// 001 - Lead capture tables (originally created inline by src/models/database.js)
+// IF NOT EXISTS so databases created before migrations existed are adopted as-is.
+
+export async function up(db) {
+  // Main leads table
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS leads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      submission_id TEXT UNIQUE NOT NULL,
+      email TEXT NOT NULL,
+      first_name TEXT,
+      last_name TEXT,
+      phone TEXT,
+      business_name TEXT,
+      submission_type TEXT NOT NULL,
+      lead_score INTEGER NOT NULL,
+      priority TEXT NOT NULL,
+      source TEXT,
+      calendly_link TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      form_data TEXT -- JSON string of all form data
+    );
+
+    -- Lead interactions (track all touchpoints)
+    CREATE TABLE IF NOT EXISTS lead_interactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lead_id INTEGER NOT NULL,
+      interaction_type TEXT NOT NULL, -- 'form_submitted', 'clio_lead_created', 'calendly_booked', 'kit_tagged', ...
+      details TEXT, -- JSON string with specifics
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (lead_id) REFERENCES leads (id)
+    );
+
+    -- Follow-up reminders
+    CREATE TABLE IF NOT EXISTS follow_up_reminders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lead_id INTEGER NOT NULL,
+      reminder_type TEXT NOT NULL, -- 'immediate', 'same_day', 'next_day', 'three_day'
+      scheduled_for DATETIME NOT NULL,
+      status TEXT DEFAULT 'pending', -- 'pending', 'sent', 'cancelled'
+      message TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      sent_at DATETIME,
+      FOREIGN KEY (lead_id) REFERENCES leads (id)
+    );
+
+    -- Daily analytics summary
+    CREATE TABLE IF NOT EXISTS daily_stats (
+      date TEXT PRIMARY KEY,
+      total_submissions INTEGER DEFAULT 0,
+      high_value_leads INTEGER DEFAULT 0,
+      calendly_bookings INTEGER DEFAULT 0,
+      avg_lead_score REAL DEFAULT 0,
+      top_source TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_leads_email ON leads(email);
+    CREATE INDEX IF NOT EXISTS idx_lead_interactions_lead ON lead_interactions(lead_id);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS daily_stats;
+    DROP TABLE IF EXISTS follow_up_reminders;
+    DROP TABLE IF EXISTS lead_interactions;
+    DROP TABLE IF EXISTS leads;
+  `);
+}
@@ -0,0 +1,63 @@
+// 003 - Pathway automations and their scheduled emails
+// Queried by consultationHandler, the email automation routes and the admin dashboard.
+
+export async function up(db) {
+  await db.exec(`
+    -- One row per lead per pathway
+    CREATE TABLE IF NOT EXISTS email_automations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      pathway_name TEXT NOT NULL,
+      trigger_type TEXT NOT NULL,
+      status TEXT DEFAULT 'active', -- active, paused, scheduled, completed
+      paused_reason TEXT,
+      consultation_booked TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(email, pathway_name)
+    );
+
+    -- Individual emails queued for a pathway
+    CREATE TABLE IF NOT EXISTS scheduled_emails (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      automation_id INTEGER NOT NULL,
+      email TEXT NOT NULL,
+      first_name TEXT,
+      last_name TEXT,
+      subject TEXT NOT NULL,
+      template_type TEXT NOT NULL,
+      trigger_type TEXT NOT NULL,
+      send_at DATETIME NOT NULL,
+      status TEXT DEFAULT 'pending', -- pending, paused, sent, failed
+      sent_at DATETIME,
+      error_message TEXT,
+      open_tracking_id TEXT,
+      clicked_tracking_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (automation_id) REFERENCES email_automations (id)
+    );
+
+    -- Opens and clicks on scheduled emails
+    CREATE TABLE IF NOT EXISTS email_engagement (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scheduled_email_id INTEGER NOT NULL,
+      email TEXT NOT NULL,
+      engagement_type TEXT NOT NULL, -- open, click
+      engagement_data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (scheduled_email_id) REFERENCES scheduled_emails (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_email_automations_email ON email_automations(email);
+    CREATE INDEX IF NOT EXISTS idx_scheduled_emails_automation ON scheduled_emails(automation_id);
+    CREATE INDEX IF NOT EXISTS idx_scheduled_emails_send_at ON scheduled_emails(send_at);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS email_engagement;
+    DROP TABLE IF EXISTS scheduled_emails;
+    DROP TABLE IF EXISTS email_automations;
+  `);
+}
@@ -0,0 +1,63 @@
+// 004 - One consultation_bookings shape for every module
+// The automation schema keyed bookings by subscriber_email/consultation_type while
+// consultationHandler and the automation routes write email/booking_type/booking_status.
+// The handler's columns win; Calendly's event id and booking date are kept alongside.
+
+const BOOKINGS_TABLE = `
+  CREATE TABLE consultation_bookings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL,
+    booking_type TEXT NOT NULL DEFAULT 'general',
+    booking_status TEXT DEFAULT 'scheduled', -- scheduled, completed, interested, cancelled
+    booking_data TEXT, -- JSON string of the booking payload
+    booking_date DATETIME,
+    calendly_event_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+async function columnNames(db, table) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  return columns.map(column => column.name);
+}
+
+export async function up(db) {
+  const columns = await columnNames(db, 'consultation_bookings');
+
+  if (columns.length === 0) {
+    await db.exec(BOOKINGS_TABLE);
+  } else if (columns.includes('subscriber_email')) {
+    // Automation-schema shape: rebuild and carry rows across
+    await db.exec(`
+      ALTER TABLE consultation_bookings RENAME TO consultation_bookings_legacy;
+      ${BOOKINGS_TABLE};
+      INSERT INTO consultation_bookings (id, email, booking_type, booking_date, calendly_event_id, created_at)
+        SELECT id, subscriber_email, COALESCE(consultation_type, 'general'), booking_date, calendly_event_id, created_at
+        FROM consultation_bookings_legacy
+        WHERE subscriber_email IS NOT NULL;
+      DROP TABLE consultation_bookings_legacy;
+    `);
+  } else {
+    // Handler shape: add the Calendly columns it was missing
+    if (!columns.includes('booking_date')) {
+      await db.exec('ALTER TABLE consultation_bookings ADD COLUMN booking_date DATETIME');
+    }
+    if (!columns.includes('calendly_event_id')) {
+      await db.exec('ALTER TABLE consultation_bookings ADD COLUMN calendly_event_id TEXT');
+    }
+  }
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_consultation_bookings_email ON consultation_bookings(email);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_consultation_bookings_calendly_event ON consultation_bookings(calendly_event_id);
+  `);
+}
+
+// Reverts to the handler shape; the legacy automation-schema columns are not restored
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_consultation_bookings_calendly_event;
+    ALTER TABLE consultation_bookings DROP COLUMN calendly_event_id;
+    ALTER TABLE consultation_bookings DROP COLUMN booking_date;
+  `);
+}
@@ -0,0 +1,27 @@
+// 005 - Unsubscribes and preference center categories (CAN-SPAM compliance)
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS email_unsubscribes (
+      email TEXT PRIMARY KEY,
+      reason TEXT DEFAULT 'user_request',
+      unsubscribed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS email_preferences (
+      email TEXT PRIMARY KEY,
+      newsletter INTEGER DEFAULT 1,
+      follow_ups INTEGER DEFAULT 1,
+      resources INTEGER DEFAULT 1,
+      consultations INTEGER DEFAULT 1,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS email_preferences;
+    DROP TABLE IF EXISTS email_unsubscribes;
+  `);
+}
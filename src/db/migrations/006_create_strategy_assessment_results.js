@@ -0,0 +1,25 @@
+// 006 - Per-area results of the server-side legal strategy assessment
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS strategy_assessment_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lead_id INTEGER NOT NULL,
+      submission_id TEXT NOT NULL,
+      user_type TEXT,
+      area TEXT NOT NULL, -- entity, contracts, ip, estate, insurance, tax, compliance
+      score INTEGER NOT NULL, -- 0-30
+      risk_level TEXT NOT NULL, -- low, medium, high
+      overall_risk_score INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (lead_id) REFERENCES leads (id),
+      UNIQUE(submission_id, area)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_strategy_assessment_results_lead ON strategy_assessment_results(lead_id);
+  `);
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS strategy_assessment_results');
+}
@@ -0,0 +1,28 @@
+// 007 - Durable outbound job queue (emails, Clio, Kit) drained by src/services/jobQueue.js
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL, -- registered handler name, e.g. 'intake.client-email'
+      payload TEXT NOT NULL, -- JSON
+      idempotency_key TEXT UNIQUE, -- e.g. '<submissionId>:client-email'; duplicates are ignored
+      status TEXT NOT NULL DEFAULT 'pending', -- pending, running, completed, dead
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      run_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      locked_at DATETIME,
+      last_error TEXT,
+      result TEXT, -- JSON returned by the handler
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      completed_at DATETIME
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_jobs_status_run_at ON jobs(status, run_at);
+  `);
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS jobs');
+}
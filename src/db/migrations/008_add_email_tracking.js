@@ -0,0 +1,46 @@
+// 008 - Per-message open/click tracking on email_history
+// Each tracked send gets a row keyed by its tracking id (src/services/emailTracking.js);
+// the open pixel and click redirector update the counts and engagement score on that row.
+
+const COLUMNS = [
+  ['tracking_id', 'TEXT'],
+  ['email', 'TEXT'],
+  ['lead_id', 'INTEGER'], // leads.id (no FK clause, so the column can be dropped again)
+  ['provider', 'TEXT'],
+  ['message_id', 'TEXT'],
+  ['open_count', 'INTEGER NOT NULL DEFAULT 0'],
+  ['click_count', 'INTEGER NOT NULL DEFAULT 0'],
+  ['last_clicked_url', 'TEXT'],
+  ['engagement_score', 'INTEGER NOT NULL DEFAULT 0'] // 0 unopened, 50 opened, 100 clicked
+];
+
+export async function up(db) {
+  const existing = (await db.all('PRAGMA table_info(email_history)')).map(column => column.name);
+
+  for (const [name, type] of COLUMNS) {
+    if (!existing.includes(name)) {
+      await db.exec(`ALTER TABLE email_history ADD COLUMN ${name} ${type}`);
+    }
+  }
+
+  // Automation sends recorded before this migration score from their timestamps
+  await db.exec(`
+    UPDATE email_history
+    SET engagement_score = CASE WHEN clicked_at IS NOT NULL THEN 100 WHEN opened_at IS NOT NULL THEN 50 ELSE 0 END;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_email_history_tracking_id ON email_history(tracking_id);
+    CREATE INDEX IF NOT EXISTS idx_email_history_email ON email_history(email);
+    CREATE INDEX IF NOT EXISTS idx_email_history_lead ON email_history(lead_id);
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_email_history_lead;
+    DROP INDEX IF EXISTS idx_email_history_email;
+    DROP INDEX IF EXISTS idx_email_history_tracking_id;
+  `);
+  for (const [name] of [...COLUMNS].reverse()) {
+    await db.exec(`ALTER TABLE email_history DROP COLUMN ${name}`);
+  }
+}
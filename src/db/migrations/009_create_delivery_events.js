@@ -0,0 +1,35 @@
+// 009 - Bounces and spam complaints (src/services/deliveryEvents.js) and the addresses they suppress
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS email_delivery_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      event_type TEXT NOT NULL, -- hard_bounce, soft_bounce, complaint
+      provider TEXT NOT NULL, -- sendgrid, mailgun, resend, dsn
+      status_code TEXT, -- SMTP enhanced status, e.g. 5.1.1
+      detail TEXT,
+      tracking_id TEXT, -- email_history.tracking_id of the message, when known
+      event_key TEXT UNIQUE, -- provider event id; redelivered webhooks are ignored
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_delivery_events_email ON email_delivery_events(email, event_type);
+    CREATE INDEX IF NOT EXISTS idx_delivery_events_created ON email_delivery_events(created_at);
+
+    CREATE TABLE IF NOT EXISTS email_suppressions (
+      email TEXT PRIMARY KEY,
+      reason TEXT NOT NULL, -- hard_bounce, soft_bounce (repeated), complaint
+      provider TEXT,
+      detail TEXT,
+      suppressed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP TABLE IF EXISTS email_suppressions;
+    DROP TABLE IF EXISTS email_delivery_events;
+  `);
+}
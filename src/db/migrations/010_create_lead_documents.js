@@ -0,0 +1,26 @@
+// 010 - Documents uploaded with intake forms (src/services/documents.js)
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS lead_documents (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lead_id INTEGER REFERENCES leads(id),
+      submission_id TEXT NOT NULL,
+      original_name TEXT NOT NULL,
+      content_type TEXT NOT NULL, -- from the extension allowlist, not the browser
+      size INTEGER NOT NULL,
+      sha256 TEXT NOT NULL,
+      storage TEXT NOT NULL, -- registered storage backend, e.g. 'disk'
+      storage_key TEXT NOT NULL,
+      clio_document_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(submission_id, sha256) -- a resubmitted form does not store the same file twice
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_lead_documents_lead ON lead_documents(lead_id);
+  `);
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS lead_documents');
+}
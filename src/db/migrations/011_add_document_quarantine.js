@@ -0,0 +1,21 @@
+// 011 - Quarantine flag on uploaded documents (src/services/documentInspection.js)
+// Quarantined files are kept for review but never linked in alerts or attached to Clio.
+
+export async function up(db) {
+  const existing = (await db.all('PRAGMA table_info(lead_documents)')).map(column => column.name);
+  if (!existing.includes('quarantined')) {
+    await db.exec('ALTER TABLE lead_documents ADD COLUMN quarantined INTEGER NOT NULL DEFAULT 0');
+  }
+  if (!existing.includes('quarantine_reason')) {
+    await db.exec('ALTER TABLE lead_documents ADD COLUMN quarantine_reason TEXT');
+  }
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_lead_documents_quarantined ON lead_documents(quarantined)');
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_lead_documents_quarantined;
+    ALTER TABLE lead_documents DROP COLUMN quarantine_reason;
+    ALTER TABLE lead_documents DROP COLUMN quarantined;
+  `);
+}
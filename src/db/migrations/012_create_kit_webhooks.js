@@ -0,0 +1,22 @@
+// 012 - Kit webhooks this server registered (src/services/kitWebhooks.js)
+// Kit posts only the subscriber, so each hook's URL names its event and resource; a delivery is
+// accepted only when it matches a row here.
+
+export async function up(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS kit_webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event TEXT NOT NULL, -- subscriber.tag_add, subscriber.subscriber_unsubscribe, ...
+      resource TEXT NOT NULL DEFAULT '', -- tag, form or sequence id, or the clicked link; '' for account-wide events
+      resource_name TEXT, -- tag/form/sequence name when registered
+      kit_webhook_id INTEGER NOT NULL, -- Kit's webhook (v4) or rule (v3) id
+      api_version TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(event, resource)
+    );
+  `);
+}
+
+export async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS kit_webhooks');
+}
@@ -0,0 +1,21 @@
+// 013 - Client idempotency keys on leads (src/services/intakePipeline.js)
+// Submission ids are generated server-side; a form may send its own key so a double click or a
+// client retry reuses the stored lead. Keys only match within the same address and submission type.
+
+export async function up(db) {
+  const existing = (await db.all('PRAGMA table_info(leads)')).map(column => column.name);
+  if (!existing.includes('idempotency_key')) {
+    await db.exec('ALTER TABLE leads ADD COLUMN idempotency_key TEXT');
+  }
+  await db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_leads_idempotency_key
+    ON leads(submission_type, email, idempotency_key) WHERE idempotency_key IS NOT NULL
+  `);
+}
+
+export async function down(db) {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_leads_idempotency_key;
+    ALTER TABLE leads DROP COLUMN idempotency_key;
+  `);
+}
@@ -2,7 +2,8 @@
 // This connects the main index.js server to our advanced automation system
 
 import automationEngine from '../services/automationEngine.js';
-import { sendEnhancedEmail } from '../legacy/compatibility.js';
+import { sendMail } from '../services/mailTransport.js';
+import { TRANSACTIONAL } from '../services/suppression.js';
 
 class SmartAutomationIntegration {
   
@@ -167,11 +168,12 @@ class SmartAutomationIntegration {
     try {
       const strategicSummary = this.generateStrategicSummary(formData, automationId);
       
-      await sendEnhancedEmail({
+      await sendMail({
         to: ['drew@jacobscounsellaw.com'],
         subject: `🧠 SMART LEAD: ${formData.clientProfile.toUpperCase()} - ${formData.firstName || formData.email} (Score: ${formData.leadScore})`,
         html: strategicSummary,
-        priority: formData.leadScore >= 70 ? 'high' : 'normal'
+        priority: formData.leadScore >= 70 ? 'high' : 'normal',
+        category: TRANSACTIONAL
       });
       
       console.log(`📧 Strategic summary sent to Drew for automation ${automationId}`);
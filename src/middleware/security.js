@@ -1,6 +1,9 @@
 // src/middleware/security.js - Enhanced security middleware
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
+import { createHash, timingSafeEqual } from 'crypto';
+import { config } from '../config/environment.js';
+import { createSignedToken, verifySignedToken } from '../utils/signedTokens.js';
 import { log } from '../utils/logger.js';
 
 // Enhanced rate limiting with better configuration
@@ -102,4 +105,80 @@ export const validateContentType = (req, res, next) => {
     });
   }
   next();
-};
\ No newline at end of file
+};
+
+// Constant-time comparison of a presented token with the configured one
+const tokenMatches = (provided, configured) => {
+  const expected = Buffer.from(configured);
+  const actual = Buffer.from(String(provided || ''));
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+export const adminTokenMatches = (provided) => tokenMatches(provided, config.admin.token);
+
+// Browser sessions for the HTML dashboard and template studio (src/routes/admin-session.js)
+export const ADMIN_SESSION_COOKIE = 'jc_admin_session';
+const ADMIN_SESSION_PURPOSE = 'admin-session';
+const ADMIN_SESSION_TTL_SECONDS = 12 * 60 * 60;
+
+// Sessions name the ADMIN_TOKEN they were opened with, so rotating it signs every browser out
+const adminTokenFingerprint = () => createHash('sha256').update(config.admin.token).digest('base64url').slice(0, 16);
+
+/**
+ * Set the admin session cookie, scoped to the admin mount path
+ * @param {Object} req - Request that presented a valid ADMIN_TOKEN
+ * @param {Object} res
+ */
+export function startAdminSession(req, res) {
+  res.cookie(ADMIN_SESSION_COOKIE, createSignedToken(ADMIN_SESSION_PURPOSE, { k: adminTokenFingerprint() }, ADMIN_SESSION_TTL_SECONDS), {
+    path: req.baseUrl || '/',
+    httpOnly: true,
+    secure: req.secure || config.nodeEnv === 'production',
+    sameSite: 'strict',
+    maxAge: ADMIN_SESSION_TTL_SECONDS * 1000
+  });
+}
+
+export function endAdminSession(req, res) {
+  res.clearCookie(ADMIN_SESSION_COOKIE, { path: req.baseUrl || '/' });
+}
+
+const readCookie = (req, name) => (req.get('Cookie') || '').split(';')
+  .map(pair => pair.trim().split('='))
+  .find(([key]) => key === name)?.[1];
+
+const hasAdminSession = (req) =>
+  verifySignedToken(ADMIN_SESSION_PURPOSE, readCookie(req, ADMIN_SESSION_COOKIE))?.k === adminTokenFingerprint();
+
+// Admin API guard - token via `Authorization: Bearer` or `X-Admin-Token`, or a browser session cookie.
+// Never ?token=: query strings end up in access logs, browser history and Referer headers.
+export const requireAdminToken = (req, res, next) => {
+  if (!config.admin.token) {
+    return res.status(503).json({ ok: false, error: 'Admin API disabled - set ADMIN_TOKEN' });
+  }
+
+  const provided = req.get('Authorization')?.replace(/^Bearer\s+/i, '') || req.get('X-Admin-Token') || '';
+  if (!adminTokenMatches(provided) && !hasAdminSession(req)) {
+    log.warn('Admin request rejected', { ip: req.ip, endpoint: req.path });
+    // Pages opened in a browser go to the sign-in form
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+      return res.redirect(303, `${req.baseUrl}/login`);
+    }
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  next();
+};
+
+// Inbound mail relay and provider webhook guard - they can rarely add headers, so ?token= in the configured URL also works
+export const requireInboundToken = (req, res, next) => {
+  if (!config.inbound.token) {
+    return res.status(503).json({ ok: false, error: 'Inbound webhooks disabled - set INBOUND_EMAIL_TOKEN' });
+  }
+
+  const provided = req.get('X-Inbound-Token') || req.query.token || '';
+  if (!tokenMatches(provided, config.inbound.token)) {
+    log.warn('Inbound email rejected', { ip: req.ip, endpoint: req.path });
+    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  }
+  next();
+};
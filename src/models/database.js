@@ -1,116 +1,104 @@
-// src/models/database.js - Simple SQLite database for lead analytics
-import Database from 'better-sqlite3';
+// src/models/database.js - Persistent SQLite lead store (sqlite3)
+// Survives restarts as long as DATABASE_PATH points at persistent storage.
+// All queries are async; every method waits for pending migrations first.
+
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { config } from '../config/environment.js';
+import { openDatabase } from '../db/connection.js';
+import { migrateUp } from '../db/migrate.js';
 import { log } from '../utils/logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const dbPath = join(__dirname, '../../data/leads.db');
-
-// Initialize database
-const db = new Database(dbPath);
-
-// Enable WAL mode for better performance
-db.pragma('journal_mode = WAL');
-
-// Create tables
-const initTables = () => {
-  // Main leads table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS leads (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      submission_id TEXT UNIQUE NOT NULL,
-      email TEXT NOT NULL,
-      first_name TEXT,
-      last_name TEXT,
-      phone TEXT,
-      business_name TEXT,
-      submission_type TEXT NOT NULL,
-      lead_score INTEGER NOT NULL,
-      priority TEXT NOT NULL,
-      source TEXT,
-      calendly_link TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      form_data TEXT -- JSON string of all form data
-    )
-  `);
-
-  // Lead interactions table (track all touchpoints)
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS lead_interactions (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      lead_id INTEGER NOT NULL,
-      interaction_type TEXT NOT NULL, -- 'email_sent', 'calendly_booked', 'calendly_canceled', 'kit_tagged', 'kit_sequenced', 'follow_up_scheduled'
-      details TEXT, -- JSON string with specifics
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (lead_id) REFERENCES leads (id)
-    )
-  `);
-
-  // Follow-up reminders table
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS follow_up_reminders (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      lead_id INTEGER NOT NULL,
-      reminder_type TEXT NOT NULL, -- 'immediate', 'same_day', 'next_day', 'three_day'
-      scheduled_for DATETIME NOT NULL,
-      status TEXT DEFAULT 'pending', -- 'pending', 'sent', 'cancelled'
-      message TEXT,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      sent_at DATETIME,
-      FOREIGN KEY (lead_id) REFERENCES leads (id)
-    )
-  `);
-
-  // Daily analytics summary
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS daily_stats (
-      date TEXT PRIMARY KEY,
-      total_submissions INTEGER DEFAULT 0,
-      high_value_leads INTEGER DEFAULT 0,
-      calendly_bookings INTEGER DEFAULT 0,
-      avg_lead_score REAL DEFAULT 0,
-      top_source TEXT,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-
-  log.info('Database tables initialized');
+const dbPath = config.database.path || join(__dirname, '../../data/leads.db');
+
+const connection = openDatabase(dbPath);
+
+// Bring the schema up to date (src/db/migrations) before any query runs
+export const ready = connection.exec('PRAGMA journal_mode = WAL')
+  .then(() => migrateUp(connection))
+  .then((applied) => {
+    log.info('Database ready', { path: dbPath, migrationsApplied: applied.length });
+  })
+  .catch((error) => {
+    log.error('Database initialization failed', { error: error.message, path: dbPath });
+    throw error;
+  });
+
+// Public query helpers - wait for migrations before touching the database
+const run = async (sql, ...params) => { await ready; return connection.run(sql, ...params); };
+const get = async (sql, ...params) => { await ready; return connection.get(sql, ...params); };
+const all = async (sql, ...params) => { await ready; return connection.all(sql, ...params); };
+const exec = async (sql) => { await ready; return connection.exec(sql); };
+
+// Statement-style interface kept from the better-sqlite3 days; every call returns a Promise
+const db = {
+  prepare: (sql) => ({
+    run: (...params) => run(sql, ...params),
+    get: (...params) => get(sql, ...params),
+    all: (...params) => all(sql, ...params)
+  }),
+  run,
+  get,
+  all,
+  exec,
+  ready,
+  close: () => connection.close()
 };
 
-// Initialize on import
-initTables();
+const normalizeEmail = (email) => (email || '').toString().trim().toLowerCase();
+
+const splitName = (fullName) => {
+  const parts = (fullName || '').trim().split(/\s+/).filter(Boolean);
+  return { first: parts[0] || null, last: parts.slice(1).join(' ') || null };
+};
+
+// Stop anything already scheduled for an address we may no longer mail
+async function stopScheduledMail(address, reason) {
+  await run(`
+    UPDATE active_automations SET status = 'exited', exit_reason = ?, paused_at = CURRENT_TIMESTAMP
+    WHERE status = 'active' AND subscriber_id IN (SELECT id FROM subscribers WHERE email = ?)
+  `, reason, address);
+  await run(`
+    UPDATE email_automations SET status = 'paused', paused_reason = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE email = ? AND status IN ('active', 'scheduled')
+  `, reason, address);
+  await run(`UPDATE scheduled_emails SET status = 'paused' WHERE email = ? AND status = 'pending'`, address);
+}
 
 // Lead operations
 export const leadDb = {
-  // Insert new lead
-  insertLead: (leadData) => {
-    const stmt = db.prepare(`
-      INSERT INTO leads (
-        submission_id, email, first_name, last_name, phone, business_name,
-        submission_type, lead_score, priority, source, calendly_link, form_data
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-    
+  db,
+
+  // Insert new lead - accepts pipeline (snake_case) or legacy (camelCase) field names
+  insertLead: async (leadData) => {
+    const name = splitName(leadData.fullName || leadData.contactName || leadData.name);
+    const formData = leadData.formData || leadData;
+
     try {
-      const result = stmt.run(
-        leadData.submissionId,
+      const result = await run(`
+        INSERT INTO leads (
+          submission_id, email, first_name, last_name, phone, business_name,
+          submission_type, lead_score, priority, source, calendly_link, form_data, idempotency_key
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        leadData.submission_id || leadData.submissionId,
         leadData.email,
-        leadData.firstName || null,
-        leadData.lastName || null,
+        leadData.firstName || leadData.first_name || name.first,
+        leadData.lastName || leadData.last_name || name.last,
         leadData.phone || null,
-        leadData.businessName || null,
-        leadData.submissionType,
-        leadData.leadScore,
-        leadData.priority,
+        leadData.businessName || leadData.companyName || leadData.company || null,
+        leadData.submission_type || leadData.submissionType,
+        leadData.lead_score ?? leadData.leadScore ?? 0,
+        leadData.priority || 'STANDARD',
         leadData.source || null,
-        leadData.calendlyLink,
-        JSON.stringify(leadData.formData)
+        leadData.calendly_link || leadData.calendlyLink || null,
+        JSON.stringify(formData),
+        leadData.idempotency_key || null
       );
-      
+
       log.info('Lead inserted', { id: result.lastInsertRowid, email: leadData.email });
-      return result.lastInsertRowid;
+      return result;
     } catch (error) {
       log.error('Failed to insert lead', { error: error.message, email: leadData.email });
       throw error;
@@ -118,66 +106,89 @@ export const leadDb = {
   },
 
   // Track interaction
-  logInteraction: (leadId, type, details = {}) => {
-    const stmt = db.prepare(`
-      INSERT INTO lead_interactions (lead_id, interaction_type, details)
-      VALUES (?, ?, ?)
-    `);
-    
+  logInteraction: async (leadId, type, details = {}) => {
     try {
-      stmt.run(leadId, type, JSON.stringify(details));
+      const result = await run(`
+        INSERT INTO lead_interactions (lead_id, interaction_type, details)
+        VALUES (?, ?, ?)
+      `, leadId, type, JSON.stringify(details));
       log.debug('Interaction logged', { leadId, type });
+      return result;
     } catch (error) {
       log.error('Failed to log interaction', { error: error.message, leadId, type });
+      return { lastInsertRowid: null, changes: 0 };
     }
   },
 
+  getLeadById: (id) => get('SELECT * FROM leads WHERE id = ?', id),
+
+  getLeadBySubmissionId: (submissionId) => get('SELECT * FROM leads WHERE submission_id = ?', submissionId),
+
+  // Lead a client idempotency key already created (resubmissions reuse it); keys are scoped to address and type
+  getLeadByIdempotencyKey: ({ submissionType, email, key }) => get(
+    'SELECT * FROM leads WHERE submission_type = ? AND email = ? AND idempotency_key = ?', submissionType, email, key
+  ),
+
   // Get lead by email (for tracking existing leads)
-  getLeadByEmail: (email) => {
-    const stmt = db.prepare('SELECT * FROM leads WHERE email = ? ORDER BY created_at DESC LIMIT 1');
-    return stmt.get(email);
+  getLeadByEmail: (email) => get('SELECT * FROM leads WHERE email = ? ORDER BY created_at DESC, id DESC LIMIT 1', email),
+
+  getLeadsByEmail: (email) => all('SELECT * FROM leads WHERE email = ? ORDER BY created_at DESC, id DESC', email),
+
+  getAllLeads: (limit = 100) => all('SELECT * FROM leads ORDER BY created_at DESC, id DESC LIMIT ?', limit),
+
+  getLeadInteractions: (leadId) => all('SELECT * FROM lead_interactions WHERE lead_id = ? ORDER BY created_at ASC, id ASC', leadId),
+
+  getLeadStats: async () => {
+    const stats = await get(`
+      SELECT
+        COUNT(*) as total,
+        COUNT(CASE WHEN created_at >= datetime('now', '-7 days') THEN 1 END) as thisWeek,
+        COALESCE(ROUND(AVG(lead_score)), 0) as averageScore,
+        COUNT(CASE WHEN lead_score >= 80 THEN 1 END) as highValue
+      FROM leads
+    `);
+    return stats;
   },
 
   // Analytics queries
-  getDashboardStats: () => {
-    const stats = db.prepare(`
-      SELECT 
-        COUNT(*) as total_leads,
-        COUNT(CASE WHEN lead_score >= 70 THEN 1 END) as high_value_leads,
-        ROUND(AVG(lead_score), 1) as avg_lead_score,
-        COUNT(CASE WHEN created_at >= date('now', '-7 days') THEN 1 END) as leads_last_7_days,
-        COUNT(CASE WHEN created_at >= date('now', '-30 days') THEN 1 END) as leads_last_30_days
-      FROM leads
-    `).get();
-
-    const topSources = db.prepare(`
-      SELECT submission_type, COUNT(*) as count 
-      FROM leads 
-      WHERE created_at >= date('now', '-30 days')
-      GROUP BY submission_type 
-      ORDER BY count DESC 
-      LIMIT 5
-    `).all();
-
-    const recentHighValue = db.prepare(`
-      SELECT email, first_name, business_name, lead_score, submission_type, created_at
-      FROM leads 
-      WHERE lead_score >= 70 
-      ORDER BY created_at DESC 
-      LIMIT 10
-    `).all();
-
-    const dailyTrends = db.prepare(`
-      SELECT 
-        date(created_at) as date,
-        COUNT(*) as leads,
-        COUNT(CASE WHEN lead_score >= 70 THEN 1 END) as high_value,
-        ROUND(AVG(lead_score), 1) as avg_score
-      FROM leads 
-      WHERE created_at >= date('now', '-30 days')
-      GROUP BY date(created_at)
-      ORDER BY date
-    `).all();
+  getDashboardStats: async () => {
+    const [stats, topSources, recentHighValue, dailyTrends] = await Promise.all([
+      get(`
+        SELECT
+          COUNT(*) as total_leads,
+          COUNT(CASE WHEN lead_score >= 70 THEN 1 END) as high_value_leads,
+          ROUND(AVG(lead_score), 1) as avg_lead_score,
+          COUNT(CASE WHEN created_at >= date('now', '-7 days') THEN 1 END) as leads_last_7_days,
+          COUNT(CASE WHEN created_at >= date('now', '-30 days') THEN 1 END) as leads_last_30_days
+        FROM leads
+      `),
+      all(`
+        SELECT submission_type, COUNT(*) as count
+        FROM leads
+        WHERE created_at >= date('now', '-30 days')
+        GROUP BY submission_type
+        ORDER BY count DESC
+        LIMIT 5
+      `),
+      all(`
+        SELECT email, first_name, business_name, lead_score, submission_type, created_at
+        FROM leads
+        WHERE lead_score >= 70
+        ORDER BY created_at DESC
+        LIMIT 10
+      `),
+      all(`
+        SELECT
+          date(created_at) as date,
+          COUNT(*) as leads,
+          COUNT(CASE WHEN lead_score >= 70 THEN 1 END) as high_value,
+          ROUND(AVG(lead_score), 1) as avg_score
+        FROM leads
+        WHERE created_at >= date('now', '-30 days')
+        GROUP BY date(created_at)
+        ORDER BY date
+      `)
+    ]);
 
     return {
       overview: stats,
@@ -187,60 +198,52 @@ export const leadDb = {
     };
   },
 
-  // Follow-up intelligence
-  getLeadsNeedingFollowup: () => {
-    // High-value leads without recent booking
-    const stmt = db.prepare(`
-      SELECT l.*, 
-        COUNT(i.id) as interaction_count,
-        MAX(i.created_at) as last_interaction
-      FROM leads l
-      LEFT JOIN lead_interactions i ON l.id = i.lead_id
-      WHERE l.lead_score >= 70 
-        AND l.created_at >= date('now', '-7 days')
-        AND (i.interaction_type != 'calendly_booked' OR i.interaction_type IS NULL)
-      GROUP BY l.id
-      ORDER BY l.created_at DESC
-    `);
-    
-    return stmt.all();
-  },
+  // Follow-up intelligence - high-value leads without a booking
+  getLeadsNeedingFollowup: () => all(`
+    SELECT l.*,
+      COUNT(i.id) as interaction_count,
+      MAX(i.created_at) as last_interaction
+    FROM leads l
+    LEFT JOIN lead_interactions i ON l.id = i.lead_id
+    WHERE l.lead_score >= 70
+      AND l.created_at >= date('now', '-7 days')
+      AND NOT EXISTS (
+        SELECT 1 FROM lead_interactions b
+        WHERE b.lead_id = l.id AND b.interaction_type = 'calendly_booked'
+      )
+    GROUP BY l.id
+    ORDER BY l.created_at DESC
+  `),
 
   // Conversion funnel analysis
-  getConversionFunnel: () => {
-    const funnel = db.prepare(`
-      SELECT 
-        submission_type,
-        COUNT(*) as total_leads,
+  getConversionFunnel: () => all(`
+    SELECT
+      submission_type,
+      COUNT(*) as total_leads,
+      COUNT(CASE WHEN EXISTS(
+        SELECT 1 FROM lead_interactions li
+        WHERE li.lead_id = leads.id AND li.interaction_type = 'calendly_booked'
+      ) THEN 1 END) as booked_consultations,
+      ROUND(
         COUNT(CASE WHEN EXISTS(
-          SELECT 1 FROM lead_interactions li 
+          SELECT 1 FROM lead_interactions li
           WHERE li.lead_id = leads.id AND li.interaction_type = 'calendly_booked'
-        ) THEN 1 END) as booked_consultations,
-        ROUND(
-          COUNT(CASE WHEN EXISTS(
-            SELECT 1 FROM lead_interactions li 
-            WHERE li.lead_id = leads.id AND li.interaction_type = 'calendly_booked'
-          ) THEN 1 END) * 100.0 / COUNT(*), 
-          1
-        ) as booking_rate
-      FROM leads
-      WHERE created_at >= date('now', '-90 days')
-      GROUP BY submission_type
-      ORDER BY total_leads DESC
-    `).all();
-
-    return funnel;
-  },
+        ) THEN 1 END) * 100.0 / COUNT(*),
+        1
+      ) as booking_rate
+    FROM leads
+    WHERE created_at >= date('now', '-90 days')
+    GROUP BY submission_type
+    ORDER BY total_leads DESC
+  `),
 
   // Follow-up reminder functions
-  scheduleFollowUp: (leadId, reminderType, scheduledFor, message) => {
-    const stmt = db.prepare(`
-      INSERT INTO follow_up_reminders (lead_id, reminder_type, scheduled_for, message)
-      VALUES (?, ?, ?, ?)
-    `);
-    
+  scheduleFollowUp: async (leadId, reminderType, scheduledFor, message) => {
     try {
-      const result = stmt.run(leadId, reminderType, scheduledFor, message);
+      const result = await run(`
+        INSERT INTO follow_up_reminders (lead_id, reminder_type, scheduled_for, message)
+        VALUES (?, ?, ?, ?)
+      `, leadId, reminderType, scheduledFor, message);
       log.info('Follow-up scheduled', { leadId, reminderType, scheduledFor });
       return result.lastInsertRowid;
     } catch (error) {
@@ -249,49 +252,202 @@ export const leadDb = {
     }
   },
 
-  getPendingFollowUps: () => {
-    const stmt = db.prepare(`
-      SELECT 
-        f.*,
-        l.email,
-        l.first_name,
-        l.business_name,
-        l.submission_type,
-        l.lead_score,
-        l.form_data
-      FROM follow_up_reminders f
-      JOIN leads l ON f.lead_id = l.id
-      WHERE f.status = 'pending' 
-        AND f.scheduled_for <= datetime('now')
-      ORDER BY f.scheduled_for ASC
-    `);
-    
-    return stmt.all();
-  },
+  getPendingFollowUps: () => all(`
+    SELECT
+      f.*,
+      l.email,
+      l.first_name,
+      l.business_name,
+      l.submission_type,
+      l.lead_score,
+      l.form_data
+    FROM follow_up_reminders f
+    JOIN leads l ON f.lead_id = l.id
+    WHERE f.status = 'pending'
+      AND f.scheduled_for <= datetime('now')
+    ORDER BY f.scheduled_for ASC
+  `),
 
-  markFollowUpSent: (followUpId) => {
-    const stmt = db.prepare(`
-      UPDATE follow_up_reminders 
+  markFollowUpSent: async (followUpId) => {
+    await run(`
+      UPDATE follow_up_reminders
       SET status = 'sent', sent_at = datetime('now')
       WHERE id = ?
-    `);
-    
-    stmt.run(followUpId);
+    `, followUpId);
     log.info('Follow-up marked as sent', { followUpId });
   },
 
-  getFollowUpStats: () => {
-    const stats = db.prepare(`
-      SELECT 
-        COUNT(*) as total_scheduled,
-        COUNT(CASE WHEN status = 'sent' THEN 1 END) as sent,
-        COUNT(CASE WHEN status = 'pending' AND scheduled_for <= datetime('now') THEN 1 END) as overdue
-      FROM follow_up_reminders
-      WHERE created_at >= date('now', '-30 days')
-    `).get();
+  getFollowUpStats: () => get(`
+    SELECT
+      COUNT(*) as total_scheduled,
+      COUNT(CASE WHEN status = 'sent' THEN 1 END) as sent,
+      COUNT(CASE WHEN status = 'pending' AND scheduled_for <= datetime('now') THEN 1 END) as overdue
+    FROM follow_up_reminders
+    WHERE created_at >= date('now', '-30 days')
+  `),
 
-    return stats;
+  // Strategy assessment - one row per risk area
+  saveAssessmentResults: async (leadId, submissionId, assessment) => {
+    for (const { area, score, level } of assessment.areas) {
+      await run(`
+        INSERT INTO strategy_assessment_results (
+          lead_id, submission_id, user_type, area, score, risk_level, overall_risk_score
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(submission_id, area) DO UPDATE SET
+          score = excluded.score,
+          risk_level = excluded.risk_level,
+          overall_risk_score = excluded.overall_risk_score
+      `, leadId, submissionId, assessment.userType, area, score, level, assessment.overallRiskScore);
+    }
+    log.info('Assessment results stored', { leadId, submissionId, areas: assessment.areas.length });
+    return { stored: assessment.areas.length };
+  },
+
+  getAssessmentResults: (submissionId) => all(
+    'SELECT * FROM strategy_assessment_results WHERE submission_id = ? ORDER BY score DESC',
+    submissionId
+  ),
+
+  insertEmailAutomation: async (automationData) => {
+    // Email automation system DISABLED - using Kit/ConvertKit for follow-ups
+    log.info('Email automation DISABLED - delegating to Kit/ConvertKit:', { email: automationData.email });
+    return { lastInsertRowid: null, changes: 0 };
+  },
+
+  getActiveAutomations: (email) => all(`
+    SELECT a.*
+    FROM active_automations a
+    JOIN subscribers s ON s.id = a.subscriber_id
+    WHERE s.email = ? AND a.status = 'active'
+  `, normalizeEmail(email)),
+
+  // Cancel every pending follow-up reminder - follow-ups are delegated to Kit/ConvertKit
+  clearAllScheduledEmails: async () => {
+    const result = await run(`UPDATE follow_up_reminders SET status = 'cancelled' WHERE status = 'pending'`);
+    log.info('All scheduled follow-up emails cleared - system using Kit/ConvertKit', { cleared: result.changes });
+    return { success: true, cleared: result.changes };
+  },
+
+  // Unsubscribe functionality - CAN-SPAM compliance
+  unsubscribeEmail: async (email, reason = 'user_request') => {
+    const address = normalizeEmail(email);
+    const result = await run(`
+      INSERT INTO email_unsubscribes (email, reason) VALUES (?, ?)
+      ON CONFLICT(email) DO UPDATE SET reason = excluded.reason, unsubscribed_at = CURRENT_TIMESTAMP
+    `, address, reason);
+    await run(`UPDATE subscribers SET status = 'unsubscribed', updated_at = CURRENT_TIMESTAMP WHERE email = ?`, address);
+    await stopScheduledMail(address, 'unsubscribed');
+
+    log.info('Email unsubscribed:', { email: address, reason });
+    return result;
+  },
+
+  // Lift a global unsubscribe (the preference center re-enabled a category)
+  resubscribeEmail: async (email) => {
+    const address = normalizeEmail(email);
+    const result = await run('DELETE FROM email_unsubscribes WHERE email = ?', address);
+    if (result.changes > 0) {
+      await run(`UPDATE subscribers SET status = 'active', updated_at = CURRENT_TIMESTAMP WHERE email = ? AND status = 'unsubscribed'`, address);
+      log.info('Email resubscribed:', { email: address });
+    }
+    return result;
+  },
+
+  // Stop mailing an address that bounced or complained (reason: hard_bounce, soft_bounce, complaint)
+  suppressEmail: async (email, { reason, provider = null, detail = null }) => {
+    const address = normalizeEmail(email);
+    const result = await run(`
+      INSERT INTO email_suppressions (email, reason, provider, detail) VALUES (?, ?, ?, ?)
+      ON CONFLICT(email) DO UPDATE SET
+        reason = CASE WHEN excluded.reason = 'hard_bounce' OR email_suppressions.reason = 'complaint' THEN excluded.reason ELSE email_suppressions.reason END,
+        provider = excluded.provider,
+        detail = excluded.detail
+    `, address, reason, provider, detail);
+    await stopScheduledMail(address, reason);
+
+    log.info('Email suppressed:', { email: address, reason, provider });
+    return result;
+  },
+
+  getSuppression: (email) => get('SELECT * FROM email_suppressions WHERE email = ?', normalizeEmail(email)),
+
+  // Let mail flow again, e.g. after the client fixed their mailbox
+  liftSuppression: async (email) => {
+    const result = await run('DELETE FROM email_suppressions WHERE email = ?', normalizeEmail(email));
+    if (result.changes > 0) {
+      log.info('Email suppression lifted:', { email: normalizeEmail(email) });
+    }
+    return result;
+  },
+
+  // Check if email is unsubscribed
+  isUnsubscribed: async (email) => {
+    const row = await get('SELECT 1 as unsubscribed FROM email_unsubscribes WHERE email = ?', normalizeEmail(email));
+    return !!row;
+  },
+
+  // Update email preferences (HTML checkbox values arrive as 'on')
+  updateEmailPreferences: async (email, preferences) => {
+    const address = normalizeEmail(email);
+    const flag = (value) => value === 'on' || value === true ? 1 : 0;
+    const result = await run(`
+      INSERT INTO email_preferences (email, newsletter, follow_ups, resources, consultations, updated_at)
+      VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(email) DO UPDATE SET
+        newsletter = excluded.newsletter,
+        follow_ups = excluded.follow_ups,
+        resources = excluded.resources,
+        consultations = excluded.consultations,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+      address,
+      flag(preferences.newsletter),
+      flag(preferences.follow_ups),
+      flag(preferences.resources),
+      flag(preferences.consultations)
+    );
+
+    log.info('Email preferences updated:', { email: address });
+    return result;
+  },
+
+  // Current preferences - everyone is opted in until they say otherwise
+  getEmailPreferences: async (email) => {
+    const row = await get('SELECT * FROM email_preferences WHERE email = ?', normalizeEmail(email));
+    return {
+      newsletter: row ? !!row.newsletter : true,
+      follow_ups: row ? !!row.follow_ups : true,
+      resources: row ? !!row.resources : true,
+      consultations: row ? !!row.consultations : true,
+      updated_at: row?.updated_at || null
+    };
+  },
+
+  // Email engagement from the send history: tracked sends (by address) and automation sends (by subscriber).
+  // engagement_score averages each sent message's score (0 unopened, 50 opened, 100 clicked).
+  getEmailEngagement: async (email) => {
+    const row = await get(`
+      SELECT
+        COUNT(h.sent_at) as sent,
+        COUNT(h.opened_at) as opens,
+        COUNT(h.clicked_at) as clicks,
+        MAX(h.opened_at) as last_opened,
+        MAX(h.clicked_at) as last_clicked,
+        COALESCE(ROUND(AVG(CASE WHEN h.sent_at IS NOT NULL THEN h.engagement_score END)), 0) as engagement_score
+      FROM email_history h
+      LEFT JOIN subscribers s ON s.id = h.subscriber_id
+      WHERE h.email = ? OR s.email = ?
+    `, normalizeEmail(email), normalizeEmail(email));
+
+    return {
+      sent: row.sent,
+      opens: row.opens,
+      clicks: row.clicks,
+      last_opened: row.last_opened,
+      last_clicked: row.last_clicked,
+      engagement_score: row.engagement_score
+    };
   }
 };
 
-export default db;
\ No newline at end of file
+export default db;
@@ -1,6 +1,19 @@
 // Comprehensive Admin Dashboard for Email Automation System
 import express from 'express';
-import db from "../models/database-production.js";
+import db, { leadDb } from "../models/database-production.js";
+import { findFailedJobs, getJob, replayJob, abandonJob, jobIntegration } from '../services/jobQueue.js';
+import {
+  listStudioTemplates,
+  listPersonas,
+  renderStudioTemplate,
+  getTestRecipients,
+  sendTestEmail,
+  DEFAULT_PERSONA
+} from '../services/templateStudio.js';
+import { getTrackingStats } from '../services/emailTracking.js';
+import { getDeliveryStats } from '../services/deliveryEvents.js';
+import { listQuarantinedDocuments, releaseDocument, documentDownloadUrl } from '../services/documents.js';
+import { escapeHtml } from '../services/coreServices.js';
 import { log } from '../utils/logger.js';
 
 const router = express.Router();
@@ -65,21 +78,251 @@ router.get('/api/email-performance', async (req, res) => {
   }
 });
 
+// Bounce/complaint suppression for one address, and lifting it once the mailbox works again
+router.get('/api/suppressions/:email', async (req, res) => {
+  try {
+    const suppression = await leadDb.getSuppression(req.params.email);
+    if (!suppression) {
+      return res.status(404).json({ error: 'Address is not suppressed' });
+    }
+    res.json(suppression);
+  } catch (error) {
+    log.error('Suppression lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch suppression' });
+  }
+});
+
+router.delete('/api/suppressions/:email', async (req, res) => {
+  try {
+    const result = await leadDb.liftSuppression(req.params.email);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Address is not suppressed' });
+    }
+    res.json({ success: true, email: req.params.email });
+  } catch (error) {
+    log.error('Suppression lift error:', error);
+    res.status(500).json({ error: 'Failed to lift suppression' });
+  }
+});
+
+// Quarantined intake uploads awaiting review, and releasing one once it has been checked
+router.get('/api/documents/quarantined', async (req, res) => {
+  try {
+    const documents = await listQuarantinedDocuments();
+    res.json({ total: documents.length, documents });
+  } catch (error) {
+    log.error('Quarantined documents error:', error);
+    res.status(500).json({ error: 'Failed to fetch quarantined documents' });
+  }
+});
+
+router.post('/api/documents/:id/release', async (req, res) => {
+  try {
+    const document = await releaseDocument(req.params.id);
+    if (!document) {
+      return res.status(404).json({ error: 'Document is not quarantined' });
+    }
+    res.json({ success: true, id: document.id, downloadUrl: documentDownloadUrl(document) });
+  } catch (error) {
+    log.error('Document release error:', error);
+    res.status(500).json({ error: 'Failed to release document' });
+  }
+});
+
+// Dead-letter inspection - failed outbound jobs grouped by integration and error
+router.get('/api/jobs/failed', async (req, res) => {
+  try {
+    const { status, type, integration, error } = req.query;
+    const jobs = await findFailedJobs({ status, type, integration, error });
+    res.json({ total: jobs.length, groups: groupFailedJobs(jobs) });
+  } catch (error) {
+    log.error('Failed jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch failed jobs' });
+  }
+});
+
+// Single job with its original payload
+router.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ ...job, integration: jobIntegration(job) });
+  } catch (error) {
+    log.error('Job lookup error:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+// Replay or abandon one job
+router.post('/api/jobs/:id/:action(replay|abandon)', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const applied = await applyJobAction(job, req.params.action, req.body?.reason);
+    if (!applied) {
+      return res.status(409).json({ error: `Job ${job.id} is ${job.status} and cannot be ${ACTION_PAST_TENSE[req.params.action]}` });
+    }
+    res.json({ success: true, id: job.id, action: req.params.action });
+  } catch (error) {
+    log.error('Job action error:', error);
+    res.status(500).json({ error: `Failed to ${req.params.action} job` });
+  }
+});
+
+// Replay or abandon a filtered batch: { integration, type, error, ids, reason }
+router.post('/api/jobs/:action(replay|abandon)', async (req, res) => {
+  try {
+    const { integration, type, error, ids, reason } = req.body || {};
+    if (!integration && !type && !error && !ids) {
+      return res.status(400).json({ error: 'Provide at least one filter: integration, type, error or ids' });
+    }
+
+    const jobs = await findFailedJobs({ integration, type, error, ids });
+    const applied = [];
+    for (const job of jobs) {
+      if (await applyJobAction(job, req.params.action, reason)) {
+        applied.push(job.id);
+      }
+    }
+
+    res.json({ success: true, action: req.params.action, matched: jobs.length, ids: applied });
+  } catch (error) {
+    log.error('Batch job action error:', error);
+    res.status(500).json({ error: `Failed to ${req.params.action} jobs` });
+  }
+});
+
+// Email template studio - every template rendered with fixture personas
+router.get('/templates', (req, res) => {
+  try {
+    const templates = listStudioTemplates();
+    const template = templates.find(entry => entry.name === req.query.template)?.name || templates[0]?.name;
+    const persona = req.query.persona || DEFAULT_PERSONA;
+    const view = STUDIO_VIEWS.includes(req.query.view) ? req.query.view : 'desktop';
+    const rendered = renderStudioTemplate(template, persona);
+
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.send(generateTemplateStudioHTML({
+      baseUrl: req.baseUrl,
+      templates,
+      rendered,
+      view,
+      notice: req.query.notice
+    }));
+  } catch (error) {
+    log.error('Template studio error:', error);
+    res.status(error.status || 500).send(`<h1>Template Studio Error</h1><pre>${escapeHtml(error.message)}</pre>`);
+  }
+});
+
+router.get('/api/templates', (req, res) => {
+  res.json({ templates: listStudioTemplates(), personas: listPersonas(), testRecipients: getTestRecipients() });
+});
+
+// Rendered email on its own, for the studio's preview frame: ?template=&persona=&format=html|text|json
+router.get('/api/templates/preview', (req, res) => {
+  try {
+    const rendered = renderStudioTemplate(req.query.template, req.query.persona || DEFAULT_PERSONA);
+
+    if (req.query.format === 'json') {
+      return res.json(rendered);
+    }
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(rendered.text);
+    }
+
+    // Email HTML is previewed as-is: remote images and inline styles only, never scripts
+    res.setHeader('Content-Security-Policy', "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'; font-src https:; frame-ancestors 'self'");
+    res.type('html').send(rendered.html);
+  } catch (error) {
+    log.error('Template preview error:', { template: req.query.template, error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Send a rendered template to an allow-listed address: { template, persona, to }
+router.post('/api/templates/test-send', async (req, res) => {
+  const { template, persona, to, view } = req.body || {};
+  let outcome;
+  try {
+    const result = await sendTestEmail({ name: template, persona: persona || DEFAULT_PERSONA, to });
+    outcome = { status: 200, body: { success: true, ...result } };
+  } catch (error) {
+    log.error('Template test send error:', { template, to, error: error.message });
+    outcome = { status: error.status || 500, body: { success: false, error: error.message } };
+  }
+
+  // The studio page posts a plain form; send it back to the page with a notice
+  if (req.accepts(['json', 'html']) === 'html') {
+    const notice = outcome.body.success ? `✅ Test sent to ${to} via ${outcome.body.provider}` : `❌ ${outcome.body.error}`;
+    const query = new URLSearchParams({ template, persona: persona || DEFAULT_PERSONA, view: view || 'desktop', notice });
+    return res.redirect(303, `${req.baseUrl}/templates?${query}`);
+  }
+  res.status(outcome.status).json(outcome.body);
+});
+
 // Helper Functions
 
+const ACTION_PAST_TENSE = { replay: 'replayed', abandon: 'abandoned' };
+const STUDIO_VIEWS = ['desktop', 'mobile', 'text'];
+
+function groupFailedJobs(jobs) {
+  const groups = new Map();
+
+  for (const job of jobs) {
+    const key = `${job.integration}\u0000${job.last_error}`;
+    if (!groups.has(key)) {
+      groups.set(key, { integration: job.integration, error: job.last_error, count: 0, jobs: [] });
+    }
+    const group = groups.get(key);
+    group.count++;
+    group.jobs.push({
+      id: job.id,
+      type: job.type,
+      submissionId: job.payload.submissionId || null,
+      leadId: job.payload.leadId || null,
+      attempts: job.attempts,
+      updatedAt: job.updated_at
+    });
+  }
+
+  return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+}
+
+// Replay/abandon a job and record it on the lead's timeline
+async function applyJobAction(job, action, reason) {
+  const applied = action === 'replay' ? await replayJob(job.id) : await abandonJob(job.id);
+
+  if (applied && job.payload.leadId) {
+    await leadDb.logInteraction(job.payload.leadId, `job_${ACTION_PAST_TENSE[action]}`, {
+      jobId: job.id,
+      type: job.type,
+      integration: jobIntegration(job),
+      lastError: job.last_error,
+      reason: reason || null
+    });
+  }
+  return applied;
+}
+
 async function getDashboardStats() {
-  const totalLeads = db.prepare('SELECT COUNT(*) as count FROM leads').get().count;
-  const activeAutomations = db.prepare('SELECT COUNT(*) as count FROM email_automations WHERE status = ?').get('active').count;
-  const pendingEmails = db.prepare('SELECT COUNT(*) as count FROM scheduled_emails WHERE status = ?').get('pending').count;
-  const sentEmails = db.prepare('SELECT COUNT(*) as count FROM scheduled_emails WHERE status = ?').get('sent').count;
+  const totalLeads = (await db.prepare('SELECT COUNT(*) as count FROM leads').get()).count;
+  const activeAutomations = (await db.prepare('SELECT COUNT(*) as count FROM email_automations WHERE status = ?').get('active')).count;
+  const pendingEmails = (await db.prepare('SELECT COUNT(*) as count FROM scheduled_emails WHERE status = ?').get('pending')).count;
+  const sentEmails = (await db.prepare('SELECT COUNT(*) as count FROM scheduled_emails WHERE status = ?').get('sent')).count;
   // Try consultation_bookings table first, fallback to estimating from paused automations
   let consultationsBooked = 0;
   try {
-    consultationsBooked = db.prepare('SELECT COUNT(*) as count FROM consultation_bookings').get().count;
+    consultationsBooked = (await db.prepare('SELECT COUNT(*) as count FROM consultation_bookings').get()).count;
   } catch (error) {
     // Fallback: count paused automations due to consultations
     try {
-      consultationsBooked = db.prepare(`SELECT COUNT(*) as count FROM email_automations WHERE paused_reason LIKE '%consultation%'`).get().count;
+      consultationsBooked = (await db.prepare(`SELECT COUNT(*) as count FROM email_automations WHERE paused_reason LIKE '%consultation%'`).get()).count;
     } catch (e) {
       consultationsBooked = 0;
     }
@@ -89,18 +332,18 @@ async function getDashboardStats() {
   const last30Days = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
   const last60Days = new Date(Date.now() - 60 * 24 * 60 * 60 * 1000).toISOString();
   
-  const recentLeads = db.prepare('SELECT COUNT(*) as count FROM leads WHERE created_at > ?').get(last30Days).count;
-  const previousLeads = db.prepare('SELECT COUNT(*) as count FROM leads WHERE created_at BETWEEN ? AND ?').get(last60Days, last30Days).count;
+  const recentLeads = (await db.prepare('SELECT COUNT(*) as count FROM leads WHERE created_at > ?').get(last30Days)).count;
+  const previousLeads = (await db.prepare('SELECT COUNT(*) as count FROM leads WHERE created_at BETWEEN ? AND ?').get(last60Days, last30Days)).count;
   
   const leadGrowth = previousLeads > 0 ? ((recentLeads - previousLeads) / previousLeads * 100).toFixed(1) : 0;
   
   // Average lead score
-  const avgLeadScore = db.prepare('SELECT AVG(lead_score) as avg FROM leads WHERE lead_score > 0').get().avg || 0;
+  const avgLeadScore = (await db.prepare('SELECT AVG(lead_score) as avg FROM leads WHERE lead_score > 0').get()).avg || 0;
   
   // Client profile breakdown
-  const athleteLeads = db.prepare(`SELECT COUNT(*) as count FROM leads WHERE form_data LIKE '%athlete%' OR form_data LIKE '%sports%'`).get().count;
-  const creatorLeads = db.prepare(`SELECT COUNT(*) as count FROM leads WHERE form_data LIKE '%creator%' OR form_data LIKE '%content%'`).get().count;
-  const startupLeads = db.prepare(`SELECT COUNT(*) as count FROM leads WHERE form_data LIKE '%startup%' OR form_data LIKE '%venture%'`).get().count;
+  const athleteLeads = (await db.prepare(`SELECT COUNT(*) as count FROM leads WHERE form_data LIKE '%athlete%' OR form_data LIKE '%sports%'`).get()).count;
+  const creatorLeads = (await db.prepare(`SELECT COUNT(*) as count FROM leads WHERE form_data LIKE '%creator%' OR form_data LIKE '%content%'`).get()).count;
+  const startupLeads = (await db.prepare(`SELECT COUNT(*) as count FROM leads WHERE form_data LIKE '%startup%' OR form_data LIKE '%venture%'`).get()).count;
   
   return {
     totalLeads,
@@ -120,7 +363,7 @@ async function getDashboardStats() {
 }
 
 async function getRecentActivity(limit = 20) {
-  const activities = db.prepare(`
+  const activities = await db.prepare(`
     SELECT 
       'lead' as type,
       first_name || ' ' || last_name as name,
@@ -155,7 +398,7 @@ async function getRecentActivity(limit = 20) {
 }
 
 async function getAutomationStatus() {
-  const automations = db.prepare(`
+  const automations = await db.prepare(`
     SELECT 
       id as automation_id,
       email,
@@ -175,7 +418,7 @@ async function getAutomationStatus() {
 }
 
 async function getClientProfileBreakdown() {
-  const profiles = db.prepare(`
+  const profiles = await db.prepare(`
     SELECT 
       submission_type,
       COUNT(*) as count,
@@ -190,7 +433,7 @@ async function getClientProfileBreakdown() {
 }
 
 async function getClientJourneys() {
-  const journeys = db.prepare(`
+  const journeys = await db.prepare(`
     SELECT 
       ea.id as automation_id,
       ea.email,
@@ -219,7 +462,7 @@ async function getClientJourneys() {
 }
 
 async function getEmailPerformance() {
-  const performance = db.prepare(`
+  const performance = await db.prepare(`
     SELECT 
       template_type,
       COUNT(*) as sent_count,
@@ -231,7 +474,8 @@ async function getEmailPerformance() {
     ORDER BY sent_count DESC
   `).all();
   
-  return performance;
+  // Opens and clicks per template from tracked sends; bounces, complaints and suppressed addresses
+  return { scheduled: performance, tracking: await getTrackingStats(30), delivery: await getDeliveryStats(30) };
 }
 
 // Utility Functions
@@ -655,4 +899,96 @@ function generateDashboardHTML({ stats, recentActivity, automationStatus, client
 </html>`;
 }
 
-export default router;
\ No newline at end of file
+export default router;
+
+// Template studio page - plain links and forms (no scripts), so it works under the default CSP;
+// the browser authenticates with the admin session cookie (src/routes/admin-session.js)
+function generateTemplateStudioHTML({ baseUrl, templates, rendered, view, notice }) {
+  const link = (params) => {
+    const query = new URLSearchParams({ template: rendered.name, persona: rendered.persona, view, ...params });
+    return escapeHtml(`${baseUrl}/templates?${query}`);
+  };
+  const previewQuery = new URLSearchParams({ template: rendered.name, persona: rendered.persona });
+  const formAction = `${baseUrl}/api/templates/test-send`;
+
+  const groups = templates.reduce((acc, template) => {
+    (acc[template.group] ||= []).push(template);
+    return acc;
+  }, {});
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Jacobs Counsel - Email Template Studio</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f3f4f6; color: #333; }
+    .studio { display: grid; grid-template-columns: 300px 1fr; min-height: 100vh; }
+    .sidebar { background: #111827; color: #e5e7eb; padding: 20px; overflow-y: auto; }
+    .sidebar h1 { font-size: 1.2em; margin-bottom: 20px; }
+    .sidebar h2 { font-size: 0.75em; text-transform: uppercase; letter-spacing: 0.08em; color: #9ca3af; margin: 20px 0 8px; }
+    .sidebar a { display: block; color: #e5e7eb; text-decoration: none; padding: 6px 10px; border-radius: 6px; font-size: 0.9em; }
+    .sidebar a:hover { background: #1f2937; }
+    .sidebar a.active { background: #ff4d00; color: #fff; }
+    .sidebar .sign-out { margin-top: 24px; background: none; border: 1px solid #4b5563; color: #9ca3af; padding: 6px 10px; border-radius: 6px; cursor: pointer; }
+    .main { padding: 24px; }
+    .toolbar { display: flex; flex-wrap: wrap; gap: 16px; align-items: center; margin-bottom: 16px; }
+    .pills a { display: inline-block; padding: 6px 12px; margin-right: 4px; border-radius: 999px; background: #e5e7eb; color: #111827; text-decoration: none; font-size: 0.85em; }
+    .pills a.active { background: #111827; color: #fff; }
+    .subject { background: #fff; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; font-size: 0.95em; }
+    .notice { background: #fff7ed; border: 1px solid #fdba74; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; }
+    .preview { background: #fff; border-radius: 8px; padding: 16px; display: flex; justify-content: center; }
+    .preview iframe { border: 1px solid #e5e7eb; height: 900px; background: #fff; }
+    .preview pre { white-space: pre-wrap; font-family: Menlo, Consolas, monospace; font-size: 13px; max-width: 720px; width: 100%; }
+    .test-send { margin-top: 16px; background: #fff; border-radius: 8px; padding: 16px; display: flex; gap: 8px; align-items: center; }
+    .test-send button { background: #ff4d00; color: #fff; border: 0; padding: 8px 16px; border-radius: 6px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="studio">
+    <nav class="sidebar">
+      <h1>✉️ Template Studio</h1>
+      ${Object.entries(groups).map(([group, entries]) => `
+        <h2>${escapeHtml(group)}</h2>
+        ${entries.map(template => `<a href="${link({ template: template.name })}"${template.name === rendered.name ? ' class="active"' : ''}>${escapeHtml(template.label)}</a>`).join('')}
+      `).join('')}
+      <form method="POST" action="${escapeHtml(`${baseUrl}/logout`)}"><button class="sign-out" type="submit">Sign out</button></form>
+    </nav>
+
+    <main class="main">
+      ${notice ? `<div class="notice">${escapeHtml(notice)}</div>` : ''}
+
+      <div class="toolbar">
+        <div class="pills">
+          ${listPersonas().map(persona => `<a href="${link({ persona: persona.id })}" title="${escapeHtml(persona.description)}"${persona.id === rendered.persona ? ' class="active"' : ''}>${escapeHtml(persona.label)}</a>`).join('')}
+        </div>
+        <div class="pills">
+          ${STUDIO_VIEWS.map(option => `<a href="${link({ view: option })}"${option === view ? ' class="active"' : ''}>${{ desktop: '🖥️ Desktop', mobile: '📱 Mobile', text: '📝 Plain text' }[option]}</a>`).join('')}
+        </div>
+      </div>
+
+      <div class="subject"><strong>Subject:</strong> ${escapeHtml(rendered.subject)}</div>
+
+      <div class="preview">
+        ${view === 'text'
+          ? `<pre>${escapeHtml(rendered.text)}</pre>`
+          : `<iframe src="${escapeHtml(`${baseUrl}/api/templates/preview?${previewQuery}`)}" style="width: ${view === 'mobile' ? '375px' : '100%'};" title="Email preview"></iframe>`}
+      </div>
+
+      <form class="test-send" method="POST" action="${escapeHtml(formAction)}">
+        <input type="hidden" name="template" value="${escapeHtml(rendered.name)}">
+        <input type="hidden" name="persona" value="${escapeHtml(rendered.persona)}">
+        <input type="hidden" name="view" value="${escapeHtml(view)}">
+        <label for="to">Send a test copy to</label>
+        <select id="to" name="to">
+          ${getTestRecipients().map(address => `<option value="${escapeHtml(address)}">${escapeHtml(address)}</option>`).join('')}
+        </select>
+        <button type="submit">Send test</button>
+      </form>
+    </main>
+  </div>
+</body>
+</html>`;
+}
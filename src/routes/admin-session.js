@@ -0,0 +1,70 @@
+// src/routes/admin-session.js - Browser sign-in for the admin dashboard and template studio
+// GET /login asks for ADMIN_TOKEN; a correct token sets an HttpOnly, SameSite=Strict session cookie
+// (middleware/security.js), so the HTML pages never carry the token in their URLs. API clients keep
+// sending it in the Authorization or X-Admin-Token header. Mounted beside the admin router, outside its guard.
+
+import express from 'express';
+import { adminTokenMatches, startAdminSession, endAdminSession } from '../middleware/security.js';
+import { escapeHtml } from '../services/coreServices.js';
+import { config } from '../config/environment.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Where to go after signing in: a page under the admin mount, never another site
+const nextPage = (value) => /^[\w-]*(\/[\w-]+)*$/.test(value || '') ? value : '';
+
+router.get('/login', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.send(renderLoginPage(req.baseUrl, { next: nextPage(req.query.next) }));
+});
+
+router.post('/login', (req, res) => {
+  const next = nextPage(req.body?.next);
+  if (!config.admin.token) {
+    return res.status(503).send(renderLoginPage(req.baseUrl, { next, error: 'Admin API disabled - set ADMIN_TOKEN' }));
+  }
+  if (!adminTokenMatches(req.body?.token)) {
+    log.warn('Admin sign-in rejected', { ip: req.ip });
+    return res.status(401).send(renderLoginPage(req.baseUrl, { next, error: 'That token is not correct.' }));
+  }
+
+  startAdminSession(req, res);
+  log.info('🔑 Admin signed in', { ip: req.ip });
+  res.redirect(303, `${req.baseUrl}/${next}`);
+});
+
+router.post('/logout', (req, res) => {
+  endAdminSession(req, res);
+  res.redirect(303, `${req.baseUrl}/login`);
+});
+
+function renderLoginPage(baseUrl, { next = '', error } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Jacobs Counsel - Admin Sign-in</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f3f4f6; color: #333; display: flex; justify-content: center; padding-top: 15vh; }
+    form { background: #fff; border-radius: 8px; padding: 24px; width: 360px; display: flex; flex-direction: column; gap: 12px; }
+    input { padding: 8px; border: 1px solid #d1d5db; border-radius: 6px; }
+    button { background: #ff4d00; color: #fff; border: 0; padding: 8px 16px; border-radius: 6px; cursor: pointer; }
+    .error { color: #b91c1c; }
+  </style>
+</head>
+<body>
+  <form method="POST" action="${escapeHtml(baseUrl)}/login">
+    <h1>🔑 Admin sign-in</h1>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <label for="token">Admin token</label>
+    <input id="token" name="token" type="password" autocomplete="current-password" required autofocus>
+    <input type="hidden" name="next" value="${escapeHtml(next)}">
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+}
+
+export default router;
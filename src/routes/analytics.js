@@ -8,9 +8,9 @@ const router = express.Router();
 // Dashboard endpoint - gives you powerful lead insights
 router.get('/dashboard', async (req, res) => {
   try {
-    const stats = leadDb.getDashboardStats();
-    const followups = leadDb.getLeadsNeedingFollowup();
-    const funnel = leadDb.getConversionFunnel();
+    const stats = await leadDb.getDashboardStats();
+    const followups = await leadDb.getLeadsNeedingFollowup();
+    const funnel = await leadDb.getConversionFunnel();
     
     // Return HTML dashboard instead of JSON
     const dashboardHtml = generateAdvancedAnalyticsDashboard({
@@ -30,9 +30,9 @@ router.get('/dashboard', async (req, res) => {
 // API endpoint for JSON data
 router.get('/api/data', async (req, res) => {
   try {
-    const stats = leadDb.getDashboardStats();
-    const followups = leadDb.getLeadsNeedingFollowup();
-    const funnel = leadDb.getConversionFunnel();
+    const stats = await leadDb.getDashboardStats();
+    const followups = await leadDb.getLeadsNeedingFollowup();
+    const funnel = await leadDb.getConversionFunnel();
     
     res.json({
       ok: true,
@@ -982,7 +982,7 @@ router.get('/lead-intelligence', async (req, res) => {
     const { period = '30' } = req.query;
     
     // What sources convert best?
-    const conversionsBySource = leadDb.db.prepare(`
+    const conversionsBySource = await leadDb.db.prepare(`
       SELECT 
         l.submission_type,
         COUNT(*) as total_leads,
@@ -997,7 +997,7 @@ router.get('/lead-intelligence', async (req, res) => {
     `).all(period);
 
     // What score ranges convert best?
-    const conversionsByScore = leadDb.db.prepare(`
+    const conversionsByScore = await leadDb.db.prepare(`
       SELECT 
         CASE 
           WHEN l.lead_score >= 70 THEN 'High (70+)'
@@ -1015,7 +1015,7 @@ router.get('/lead-intelligence', async (req, res) => {
     `).all(period);
 
     // Best follow-up timing
-    const followupTiming = leadDb.db.prepare(`
+    const followupTiming = await leadDb.db.prepare(`
       SELECT 
         CASE 
           WHEN julianday(i.created_at) - julianday(l.created_at) <= 1 THEN '< 24 hours'
@@ -1051,7 +1051,7 @@ router.get('/lead-intelligence', async (req, res) => {
 // Follow-up recommendations - actionable insights
 router.get('/followup-recommendations', async (req, res) => {
   try {
-    const highValueNeeds = leadDb.getLeadsNeedingFollowup();
+    const highValueNeeds = await leadDb.getLeadsNeedingFollowup();
     
     // Prioritize by recency and score
     const prioritized = highValueNeeds
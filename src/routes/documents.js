@@ -0,0 +1,33 @@
+// src/routes/documents.js - Download links for intake documents
+// /documents/:token serves one uploaded file; the signed token (documents.documentDownloadUrl) names the
+// document and expires, so the link in an internal alert stops working after DOCUMENT_LINK_TTL_HOURS.
+
+import express from 'express';
+import { readDocument } from '../services/documents.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+router.get('/documents/:token', async (req, res) => {
+  try {
+    const file = await readDocument(req.params.token);
+    if (!file) {
+      return res.status(404).send('This download link has expired or is not valid.');
+    }
+
+    const { document, content } = file;
+    log.info('📎 Document downloaded', { id: document.id, leadId: document.lead_id, ip: req.ip });
+    res.set({
+      'Content-Type': document.content_type,
+      'Content-Disposition': `attachment; filename="${document.original_name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(document.original_name)}`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(content);
+  } catch (error) {
+    log.error('Document download failed:', error);
+    res.status(500).send('The document could not be downloaded.');
+  }
+});
+
+export default router;
@@ -4,7 +4,7 @@ import db from "../models/database-production.js";
 import { log } from '../utils/logger.js';
 import { CustomEmailAutomation, processScheduledEmails } from '../services/customEmailAutomation.js';
 import consultationHandler from '../services/consultationHandler.js';
-import { generateLegallyCompliantEmail } from '../services/legallyCompliantEmailTemplates.js';
+import { renderStudioTemplate } from '../services/templateStudio.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -170,49 +170,43 @@ function generateDashboardWithData(journeys, contacts, emails) {
 router.get('/dashboard', async (req, res) => {
   try {
     // Fetch all the data server-side
-    const journeyData = await new Promise((resolve) => {
-      const journeys = db.prepare(`
-        SELECT 
-          trigger_type,
-          pathway_name,
-          status,
-          COUNT(*) as contact_count,
-          CAST(SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) AS FLOAT) / COUNT(*) as active_rate
-        FROM email_automations
-        GROUP BY trigger_type, pathway_name, status
-      `).all();
-      resolve({ success: true, journeys });
-    });
+    const journeys = await db.prepare(`
+      SELECT 
+        trigger_type,
+        pathway_name,
+        status,
+        COUNT(*) as contact_count,
+        CAST(SUM(CASE WHEN status = 'active' THEN 1 ELSE 0 END) AS FLOAT) / COUNT(*) as active_rate
+      FROM email_automations
+      GROUP BY trigger_type, pathway_name, status
+    `).all();
+    const journeyData = { success: true, journeys };
 
-    const contactData = await new Promise((resolve) => {
-      const contacts = db.prepare(`
-        SELECT 
-          ea.*,
-          (SELECT COUNT(*) FROM scheduled_emails WHERE automation_id = ea.id) as total_emails_scheduled,
-          (SELECT COUNT(*) FROM scheduled_emails WHERE automation_id = ea.id AND sent_at IS NOT NULL) as emails_sent,
-          (SELECT COUNT(*) FROM scheduled_emails WHERE automation_id = ea.id AND status = 'pending') as emails_pending
-        FROM email_automations ea
-        ORDER BY ea.created_at DESC
-      `).all();
-      resolve({ success: true, contacts });
-    });
+    const contacts = await db.prepare(`
+      SELECT 
+        ea.*,
+        (SELECT COUNT(*) FROM scheduled_emails WHERE automation_id = ea.id) as total_emails_scheduled,
+        (SELECT COUNT(*) FROM scheduled_emails WHERE automation_id = ea.id AND sent_at IS NOT NULL) as emails_sent,
+        (SELECT COUNT(*) FROM scheduled_emails WHERE automation_id = ea.id AND status = 'pending') as emails_pending
+      FROM email_automations ea
+      ORDER BY ea.created_at DESC
+    `).all();
+    const contactData = { success: true, contacts };
 
-    const emailData = await new Promise((resolve) => {
-      const emails = db.prepare(`
-        SELECT 
-          se.*,
-          ea.pathway_name,
-          l.first_name,
-          l.last_name,
-          l.business_name
-        FROM scheduled_emails se
-        LEFT JOIN email_automations ea ON se.automation_id = ea.id  
-        LEFT JOIN leads l ON ea.email = l.email
-        ORDER BY se.send_at ASC
-        LIMIT 20
-      `).all();
-      resolve({ success: true, emails });
-    });
+    const emails = await db.prepare(`
+      SELECT 
+        se.*,
+        ea.pathway_name,
+        l.first_name,
+        l.last_name,
+        l.business_name
+      FROM scheduled_emails se
+      LEFT JOIN email_automations ea ON se.automation_id = ea.id  
+      LEFT JOIN leads l ON ea.email = l.email
+      ORDER BY se.send_at ASC
+      LIMIT 20
+    `).all();
+    const emailData = { success: true, emails };
 
     // Generate dashboard with server-side rendered data
     const dashboardHTML = generateDashboardWithData(
@@ -236,7 +230,7 @@ router.get('/dashboard', async (req, res) => {
 // Get journey overview statistics
 router.get('/journey-overview', async (req, res) => {
   try {
-    const journeys = db.prepare(`
+    const journeys = await db.prepare(`
       SELECT 
         trigger_type,
         pathway_name,
@@ -249,7 +243,7 @@ router.get('/journey-overview', async (req, res) => {
     `).all();
 
     // Get email performance by journey
-    const performance = db.prepare(`
+    const performance = await db.prepare(`
       SELECT 
         ea.trigger_type,
         COUNT(se.id) as emails_sent,
@@ -279,7 +273,7 @@ router.get('/journey-overview', async (req, res) => {
 // Get active contacts with their journey status
 router.get('/active-contacts', async (req, res) => {
   try {
-    const contacts = db.prepare(`
+    const contacts = await db.prepare(`
       SELECT 
         ea.id,
         ea.email,
@@ -305,8 +299,8 @@ router.get('/active-contacts', async (req, res) => {
     `).all();
 
     // Get next scheduled email for each contact
-    const contactsWithNext = contacts.map(contact => {
-      const nextEmail = db.prepare(`
+    const contactsWithNext = await Promise.all(contacts.map(async contact => {
+      const nextEmail = await db.prepare(`
         SELECT subject, send_at, template_type
         FROM scheduled_emails
         WHERE automation_id = ? AND status = 'pending'
@@ -318,7 +312,7 @@ router.get('/active-contacts', async (req, res) => {
         ...contact,
         next_email: nextEmail
       };
-    });
+    }));
 
     res.json({
       success: true,
@@ -337,7 +331,7 @@ router.get('/active-contacts', async (req, res) => {
 // Get scheduled emails
 router.get('/scheduled-emails', async (req, res) => {
   try {
-    const emails = db.prepare(`
+    const emails = await db.prepare(`
       SELECT 
         se.*,
         ea.pathway_name,
@@ -388,7 +382,7 @@ router.get('/analytics', async (req, res) => {
     }
 
     // Email performance
-    const emailStats = db.prepare(`
+    const emailStats = await db.prepare(`
       SELECT 
         COUNT(*) as total_sent,
         SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) as successful_sends,
@@ -398,7 +392,7 @@ router.get('/analytics', async (req, res) => {
     `).get();
 
     // Engagement metrics
-    const engagement = db.prepare(`
+    const engagement = await db.prepare(`
       SELECT 
         engagement_type,
         COUNT(*) as count
@@ -408,7 +402,7 @@ router.get('/analytics', async (req, res) => {
     `).all();
 
     // Consultation bookings
-    const consultations = db.prepare(`
+    const consultations = await db.prepare(`
       SELECT COUNT(*) as count
       FROM consultation_bookings
       WHERE created_at >= ${dateFilter}
@@ -449,7 +443,7 @@ router.post('/pause/:email', async (req, res) => {
     const { email } = req.params;
     const { reason = 'Manual pause' } = req.body;
 
-    const result = db.prepare(`
+    const result = await db.prepare(`
       UPDATE email_automations 
       SET status = 'paused', 
           paused_reason = ?,
@@ -465,7 +459,7 @@ router.post('/pause/:email', async (req, res) => {
     }
 
     // Also pause all pending emails
-    db.prepare(`
+    await db.prepare(`
       UPDATE scheduled_emails 
       SET status = 'paused'
       WHERE email = ? AND status = 'pending'
@@ -492,7 +486,7 @@ router.post('/resume/:email', async (req, res) => {
   try {
     const { email } = req.params;
 
-    const result = db.prepare(`
+    const result = await db.prepare(`
       UPDATE email_automations 
       SET status = 'active',
           paused_reason = NULL,
@@ -508,13 +502,13 @@ router.post('/resume/:email', async (req, res) => {
     }
 
     // Resume pending emails and recalculate send times
-    const automation = db.prepare(`
+    const automation = await db.prepare(`
       SELECT * FROM email_automations WHERE email = ?
     `).get(email);
 
     if (automation) {
       // Get paused emails and reschedule them
-      const pausedEmails = db.prepare(`
+      const pausedEmails = await db.prepare(`
         SELECT * FROM scheduled_emails 
         WHERE email = ? AND status = 'paused'
         ORDER BY send_at ASC
@@ -525,7 +519,7 @@ router.post('/resume/:email', async (req, res) => {
         const email = pausedEmails[i];
         const newSendTime = new Date(Date.now() + (i * 24 * 60 * 60 * 1000)); // Space them out daily
 
-        db.prepare(`
+        await db.prepare(`
           UPDATE scheduled_emails
           SET status = 'pending',
               send_at = ?
@@ -556,7 +550,7 @@ router.get('/preview/:emailId', async (req, res) => {
   try {
     const { emailId } = req.params;
     
-    const emailRecord = db.prepare(`
+    const emailRecord = await db.prepare(`
       SELECT * FROM scheduled_emails WHERE id = ?
     `).get(emailId);
 
@@ -589,7 +583,7 @@ router.post('/send-now/:emailId', async (req, res) => {
     const { emailId } = req.params;
 
     // Update the send time to now
-    const result = db.prepare(`
+    const result = await db.prepare(`
       UPDATE scheduled_emails 
       SET send_at = datetime('now')
       WHERE id = ? AND status = 'pending'
@@ -634,13 +628,13 @@ router.post('/consultation-booked', async (req, res) => {
     }
 
     // Record the consultation booking
-    db.prepare(`
+    await db.prepare(`
       INSERT INTO consultation_bookings (email, booking_type, booking_data, created_at)
       VALUES (?, ?, ?, datetime('now'))
     `).run(email, bookingType || 'general', JSON.stringify(bookingData || {}));
 
     // Pause the email automation
-    const result = db.prepare(`
+    const result = await db.prepare(`
       UPDATE email_automations 
       SET status = 'paused',
           paused_reason = 'Consultation booked',
@@ -650,7 +644,7 @@ router.post('/consultation-booked', async (req, res) => {
     `).run(email);
 
     // Pause all pending emails
-    db.prepare(`
+    await db.prepare(`
       UPDATE scheduled_emails 
       SET status = 'paused'
       WHERE email = ? AND status = 'pending'
@@ -681,7 +675,7 @@ router.get('/contact/:email', async (req, res) => {
   try {
     const { email } = req.params;
 
-    const contact = db.prepare(`
+    const contact = await db.prepare(`
       SELECT 
         ea.*,
         l.first_name,
@@ -704,14 +698,14 @@ router.get('/contact/:email', async (req, res) => {
     }
 
     // Get email history
-    const emailHistory = db.prepare(`
+    const emailHistory = await db.prepare(`
       SELECT * FROM scheduled_emails
       WHERE email = ?
       ORDER BY send_at DESC
     `).all(email);
 
     // Get engagement history
-    const engagement = db.prepare(`
+    const engagement = await db.prepare(`
       SELECT ee.*, se.subject
       FROM email_engagement ee
       LEFT JOIN scheduled_emails se ON ee.scheduled_email_id = se.id
@@ -863,45 +857,18 @@ router.get('/consultation/stats', async (req, res) => {
   }
 });
 
-// Preview email templates
-router.get('/preview-template/:templateType', (req, res) => {
+// Preview email templates - names and personas come from the template studio catalog
+// (e.g. /preview-template/estate-intake/client?persona=creator)
+router.get('/preview-template/:templateType(*)', (req, res) => {
   try {
-    const { templateType } = req.params;
-    const firstName = req.query.firstName || 'Client';
-    const submissionType = req.query.submissionType || 'estate-intake';
-    
-    // Build form data from query parameters for strategic email generation
-    const formData = {
-      profession: req.query.profession,
-      industry: req.query.industry,
-      businessType: req.query.businessType,
-      businessStage: req.query.businessStage,
-      fundingStage: req.query.fundingStage,
-      socialFollowing: req.query.socialFollowing ? parseInt(req.query.socialFollowing) : undefined,
-      estateValue: req.query.estateValue ? parseInt(req.query.estateValue) : undefined,
-      businessRevenue: req.query.businessRevenue ? parseInt(req.query.businessRevenue) : undefined,
-      hasIntellectualProperty: req.query.hasIntellectualProperty === 'true',
-      brandPartnerships: req.query.brandPartnerships === 'true',
-      careerType: req.query.careerType,
-      familyOffice: req.query.familyOffice === 'true',
-      generationalWealth: req.query.generationalWealth === 'true',
-      timeline: req.query.timeline,
-      growthPlans: req.query.growthPlans?.split(','),
-      revenueStreams: req.query.revenueStreams?.split(',')
-    };
-    
-    const emailHTML = generateLegallyCompliantEmail(templateType, firstName, { 
-      submissionType: submissionType,
-      formData: formData,
-      email: 'preview@example.com'
-    });
+    const { html } = renderStudioTemplate(req.params.templateType, req.query.persona);
     
     res.setHeader('Content-Type', 'text/html');
-    res.send(emailHTML);
+    res.send(html);
     
   } catch (error) {
     log.error('Failed to generate email preview:', error);
-    res.status(500).send('<h1>Preview Error</h1><p>Failed to generate email preview.</p>');
+    res.status(error.status || 500).send('<h1>Preview Error</h1><p>Failed to generate email preview.</p>');
   }
 });
 
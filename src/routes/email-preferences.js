@@ -0,0 +1,149 @@
+// src/routes/email-preferences.js - Unsubscribe and preference center pages
+// Serves the links our emails carry: /unsubscribe/:token, /unsubscribe?token= and /preferences/:token,
+// where the token is a signed, expiring reference to the address (src/services/emailLinks.js).
+// Unsubscribing happens on POST - the page's button or an RFC 8058 one-click request from the
+// mail client - so link scanners that prefetch GET URLs never unsubscribe anyone.
+
+import express from 'express';
+import { leadDb } from '../models/database.js';
+import { EMAIL_CATEGORIES } from '../services/suppression.js';
+import { verifyEmailLinkToken } from '../services/emailLinks.js';
+import { escapeHtml } from '../services/coreServices.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Address the link's token was issued for (from /:token, ?token= or a posted form field)
+const requestLink = (req) => {
+  const token = req.params.token || req.query.token || req.body?.token || '';
+  return { token, email: verifyEmailLinkToken(token) };
+};
+
+const INVALID_LINK = '<p>This link has expired or is not valid. Use the link in a more recent email from us, or reply to any of our emails and we will update your preferences.</p>';
+
+// Unsubscribe confirmation page
+router.get(['/unsubscribe', '/unsubscribe/:token'], async (req, res) => {
+  const { token, email } = requestLink(req);
+  if (!email) {
+    return res.status(400).send(renderPage('Link not recognized', INVALID_LINK));
+  }
+
+  try {
+    const unsubscribed = await leadDb.isUnsubscribed(email);
+    res.send(renderPage('Unsubscribe', unsubscribed
+      ? `<p><strong>${escapeHtml(email)}</strong> is already unsubscribed from Jacobs Counsel emails.</p>
+         <p><a href="/preferences/${token}">Manage email preferences</a></p>`
+      : `<p>Stop all marketing emails to <strong>${escapeHtml(email)}</strong>?</p>
+         <form method="POST" action="/unsubscribe/${token}">
+           <button type="submit" style="${BUTTON_STYLE}">Unsubscribe</button>
+         </form>
+         <p>Prefer fewer emails instead? <a href="/preferences/${token}">Choose what you receive</a>.</p>`
+    ));
+  } catch (error) {
+    log.error('Unsubscribe page failed:', { email, error: error.message });
+    res.status(500).send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+// Unsubscribe from everything
+router.post(['/unsubscribe', '/unsubscribe/:token'], async (req, res) => {
+  const { token, email } = requestLink(req);
+  if (!email) {
+    return res.status(400).send(renderPage('Link not recognized', INVALID_LINK));
+  }
+
+  try {
+    const oneClick = req.body?.['List-Unsubscribe'] === 'One-Click';
+    await leadDb.unsubscribeEmail(email, oneClick ? 'one_click' : 'unsubscribe_link');
+    res.send(renderPage('You have been unsubscribed', `
+      <p><strong>${escapeHtml(email)}</strong> will no longer receive marketing emails from Jacobs Counsel.</p>
+      <p>Changed your mind? <a href="/preferences/${token}">Update your preferences</a>.</p>
+    `));
+  } catch (error) {
+    log.error('Unsubscribe failed:', { email, error: error.message });
+    res.status(500).send(renderPage('Something went wrong', '<p>We could not process your request. Please try again or reply to any email to unsubscribe.</p>'));
+  }
+});
+
+// Preference center
+router.get('/preferences/:token', async (req, res) => {
+  const { token, email } = requestLink(req);
+  if (!email) {
+    return res.status(400).send(renderPage('Link not recognized', INVALID_LINK));
+  }
+
+  try {
+    const [preferences, unsubscribed] = await Promise.all([
+      leadDb.getEmailPreferences(email),
+      leadDb.isUnsubscribed(email)
+    ]);
+    res.send(renderPage('Email preferences', renderPreferencesForm(token, email, preferences, unsubscribed, req.query.saved)));
+  } catch (error) {
+    log.error('Preference page failed:', { email, error: error.message });
+    res.status(500).send(renderPage('Something went wrong', '<p>Please try again later.</p>'));
+  }
+});
+
+router.post('/preferences/:token', async (req, res) => {
+  const { token, email } = requestLink(req);
+  if (!email) {
+    return res.status(400).send(renderPage('Link not recognized', INVALID_LINK));
+  }
+
+  try {
+    const preferences = Object.fromEntries(Object.keys(EMAIL_CATEGORIES).map(category => [category, req.body?.[category]]));
+    await leadDb.updateEmailPreferences(email, preferences);
+
+    // Opting back into any category lifts a previous global unsubscribe
+    if (Object.values(preferences).some(value => value === 'on')) {
+      await leadDb.resubscribeEmail(email);
+    }
+
+    res.redirect(303, `/preferences/${token}?saved=1`);
+  } catch (error) {
+    log.error('Preference update failed:', { email, error: error.message });
+    res.status(500).send(renderPage('Something went wrong', '<p>We could not save your preferences. Please try again.</p>'));
+  }
+});
+
+// Page rendering
+
+const BUTTON_STYLE = 'background-color: #000000; color: #ffffff; border: 0; padding: 12px 24px; font-size: 16px; cursor: pointer;';
+
+function renderPreferencesForm(token, email, preferences, unsubscribed, saved) {
+  const checkboxes = Object.entries(EMAIL_CATEGORIES).map(([category, label]) => `
+    <label style="display: block; margin: 12px 0;">
+      <input type="checkbox" name="${category}"${preferences[category] && !unsubscribed ? ' checked' : ''}> ${label}
+    </label>`).join('');
+
+  return `
+    ${saved ? '<p style="background-color: #e8f5e8; padding: 12px;">✅ Your preferences have been saved.</p>' : ''}
+    ${unsubscribed ? '<p style="background-color: #fff3cd; padding: 12px;">You are currently unsubscribed from all marketing emails. Tick a category to start receiving it again.</p>' : ''}
+    <p>Choose which emails <strong>${escapeHtml(email)}</strong> receives from Jacobs Counsel:</p>
+    <form method="POST" action="/preferences/${token}">
+      ${checkboxes}
+      <button type="submit" style="${BUTTON_STYLE}">Save preferences</button>
+    </form>
+    <p style="margin-top: 24px;"><a href="/unsubscribe/${token}">Unsubscribe from all marketing emails</a></p>
+    <p style="font-size: 12px; color: #666666;">Emails about an active matter or a form you just submitted are still sent.</p>`;
+}
+
+function renderPage(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - Jacobs Counsel</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f5f5f5; color: #333333;">
+  <div style="max-width: 560px; margin: 40px auto; background-color: #ffffff; padding: 32px;">
+    <h1 style="font-size: 22px; margin-top: 0;">${escapeHtml(title)}</h1>
+    ${body}
+    <p style="margin-top: 32px; font-size: 12px; color: #666666;">Jacobs Counsel LLC · Strategic Legal Counsel</p>
+  </div>
+</body>
+</html>`;
+}
+
+export default router;
@@ -0,0 +1,38 @@
+// src/routes/email-tracking.js - Open pixel and click redirector for tracked emails
+// /t/open/:trackingId.gif answers with a 1x1 GIF; /t/click/:token verifies the signed token and
+// redirects to the original link. Recording never delays or breaks the response the reader sees.
+
+import express from 'express';
+import { recordOpen, recordClick, verifyClickToken } from '../services/emailTracking.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Old emails point their pixel at the automation API path
+router.get(['/t/open/:trackingId', '/api/email-automations/track/open/:trackingId'], (req, res) => {
+  const trackingId = req.params.trackingId.replace(/\.gif$/, '');
+
+  recordOpen(trackingId).catch(error => log.error('Open tracking failed:', { trackingId, error: error.message }));
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    'Pragma': 'no-cache',
+    'Cross-Origin-Resource-Policy': 'cross-origin' // helmet's same-origin default would block webmail clients
+  });
+  res.send(PIXEL);
+});
+
+router.get('/t/click/:token', (req, res) => {
+  const click = verifyClickToken(req.params.token);
+  if (!click) {
+    return res.status(404).send('This link has expired or is not valid.');
+  }
+
+  recordClick(click.trackingId, click.url).catch(error => log.error('Click tracking failed:', { trackingId: click.trackingId, error: error.message }));
+  res.redirect(302, click.url);
+});
+
+export default router;
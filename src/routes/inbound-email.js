@@ -0,0 +1,32 @@
+// src/routes/inbound-email.js - Inbound mail webhook for reply detection
+// POST /api/inbound/email takes raw MIME (message/rfc822 or text/plain) or a relay's webhook body
+// (JSON, form or multipart - SendGrid Inbound Parse, Mailgun, Postmark). Mail that is not a reply
+// from a known lead still gets a 200 so the relay does not retry it.
+
+import express from 'express';
+import multer from 'multer';
+import { handleInboundEmail } from '../services/inboundEmail.js';
+import { requireInboundToken } from '../middleware/security.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+const rawMime = express.text({ type: ['message/rfc822', 'text/plain'], limit: '10mb' });
+const multipartFields = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } }).any();
+
+router.post('/api/inbound/email', requireInboundToken, rawMime, multipartFields, async (req, res) => {
+  const input = typeof req.body === 'string' ? req.body : req.body || {};
+  if (!input || (typeof input === 'object' && Object.keys(input).length === 0)) {
+    return res.status(400).json({ ok: false, error: 'Empty message' });
+  }
+
+  try {
+    const { trigger, ...result } = await handleInboundEmail(input);
+    res.json({ ok: true, ...result, automationsStopped: trigger ? trigger.automations.length + trigger.pathwaysPaused : 0 });
+  } catch (error) {
+    log.error('Inbound email processing failed:', error);
+    res.status(500).json({ ok: false, error: 'Processing failed' });
+  }
+});
+
+export default router;
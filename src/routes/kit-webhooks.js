@@ -0,0 +1,33 @@
+// src/routes/kit-webhooks.js - Subscriber events from Kit (registered by npm run kit:webhooks)
+// POST /api/webhooks/kit?event=...&resource=...&token=INBOUND_EMAIL_TOKEN with Kit's { subscriber } body.
+// Hooks this server did not register get a 404; a body without a subscriber gets a 400.
+
+import express from 'express';
+import { handleKitWebhook, KIT_WEBHOOK_PATH } from '../services/kitWebhooks.js';
+import { requireInboundToken } from '../middleware/security.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+const REJECTIONS = {
+  unregistered: { status: 404, error: 'Unknown Kit webhook - register it with npm run kit:webhooks' },
+  missing_subscriber: { status: 400, error: 'Payload has no subscriber email_address' }
+};
+
+router.post(KIT_WEBHOOK_PATH, requireInboundToken, async (req, res) => {
+  const { event = '', resource = '' } = req.query;
+
+  try {
+    const { accepted, reason, ...result } = await handleKitWebhook({ event: String(event), resource: String(resource) }, req.body);
+    if (!accepted) {
+      log.warn('Kit webhook rejected', { event, resource, reason });
+      return res.status(REJECTIONS[reason].status).json({ ok: false, error: REJECTIONS[reason].error });
+    }
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    log.error('Kit webhook processing failed:', { event, error: error.message });
+    res.status(500).json({ ok: false, error: 'Processing failed' });
+  }
+});
+
+export default router;
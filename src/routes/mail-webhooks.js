@@ -0,0 +1,30 @@
+// src/routes/mail-webhooks.js - Bounce and complaint webhooks from the mail providers
+// POST /api/webhooks/mail/:provider (sendgrid, mailgun, resend, dsn). Point each provider's event
+// webhook here with ?token=INBOUND_EMAIL_TOKEN; 'dsn' takes a raw multipart/report message (counted only
+// when it names a message we sent to that address).
+
+import express from 'express';
+import { processDeliveryEvents, DELIVERY_PROVIDERS } from '../services/deliveryEvents.js';
+import { requireInboundToken } from '../middleware/security.js';
+import { log } from '../utils/logger.js';
+
+const router = express.Router();
+
+const rawMime = express.text({ type: ['message/rfc822', 'text/plain', 'multipart/report'], limit: '10mb' });
+
+router.post('/api/webhooks/mail/:provider', requireInboundToken, rawMime, async (req, res) => {
+  const { provider } = req.params;
+  if (!DELIVERY_PROVIDERS.includes(provider)) {
+    return res.status(404).json({ ok: false, error: `Unknown provider - use one of ${DELIVERY_PROVIDERS.join(', ')}` });
+  }
+
+  try {
+    const result = await processDeliveryEvents(provider, req.body);
+    res.json({ ok: true, ...result });
+  } catch (error) {
+    log.error('Delivery webhook processing failed:', { provider, error: error.message });
+    res.status(500).json({ ok: false, error: 'Processing failed' });
+  }
+});
+
+export default router;
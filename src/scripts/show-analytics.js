@@ -6,7 +6,7 @@ console.log('\n📊 JACOBS COUNSEL LEAD ANALYTICS\n');
 console.log('='.repeat(50));
 
 try {
-  const stats = leadDb.getDashboardStats();
+  const stats = await leadDb.getDashboardStats();
   
   // Overview
   console.log('\n📈 OVERVIEW');
@@ -39,7 +39,7 @@ try {
   }
   
   // Follow-up needed
-  const followups = leadDb.getLeadsNeedingFollowup();
+  const followups = await leadDb.getLeadsNeedingFollowup();
   console.log(`\n⚡ FOLLOW-UP NEEDED: ${followups.length} leads`);
   console.log('-'.repeat(30));
   if (followups.length === 0) {
@@ -56,7 +56,7 @@ try {
   }
   
   // Conversion funnel
-  const funnel = leadDb.getConversionFunnel();
+  const funnel = await leadDb.getConversionFunnel();
   console.log('\n🎪 CONVERSION FUNNEL (90 days)');
   console.log('-'.repeat(30));
   funnel.forEach(item => {
@@ -0,0 +1,91 @@
+// src/services/automationTriggers.js - Exit triggers for nurture sequences
+// When a lead does something that makes the rest of a sequence wrong to send (replies, books a call,
+// clicks through), fireExitTrigger() applies the sequence's configured exit_triggers action to each of
+// their active automations - pausing by default - and pauses their pathway emails.
+
+import db from '../models/database.js';
+import { log } from '../utils/logger.js';
+
+export const EXIT_TRIGGER_TYPES = ['consultation_booked', 'link_clicked', 'tag_added', 'email_replied', 'form_submitted'];
+
+// The most specific exit_triggers row for a sequence: a matching trigger_value beats a catch-all
+const findTrigger = (sequenceId, triggerType, value) => db.get(`
+  SELECT * FROM exit_triggers
+  WHERE sequence_id = ? AND trigger_type = ? AND (trigger_value IS NULL OR trigger_value = ?)
+  ORDER BY trigger_value IS NULL
+  LIMIT 1
+`, sequenceId, triggerType, value ?? null);
+
+async function applyAction(automation, triggerType, trigger) {
+  switch (trigger?.action || 'pause') {
+    case 'complete':
+      await db.run(`
+        UPDATE active_automations SET status = 'exited', exit_reason = ?, completed_at = CURRENT_TIMESTAMP, next_email_at = NULL
+        WHERE id = ?
+      `, triggerType, automation.id);
+      return 'complete';
+    case 'move_to_sequence':
+      await db.run(`
+        UPDATE active_automations SET status = 'exited', exit_reason = ?, completed_at = CURRENT_TIMESTAMP, next_email_at = NULL
+        WHERE id = ?
+      `, triggerType, automation.id);
+      await db.run(`
+        INSERT INTO active_automations (subscriber_id, sequence_id, status, next_email_at)
+        VALUES (?, ?, 'active', CURRENT_TIMESTAMP)
+      `, automation.subscriber_id, trigger.target_sequence_id);
+      return 'move_to_sequence';
+    default:
+      await db.run(`
+        UPDATE active_automations SET status = 'paused', exit_reason = ?, paused_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, triggerType, automation.id);
+      return 'pause';
+  }
+}
+
+/**
+ * Fire an exit trigger for every active automation of one address
+ * @param {String} email - The lead's address
+ * @param {String} triggerType - One of EXIT_TRIGGER_TYPES
+ * @param {Object} [options] - { value, details }: value matches exit_triggers.trigger_value (a link, tag
+ *   or form name); details is stored on the automation_events row
+ * @returns {Object} { automations: [{ id, sequenceId, action }], pathwaysPaused, emailsPaused }
+ */
+export async function fireExitTrigger(email, triggerType, { value, details = {} } = {}) {
+  if (!EXIT_TRIGGER_TYPES.includes(triggerType)) {
+    throw new Error(`Unknown exit trigger: ${triggerType}`);
+  }
+  const address = String(email || '').trim().toLowerCase();
+
+  const active = await db.all(`
+    SELECT aa.* FROM active_automations aa
+    JOIN subscribers s ON s.id = aa.subscriber_id
+    WHERE s.email = ? AND aa.status = 'active'
+  `, address);
+
+  const automations = [];
+  for (const automation of active) {
+    const trigger = await findTrigger(automation.sequence_id, triggerType, value);
+    const action = await applyAction(automation, triggerType, trigger);
+
+    await db.run(`
+      INSERT INTO automation_events (automation_id, subscriber_id, event_type, event_data)
+      VALUES (?, ?, 'trigger_fired', ?)
+    `, automation.id, automation.subscriber_id, JSON.stringify({ trigger: triggerType, value: value ?? null, action, ...details }));
+
+    automations.push({ id: automation.id, sequenceId: automation.sequence_id, action });
+  }
+
+  // Pathway automations have no per-sequence triggers; they always pause
+  const pathways = await db.run(`
+    UPDATE email_automations SET status = 'paused', paused_reason = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE email = ? AND status IN ('active', 'scheduled')
+  `, triggerType, address);
+  const emails = await db.run(`UPDATE scheduled_emails SET status = 'paused' WHERE email = ? AND status = 'pending'`, address);
+
+  const result = { automations, pathwaysPaused: pathways.changes, emailsPaused: emails.changes };
+  log.info('⏸️ Exit trigger fired', { email: address, trigger: triggerType, ...result, automations: automations.length });
+  return result;
+}
+
+export default { EXIT_TRIGGER_TYPES, fireExitTrigger };
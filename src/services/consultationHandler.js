@@ -3,8 +3,8 @@
 
 import db from "../models/database-production.js";
 import { log } from '../utils/logger.js';
-import { processCustomEmailAutomation } from './customEmailAutomation.js';
-import { sendEmail } from './emailService.js';
+import { sendMail } from './mailTransport.js';
+import { renderTemplate } from './templateEngine.js';
 
 class ConsultationHandler {
   constructor() {
@@ -121,7 +121,7 @@ class ConsultationHandler {
       ) VALUES (?, ?, ?, ?, datetime('now'))
     `);
 
-    const result = stmt.run(
+    const result = await stmt.run(
       bookingData.email,
       bookingData.consultationType,
       'scheduled',
@@ -137,7 +137,7 @@ class ConsultationHandler {
 
     try {
       // Pause active automations
-      const automationResult = db.prepare(`
+      const automationResult = await db.prepare(`
         UPDATE email_automations 
         SET status = 'paused',
             paused_reason = ?,
@@ -147,7 +147,7 @@ class ConsultationHandler {
       `).run(consultationConfig.pauseReason, email);
 
       // Pause pending emails
-      const emailResult = db.prepare(`
+      const emailResult = await db.prepare(`
         UPDATE scheduled_emails 
         SET status = 'paused'
         WHERE email = ? AND status = 'pending'
@@ -187,7 +187,7 @@ class ConsultationHandler {
         ) VALUES (?, ?, ?, 'scheduled', datetime('now'))
       `);
 
-      stmt.run(
+      await stmt.run(
         email,
         `Post-Consultation ${consultationConfig.name}`,
         consultationConfig.followupSequence
@@ -220,11 +220,13 @@ class ConsultationHandler {
     );
 
     try {
-      await sendEmail(
-        email,
-        `Consultation Confirmed: ${consultationConfig.name} - Jacobs Counsel`,
-        confirmationHtml
-      );
+      await sendMail({
+        to: email,
+        subject: `Consultation Confirmed: ${consultationConfig.name} - Jacobs Counsel`,
+        html: confirmationHtml,
+        category: 'consultations',
+        track: { templateKey: 'consultation-confirmation' }
+      });
 
       log.info('📧 Consultation confirmation sent', { email, consultationType });
 
@@ -294,104 +296,21 @@ class ConsultationHandler {
         ];
     }
 
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Consultation Confirmed - Jacobs Counsel</title>
-</head>
-<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background-color: #f8fafc; color: #1f2937; line-height: 1.6;">
-  <div style="max-width: 650px; margin: 0 auto; background-color: #ffffff; border-radius: 12px; overflow: hidden; box-shadow: 0 10px 25px rgba(0, 0, 0, 0.1);">
-    
-    <!-- Header -->
-    <div style="background: linear-gradient(135deg, #1f2937 0%, #374151 100%); padding: 40px 30px; text-align: center; color: #ffffff;">
-      <div style="background: #ffffff; width: 60px; height: 60px; border-radius: 50%; margin: 0 auto 20px; display: flex; align-items: center; justify-content: center; font-size: 24px;">🗓️</div>
-      <h1 style="margin: 0 0 8px; font-size: 26px; font-weight: 700; color: #ffffff;">Consultation Confirmed</h1>
-      <p style="margin: 0; font-size: 16px; color: #d1d5db; font-weight: 500;">Jacobs Counsel LLC | Strategic Legal Solutions</p>
-    </div>
-    
-    <!-- Main Content -->
-    <div style="padding: 40px 30px; color: #1f2937;">
-      <h2 style="color: #1f2937; margin: 0 0 16px; font-size: 22px; font-weight: 700;">Hello ${clientName},</h2>
-      
-      <p style="font-size: 16px; line-height: 1.7; margin: 0 0 24px; color: #374151;">
-        Your ${consultationName.toLowerCase()} is confirmed! I'm looking forward to discussing your legal strategy and helping you achieve your objectives.
-      </p>
-      
-      <!-- Consultation Details -->
-      <div style="background: linear-gradient(135deg, #dbeafe 0%, #bfdbfe 100%); border: 2px solid #3b82f6; border-radius: 12px; padding: 24px; margin: 24px 0; text-align: center;">
-        <h3 style="color: #1d4ed8; margin: 0 0 16px; font-size: 20px; font-weight: 700;">${consultationName}</h3>
-        <p style="color: #1d4ed8; font-size: 18px; font-weight: 600; margin: 0 0 8px;">${formattedDate}</p>
-        <p style="color: #1d4ed8; font-size: 18px; font-weight: 600; margin: 0;">${formattedTime}</p>
-        <div style="margin-top: 16px;">
-          <a href="https://calendly.com/jacobscounsel" target="_blank" 
-             style="display: inline-block; background: #ffffff; color: #1d4ed8; padding: 12px 24px; text-decoration: none; border-radius: 8px; font-weight: 700; font-size: 14px;">
-            View/Modify Appointment
-          </a>
-        </div>
-      </div>
-      
-      <!-- Preparation Checklist -->
-      <div style="background: #f8fafc; border-radius: 12px; padding: 28px; margin: 28px 0; border: 1px solid #e5e7eb;">
-        <h3 style="color: #1f2937; margin: 0 0 20px; font-size: 20px; font-weight: 700;">📋 How to Prepare</h3>
-        <p style="color: #374151; margin: 0 0 16px;">To maximize our consultation time, please gather:</p>
-        <ul style="color: #374151; line-height: 1.7; margin: 0; padding-left: 0; list-style: none; font-size: 15px;">
-          ${preparationItems.map(item => 
-            `<li style="margin: 12px 0; padding: 12px; background: #ffffff; border-radius: 8px; border-left: 4px solid #f59e0b; font-weight: 500;">
-              ✓ ${item}
-            </li>`
-          ).join('')}
-        </ul>
-      </div>
-      
-      <!-- What to Expect -->
-      <div style="background: #f0fdf4; border: 2px solid #bbf7d0; border-radius: 12px; padding: 24px; margin: 28px 0;">
-        <h3 style="color: #15803d; margin: 0 0 16px; font-size: 18px; font-weight: 700;">What to Expect</h3>
-        <ul style="color: #15803d; margin: 0; padding-left: 20px; font-size: 15px; line-height: 1.7;">
-          <li>Deep-dive analysis of your specific legal needs and objectives</li>
-          <li>Strategic recommendations tailored to your situation</li>
-          <li>Clear action plan with priorities and timelines</li>
-          <li>Transparent discussion of costs and next steps</li>
-        </ul>
-      </div>
-      
-      <!-- Contact Information -->
-      <div style="background: #fef7ed; border: 2px solid #fed7aa; border-radius: 8px; padding: 20px; margin: 28px 0;">
-        <h4 style="color: #9a3412; margin: 0 0 12px; font-size: 16px; font-weight: 700;">Questions Before Our Meeting?</h4>
-        <p style="color: #9a3412; font-size: 14px; line-height: 1.6; margin: 0;">
-          Feel free to reach out: <a href="mailto:drew@jacobscounsellaw.com" style="color: #dc2626; text-decoration: none; font-weight: 600;">drew@jacobscounsellaw.com</a> | 
-          <a href="tel:6463437227" style="color: #dc2626; text-decoration: none; font-weight: 600;">646-343-7227</a>
-        </p>
-      </div>
-      
-      <p style="font-size: 16px; color: #374151; margin: 24px 0 0;">
-        I look forward to working with you to build a strategic legal foundation that protects and advances your interests.
-      </p>
-      
-      <p style="font-size: 16px; color: #1f2937; margin: 24px 0 0; font-weight: 600;">
-        Best regards,<br>
-        <strong>Drew Jacobs, Esq.</strong><br>
-        Founder & Managing Attorney<br>
-        Jacobs Counsel LLC
-      </p>
-    </div>
-    
-    <!-- Footer -->
-    <div style="background: #1f2937; padding: 24px 30px; color: #d1d5db; text-align: center; font-size: 12px; line-height: 1.5;">
-      <p style="margin: 0 0 8px;">© 2025 Jacobs Counsel LLC. All rights reserved.</p>
-      <p style="margin: 0;">This communication may contain confidential information.</p>
-    </div>
-  </div>
-</body>
-</html>`;
+    return renderTemplate('consultation-confirmation', {
+      title: 'Consultation Confirmed - Jacobs Counsel',
+      clientName,
+      consultationName,
+      consultationLabel: consultationName.toLowerCase(),
+      formattedDate,
+      formattedTime,
+      preparationItems
+    });
   }
 
   // Update lead record with consultation information
   async updateLeadRecord(email, consultationType, bookingId) {
     try {
-      const result = db.prepare(`
+      const result = await db.prepare(`
         UPDATE leads 
         SET updated_at = datetime('now')
         WHERE email = ?
@@ -400,10 +319,10 @@ class ConsultationHandler {
       if (result.changes > 0) {
         // Log the interaction
         const leadStmt = db.prepare('SELECT id FROM leads WHERE email = ?');
-        const lead = leadStmt.get(email);
+        const lead = await leadStmt.get(email);
         
         if (lead) {
-          db.prepare(`
+          await db.prepare(`
             INSERT INTO lead_interactions (lead_id, interaction_type, details, created_at)
             VALUES (?, ?, ?, datetime('now'))
           `).run(lead.id, 'consultation_booked', JSON.stringify({
@@ -426,7 +345,7 @@ class ConsultationHandler {
   async handleConsultationCompleted(email, consultationType, outcome = 'completed') {
     try {
       // Update consultation booking status
-      db.prepare(`
+      await db.prepare(`
         UPDATE consultation_bookings
         SET booking_status = ?,
             booking_data = json_set(booking_data, '$.completedAt', datetime('now'))
@@ -458,7 +377,7 @@ class ConsultationHandler {
   async handleConsultationCancellation(email, consultationType, reason = 'cancelled') {
     try {
       // Update consultation booking status
-      db.prepare(`
+      await db.prepare(`
         UPDATE consultation_bookings
         SET booking_status = 'cancelled',
             booking_data = json_set(booking_data, '$.cancelledAt', datetime('now'), '$.cancelReason', ?)
@@ -466,7 +385,7 @@ class ConsultationHandler {
       `).run(reason, email, consultationType);
 
       // Resume paused automations
-      const resumeResult = db.prepare(`
+      const resumeResult = await db.prepare(`
         UPDATE email_automations
         SET status = 'active',
             paused_reason = NULL,
@@ -476,7 +395,7 @@ class ConsultationHandler {
       `).run(email);
 
       // Resume paused emails (recalculate send times)
-      const pausedEmails = db.prepare(`
+      const pausedEmails = await db.prepare(`
         SELECT * FROM scheduled_emails 
         WHERE email = ? AND status = 'paused'
         ORDER BY send_at ASC
@@ -487,7 +406,7 @@ class ConsultationHandler {
         const email_record = pausedEmails[i];
         const newSendTime = new Date(Date.now() + (i * 24 * 60 * 60 * 1000)); // Space them out daily
 
-        db.prepare(`
+        await db.prepare(`
           UPDATE scheduled_emails
           SET status = 'pending',
               send_at = ?
@@ -518,7 +437,7 @@ class ConsultationHandler {
   // Get consultation statistics
   async getConsultationStats() {
     try {
-      const stats = db.prepare(`
+      const stats = await db.prepare(`
         SELECT 
           booking_type,
           booking_status,
@@ -528,7 +447,7 @@ class ConsultationHandler {
         GROUP BY booking_type, booking_status
       `).all();
 
-      const automationsPaused = db.prepare(`
+      const automationsPaused = await db.prepare(`
         SELECT COUNT(*) as count
         FROM email_automations
         WHERE status = 'paused' AND paused_reason LIKE '%consultation%'
@@ -4,86 +4,19 @@
 import { config } from '../config/environment.js';
 import { log } from '../utils/logger.js';
 import IntelligentKitTagging from './intelligentKitTagging.js';
+import { getKitClient } from './kitClient.js';
+import { sendMail } from './mailTransport.js';
 
 // Initialize intelligent tagging system
 const kitTagging = new IntelligentKitTagging();
 
-// Email sending function (Microsoft Graph API)
-export async function sendEnhancedEmail({ to, subject, html, replyTo }) {
-  try {
-    const graphToken = await getGraphToken();
-    if (!graphToken) {
-      throw new Error('Failed to get Graph API token');
-    }
-
-    const emailData = {
-      message: {
-        subject,
-        body: {
-          contentType: 'HTML',
-          content: html
-        },
-        toRecipients: Array.isArray(to) ? to.map(email => ({
-          emailAddress: { address: email }
-        })) : [{ emailAddress: { address: to } }],
-        replyTo: replyTo ? [{ emailAddress: { address: replyTo } }] : undefined
-      }
-    };
-
-    const response = await fetch('https://graph.microsoft.com/v1.0/me/sendMail', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${graphToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(emailData)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Graph API error: ${response.status}`);
-    }
-
-    log.info('Email sent successfully via Microsoft Graph', {
-      to: Array.isArray(to) ? to : [to],
-      subject
-    });
-
-    return { success: true, provider: 'microsoft-graph' };
-  } catch (error) {
-    log.error('Email sending failed:', error);
-    throw error;
-  }
-}
-
-// Get Microsoft Graph token
-export async function getGraphToken() {
-  try {
-    const tokenUrl = `https://login.microsoftonline.com/${config.microsoft.tenantId}/oauth2/v2.0/token`;
-    
-    const params = new URLSearchParams({
-      client_id: config.microsoft.clientId,
-      client_secret: config.microsoft.clientSecret,
-      scope: 'https://graph.microsoft.com/.default',
-      grant_type: 'client_credentials'
-    });
-
-    const response = await fetch(tokenUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: params
-    });
-
-    const data = await response.json();
-    
-    if (!response.ok) {
-      throw new Error(`Token request failed: ${data.error_description || data.error}`);
-    }
-
-    return data.access_token;
-  } catch (error) {
-    log.error('Failed to get Graph token:', error);
-    return null;
-  }
+/**
+ * Send an email through the shared transport (src/services/mailTransport.js)
+ * @param {Object} email - { to, subject, html, replyTo, category, priority }
+ * @returns {Object} sendMail result
+ */
+export function sendEnhancedEmail(email) {
+  return sendMail(email);
 }
 
 // Create Clio lead
@@ -149,6 +82,7 @@ export async function createClioLead(formData, leadScore, submissionType) {
 export function normalizeSubmissionType(submissionType) {
   const normalizedTypes = {
     'legal-strategy-builder': 'legal-risk-assessment', // Redirect old to new
+    'legal-strategy-assessment': 'legal-risk-assessment',
     'estate-planning': 'estate-intake',
     'business-planning': 'business-formation',
     'brand-planning': 'brand-protection',
@@ -160,11 +94,11 @@ export function normalizeSubmissionType(submissionType) {
   return normalizedTypes[submissionType] || submissionType;
 }
 
-// Add lead to Kit with intelligent tagging
+// Add lead to Kit with intelligent tagging (through the Kit form, see src/services/kitClient.js)
 export async function addToKitWithIntelligentTagging(formData, leadScore, submissionType) {
   try {
-    const apiSecret = config.kit.apiSecret || config.kit.apiKey;
-    if (!apiSecret || !config.kit.formId) {
+    const kit = getKitClient();
+    if (!kit.isConfigured() || !config.kit.formId) {
       log.warn('Kit not configured - skipping subscriber addition');
       return { success: false, reason: 'not_configured' };
     }
@@ -176,10 +110,9 @@ export async function addToKitWithIntelligentTagging(formData, leadScore, submis
     // Combine all tags
     const allTags = [...intelligentTags, ...sequenceTags];
 
-    const subscriberData = {
-      api_secret: apiSecret,
+    const subscriber = await kit.subscribeToForm(config.kit.formId, {
       email: formData.email,
-      first_name: formData.firstName || formData.first_name || '',
+      firstName: formData.firstName || formData.first_name || '',
       fields: {
         last_name: formData.lastName || formData.last_name || '',
         phone: formData.phone || '',
@@ -188,30 +121,18 @@ export async function addToKitWithIntelligentTagging(formData, leadScore, submis
         priority: leadScore.priority || 'standard'
       },
       tags: allTags
-    };
-
-    const response = await fetch(`https://api.convertkit.com/v3/forms/${config.kit.formId}/subscribe`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(subscriberData)
     });
-
-    if (!response.ok) {
-      throw new Error(`Kit API error: ${response.status}`);
-    }
-
-    const result = await response.json();
     
     log.info('Kit subscriber added with intelligent tagging', {
       email: formData.email,
       tags: allTags,
       leadScore: leadScore.score,
-      subscriberId: result.subscription?.subscriber?.id
+      subscriberId: subscriber?.id
     });
 
     return { 
       success: true, 
-      subscriberId: result.subscription?.subscriber?.id,
+      subscriberId: subscriber?.id,
       tags: allTags,
       sequences: sequenceTags
     };
@@ -221,8 +142,12 @@ export async function addToKitWithIntelligentTagging(formData, leadScore, submis
   }
 }
 
-// Input sanitization
+// Input sanitization - strings are trimmed and stripped of script tags; arrays and plain objects (request bodies) are sanitized recursively
 export function sanitizeInput(input) {
+  if (Array.isArray(input)) return input.map(sanitizeInput);
+  if (input && typeof input === 'object') {
+    return Object.fromEntries(Object.entries(input).map(([key, value]) => [key, sanitizeInput(value)]));
+  }
   if (typeof input !== 'string') return input;
   return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
 }
@@ -242,7 +167,6 @@ export function escapeHtml(text) {
 
 export default {
   sendEnhancedEmail,
-  getGraphToken,
   createClioLead,
   normalizeSubmissionType,
   addToKitWithIntelligentTagging,
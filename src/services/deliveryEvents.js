@@ -0,0 +1,266 @@
+// src/services/deliveryEvents.js - Bounces and spam complaints
+// Each provider's webhook payload (SendGrid event webhook, Mailgun webhooks, Resend webhooks) and raw
+// DSN / ARF reports (multipart/report mail returned to our mailbox, e.g. for Graph and SMTP sends) are
+// normalized to { email, type, provider, statusCode, detail, messageIds, trackingIds, eventKey }.
+// Hard bounces and complaints suppress the address at once; soft bounces only after SOFT_BOUNCE_LIMIT
+// within SOFT_BOUNCE_WINDOW_DAYS. suppression.js consults the list before every send.
+// Anyone can mail a report to our mailbox, so a raw report only counts when it names a message we sent
+// to that address (email_history), and the firm's own inboxes are never suppressed.
+
+import db, { leadDb } from '../models/database.js';
+import { parseMimeMessage, parseHeaders, extractAddress } from './mimeMessage.js';
+import { findTrackedMessage, findTrackingIds } from './emailTracking.js';
+import { isProtectedAddress } from './suppression.js';
+import { log } from '../utils/logger.js';
+
+export const DELIVERY_EVENT_TYPES = ['hard_bounce', 'soft_bounce', 'complaint'];
+
+export const SOFT_BOUNCE_LIMIT = 3;
+export const SOFT_BOUNCE_WINDOW_DAYS = 7;
+
+// Providers whose events are not signed by the mail provider: raw reports from our own mailbox
+const UNVERIFIED_PROVIDERS = ['dsn'];
+
+// SMTP status (enhanced 5.1.1 or basic 550) -> bounce type; 5xx is permanent
+const bounceType = (status, permanent) => (permanent ?? String(status || '').startsWith('5')) ? 'hard_bounce' : 'soft_bounce';
+
+// SendGrid: an array of events; 'blocked' bounces are usually temporary reputation blocks
+function parseSendGrid(payload) {
+  return (Array.isArray(payload) ? payload : [payload]).flatMap(event => {
+    let type = null;
+    if (event.event === 'bounce') type = { bounce: 'hard_bounce', blocked: 'soft_bounce' }[event.type] || bounceType(event.status);
+    if (event.event === 'spamreport') type = 'complaint';
+    // Mail SendGrid refused to send because its own suppression list already has the address
+    if (event.event === 'dropped' && /bounced address/i.test(event.reason)) type = 'hard_bounce';
+    if (event.event === 'dropped' && /spam report/i.test(event.reason)) type = 'complaint';
+    if (!type || !event.email) return [];
+
+    return [{
+      email: event.email,
+      type,
+      statusCode: event.status || null,
+      detail: event.reason || null,
+      messageIds: event.sg_message_id ? [event.sg_message_id.split('.')[0]] : [], // x-message-id is the prefix
+      eventKey: event.sg_event_id ? `sendgrid:${event.sg_event_id}` : null
+    }];
+  });
+}
+
+// Mailgun: one { signature, 'event-data' } per request
+function parseMailgun(payload) {
+  const event = payload?.['event-data'] || payload || {};
+  let type = null;
+  if (event.event === 'failed') type = bounceType(null, event.severity === 'permanent');
+  if (event.event === 'complained') type = 'complaint';
+  if (!type || !event.recipient) return [];
+
+  const status = event['delivery-status'] || {};
+  const messageId = event.message?.headers?.['message-id'];
+  return [{
+    email: event.recipient,
+    type,
+    statusCode: status['enhanced-code'] || (status.code ? String(status.code) : null),
+    detail: status.description || status.message || event.reason || null,
+    messageIds: messageId ? [messageId] : [],
+    eventKey: event.id ? `mailgun:${event.id}` : null
+  }];
+}
+
+// Resend: { type: 'email.bounced' | 'email.complained', data: { email_id, to, bounce } }
+function parseResend(payload) {
+  const data = payload?.data || {};
+  let type = null;
+  if (payload?.type === 'email.bounced') type = bounceType(null, data.bounce?.type === 'Permanent');
+  if (payload?.type === 'email.complained') type = 'complaint';
+  if (!type) return [];
+
+  return [].concat(data.to || []).map(email => ({
+    email,
+    type,
+    statusCode: null,
+    detail: data.bounce?.message || null,
+    messageIds: data.email_id ? [data.email_id] : [],
+    eventKey: data.email_id ? `resend:${data.email_id}:${type}:${email}` : null
+  }));
+}
+
+/**
+ * Events in a raw multipart/report message: a DSN (RFC 3464) or an ARF spam complaint (RFC 5965)
+ * @param {String} raw - The report as received
+ * @returns {Array} Normalized events (delayed-delivery warnings are skipped)
+ */
+export function parseDsn(raw) {
+  const { headers, parts } = parseMimeMessage(raw);
+  const original = parts.find(part => ['message/rfc822', 'text/rfc822-headers', 'message/rfc822-headers'].includes(part.type));
+  const originalHeaders = original ? parseMimeMessage(original.body).headers : {};
+  const references = {
+    messageIds: originalHeaders['message-id'] ? [originalHeaders['message-id']] : [],
+    trackingIds: findTrackingIds(original?.body)
+  };
+  const reportId = headers['message-id'] || null;
+
+  const feedback = parts.find(part => part.type === 'message/feedback-report');
+  if (feedback) {
+    const fields = parseHeaders(feedback.body);
+    const email = extractAddress(fields['original-rcpt-to'] || originalHeaders.to);
+    return email ? [{
+      email,
+      type: 'complaint',
+      statusCode: null,
+      detail: fields['feedback-type'] || 'abuse',
+      ...references,
+      eventKey: reportId ? `dsn:${reportId}:${email}` : null
+    }] : [];
+  }
+
+  const status = parts.find(part => ['message/delivery-status', 'message/global-delivery-status'].includes(part.type));
+  if (!status) return [];
+
+  // First block describes the reporting server; each following block is one recipient
+  return status.body.split(/\r?\n\s*\r?\n/).slice(1).map(parseHeaders).flatMap(fields => {
+    const email = extractAddress((fields['final-recipient'] || fields['original-recipient'] || '').replace(/^[\w-]+;\s*/, ''));
+    if (!email || (fields.action || '').toLowerCase() !== 'failed') return [];
+    return [{
+      email,
+      type: bounceType(fields.status),
+      statusCode: fields.status || null,
+      detail: fields['diagnostic-code'] || null,
+      ...references,
+      eventKey: reportId ? `dsn:${reportId}:${email}` : null
+    }];
+  });
+}
+
+const PARSERS = {
+  sendgrid: parseSendGrid,
+  mailgun: parseMailgun,
+  resend: parseResend,
+  dsn: (payload) => parseDsn(typeof payload === 'string' ? payload : payload?.raw || payload?.email || '')
+};
+
+export const DELIVERY_PROVIDERS = Object.keys(PARSERS);
+
+/**
+ * Normalize a webhook payload
+ * @param {String} provider - One of DELIVERY_PROVIDERS
+ * @param {*} payload - The webhook's parsed body (raw MIME text for 'dsn')
+ * @returns {Array} [{ email, type, provider, statusCode, detail, messageIds, trackingIds, eventKey }]
+ */
+export function parseDeliveryEvents(provider, payload) {
+  const parse = PARSERS[provider];
+  if (!parse) {
+    throw new Error(`Unknown delivery event provider: ${provider}`);
+  }
+  return parse(payload).map(event => ({
+    trackingIds: [],
+    ...event,
+    email: event.email.trim().toLowerCase(),
+    provider
+  }));
+}
+
+async function recordEvent(event) {
+  const tracked = await findTrackedMessage(event);
+  const trackingId = tracked?.email === event.email ? tracked.tracking_id : null;
+  if (!trackingId && UNVERIFIED_PROVIDERS.includes(event.provider)) {
+    log.warn('📭 Delivery report ignored - it names no message we sent to that address', {
+      email: event.email, provider: event.provider, type: event.type
+    });
+    return { ignored: true, duplicate: false, suppressed: false };
+  }
+
+  const inserted = await db.run(`
+    INSERT INTO email_delivery_events (email, event_type, provider, status_code, detail, tracking_id, event_key)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(event_key) DO NOTHING
+  `, event.email, event.type, event.provider, event.statusCode, event.detail, trackingId, event.eventKey);
+  if (inserted.changes === 0) {
+    return { ignored: false, duplicate: true, suppressed: false };
+  }
+
+  if (trackingId) {
+    await db.run(`UPDATE email_history SET status = ?, error_message = ? WHERE tracking_id = ?`,
+      event.type === 'complaint' ? 'complained' : 'bounced', event.detail, trackingId);
+  }
+
+  const isProtected = isProtectedAddress(event.email);
+  let suppress = !isProtected && event.type !== 'soft_bounce';
+  if (!suppress && !isProtected) {
+    const { count } = await db.get(`
+      SELECT COUNT(*) as count FROM email_delivery_events
+      WHERE email = ? AND event_type = 'soft_bounce' AND created_at >= datetime('now', ?)
+    `, event.email, `-${SOFT_BOUNCE_WINDOW_DAYS} days`);
+    suppress = count >= SOFT_BOUNCE_LIMIT;
+  }
+  if (suppress) {
+    await leadDb.suppressEmail(event.email, { reason: event.type, provider: event.provider, detail: event.detail });
+  }
+  if (isProtected) {
+    log.error('📭 Firm inbox reported as undeliverable - not suppressed', {
+      email: event.email, type: event.type, provider: event.provider, detail: event.detail
+    });
+  }
+
+  const lead = await leadDb.getLeadByEmail(event.email);
+  if (lead) {
+    await leadDb.logInteraction(lead.id, event.type === 'complaint' ? 'email_complaint' : 'email_bounced', {
+      type: event.type,
+      provider: event.provider,
+      statusCode: event.statusCode,
+      detail: event.detail,
+      trackingId,
+      suppressed: suppress
+    });
+  }
+  return { ignored: false, duplicate: false, suppressed: suppress };
+}
+
+/**
+ * Record every bounce and complaint in a webhook payload and suppress the addresses
+ * @param {String} provider - One of DELIVERY_PROVIDERS
+ * @param {*} payload - The webhook's parsed body (raw MIME text for 'dsn')
+ * @returns {Object} { received, recorded, ignored, suppressed: [emails] } - ignored counts raw reports
+ *   that match no message we sent
+ */
+export async function processDeliveryEvents(provider, payload) {
+  const events = parseDeliveryEvents(provider, payload);
+  let recorded = 0;
+  let ignored = 0;
+  const suppressed = [];
+
+  for (const event of events) {
+    const result = await recordEvent(event);
+    if (result.ignored) ignored++;
+    else if (!result.duplicate) recorded++;
+    if (result.suppressed) suppressed.push(event.email);
+  }
+
+  if (events.length > 0) {
+    log.info('📭 Delivery events processed', { provider, received: events.length, recorded, ignored, suppressed });
+  }
+  return { received: events.length, recorded, ignored, suppressed };
+}
+
+/**
+ * Bounce and complaint counts for the dashboard
+ * @param {Number} [days] - Look-back window for events (suppressions are all-time)
+ * @returns {Object} { events: { hard_bounce, soft_bounce, complaint }, suppressed: { ... }, suppressedTotal }
+ */
+export async function getDeliveryStats(days = 30) {
+  const counts = (rows) => Object.fromEntries(DELIVERY_EVENT_TYPES.map(type => [type, rows.find(row => row.type === type)?.count || 0]));
+
+  const events = await db.all(`
+    SELECT event_type as type, COUNT(*) as count FROM email_delivery_events
+    WHERE created_at >= datetime('now', ?)
+    GROUP BY event_type
+  `, `-${days} days`);
+  const suppressed = await db.all('SELECT reason as type, COUNT(*) as count FROM email_suppressions GROUP BY reason');
+
+  return {
+    events: counts(events),
+    suppressed: counts(suppressed),
+    suppressedTotal: suppressed.reduce((total, row) => total + row.count, 0)
+  };
+}
+
+export default { DELIVERY_EVENT_TYPES, DELIVERY_PROVIDERS, parseDsn, parseDeliveryEvents, processDeliveryEvents, getDeliveryStats };
@@ -0,0 +1,287 @@
+// src/services/documentInspection.js - Content checks for uploaded intake documents
+// Runs after the extension/size limits (documents.validateDocuments) and before anything is stored:
+//   - the file's magic bytes must match its extension, and the browser's declared MIME type must agree
+//   - executables, macro-enabled Office files and Office/ZIP containers carrying executables, scripts,
+//     nested archives or traversal paths are rejected (the form gets a 422)
+//   - with CLAMAV_HOST set, every file is streamed to clamd (INSTREAM)
+// Files we cannot vouch for - a malware signature, an encrypted archive, a scanner that did not answer -
+// are quarantined: stored and flagged on the lead, but never linked in alerts or sent to Clio.
+
+import net from 'net';
+import { inflateRawSync, constants as zlibConstants } from 'zlib';
+import path from 'path';
+import { config } from '../config/environment.js';
+import { log } from '../utils/logger.js';
+
+export const VERDICTS = { CLEAN: 'clean', REJECTED: 'rejected', QUARANTINED: 'quarantined' };
+
+const startsWith = (buffer, bytes, offset = 0) => Buffer.from(bytes).equals(buffer.subarray(offset, offset + bytes.length));
+
+const EXECUTABLE_SIGNATURES = [
+  [0x4d, 0x5a], // MZ - Windows PE
+  [0x7f, 0x45, 0x4c, 0x46], // ELF
+  [0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], // Mach-O
+  [0xca, 0xfe, 0xba, 0xbe], // Mach-O universal / Java class
+  [0x23, 0x21] // #! script
+];
+const isExecutable = (buffer) => EXECUTABLE_SIGNATURES.some(signature => startsWith(buffer, signature));
+
+const ZIP = [0x50, 0x4b, 0x03, 0x04];
+const OLE2 = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// What each allowed extension's content must start with (see documents.ALLOWED_DOCUMENT_TYPES)
+const MAGIC = {
+  pdf: (buffer) => buffer.subarray(0, 1024).includes('%PDF-'),
+  doc: (buffer) => startsWith(buffer, OLE2),
+  xls: (buffer) => startsWith(buffer, OLE2),
+  docx: (buffer) => startsWith(buffer, ZIP),
+  xlsx: (buffer) => startsWith(buffer, ZIP),
+  odt: (buffer) => startsWith(buffer, ZIP),
+  zip: (buffer) => startsWith(buffer, ZIP),
+  rtf: (buffer) => buffer.subarray(0, 5).toString('latin1') === '{\\rtf',
+  txt: (buffer) => !buffer.includes(0),
+  csv: (buffer) => !buffer.includes(0),
+  jpg: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  jpeg: (buffer) => startsWith(buffer, [0xff, 0xd8, 0xff]),
+  png: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  gif: (buffer) => /^GIF8[79]a/.test(buffer.subarray(0, 6).toString('latin1')),
+  heic: (buffer) => buffer.subarray(4, 8).toString('latin1') === 'ftyp' && /^(heic|heix|hevc|mif1|msf1)$/.test(buffer.subarray(8, 12).toString('latin1')),
+  tif: (buffer) => startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a]),
+  tiff: (buffer) => startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])
+};
+
+// Declared types browsers commonly send for each extension besides the canonical one
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/x-download'];
+const DECLARED_ALIASES = {
+  txt: ['text/'],
+  csv: ['text/', 'application/csv', 'application/vnd.ms-excel'],
+  rtf: ['text/rtf', 'application/rtf', 'application/msword'],
+  docx: ['application/zip', 'application/x-zip-compressed'],
+  xlsx: ['application/zip', 'application/x-zip-compressed'],
+  odt: ['application/zip'],
+  zip: ['application/zip', 'application/x-zip-compressed', 'application/x-zip', 'multipart/x-zip'],
+  jpg: ['image/jpg', 'image/pjpeg'],
+  jpeg: ['image/jpg', 'image/pjpeg'],
+  heic: ['image/heif', 'image/heic-sequence'],
+  pdf: ['application/x-pdf']
+};
+
+function declaredTypeMatches(extension, declared, expected) {
+  const type = String(declared || '').split(';')[0].trim().toLowerCase();
+  return type === expected || GENERIC_TYPES.includes(type) ||
+    (DECLARED_ALIASES[extension] || []).some(alias => alias.endsWith('/') ? type.startsWith(alias) : type === alias);
+}
+
+// ZIP containers (plain archives and OOXML/ODF documents)
+
+const DANGEROUS_EXTENSIONS = new Set([
+  'exe', 'dll', 'com', 'scr', 'pif', 'msi', 'msp', 'cpl', 'sys', 'bat', 'cmd', 'ps1', 'psm1', 'vbs', 'vbe', 'js', 'jse',
+  'wsf', 'wsh', 'hta', 'jar', 'lnk', 'reg', 'sh', 'app', 'dmg', 'pkg', 'apk', 'iso', 'img', 'vhd', 'vhdx'
+]);
+const MACRO_EXTENSIONS = new Set(['docm', 'dotm', 'xlsm', 'xltm', 'xlam', 'pptm', 'potm', 'ppsm', 'sldm']);
+const ARCHIVE_EXTENSIONS = new Set(['zip', 'rar', '7z', 'tar', 'gz', 'tgz', 'bz2', 'xz', 'cab', 'arj', 'lzh']);
+
+const MAX_ARCHIVE_ENTRIES = 1000;
+const MAX_COMPRESSION_RATIO = 100;
+const MAX_INSPECTED_ENTRY_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Entries from a ZIP's central directory
+ * Every offset and length is checked against the buffer, so a crafted archive reads as malformed
+ * instead of throwing; each entry's local header and data are known to lie inside the file.
+ * @returns {Array|null} [{ name, encrypted, method, compressedSize, size, offset, dataStart }], or null when malformed
+ */
+function readZipEntries(buffer) {
+  const inBounds = (start, length) => start >= 0 && start + length <= buffer.length;
+
+  // End of central directory record: within the last 64 KB (its comment is at most 65535 bytes)
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 65535); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) { end = i; break; }
+  }
+  if (end < 0) return null;
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (!inBounds(offset, 46) || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    if (!inBounds(offset + 46, nameLength)) return null;
+
+    const entry = {
+      name: buffer.subarray(offset + 46, offset + 46 + nameLength).toString('utf8'),
+      encrypted: (buffer.readUInt16LE(offset + 8) & 0x1) === 1,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      offset: buffer.readUInt32LE(offset + 42)
+    };
+    if (!inBounds(entry.offset, 30) || buffer.readUInt32LE(entry.offset) !== 0x04034b50) return null;
+    entry.dataStart = entry.offset + 30 + buffer.readUInt16LE(entry.offset + 26) + buffer.readUInt16LE(entry.offset + 28);
+    if (!inBounds(entry.dataStart, entry.compressedSize)) return null;
+
+    entries.push(entry);
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return entries;
+}
+
+// First bytes of an entry's content (stored or deflated), enough to spot an executable.
+// Only the start of a deflated entry is inflated: the declared size comes from the archive and may lie,
+// and HEAD_INPUT_BYTES of deflate input cannot expand past about a megabyte.
+const HEAD_INPUT_BYTES = 1024;
+
+function entryHead(buffer, entry) {
+  const data = buffer.subarray(entry.dataStart, entry.dataStart + entry.compressedSize);
+  if (entry.method === 0) return data.subarray(0, 16);
+  if (entry.method !== 8) return Buffer.alloc(0);
+  try {
+    return Buffer.from(inflateRawSync(data.subarray(0, HEAD_INPUT_BYTES), { finishFlush: zlibConstants.Z_SYNC_FLUSH }).subarray(0, 16));
+  } catch {
+    return Buffer.alloc(0);
+  }
+}
+
+function inspectZip(buffer, extension) {
+  const entries = readZipEntries(buffer);
+  if (!entries) return { verdict: VERDICTS.REJECTED, reason: 'damaged or unreadable archive' };
+  if (entries.length > MAX_ARCHIVE_ENTRIES) return { verdict: VERDICTS.REJECTED, reason: 'archive has too many files' };
+
+  const names = entries.map(entry => entry.name);
+  if (extension === 'docx' && !(names.includes('[Content_Types].xml') && names.some(name => name.startsWith('word/')))) {
+    return { verdict: VERDICTS.REJECTED, reason: 'not a Word document' };
+  }
+  if (extension === 'xlsx' && !(names.includes('[Content_Types].xml') && names.some(name => name.startsWith('xl/')))) {
+    return { verdict: VERDICTS.REJECTED, reason: 'not an Excel workbook' };
+  }
+  if (extension === 'odt' && !names.includes('mimetype')) {
+    return { verdict: VERDICTS.REJECTED, reason: 'not an OpenDocument file' };
+  }
+  // VBA projects in OOXML, Basic/ and Scripts/ libraries in ODF
+  if (names.some(name => /(^|\/)vbaProject\.bin$/i.test(name) || /^(Basic|Scripts)\//.test(name))) {
+    return { verdict: VERDICTS.REJECTED, reason: 'contains macros' };
+  }
+
+  const size = entries.reduce((total, entry) => total + entry.size, 0);
+  const compressed = entries.reduce((total, entry) => total + entry.compressedSize, 0);
+  if (size > MAX_INSPECTED_ENTRY_BYTES * 4 || (compressed > 0 && size / compressed > MAX_COMPRESSION_RATIO)) {
+    return { verdict: VERDICTS.REJECTED, reason: 'archive expands to an unsafe size' };
+  }
+
+  for (const entry of entries) {
+    const entryExtension = path.extname(entry.name).slice(1).toLowerCase();
+    if (entry.name.startsWith('/') || entry.name.split(/[\\/]/).includes('..')) {
+      return { verdict: VERDICTS.REJECTED, reason: `unsafe path in archive: ${entry.name}` };
+    }
+    if (DANGEROUS_EXTENSIONS.has(entryExtension)) {
+      return { verdict: VERDICTS.REJECTED, reason: `archive contains a program or script: ${entry.name}` };
+    }
+    if (MACRO_EXTENSIONS.has(entryExtension)) {
+      return { verdict: VERDICTS.REJECTED, reason: `archive contains a macro-enabled document: ${entry.name}` };
+    }
+    if (extension === 'zip' && ARCHIVE_EXTENSIONS.has(entryExtension)) {
+      return { verdict: VERDICTS.REJECTED, reason: `archive contains another archive: ${entry.name}` };
+    }
+  }
+
+  // Encrypted entries cannot be looked into, so nobody opens them until they have been reviewed
+  if (entries.some(entry => entry.encrypted)) {
+    return { verdict: VERDICTS.QUARANTINED, reason: 'encrypted archive' };
+  }
+  const disguised = entries.find(entry => isExecutable(entryHead(buffer, entry)));
+  if (disguised) {
+    return { verdict: VERDICTS.REJECTED, reason: `archive contains a program: ${disguised.name}` };
+  }
+  return null;
+}
+
+// Legacy Office (OLE2) files keep macros in a _VBA_PROJECT stream, named in UTF-16LE
+const OLE_VBA_MARKER = Buffer.from('_VBA_PROJECT', 'utf16le');
+
+// ClamAV
+
+/**
+ * Stream a buffer to clamd with INSTREAM
+ * @returns {Object} { infected, signature }
+ * @throws {Error} When clamd cannot be reached or answers with an error
+ */
+export function scanWithClamAV(buffer, { host = config.documents.clamav.host, port = config.documents.clamav.port, timeoutMs = config.documents.clamav.timeoutMs } = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    let reply = '';
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('ClamAV scan timed out')));
+    socket.on('error', reject);
+    socket.on('data', chunk => { reply += chunk.toString(); });
+    socket.on('end', () => {
+      const answer = reply.replace(/\0/g, '').trim(); // "stream: OK" or "stream: <signature> FOUND"
+      if (/OK$/.test(answer)) return resolve({ infected: false });
+      const found = answer.match(/^stream: (.+) FOUND$/);
+      if (found) return resolve({ infected: true, signature: found[1] });
+      reject(new Error(`ClamAV error: ${answer || 'no reply'}`));
+    });
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+      for (let offset = 0; offset < buffer.length; offset += 64 * 1024) {
+        const chunk = buffer.subarray(offset, offset + 64 * 1024);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        socket.write(Buffer.concat([length, chunk]));
+      }
+      socket.write(Buffer.alloc(4)); // zero-length chunk ends the stream
+    });
+  });
+}
+
+/**
+ * Inspect one upload
+ * A file the checks cannot get through (an inspection bug, a malformed structure nobody anticipated) is
+ * rejected, so the form gets a 422 rather than a 500.
+ * @param {Object} file - Multer file ({ originalname, mimetype, buffer }) that passed validateDocuments()
+ * @param {String} expectedType - Content type for its extension (documents.ALLOWED_DOCUMENT_TYPES)
+ * @returns {Object} { verdict: 'clean' | 'rejected' | 'quarantined', reason }
+ */
+export async function inspectDocument(file, expectedType) {
+  try {
+    return await runInspection(file, expectedType);
+  } catch (error) {
+    log.error('Document inspection failed', { file: file.originalname, error: error.message });
+    return { verdict: VERDICTS.REJECTED, reason: 'file could not be inspected' };
+  }
+}
+
+async function runInspection(file, expectedType) {
+  const buffer = file.buffer;
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+
+  if (isExecutable(buffer)) {
+    return { verdict: VERDICTS.REJECTED, reason: 'file is a program or script' };
+  }
+  if (!MAGIC[extension]?.(buffer)) {
+    return { verdict: VERDICTS.REJECTED, reason: `content is not a valid .${extension} file` };
+  }
+  if (!declaredTypeMatches(extension, file.mimetype, expectedType)) {
+    return { verdict: VERDICTS.REJECTED, reason: `declared type ${file.mimetype} does not match the file` };
+  }
+
+  const structural = startsWith(buffer, ZIP) ? inspectZip(buffer, extension)
+    : startsWith(buffer, OLE2) && buffer.includes(OLE_VBA_MARKER) ? { verdict: VERDICTS.REJECTED, reason: 'contains macros' }
+    : extension === 'rtf' && /\\objdata|\\objupdate/.test(buffer.toString('latin1')) ? { verdict: VERDICTS.REJECTED, reason: 'contains embedded objects' }
+    : null;
+  if (structural) return structural;
+
+  if (config.documents.clamav.host) {
+    try {
+      const scan = await scanWithClamAV(buffer);
+      if (scan.infected) {
+        return { verdict: VERDICTS.QUARANTINED, reason: `malware detected: ${scan.signature}` };
+      }
+    } catch (error) {
+      log.error('ClamAV scan failed', { file: file.originalname, error: error.message });
+      return { verdict: VERDICTS.QUARANTINED, reason: 'virus scan unavailable' };
+    }
+  }
+  return { verdict: VERDICTS.CLEAN, reason: null };
+}
+
+export default { VERDICTS, inspectDocument, scanWithClamAV };
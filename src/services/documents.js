@@ -0,0 +1,324 @@
+// src/services/documents.js - Documents uploaded with intake forms
+// Intakes that accept documents get them as multer memory buffers. Each file is checked against the
+// type and size limits and inspected (documentInspection.js), written to the configured storage backend
+// and recorded in lead_documents against the lead. The internal alert lists them with signed, expiring
+// download links (/documents/:token); the Clio integration can attach them to the new contact.
+// Quarantined files are stored and flagged on the lead but never linked or sent on until released.
+// Storage backends register like mail providers; 'disk' is built in.
+
+import { createHash, randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import db, { leadDb } from '../models/database.js';
+import { config } from '../config/environment.js';
+import { createSignedToken, verifySignedToken } from '../utils/signedTokens.js';
+import { inspectDocument, VERDICTS } from './documentInspection.js';
+import { log } from '../utils/logger.js';
+
+const DOWNLOAD_PURPOSE = 'document-download';
+const MB = 1024 * 1024;
+
+// Extension -> the content type we store and serve; the browser's claimed type is not trusted
+export const ALLOWED_DOCUMENT_TYPES = {
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  odt: 'application/vnd.oasis.opendocument.text',
+  rtf: 'application/rtf',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  zip: 'application/zip' // contents are inspected; see documentInspection.js
+};
+
+const storages = new Map();
+
+/**
+ * Register a storage backend for uploaded documents
+ * @param {String} name - Key used in DOCUMENT_STORAGE, e.g. 'disk'
+ * @param {Object} storage - { save: async (key, buffer, { contentType }), read: async (key) => Buffer }
+ */
+export function registerDocumentStorage(name, storage) {
+  storages.set(name, { name, ...storage });
+}
+
+function activeStorage() {
+  const storage = storages.get(config.documents.storage);
+  if (!storage) {
+    throw new Error(`Unknown document storage "${config.documents.storage}" - registered: ${[...storages.keys()].join(', ')}`);
+  }
+  return storage;
+}
+
+const extensionOf = (name) => path.extname(String(name || '')).slice(1).toLowerCase();
+
+// Keep the uploader's name readable in emails and downloads, minus paths and control characters
+const cleanName = (name) => path.basename(String(name || 'document').replace(/\\/g, '/'))
+  .replace(/[\u0000-\u001f\u007f"]/g, '')
+  .slice(-200) || 'document';
+
+/**
+ * Check uploads against the type and size limits
+ * @param {Array} files - Multer files ({ originalname, size, buffer })
+ * @returns {Array} Field errors in the intake validation shape ([{ field: 'documents', message }])
+ */
+export function validateDocuments(files = []) {
+  const errors = [];
+  if (files.length > config.documents.maxFiles) {
+    errors.push({ field: 'documents', message: `Upload at most ${config.documents.maxFiles} files` });
+  }
+  for (const file of files) {
+    const name = cleanName(file.originalname);
+    if (!ALLOWED_DOCUMENT_TYPES[extensionOf(name)]) {
+      errors.push({ field: 'documents', message: `${name}: file type not accepted (use PDF, Word, Excel, text, image or ZIP files)` });
+    } else if (file.size > config.documents.maxFileMb * MB) {
+      errors.push({ field: 'documents', message: `${name}: files must be ${config.documents.maxFileMb} MB or smaller` });
+    } else if (file.size === 0) {
+      errors.push({ field: 'documents', message: `${name}: file is empty` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Inspect uploads that passed validateDocuments(); each file gets its verdict as file.inspection
+ * @param {Array} files - Multer files
+ * @returns {Array} Field errors for rejected files ([{ field: 'documents', message }])
+ */
+export async function inspectDocuments(files = []) {
+  const errors = [];
+  for (const file of files) {
+    const name = cleanName(file.originalname);
+    file.inspection = await inspectDocument(file, ALLOWED_DOCUMENT_TYPES[extensionOf(name)]);
+    if (file.inspection.verdict === VERDICTS.REJECTED) {
+      log.warn('🛡️ Upload rejected', { file: name, reason: file.inspection.reason });
+      errors.push({ field: 'documents', message: `${name}: ${file.inspection.reason}` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Store a submission's uploads and link them to the lead
+ * @param {Object} upload - { leadId, submissionId, files } with files already passed validateDocuments()
+ *   and inspectDocuments()
+ * @returns {Array} lead_documents rows for the submission
+ */
+export async function storeLeadDocuments({ leadId, submissionId, files = [] }) {
+  const storage = activeStorage();
+
+  for (const file of files) {
+    const sha256 = createHash('sha256').update(file.buffer).digest('hex');
+    const existing = await db.get('SELECT id FROM lead_documents WHERE submission_id = ? AND sha256 = ?', submissionId, sha256);
+    if (existing) continue; // the same file on a resubmitted form
+
+    const name = cleanName(file.originalname);
+    const extension = extensionOf(name);
+    const inspection = file.inspection || await inspectDocument(file, ALLOWED_DOCUMENT_TYPES[extension]);
+    if (inspection.verdict === VERDICTS.REJECTED) {
+      throw new Error(`Refusing to store rejected upload ${name}: ${inspection.reason}`);
+    }
+    const quarantine = inspection.verdict === VERDICTS.QUARANTINED ? inspection.reason : null;
+
+    const key = `${leadId}/${randomUUID()}.${extension}`;
+    await storage.save(key, file.buffer, { contentType: ALLOWED_DOCUMENT_TYPES[extension] });
+    await db.run(`
+      INSERT INTO lead_documents (lead_id, submission_id, original_name, content_type, size, sha256, storage, storage_key, quarantined, quarantine_reason)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, leadId, submissionId, name, ALLOWED_DOCUMENT_TYPES[extension], file.size, sha256, storage.name, key, quarantine ? 1 : 0, quarantine);
+
+    if (quarantine) {
+      log.warn('☣️ Upload quarantined', { leadId, file: name, reason: quarantine });
+      await leadDb.logInteraction(leadId, 'document_quarantined', { file: name, reason: quarantine });
+    }
+  }
+
+  const documents = await listSubmissionDocuments(submissionId);
+  if (files.length > 0) {
+    log.info('📎 Intake documents stored', { leadId, submissionId, count: documents.length });
+  }
+  return documents;
+}
+
+export const listSubmissionDocuments = (submissionId) =>
+  db.all('SELECT * FROM lead_documents WHERE submission_id = ? ORDER BY id', submissionId);
+
+export const listLeadDocuments = (leadId) =>
+  db.all('SELECT * FROM lead_documents WHERE lead_id = ? ORDER BY id', leadId);
+
+/**
+ * Signed, expiring download link for one document
+ * @param {Object} document - lead_documents row
+ * @param {Number} [ttlHours] - Link lifetime (DOCUMENT_LINK_TTL_HOURS by default)
+ */
+export function documentDownloadUrl(document, ttlHours = config.documents.linkTtlHours) {
+  return `${config.baseUrl}/documents/${createSignedToken(DOWNLOAD_PURPOSE, { d: document.id }, ttlHours * 60 * 60)}`;
+}
+
+/**
+ * Documents with their download links, as the internal alert templates list them
+ * @returns {Array} [{ name, size, type, url, quarantined, reason }] - quarantined documents get no url
+ */
+export function documentLinks(documents) {
+  return documents.map(document => ({
+    name: document.original_name,
+    size: document.size < MB ? `${Math.max(1, Math.round(document.size / 1024))} KB` : `${(document.size / MB).toFixed(1)} MB`,
+    type: extensionOf(document.original_name).toUpperCase(),
+    url: document.quarantined ? null : documentDownloadUrl(document),
+    quarantined: !!document.quarantined,
+    reason: document.quarantine_reason
+  }));
+}
+
+/**
+ * Resolve a download token
+ * @returns {Object|null} { document, content }, or null when the token is invalid or expired, the document is
+ *   quarantined or the file is gone
+ */
+export async function readDocument(token) {
+  const claims = verifySignedToken(DOWNLOAD_PURPOSE, token);
+  if (!claims) return null;
+
+  const document = await db.get('SELECT * FROM lead_documents WHERE id = ? AND quarantined = 0', claims.d);
+  const storage = document && storages.get(document.storage);
+  if (!storage) return null;
+
+  try {
+    return { document, content: await storage.read(document.storage_key) };
+  } catch (error) {
+    log.error('Stored document could not be read', { id: document.id, storage: document.storage, error: error.message });
+    return null;
+  }
+}
+
+// Clio v4: create the document on the contact, PUT the bytes to the returned URL, then mark it uploaded
+async function uploadToClio(contactId, document) {
+  const clioFetch = async (url, options) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'Authorization': `Bearer ${config.clio.inboxToken}`, 'Content-Type': 'application/json', ...options.headers }
+    });
+    if (!response.ok) {
+      throw new Error(`Clio API error: ${response.status}`);
+    }
+    return response.json();
+  };
+
+  const { data } = await clioFetch('https://app.clio.com/api/v4/documents.json?fields=id,latest_document_version{uuid,put_url,put_headers}', {
+    method: 'POST',
+    body: JSON.stringify({ data: { name: document.original_name, parent: { id: contactId, type: 'Contact' } } })
+  });
+  const version = data.latest_document_version;
+
+  const content = await storages.get(document.storage).read(document.storage_key);
+  const put = await fetch(version.put_url, {
+    method: 'PUT',
+    headers: Object.fromEntries((version.put_headers || []).map(({ name, value }) => [name, value])),
+    body: content
+  });
+  if (!put.ok) {
+    throw new Error(`Clio document upload failed: ${put.status}`);
+  }
+
+  await clioFetch(`https://app.clio.com/api/v4/documents/${data.id}.json`, {
+    method: 'PATCH',
+    body: JSON.stringify({ data: { uuid: version.uuid, fully_uploaded: true } })
+  });
+  return data.id;
+}
+
+/**
+ * Attach a submission's documents to the Clio contact created for it (DOCUMENT_CLIO_UPLOAD=true)
+ * Failures are logged per document and never fail the Clio integration, which would create the contact again.
+ * @returns {Object} { attached, failed }
+ */
+export async function attachDocumentsToClio(submissionId, contactId) {
+  if (!config.documents.clioUpload || !contactId) {
+    return { attached: 0, failed: 0 };
+  }
+
+  let attached = 0;
+  let failed = 0;
+  for (const document of await listSubmissionDocuments(submissionId)) {
+    if (document.clio_document_id || document.quarantined) continue;
+    try {
+      const clioDocumentId = await uploadToClio(contactId, document);
+      await db.run('UPDATE lead_documents SET clio_document_id = ? WHERE id = ?', String(clioDocumentId), document.id);
+      attached++;
+    } catch (error) {
+      failed++;
+      log.warn('Clio document attach failed', { documentId: document.id, contactId, error: error.message });
+    }
+  }
+  return { attached, failed };
+}
+
+export const listQuarantinedDocuments = () => db.all(`
+  SELECT d.id, d.lead_id, l.email, d.submission_id, d.original_name, d.size, d.quarantine_reason, d.created_at
+  FROM lead_documents d
+  LEFT JOIN leads l ON l.id = d.lead_id
+  WHERE d.quarantined = 1
+  ORDER BY d.id DESC
+`);
+
+/**
+ * Release a quarantined document after review; new download links can then be issued for it
+ * @returns {Object|null} The released lead_documents row, or null when it was not quarantined
+ */
+export async function releaseDocument(id) {
+  const result = await db.run('UPDATE lead_documents SET quarantined = 0 WHERE id = ? AND quarantined = 1', id);
+  if (result.changes === 0) return null;
+
+  const document = await db.get('SELECT * FROM lead_documents WHERE id = ?', id);
+  await leadDb.logInteraction(document.lead_id, 'document_released', { file: document.original_name, reason: document.quarantine_reason });
+  log.info('Quarantined document released', { id, leadId: document.lead_id });
+  return document;
+}
+
+// Storage backends
+
+const DEFAULT_DOCUMENT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../data/documents');
+
+// Keys are generated by storeLeadDocuments(), but never let one escape the storage root
+function diskPath(key) {
+  const root = path.resolve(config.documents.dir || DEFAULT_DOCUMENT_DIR);
+  const file = path.resolve(root, key);
+  if (!file.startsWith(`${root}${path.sep}`)) {
+    throw new Error(`Invalid document key: ${key}`);
+  }
+  return file;
+}
+
+registerDocumentStorage('disk', {
+  save: async (key, buffer) => {
+    const file = diskPath(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer, { mode: 0o600 });
+  },
+  read: (key) => fs.readFile(diskPath(key))
+});
+
+export default {
+  ALLOWED_DOCUMENT_TYPES,
+  registerDocumentStorage,
+  validateDocuments,
+  inspectDocuments,
+  storeLeadDocuments,
+  listSubmissionDocuments,
+  listLeadDocuments,
+  documentDownloadUrl,
+  documentLinks,
+  readDocument,
+  attachDocumentsToClio,
+  listQuarantinedDocuments,
+  releaseDocument
+};
@@ -0,0 +1,49 @@
+// src/services/emailLinks.js - Unsubscribe and preference links carried by our emails
+// Links hold a signed, expiring token instead of the raw address, so nobody can
+// unsubscribe someone else and addresses stay out of logs and referrers.
+
+import { config } from '../config/environment.js';
+import { createSignedToken, verifySignedToken } from '../utils/signedTokens.js';
+
+const PURPOSE = 'email-preferences';
+
+/**
+ * Token that lets its holder manage one address's email preferences
+ * @param {String} email
+ */
+export function createEmailLinkToken(email) {
+  return createSignedToken(PURPOSE, { email: String(email).trim().toLowerCase() }, config.security.emailLinkTtlDays * 24 * 60 * 60);
+}
+
+/**
+ * @param {String} token
+ * @returns {String|null} The address the token was issued for, or null if invalid/expired
+ */
+export function verifyEmailLinkToken(token) {
+  return verifySignedToken(PURPOSE, token)?.email || null;
+}
+
+/**
+ * Footer links for an email sent to `email`
+ * @returns {Object} { unsubscribeUrl, preferencesUrl }
+ */
+export function generateUnsubscribeUrls(email) {
+  const token = createEmailLinkToken(email);
+  return {
+    unsubscribeUrl: `${config.baseUrl}/unsubscribe/${token}`,
+    preferencesUrl: `${config.baseUrl}/preferences/${token}`
+  };
+}
+
+/**
+ * RFC 8058 one-click unsubscribe headers - mail clients POST to the URL directly
+ * @param {String} email - The single recipient of the message
+ */
+export function listUnsubscribeHeaders(email) {
+  return {
+    'List-Unsubscribe': `<${generateUnsubscribeUrls(email).unsubscribeUrl}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+export default { createEmailLinkToken, verifyEmailLinkToken, generateUnsubscribeUrls, listUnsubscribeHeaders };
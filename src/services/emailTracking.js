@@ -0,0 +1,245 @@
+// src/services/emailTracking.js - Open and click tracking for outbound email
+// A tracked send gets its own email_history row keyed by a random tracking id. Before delivery the
+// HTML gains an open pixel (/t/open/:trackingId) and every web link is rewritten through the click
+// redirector (/t/click/:token), whose signed token carries the tracking id and destination so the
+// redirector can never be used to bounce visitors to arbitrary sites.
+// Opens and clicks update the row's counts and engagement score and are logged against the lead.
+
+import { randomUUID } from 'crypto';
+import db, { leadDb } from '../models/database.js';
+import { config } from '../config/environment.js';
+import { createSignedToken, verifySignedToken } from '../utils/signedTokens.js';
+import { log } from '../utils/logger.js';
+
+const CLICK_PURPOSE = 'email-click';
+const CLICK_LINK_TTL_SECONDS = 2 * 365 * 24 * 60 * 60; // links in old emails should keep working
+
+// Per-message engagement, averaged per lead by leadDb.getEmailEngagement
+export const ENGAGEMENT_SCORES = { opened: 50, clicked: 100, replied: 100 };
+
+const TRACKING_ID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+
+export function generateTrackingId() {
+  return randomUUID();
+}
+
+// Tracked sends carry Message-ID <trackingId@sender-domain>, so a reply's In-Reply-To names the message
+export function trackingMessageId(trackingId) {
+  return `<${trackingId}@${config.email.fromAddress.split('@')[1] || 'localhost'}>`;
+}
+
+/**
+ * Tracking id from a Message-ID we generated, if it is one
+ * @returns {String|null}
+ */
+export function trackingIdFromMessageId(messageId) {
+  const [localPart] = String(messageId || '').replace(/^<|>$/g, '').split('@');
+  return TRACKING_ID_PATTERN.test(localPart) && localPart.length === 36 ? localPart.toLowerCase() : null;
+}
+
+export const openPixelUrl = (trackingId) => `${config.baseUrl}/t/open/${trackingId}.gif`;
+
+export function clickUrl(trackingId, url) {
+  return `${config.baseUrl}/t/click/${createSignedToken(CLICK_PURPOSE, { t: trackingId, u: url }, CLICK_LINK_TTL_SECONDS)}`;
+}
+
+/**
+ * Tracking id and destination from a click token
+ * @returns {Object|null} { trackingId, url }, or null when the token is invalid or expired
+ */
+export function verifyClickToken(token) {
+  const claims = verifySignedToken(CLICK_PURPOSE, token);
+  return claims ? { trackingId: claims.t, url: claims.u } : null;
+}
+
+// Unsubscribe/preference links and template placeholders are left alone; so are links already tracked
+function isTrackableLink(url) {
+  if (!/^https?:\/\//i.test(url) || url.includes('{{')) return false;
+  return !['/unsubscribe', '/preferences', '/t/click/'].some(path => url.startsWith(`${config.baseUrl}${path}`));
+}
+
+const decodeHref = (href) => href.replace(/&amp;/g, '&');
+const encodeHref = (href) => href.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * Add the open pixel and route web links through the click redirector
+ * @param {String} html
+ * @param {String} trackingId
+ * @returns {String}
+ */
+export function instrumentHtml(html, trackingId) {
+  const linked = html.replace(/(<a\b[^>]*?\shref\s*=\s*)(["'])(.*?)\2/gi, (match, prefix, quote, href) => {
+    const url = decodeHref(href.trim());
+    return isTrackableLink(url) ? `${prefix}"${encodeHref(clickUrl(trackingId, url))}"` : match;
+  });
+
+  const pixel = `<img src="${openPixelUrl(trackingId)}" width="1" height="1" alt="" style="display: block; width: 1px; height: 1px; border: 0;">`;
+  return /<\/body>/i.test(linked) ? linked.replace(/<\/body>/i, `${pixel}</body>`) : `${linked}${pixel}`;
+}
+
+/**
+ * Record a message about to be sent and return its instrumented HTML
+ * @param {Object} message - { email, subject, html, trackingId, leadId, templateKey, automationId, subscriberId };
+ *   reusing a trackingId (e.g. on a queued retry) updates the existing row
+ * @returns {Object} { trackingId, html }
+ */
+export async function startTracking({ email, subject, html, trackingId = generateTrackingId(), leadId, templateKey, automationId, subscriberId }) {
+  const address = email.trim().toLowerCase();
+  const lead = leadId ? { id: leadId } : await leadDb.getLeadByEmail(address);
+
+  await db.run(`
+    INSERT INTO email_history (tracking_id, email, lead_id, template_key, subject_line, automation_id, subscriber_id, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')
+    ON CONFLICT(tracking_id) DO UPDATE SET status = 'pending', subject_line = excluded.subject_line, error_message = NULL
+  `, trackingId, address, lead?.id || null, templateKey || null, subject, automationId || null, subscriberId || null);
+
+  return { trackingId, html: instrumentHtml(html, trackingId) };
+}
+
+export async function markTrackedSent(trackingId, { provider, messageId }) {
+  await db.run(`
+    UPDATE email_history SET status = 'sent', sent_at = CURRENT_TIMESTAMP, provider = ?, message_id = ?, error_message = NULL
+    WHERE tracking_id = ?
+  `, provider, messageId, trackingId);
+}
+
+export async function markTrackedFailed(trackingId, error) {
+  await db.run(`UPDATE email_history SET status = 'failed', error_message = ? WHERE tracking_id = ?`, error.message, trackingId);
+}
+
+const findMessage = (trackingId) => db.get('SELECT * FROM email_history WHERE tracking_id = ?', trackingId);
+
+/**
+ * Record an open from the tracking pixel; only the first open is logged on the lead's timeline
+ * Opens and clicks only move the status forward: a replied, bounced or complained message keeps its status.
+ * @returns {Boolean} Whether the tracking id was known
+ */
+export async function recordOpen(trackingId) {
+  const message = await findMessage(trackingId);
+  if (!message) return false;
+
+  await db.run(`
+    UPDATE email_history SET
+      open_count = open_count + 1,
+      opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP),
+      status = CASE WHEN status IN ('sent', 'delivered') THEN 'opened' ELSE status END,
+      engagement_score = MAX(engagement_score, ?)
+    WHERE id = ?
+  `, ENGAGEMENT_SCORES.opened, message.id);
+
+  if (message.open_count === 0 && message.lead_id) {
+    await leadDb.logInteraction(message.lead_id, 'email_opened', { trackingId, template: message.template_key, subject: message.subject_line });
+  }
+  log.debug('Email opened', { trackingId, template: message.template_key });
+  return true;
+}
+
+/**
+ * Record a click from the redirector; a click implies an open (images may be blocked)
+ * @returns {Boolean} Whether the tracking id was known
+ */
+export async function recordClick(trackingId, url) {
+  const message = await findMessage(trackingId);
+  if (!message) return false;
+
+  await db.run(`
+    UPDATE email_history SET
+      click_count = click_count + 1,
+      clicked_at = COALESCE(clicked_at, CURRENT_TIMESTAMP),
+      opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP),
+      last_clicked_url = ?,
+      status = CASE WHEN status IN ('sent', 'delivered', 'opened') THEN 'clicked' ELSE status END,
+      engagement_score = MAX(engagement_score, ?)
+    WHERE id = ?
+  `, url, ENGAGEMENT_SCORES.clicked, message.id);
+
+  if (message.lead_id) {
+    await leadDb.logInteraction(message.lead_id, 'email_clicked', { trackingId, template: message.template_key, url });
+  }
+  log.info('🖱️ Email link clicked', { trackingId, template: message.template_key, url });
+  return true;
+}
+
+/**
+ * Find the tracked message a reply or bounce refers to
+ * @param {Object} refs - { messageIds: [...], trackingIds: [...] }
+ * @returns {Object|null} email_history row
+ */
+export async function findTrackedMessage({ messageIds = [], trackingIds = [] }) {
+  const ids = [...new Set([...trackingIds, ...messageIds.map(trackingIdFromMessageId)].filter(Boolean))];
+  const providerIds = [...new Set(messageIds.flatMap(id => [id, id.replace(/^<|>$/g, '')]))];
+  if (ids.length === 0 && providerIds.length === 0) return null;
+
+  const placeholders = (list) => list.map(() => '?').join(', ') || 'NULL';
+  return db.get(`
+    SELECT * FROM email_history
+    WHERE tracking_id IN (${placeholders(ids)}) OR message_id IN (${placeholders(providerIds)})
+    ORDER BY id DESC
+    LIMIT 1
+  `, ...ids, ...providerIds);
+}
+
+/**
+ * Mark a tracked message as replied to (a reply implies it was opened)
+ */
+export async function recordReply(trackingId) {
+  await db.run(`
+    UPDATE email_history SET
+      status = 'replied',
+      opened_at = COALESCE(opened_at, CURRENT_TIMESTAMP),
+      engagement_score = ?
+    WHERE tracking_id = ?
+  `, ENGAGEMENT_SCORES.replied, trackingId);
+}
+
+/**
+ * Tracking ids found in text, e.g. the open pixel or a click link quoted in a reply
+ * @param {String} text - Message text or HTML
+ * @returns {Array} Tracking ids
+ */
+export function findTrackingIds(text) {
+  const source = String(text || '');
+  const opens = [...source.matchAll(/\/t\/open\/([0-9a-f-]{36})/gi)].map(match => match[1].toLowerCase());
+  const clicks = [...source.matchAll(/\/t\/click\/([\w-]+\.[\w-]+)/g)]
+    .map(match => verifyClickToken(match[1])?.trackingId)
+    .filter(Boolean);
+  return [...new Set([...opens, ...clicks])];
+}
+
+/**
+ * Sends, opens and clicks per template for the dashboard
+ * @param {Number} [days] - Look-back window
+ */
+export function getTrackingStats(days = 30) {
+  return db.all(`
+    SELECT
+      COALESCE(template_key, 'other') as template,
+      COUNT(*) as sent,
+      COUNT(opened_at) as opened,
+      COUNT(clicked_at) as clicked,
+      ROUND(100.0 * COUNT(opened_at) / COUNT(*), 1) as open_rate,
+      ROUND(100.0 * COUNT(clicked_at) / COUNT(*), 1) as click_rate
+    FROM email_history
+    WHERE tracking_id IS NOT NULL AND sent_at >= datetime('now', ?)
+    GROUP BY template_key
+    ORDER BY sent DESC
+  `, `-${days} days`);
+}
+
+export default {
+  ENGAGEMENT_SCORES,
+  generateTrackingId,
+  trackingMessageId,
+  trackingIdFromMessageId,
+  instrumentHtml,
+  verifyClickToken,
+  findTrackedMessage,
+  findTrackingIds,
+  recordReply,
+  startTracking,
+  markTrackedSent,
+  markTrackedFailed,
+  recordOpen,
+  recordClick,
+  getTrackingStats
+};
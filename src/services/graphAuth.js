@@ -0,0 +1,146 @@
+// src/services/graphAuth.js - Microsoft Graph app-only (client credentials) tokens
+// Client-credentials tokens have no signed-in user, so mail must go through
+// /users/{MS_GRAPH_SENDER}/sendMail rather than /me/sendMail.
+// Tokens are cached until shortly before they expire, and concurrent callers share one refresh,
+// so a burst of intakes costs a single round-trip to login.microsoftonline.com.
+
+import { config } from '../config/environment.js';
+import { log } from '../utils/logger.js';
+
+export const GRAPH_API_BASE = 'https://graph.microsoft.com/v1.0';
+
+const REFRESH_MARGIN_SECONDS = 5 * 60; // refresh this long before expires_in runs out
+
+let cached = null; // { token, expiresAt (ms) }
+let refreshing = null;
+const stats = { refreshes: 0, failures: 0, lastRefreshAt: null, lastError: null };
+
+/**
+ * Whether the app registration and sender mailbox are configured
+ */
+export function isGraphConfigured() {
+  const { tenantId, clientId, clientSecret, sender } = config.microsoft;
+  return !!(tenantId && clientId && clientSecret && sender);
+}
+
+async function requestToken() {
+  const tokenUrl = `https://login.microsoftonline.com/${config.microsoft.tenantId}/oauth2/v2.0/token`;
+
+  const params = new URLSearchParams({
+    client_id: config.microsoft.clientId,
+    client_secret: config.microsoft.clientSecret,
+    scope: 'https://graph.microsoft.com/.default',
+    grant_type: 'client_credentials'
+  });
+
+  const response = await fetch(tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params
+  });
+
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`Token request failed: ${data.error_description || data.error}`);
+  }
+
+  return data;
+}
+
+// Cached token, or one shared refresh for every caller waiting on it
+async function acquireToken() {
+  if (cached && Date.now() < cached.expiresAt - REFRESH_MARGIN_SECONDS * 1000) {
+    return cached.token;
+  }
+
+  if (!refreshing) {
+    refreshing = (async () => {
+      try {
+        const data = await requestToken();
+        cached = { token: data.access_token, expiresAt: Date.now() + (Number(data.expires_in) || 3600) * 1000 };
+        stats.refreshes++;
+        stats.lastRefreshAt = new Date().toISOString();
+        stats.lastError = null;
+        log.info('🔑 Graph token refreshed', { expiresAt: new Date(cached.expiresAt).toISOString() });
+        return cached.token;
+      } catch (error) {
+        stats.failures++;
+        stats.lastError = error.message;
+        throw error;
+      } finally {
+        refreshing = null;
+      }
+    })();
+  }
+
+  return refreshing;
+}
+
+/**
+ * Get a Microsoft Graph access token, from cache when it is still fresh
+ * @returns {String|null} Bearer token, or null when the request fails
+ */
+export async function getGraphToken() {
+  try {
+    return await acquireToken();
+  } catch (error) {
+    log.error('Failed to get Graph token:', error);
+    return null;
+  }
+}
+
+/**
+ * Drop the cached token so the next call fetches a new one (e.g. after a 401)
+ */
+export function invalidateGraphToken() {
+  cached = null;
+}
+
+/**
+ * Call the Graph API with a cached token; a 401 invalidates the token and retries once
+ * @param {String} path - Path below /v1.0, e.g. '/users/a%40b.com/sendMail'
+ * @param {Object} [options] - fetch options; the Authorization header is added
+ * @returns {Response}
+ */
+export async function graphFetch(path, options = {}) {
+  const send = async () => fetch(`${GRAPH_API_BASE}${path}`, {
+    ...options,
+    headers: { ...options.headers, 'Authorization': `Bearer ${await acquireToken()}` }
+  });
+
+  const response = await send();
+  if (response.status !== 401) {
+    return response;
+  }
+
+  log.warn('🔑 Graph rejected cached token, refreshing', { path });
+  invalidateGraphToken();
+  return send();
+}
+
+/**
+ * Token cache state for /health (never includes the token itself)
+ */
+export function getGraphTokenHealth() {
+  if (!isGraphConfigured()) {
+    return { configured: false };
+  }
+
+  return {
+    configured: true,
+    cached: !!cached,
+    expiresAt: cached ? new Date(cached.expiresAt).toISOString() : null,
+    expiresInSeconds: cached ? Math.max(Math.round((cached.expiresAt - Date.now()) / 1000), 0) : null,
+    ...stats
+  };
+}
+
+export default {
+  GRAPH_API_BASE,
+  isGraphConfigured,
+  getGraphToken,
+  invalidateGraphToken,
+  graphFetch,
+  getGraphTokenHealth
+};
@@ -0,0 +1,172 @@
+// src/services/inboundEmail.js - Reply detection for inbound mail
+// Whatever relay forwards our inbound mail (raw MIME, SendGrid Inbound Parse, Mailgun routes, Postmark
+// or a plain JSON body) is normalized to one message shape, then matched to a lead:
+//   1. In-Reply-To / References naming a message we sent (Message-ID <trackingId@...> or provider id)
+//   2. a tracking id quoted in the body (open pixel or click link of the original email)
+//   3. the sender's address
+// A match fires the email_replied exit trigger and logs an email_replied interaction on the lead.
+// Auto-replies are acknowledged but never treated as replies; bounce reports go to deliveryEvents.js.
+
+import { leadDb } from '../models/database.js';
+import { parseMimeMessage, parseHeaders, extractAddress } from './mimeMessage.js';
+import { findTrackedMessage, findTrackingIds, recordReply } from './emailTracking.js';
+import { fireExitTrigger } from './automationTriggers.js';
+import { processDeliveryEvents } from './deliveryEvents.js';
+import { htmlToText } from '../utils/htmlToText.js';
+import { log } from '../utils/logger.js';
+
+const PREVIEW_LENGTH = 280;
+
+// The raw MIME text, when the relay sent it (SendGrid's "POST the raw, full MIME message" sends it as email)
+const rawMessage = (input) => (typeof input === 'string' ? input : input?.raw || input?.email || input?.RawEmail);
+
+// Headers from the shapes relays send: a raw block, [[name, value]], [{ Name, Value }] or { name: value }
+function normalizeHeaders(headers) {
+  if (!headers) return {};
+  if (typeof headers === 'string') {
+    try {
+      return normalizeHeaders(JSON.parse(headers)); // Mailgun's message-headers is a JSON string
+    } catch {
+      return parseHeaders(headers); // SendGrid's headers field is the raw block
+    }
+  }
+  const entries = Array.isArray(headers)
+    ? headers.map(entry => (Array.isArray(entry) ? entry : [entry.Name ?? entry.name, entry.Value ?? entry.value]))
+    : Object.entries(headers);
+
+  const normalized = {};
+  for (const [name, value] of entries) {
+    const key = String(name).toLowerCase();
+    if (!(key in normalized)) normalized[key] = String(value);
+  }
+  return normalized;
+}
+
+/**
+ * One message shape for every relay format
+ * @param {String|Object} input - Raw MIME text, or the relay's parsed body
+ * @returns {Object} { from, to, subject, headers, text, html }
+ */
+export function normalizeInboundEmail(input) {
+  const raw = rawMessage(input);
+  if (typeof raw === 'string' && raw.trim()) {
+    const { headers, text, html } = parseMimeMessage(raw);
+    return { from: extractAddress(headers.from), to: extractAddress(headers.to), subject: headers.subject || '', headers, text, html };
+  }
+
+  const fields = input || {};
+  const headers = {
+    ...normalizeHeaders(fields.headers || fields['message-headers'] || fields.Headers),
+    ...normalizeHeaders(Object.fromEntries(
+      [['in-reply-to', fields['In-Reply-To'] || fields.inReplyTo], ['references', fields.References || fields.references]]
+        .filter(([, value]) => value)
+    ))
+  };
+  const html = fields.html || fields['body-html'] || fields.HtmlBody || '';
+
+  return {
+    from: extractAddress(fields.FromFull?.Email || fields.sender || fields.from || fields.From || headers.from),
+    to: extractAddress(fields.recipient || fields.to || fields.To || headers.to),
+    subject: fields.subject || fields.Subject || headers.subject || '',
+    headers,
+    text: fields.text || fields['body-plain'] || fields.TextBody || (html ? htmlToText(html) : ''),
+    html
+  };
+}
+
+/**
+ * Why a message should not count as a reply, or null when it should
+ * @returns {String|null} 'auto_reply' or 'delivery_report'
+ */
+export function ignoreReason({ headers, subject }) {
+  if (/multipart\/report/i.test(headers['content-type'] || '')) return 'delivery_report';
+
+  const autoSubmitted = (headers['auto-submitted'] || 'no').toLowerCase();
+  const precedence = (headers.precedence || '').toLowerCase();
+  if (autoSubmitted !== 'no' || headers['x-autoreply'] || headers['x-autorespond'] ||
+      ['auto_reply', 'bulk', 'junk', 'list'].includes(precedence) ||
+      /^(auto(matic)?[ -]?reply|out of (the )?office)/i.test(subject)) {
+    return 'auto_reply';
+  }
+  return null;
+}
+
+const messageIdsIn = (value) => String(value || '').match(/<[^>]+>/g) || [];
+
+/**
+ * Find the lead an inbound message is replying to
+ * @param {Object} message - From normalizeInboundEmail()
+ * @returns {Object|null} { method, email, leadId, trackingId }
+ */
+export async function matchReply(message) {
+  const byHeaders = await findTrackedMessage({
+    messageIds: [...messageIdsIn(message.headers['in-reply-to']), ...messageIdsIn(message.headers.references)]
+  });
+  if (byHeaders) {
+    return { method: 'headers', email: byHeaders.email, leadId: byHeaders.lead_id, trackingId: byHeaders.tracking_id };
+  }
+
+  const byTrackingId = await findTrackedMessage({ trackingIds: findTrackingIds(`${message.text}\n${message.html}`) });
+  if (byTrackingId) {
+    return { method: 'tracking_id', email: byTrackingId.email, leadId: byTrackingId.lead_id, trackingId: byTrackingId.tracking_id };
+  }
+
+  const lead = message.from ? await leadDb.getLeadByEmail(message.from) : null;
+  if (lead) {
+    return { method: 'sender', email: lead.email, leadId: lead.id, trackingId: null };
+  }
+  return null;
+}
+
+/**
+ * Process one inbound message: match it to a lead, stop their sequences and log the reply
+ * @param {String|Object} input - Raw MIME or a relay's webhook body
+ * @returns {Object} { matched, ignored?, method?, email?, leadId?, trackingId?, trigger? }
+ */
+export async function handleInboundEmail(input) {
+  const message = normalizeInboundEmail(input);
+
+  const ignored = ignoreReason(message);
+  // Bounces for Graph and SMTP sends come back to our mailbox rather than through a provider webhook;
+  // deliveryEvents.js only counts reports that name a message we sent
+  if (ignored === 'delivery_report' && typeof rawMessage(input) === 'string') {
+    const delivery = await processDeliveryEvents('dsn', rawMessage(input));
+    return { matched: false, ignored, delivery };
+  }
+  if (ignored) {
+    log.info('📨 Inbound email ignored', { from: message.from, subject: message.subject, reason: ignored });
+    return { matched: false, ignored };
+  }
+
+  const match = await matchReply(message);
+  if (!match) {
+    log.info('📨 Inbound email did not match a lead', { from: message.from, subject: message.subject });
+    return { matched: false };
+  }
+
+  // Messages tracked before a lead existed carry no lead id; fall back to the address
+  const leadId = match.leadId || (await leadDb.getLeadByEmail(match.email))?.id || null;
+  if (match.trackingId) {
+    await recordReply(match.trackingId);
+  }
+
+  const trigger = await fireExitTrigger(match.email, 'email_replied', {
+    details: { method: match.method, trackingId: match.trackingId, from: message.from }
+  });
+
+  if (leadId) {
+    await leadDb.logInteraction(leadId, 'email_replied', {
+      from: message.from,
+      subject: message.subject,
+      method: match.method,
+      trackingId: match.trackingId,
+      preview: message.text.replace(/\s+/g, ' ').trim().slice(0, PREVIEW_LENGTH),
+      automationsStopped: trigger.automations.length + trigger.pathwaysPaused
+    });
+  }
+
+  log.info('💬 Reply detected', { email: match.email, method: match.method, automations: trigger.automations.length });
+  return { matched: true, ...match, leadId, trigger };
+}
+
+export default { normalizeInboundEmail, ignoreReason, matchReply, handleInboundEmail };
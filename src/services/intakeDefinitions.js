@@ -0,0 +1,361 @@
+// src/services/intakeDefinitions.js - Intake submission types
+// Each entry describes one form: its scorer, emails, alert routing and integrations.
+// Adding a practice area means adding a definition here, not writing a new handler.
+
+import { registerIntake, registerIntegration, STANDARD_ALERT_RECIPIENTS, HIGH_VALUE_THRESHOLD } from './intakePipeline.js';
+import { calculateGamingLeadScore, calculateAssessmentLeadScore } from './leadScoring.js';
+import { assessLegalStrategy } from './strategyAssessment.js';
+import { leadDb } from '../models/database.js';
+import {
+  generateClientEmail,
+  generateInternalEmail,
+  generateResourceThankYouEmail,
+  generateNewsletterWelcomeEmail,
+  generateOutsideCounselClientEmail,
+  generateOutsideCounselInternalEmail
+} from '../simple-email-templates.js';
+
+// Shared schema fragments (see intakeSchemas.js); email is required by every intake already
+const NAME = { type: 'string', maxLength: 200 };
+const TEXT = { type: 'string', maxLength: 5000 };
+const CONTACT_SCHEMA = {
+  firstName: NAME,
+  lastName: NAME,
+  fullName: NAME,
+  phone: { type: 'phone' }
+};
+
+// Shared template adapters
+const clientIntakeEmail = ({ formData, submissionType }) => generateClientEmail(formData, submissionType);
+const internalAlertEmail = ({ formData, leadScore, submissionType, documents }) => generateInternalEmail(formData, leadScore, submissionType, documents);
+
+// 1. ESTATE PLANNING
+registerIntake({
+  type: 'estate-intake',
+  path: '/estate-intake',
+  idPrefix: 'estate',
+  serviceName: 'Estate Planning',
+  acceptsDocuments: true,
+  schema: {
+    ...CONTACT_SCHEMA,
+    grossEstate: { type: 'amount' },
+    estateValue: { type: 'enum', values: ['under-250k', '250k-500k', '500k-1m', '1m-2m', '2m-5m', 'over-5m'] },
+    specialCircumstances: TEXT,
+    questions: TEXT
+  },
+  client: {
+    template: clientIntakeEmail,
+    subject: 'Estate Planning Intake Received - Next Steps'
+  },
+  internal: { template: internalAlertEmail }
+});
+
+// 2. BUSINESS FORMATION
+registerIntake({
+  type: 'business-formation',
+  path: '/business-formation-intake',
+  idPrefix: 'business',
+  serviceName: 'Business Formation',
+  acceptsDocuments: true,
+  schema: {
+    ...CONTACT_SCHEMA,
+    contactName: NAME,
+    founderName: NAME,
+    investmentPlan: { type: 'enum', values: ['self-funded', 'friends-family', 'angel', 'vc', 'loans', 'unsure'] },
+    businessDescription: TEXT,
+    questions: TEXT
+  },
+  client: {
+    template: clientIntakeEmail,
+    subject: 'Business Formation Intake Received - Next Steps'
+  },
+  internal: { template: internalAlertEmail }
+});
+
+// 3. BRAND PROTECTION
+registerIntake({
+  type: 'brand-protection',
+  path: '/brand-protection-intake',
+  idPrefix: 'brand',
+  serviceName: 'Brand Protection',
+  acceptsDocuments: true,
+  schema: {
+    ...CONTACT_SCHEMA,
+    contactName: NAME,
+    socialFollowing: { type: 'amount' },
+    businessRevenue: { type: 'amount' },
+    brandDescription: TEXT,
+    specialCircumstances: TEXT
+  },
+  client: {
+    template: clientIntakeEmail,
+    subject: 'Brand Protection Intake Received - Next Steps'
+  },
+  internal: { template: internalAlertEmail }
+});
+
+// 4. OUTSIDE GENERAL COUNSEL
+registerIntake({
+  type: 'outside-counsel',
+  path: '/outside-counsel',
+  idPrefix: 'outside-counsel',
+  serviceName: 'Outside Counsel',
+  acceptsDocuments: true,
+  schema: {
+    ...CONTACT_SCHEMA,
+    contactName: { ...NAME, required: true },
+    companyName: { ...NAME, required: true },
+    legalSpend: { type: 'enum', values: ['under-1k', '1k-5k', '5k-10k', '10k-25k', '25k-plus', 'varies'] },
+    businessDescription: TEXT,
+    legalChallenges: TEXT,
+    questions: TEXT
+  },
+  // The form sends a single contactName; Clio and Kit expect first/last name
+  normalize: (formData) => {
+    const [firstName, ...rest] = (formData.contactName || '').trim().split(/\s+/);
+    return {
+      ...formData,
+      firstName: formData.firstName || firstName || '',
+      lastName: formData.lastName || rest.join(' '),
+      businessName: formData.businessName || formData.companyName
+    };
+  },
+  client: {
+    template: ({ formData }) => generateOutsideCounselClientEmail(formData),
+    subject: 'Outside Counsel Inquiry Received - Next Steps'
+  },
+  internal: {
+    template: ({ formData, leadScore, documents }) => generateOutsideCounselInternalEmail(formData, leadScore, documents),
+    subject: ({ formData, leadScore }) => `${leadScore.score >= HIGH_VALUE_THRESHOLD ? '🔥 HIGH VALUE' : '💼'} Outside Counsel — ${formData.companyName || formData.email} (Score: ${leadScore.score})`
+  }
+});
+
+// 5. GAMING & INTERACTIVE ENTERTAINMENT LEGAL
+registerIntake({
+  type: 'gaming-legal-intake',
+  path: '/gaming-legal-intake',
+  idPrefix: 'gaming',
+  serviceName: 'Gaming & Interactive Entertainment Legal',
+  acceptsDocuments: true,
+  schema: {
+    ...CONTACT_SCHEMA,
+    company: NAME,
+    hasRealMoney: { type: 'boolean' },
+    isSkillBased: { type: 'boolean' },
+    urgencyLevel: { type: 'enum', values: ['immediate', 'high', 'normal', 'low'] },
+    legalServices: { type: 'list' },
+    specificChallenges: TEXT
+  },
+  scorer: calculateGamingLeadScore,
+  leadFields: ({ formData }) => ({
+    practice_area: 'Gaming & Interactive Entertainment Legal',
+    game_type: formData.gameType || 'Not specified',
+    has_real_money: formData.hasRealMoney === true || formData.hasRealMoney === 'true' ? 'Yes' : 'No',
+    is_skill_based: formData.isSkillBased === true || formData.isSkillBased === 'true' ? 'Yes' : 'No',
+    business_value: 'High' // Gaming legal clients are inherently high value
+  }),
+  client: {
+    template: clientIntakeEmail,
+    subject: 'Gaming Legal Consultation Request Received - High Priority Response'
+  },
+  internal: {
+    template: internalAlertEmail,
+    recipients: STANDARD_ALERT_RECIPIENTS, // Always alert Drew for gaming legal
+    subject: ({ formData, leadScore }) => {
+      const priorityEmoji = leadScore.priority === 'critical' ? '🚨 CRITICAL' : '🎮 HIGH PRIORITY';
+      return `${priorityEmoji} Gaming Legal — ${formData.company || formData.firstName} ${formData.lastName} (Score: ${leadScore.score})`;
+    },
+    priority: 'high' // Always high priority for gaming
+  },
+  interaction: {
+    type: 'gaming_legal_submission',
+    details: ({ formData, leadScore }) => ({
+      score: leadScore.score,
+      priority: leadScore.priority,
+      gameType: formData.gameType,
+      hasRealMoney: formData.hasRealMoney,
+      isSkillBased: formData.isSkillBased,
+      urgencyLevel: formData.urgencyLevel
+    })
+  },
+  response: ({ submissionId, leadScore }) => ({
+    success: true,
+    message: `Gaming legal consultation request received with ${leadScore.priority.toUpperCase()} priority status`,
+    submissionId,
+    leadScore: leadScore.score,
+    priority: leadScore.priority,
+    nextSteps: {
+      responseTime: leadScore.priority === 'critical' ? 'Within 2 hours' : 'Within 24 hours',
+      schedulingLink: 'https://calendly.com/jacobscounsel/gaming-consultation',
+      emergencyContact: leadScore.priority === 'critical' ? 'Immediate consultation available' : null
+    },
+    practiceArea: 'Gaming & Interactive Entertainment Legal',
+    estimatedValue: leadScore.score > 80 ? 'Very High' : leadScore.score > 60 ? 'High' : 'Medium'
+  }),
+  errorMessage: 'An error occurred processing your gaming legal consultation request. Please try again.',
+  errorIdPrefix: 'gaming-error'
+});
+
+// 6. LEGAL STRATEGY BUILDER (The premium assessment tool)
+registerIntake({
+  type: 'legal-strategy-builder',
+  path: '/legal-strategy-builder',
+  idPrefix: 'strategy',
+  serviceName: 'Legal Strategy Builder',
+  client: {
+    template: clientIntakeEmail,
+    subject: 'Legal Strategy Assessment Complete - Your Results & Next Steps'
+  },
+  internal: { template: internalAlertEmail },
+  response: ({ definition, submissionId }) => ({
+    success: true,
+    message: `${definition.serviceName} complete. Check your email for detailed results.`,
+    submissionId
+  })
+});
+
+// 6b. LEGAL STRATEGY ASSESSMENT (premium builder page, scored server-side)
+registerIntegration('assessment-results', {
+  label: 'Assessment results',
+  run: async ({ formData, leadId, submissionId }) => leadDb.saveAssessmentResults(leadId, submissionId, formData.assessment)
+});
+
+registerIntake({
+  type: 'legal-strategy-assessment',
+  path: '/legal-strategy-assessment',
+  idPrefix: 'assessment',
+  serviceName: 'Legal Strategy Assessment',
+  acceptsDocuments: true, // The page posts multipart FormData
+  schema: {
+    name: NAME,
+    additional_info: TEXT
+  },
+  // Recompute the risk picture from the raw answers; browser-side scores are kept for reference only
+  normalize: (formData) => {
+    const assessment = assessLegalStrategy(formData);
+    const [firstName, ...rest] = (formData.name || '').trim().split(/\s+/);
+    return {
+      ...formData,
+      firstName: formData.firstName || firstName || '',
+      lastName: formData.lastName || rest.join(' '),
+      clientStrategyScore: formData.strategyScore,
+      clientRecommendations: formData.recommendations,
+      assessment,
+      overallRiskScore: assessment.overallRiskScore,
+      riskBreakdown: JSON.stringify(Object.fromEntries(assessment.areas.map(({ area, score }) => [area, score]))),
+      highRiskAreas: JSON.stringify(assessment.highRiskAreas),
+      recommendations: JSON.stringify(assessment.recommendations)
+    };
+  },
+  scorer: calculateAssessmentLeadScore,
+  integrations: ['assessment-results', 'clio', 'kit'],
+  client: {
+    template: clientIntakeEmail,
+    subject: 'Your Legal Strategy Assessment Results & Next Steps'
+  },
+  internal: {
+    template: internalAlertEmail,
+    subject: ({ formData, leadScore }) => {
+      const prefix = leadScore.score >= HIGH_VALUE_THRESHOLD ? '🔥 HIGH VALUE' : '🧭';
+      return `${prefix} Strategy Assessment — ${formData.name || formData.email} (Risk: ${formData.overallRiskScore}/30, Score: ${leadScore.score})`;
+    }
+  },
+  interaction: {
+    type: 'strategy_assessment_submission',
+    details: ({ formData, leadScore }) => ({
+      score: leadScore.score,
+      priority: leadScore.priority,
+      userType: formData.assessment.userType,
+      overallRiskScore: formData.assessment.overallRiskScore,
+      overallRiskLevel: formData.assessment.overallRiskLevel
+    })
+  },
+  response: ({ formData, submissionId, leadScore }) => {
+    const { assessment } = formData;
+    return {
+      success: true,
+      message: 'Legal strategy assessment complete. Check your email for detailed results.',
+      submissionId,
+      leadScore: leadScore.score,
+      report: {
+        userType: assessment.userType,
+        overallRiskScore: assessment.overallRiskScore,
+        overallRiskLevel: assessment.overallRiskLevel,
+        riskBreakdown: assessment.areas,
+        highRiskAreas: assessment.highRiskAreas,
+        recommendations: assessment.recommendations
+      }
+    };
+  },
+  errorMessage: 'An error occurred processing your legal strategy assessment. Please try again.',
+  errorIdPrefix: 'assessment-error'
+});
+
+// 7. NEWSLETTER SIGNUP
+registerIntake({
+  type: 'newsletter-signup',
+  path: '/newsletter-signup',
+  idPrefix: 'newsletter',
+  serviceName: 'Newsletter Signup',
+  client: {
+    template: ({ formData, submissionType }) => generateNewsletterWelcomeEmail(formData, submissionType),
+    subject: 'Welcome to Strategic Legal Insights',
+    category: 'newsletter'
+  },
+  internal: {
+    template: internalAlertEmail,
+    recipients: STANDARD_ALERT_RECIPIENTS,
+    subject: ({ definition, formData, leadScore }) => `📧 ${definition.serviceName} — ${formData.email} (Score: ${leadScore.score})`,
+    priority: 'normal'
+  },
+  interaction: {
+    type: 'newsletter_signup',
+    details: ({ leadScore }) => ({ score: leadScore.score, priority: leadScore.priority })
+  },
+  response: ({ submissionId }) => ({
+    success: true,
+    message: 'Successfully subscribed to newsletter. Check your email for confirmation.',
+    submissionId
+  })
+});
+
+// 8-11. RESOURCE GUIDE DOWNLOADS
+const resourceGuides = [
+  { path: '/resource-guide-download', type: 'resource-guide', serviceName: 'Resource Guide', subject: 'Your Legal Resource Guide' },
+  { path: '/business-guide-download', type: 'business-guide', serviceName: 'Business Guide', subject: 'Your Business Formation Guide' },
+  { path: '/brand-guide-download', type: 'brand-guide', serviceName: 'Brand Guide', subject: 'Your Brand Protection Guide' },
+  { path: '/estate-guide-download', type: 'estate-guide', serviceName: 'Estate Guide', subject: 'Your Estate Planning Guide' }
+];
+
+resourceGuides.forEach(({ path, type, serviceName, subject }) => {
+  registerIntake({
+    type,
+    path,
+    idPrefix: type,
+    serviceName,
+    client: {
+      template: ({ formData, submissionType }) => generateResourceThankYouEmail(formData, submissionType),
+      subject,
+      category: 'resources'
+    },
+    internal: {
+      template: internalAlertEmail,
+      recipients: STANDARD_ALERT_RECIPIENTS,
+      subject: ({ definition, formData, leadScore }) => `📚 ${definition.serviceName} Download — ${formData.email} (Score: ${leadScore.score})`,
+      priority: 'normal'
+    },
+    interaction: {
+      type: 'resource_download',
+      details: ({ submissionType, leadScore }) => ({
+        resource: submissionType,
+        score: leadScore.score,
+        priority: leadScore.priority
+      })
+    },
+    response: ({ definition, submissionId }) => ({
+      success: true,
+      message: `${definition.serviceName} sent to your email. Check your inbox!`,
+      submissionId
+    })
+  });
+});
@@ -0,0 +1,417 @@
+// src/services/intakePipeline.js - Declarative intake pipeline engine
+// Every intake form runs the same steps: sanitize → validate → normalize → score → store, then queues
+// client email → internal alert → integrations (Clio, Kit) and logs the interaction. A submission type is
+// described by a definition object; this module turns definitions into Express handlers.
+// Uploaded documents (definitions with acceptsDocuments) are validated and inspected with the form and
+// stored against the lead (documents.js); the internal alert links to them.
+
+import { randomUUID } from 'crypto';
+import { leadDb } from '../models/database-production.js';
+import { calculateLeadScore } from './leadScoring.js';
+import {
+  createClioLead,
+  addToKitWithIntelligentTagging,
+  sanitizeInput
+} from './coreServices.js';
+import { IntelligentKitIntegration } from './intelligentKitIntegration.js';
+import { validateIntake, IntakeValidationError } from './intakeSchemas.js';
+import { enqueueJob, registerJobHandler } from './jobQueue.js';
+import { sendMail } from './mailTransport.js';
+import { TRANSACTIONAL, protectAddresses } from './suppression.js';
+import {
+  validateDocuments,
+  inspectDocuments,
+  storeLeadDocuments,
+  listSubmissionDocuments,
+  documentLinks,
+  attachDocumentsToClio
+} from './documents.js';
+import { log } from '../utils/logger.js';
+
+export const STANDARD_ALERT_RECIPIENTS = ['drew@jacobscounsel.com'];
+export const HIGH_VALUE_ALERT_RECIPIENTS = ['drew@jacobscounsel.com', 'intake@jacobscounsel.com'];
+protectAddresses([...STANDARD_ALERT_RECIPIENTS, ...HIGH_VALUE_ALERT_RECIPIENTS]);
+export const HIGH_VALUE_THRESHOLD = 80;
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+const definitions = new Map();
+const integrations = new Map();
+
+// Resolve a definition value that may be static or computed from the pipeline context
+function resolve(value, ctx) {
+  return typeof value === 'function' ? value(ctx) : value;
+}
+
+const isHighValue = ({ leadScore }) => leadScore.score >= HIGH_VALUE_THRESHOLD;
+
+// Defaults shared by every intake; a definition only lists what differs
+const DEFAULT_DEFINITION = {
+  acceptsDocuments: false,
+  scorer: calculateLeadScore,
+  integrations: ['clio', 'kit'],
+  // Every form must at least identify the lead; definitions add their own fields
+  schema: {
+    email: { type: 'email', required: true }
+  },
+  normalize: (formData) => formData,
+  leadFields: () => ({}),
+  client: {
+    category: TRANSACTIONAL // the confirmation the submitter just asked for
+  },
+  internal: {
+    recipients: (ctx) => isHighValue(ctx) ? HIGH_VALUE_ALERT_RECIPIENTS : STANDARD_ALERT_RECIPIENTS,
+    subject: (ctx) => `${isHighValue(ctx) ? '🔥 HIGH VALUE' : '📋'} ${ctx.definition.serviceName} — ${ctx.formData.email} (Score: ${ctx.leadScore.score})`,
+    priority: (ctx) => isHighValue(ctx) ? 'high' : 'normal'
+  },
+  interaction: {
+    type: 'form_submitted',
+    details: ({ submissionType, leadScore }) => ({
+      type: submissionType,
+      score: leadScore.score,
+      priority: leadScore.priority
+    })
+  },
+  response: ({ definition, submissionId }) => ({
+    success: true,
+    message: `${definition.serviceName} submission received successfully. Check your email for next steps.`,
+    submissionId
+  }),
+  errorMessage: 'Internal server error. Please try again.',
+  errorIdPrefix: 'error'
+};
+
+/**
+ * Register an outbound integration step that definitions can reference by name
+ * @param {String} name - Name used in a definition's `integrations` list
+ * @param {Object} integration - { label, run(ctx) } where run resolves to { success, ... }
+ */
+export function registerIntegration(name, { label = name, run }) {
+  integrations.set(name, { name, label, run });
+}
+
+/**
+ * Register an intake submission type
+ * @param {Object} definition - Intake definition
+ * @param {String} definition.type - Submission type stored on the lead (e.g. 'estate-intake')
+ * @param {String} definition.path - POST route the form submits to
+ * @param {String} definition.idPrefix - Prefix for generated submission IDs
+ * @param {String} definition.serviceName - Human-readable name used in subjects and messages
+ * @param {Object} [definition.schema] - Field specs checked before normalize (see intakeSchemas.js); merged over the email requirement
+ * @param {Function} [definition.normalize] - formData => formData mapped onto the shared field names
+ * @param {Function} [definition.scorer] - (formData, submissionType) => { score, priority, factors }
+ * @param {Object} definition.client - { template(ctx), subject, category } for the client confirmation (category: suppression.js)
+ * @param {Object} definition.internal - { template(ctx), subject, recipients, priority } for the alert
+ * @param {Array} [definition.integrations] - Registered integration names to run, in order
+ * @param {Object} [definition.interaction] - { type, details(ctx) } logged once the pipeline finishes
+ * @param {Function} [definition.leadFields] - ctx => extra columns stored with the lead
+ * @param {Function} [definition.response] - ctx => JSON body returned to the form
+ * @returns {Object} The normalized definition
+ */
+export function registerIntake(definition) {
+  for (const key of ['type', 'path', 'idPrefix', 'serviceName', 'client']) {
+    if (!definition[key]) {
+      throw new Error(`Intake definition is missing "${key}"`);
+    }
+  }
+  if (definitions.has(definition.type)) {
+    throw new Error(`Intake type already registered: ${definition.type}`);
+  }
+
+  const normalized = {
+    ...DEFAULT_DEFINITION,
+    ...definition,
+    client: { ...DEFAULT_DEFINITION.client, ...definition.client },
+    internal: { ...DEFAULT_DEFINITION.internal, ...definition.internal },
+    schema: { ...DEFAULT_DEFINITION.schema, ...definition.schema },
+    interaction: { ...DEFAULT_DEFINITION.interaction, ...definition.interaction }
+  };
+
+  // Alert inboxes must never be silenced by a bounce (suppression.js)
+  if (Array.isArray(normalized.internal.recipients)) {
+    protectAddresses(normalized.internal.recipients);
+  }
+
+  const unknown = normalized.integrations.filter(name => !integrations.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Intake ${definition.type} references unknown integrations: ${unknown.join(', ')}`);
+  }
+
+  definitions.set(normalized.type, normalized);
+  return normalized;
+}
+
+export function getIntakeDefinition(type) {
+  return definitions.get(type);
+}
+
+export function listIntakeDefinitions() {
+  return Array.from(definitions.values());
+}
+
+// Rebuild the pipeline context a queued job needs from its stored payload
+function jobContext({ submissionType, submissionId, leadId, formData, leadScore }) {
+  const definition = definitions.get(submissionType);
+  if (!definition) {
+    throw new Error(`Unknown intake type ${submissionType}`);
+  }
+  return { definition, formData, submissionType, submissionId, leadId, leadScore, documents: [] };
+}
+
+/**
+ * Run the intake pipeline for one submission
+ * Validation, scoring and storage happen inline; emails and integrations are queued
+ * (src/services/jobQueue.js) so the form gets its response as soon as the lead is stored.
+ * @param {Object} definition - Registered intake definition
+ * @param {Object} rawFormData - Submitted form fields; an optional idempotencyKey makes a retried submit
+ *   (double click, client retry) from the same address reuse the stored lead
+ * @param {Object} [upload] - { files }: multer files, kept only when the definition acceptsDocuments
+ * @throws {IntakeValidationError} When the submission fails the definition's schema or document limits
+ * @returns {Object} Pipeline context (formData, submissionId, leadScore, leadId, documents, jobs, duplicate)
+ */
+export async function runIntakePipeline(definition, rawFormData, { files = [] } = {}) {
+  const validation = validateIntake(definition.schema, sanitizeInput(rawFormData || {}));
+  const uploads = definition.acceptsDocuments ? files : [];
+  const documentErrors = validateDocuments(uploads);
+  // Content inspection (magic bytes, macros, archives, ClamAV) only for files within the limits
+  const inspectionErrors = documentErrors.length === 0 ? await inspectDocuments(uploads) : [];
+  const errors = [...validation.errors, ...documentErrors, ...inspectionErrors];
+  if (errors.length > 0) {
+    throw new IntakeValidationError(errors);
+  }
+
+  // Submission ids are always ours; a client may only send an idempotency key for its own retries
+  const { submissionId: _clientSubmissionId, idempotencyKey, ...fields } = validation.data;
+  const formData = definition.normalize(fields);
+  const submissionType = definition.type;
+  const ctx = {
+    definition,
+    formData,
+    submissionType,
+    submissionId: `${definition.idPrefix}-${randomUUID()}`,
+    jobs: {}
+  };
+
+  log.info(`📥 New ${submissionType} submission`, { email: formData.email });
+
+  ctx.leadScore = definition.scorer(formData, submissionType);
+  log.info(`📊 Lead score: ${ctx.leadScore.score}/100 (${ctx.leadScore.priority})`);
+
+  const key = idempotencyKey ? String(idempotencyKey).slice(0, MAX_IDEMPOTENCY_KEY_LENGTH) : null;
+  const existing = await findRepeatedSubmission(submissionType, formData.email, key)
+    || await storeLead(definition, ctx, key);
+  ctx.duplicate = Boolean(existing);
+
+  if (existing) {
+    // A double click or client retry: reuse the stored lead and never attach new uploads to it
+    ctx.submissionId = existing.submission_id;
+    ctx.leadId = existing.id;
+    ctx.documents = await listSubmissionDocuments(ctx.submissionId);
+    log.info('Duplicate submission - reusing stored lead', {
+      submissionId: ctx.submissionId,
+      leadId: existing.id,
+      ignoredUploads: uploads.length
+    });
+  } else {
+    ctx.documents = await storeLeadDocuments({ leadId: ctx.leadId, submissionId: ctx.submissionId, files: uploads });
+  }
+
+  // Outbound work is keyed by submissionId, so a duplicate submission queues nothing new
+  const payload = {
+    submissionType,
+    submissionId: ctx.submissionId,
+    leadId: ctx.leadId,
+    formData,
+    leadScore: ctx.leadScore
+  };
+  const queue = (name, type, extra = {}) => enqueueJob(type, { ...payload, ...extra }, {
+    idempotencyKey: `${ctx.submissionId}:${name}`
+  }).then(job => { ctx.jobs[name] = job.id; });
+
+  // 1. CLIENT CONFIRMATION EMAIL
+  await queue('client-email', 'intake.client-email');
+
+  // 2. INTERNAL ALERT EMAIL
+  if (definition.internal.template) {
+    await queue('internal-alert', 'intake.internal-alert');
+  }
+
+  // 3. INTEGRATIONS (Clio Grow, Kit intelligent tagging, ...)
+  for (const name of definition.integrations) {
+    await queue(`integration:${name}`, 'intake.integration', { integration: name });
+  }
+
+  // 4. LOG INTERACTION
+  if (!ctx.duplicate) {
+    await leadDb.logInteraction(ctx.leadId, definition.interaction.type, definition.interaction.details(ctx));
+    if (ctx.documents.length > 0) {
+      await leadDb.logInteraction(ctx.leadId, 'documents_uploaded', {
+        documents: ctx.documents.map(document => document.original_name)
+      });
+    }
+  }
+
+  return ctx;
+}
+
+const findRepeatedSubmission = (submissionType, email, key) =>
+  key ? leadDb.getLeadByIdempotencyKey({ submissionType, email, key }) : null;
+
+// Insert the lead (sets ctx.leadId); returns the stored lead instead when a concurrent request with
+// the same idempotency key won the insert
+async function storeLead(definition, ctx, key) {
+  try {
+    const stored = await leadDb.insertLead({
+      ...ctx.formData,
+      submission_type: ctx.submissionType,
+      lead_score: ctx.leadScore.score,
+      priority: ctx.leadScore.priority,
+      submission_id: ctx.submissionId,
+      idempotency_key: key,
+      ...definition.leadFields(ctx)
+    });
+    ctx.leadId = stored.lastInsertRowid;
+    return null;
+  } catch (error) {
+    const winner = key && error.code === 'SQLITE_CONSTRAINT'
+      && await findRepeatedSubmission(ctx.submissionType, ctx.formData.email, key);
+    if (!winner) throw error;
+    return winner;
+  }
+}
+
+// Build the Express handler for a definition
+export function createIntakeHandler(definition) {
+  return async (req, res) => {
+    try {
+      const ctx = await runIntakePipeline(definition, req.body, { files: req.files });
+      res.json(definition.response(ctx));
+    } catch (error) {
+      if (error instanceof IntakeValidationError) {
+        log.warn(`⚠️ ${definition.type} rejected:`, { errors: error.errors });
+        return res.status(422).json({
+          success: false,
+          message: 'Please correct the highlighted fields and try again.',
+          errors: error.errors
+        });
+      }
+
+      log.error(`❌ ${definition.type} error:`, { error: error.message, stack: error.stack });
+      res.status(500).json({
+        success: false,
+        message: definition.errorMessage,
+        submissionId: `${definition.errorIdPrefix}-${randomUUID()}`
+      });
+    }
+  };
+}
+
+// Multer rejects oversized or surplus files before the pipeline runs; answer like a validation error
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: 'A file is larger than the upload limit',
+  LIMIT_FILE_COUNT: 'Too many files uploaded'
+};
+const acceptDocuments = (upload) => (req, res, next) => upload.array('documents')(req, res, (error) => {
+  if (error?.name !== 'MulterError') return next(error);
+  log.warn('⚠️ Intake upload rejected:', { path: req.path, code: error.code });
+  res.status(422).json({
+    success: false,
+    message: 'Please correct the highlighted fields and try again.',
+    errors: [{ field: 'documents', message: UPLOAD_ERRORS[error.code] || 'Upload files in the "documents" field' }]
+  });
+});
+
+/**
+ * Mount every registered intake on an Express app
+ * @param {Object} app - Express app
+ * @param {Object} upload - Multer instance used for definitions that accept documents
+ */
+export function mountIntakes(app, upload) {
+  for (const definition of definitions.values()) {
+    const middleware = definition.acceptsDocuments ? [acceptDocuments(upload)] : [];
+    app.post(definition.path, ...middleware, createIntakeHandler(definition));
+  }
+}
+
+// Queued pipeline steps - throwing hands the job back to the queue for a retry
+registerJobHandler('intake.client-email', async (payload) => {
+  const ctx = jobContext(payload);
+  return sendMail({
+    to: [ctx.formData.email],
+    subject: resolve(ctx.definition.client.subject, ctx),
+    html: ctx.definition.client.template(ctx),
+    category: ctx.definition.client.category,
+    track: { leadId: ctx.leadId, templateKey: `${ctx.submissionType}/client` }
+  });
+});
+
+registerJobHandler('intake.internal-alert', async (payload) => {
+  const ctx = jobContext(payload);
+  // Links are signed at send time, so a retried alert never carries already-expired links
+  ctx.documents = documentLinks(await listSubmissionDocuments(ctx.submissionId));
+  const result = await sendMail({
+    to: resolve(ctx.definition.internal.recipients, ctx),
+    subject: resolve(ctx.definition.internal.subject, ctx),
+    html: ctx.definition.internal.template(ctx),
+    priority: resolve(ctx.definition.internal.priority, ctx),
+    category: TRANSACTIONAL
+  });
+  // An alert nobody receives must not complete quietly: fail the job so it ends up in the dead-letter
+  if (result.suppressed) {
+    const skipped = result.skipped.map(({ email, reason }) => `${email} (${reason})`).join(', ');
+    log.error('❌ Internal alert suppressed for every recipient', { submissionId: ctx.submissionId, skipped: result.skipped });
+    throw new Error(`Internal alert suppressed: ${skipped}`);
+  }
+  return result;
+});
+
+registerJobHandler('intake.integration', async (payload) => {
+  const integration = integrations.get(payload.integration);
+  if (!integration) {
+    throw new Error(`Unknown integration ${payload.integration}`);
+  }
+
+  const result = await integration.run(jobContext(payload));
+  // Integrations report failures as { success: false }; an unconfigured one is skipped, not retried
+  if (result?.success === false && result.reason !== 'not_configured') {
+    throw new Error(result.error || `${integration.label} failed`);
+  }
+  return result;
+});
+
+// Built-in integrations
+registerIntegration('clio', {
+  label: 'Clio integration',
+  run: async ({ formData, leadScore, submissionType, submissionId, leadId }) => {
+    const result = await createClioLead(formData, leadScore, submissionType);
+    if (result.success) {
+      await leadDb.logInteraction(leadId, 'clio_lead_created', { clioId: result.clioId });
+      log.info('✅ Clio lead created:', { clioId: result.clioId });
+      result.documents = await attachDocumentsToClio(submissionId, result.clioId);
+    }
+    return result;
+  }
+});
+
+registerIntegration('kit', {
+  label: 'Kit tagging',
+  run: async ({ formData, leadScore, submissionType, leadId }) => {
+    const result = await addToKitWithIntelligentTagging(formData, leadScore, submissionType);
+    if (result.success) {
+      log.info(`✅ Kit tagging applied: ${result.tags?.length || 0} tags`);
+      result.sequence = await new IntelligentKitIntegration()
+        .addToIntelligentSequence(formData.email, formData, leadScore, submissionType, { leadId });
+    }
+    return result;
+  }
+});
+
+export default {
+  registerIntake,
+  registerIntegration,
+  getIntakeDefinition,
+  listIntakeDefinitions,
+  runIntakePipeline,
+  createIntakeHandler,
+  mountIntakes
+};
@@ -0,0 +1,153 @@
+// src/services/intakeSchemas.js - Per-form intake field validation
+// A schema maps field names to specs ({ type, required, values, maxLength }).
+// validateIntake coerces each known field (emails lowercased, phones normalized,
+// amounts parsed to numbers) and collects field-level errors the forms can display.
+// Fields a schema does not mention pass through untouched.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const TRUE_VALUES = ['true', 'yes', 'on', '1'];
+const FALSE_VALUES = ['false', 'no', 'off', '0'];
+const AMOUNT_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+export class IntakeValidationError extends Error {
+  constructor(errors) {
+    super(`Intake validation failed: ${errors.map(error => error.field).join(', ')}`);
+    this.name = 'IntakeValidationError';
+    this.status = 422;
+    this.errors = errors;
+  }
+}
+
+const isBlank = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Parse a monetary amount or count as typed into a form
+ * Accepts numbers, "$2,500,000", "2.5M", "750k" and range options like "1m-2m" or "over-5m"
+ * (the first amount wins, so ranges score on their lower bound).
+ * @param {String|Number} value
+ * @returns {Number|null} Parsed amount, 0 for blank input, null when unparseable
+ */
+export function parseAmount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (isBlank(value)) return 0;
+
+  const match = String(value).replace(/[,$\s]/g, '').match(/(\d+(?:\.\d+)?)([kmb])?/i);
+  if (!match) return null;
+
+  const multiplier = AMOUNT_SUFFIXES[match[2]?.toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Normalize a phone number to E.164 (US numbers assumed when no country code is given)
+ * @param {String} value
+ * @returns {String|null} "+15551234567", or null when it cannot be a phone number
+ */
+export function normalizePhone(value) {
+  const raw = String(value).trim();
+  const digits = raw.replace(/\D/g, '');
+
+  if (raw.startsWith('+')) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+export function normalizeEmail(value) {
+  const email = String(value).trim().toLowerCase();
+  return EMAIL_PATTERN.test(email) ? email : null;
+}
+
+// Coercers return { value } on success or { error } with a message safe to show next to the field
+const COERCERS = {
+  string: (value, spec) => {
+    const text = String(value).trim();
+    if (spec.maxLength && text.length > spec.maxLength) {
+      return { error: `Must be ${spec.maxLength} characters or fewer` };
+    }
+    return { value: text };
+  },
+
+  email: (value) => {
+    const email = normalizeEmail(value);
+    return email ? { value: email } : { error: 'Enter a valid email address' };
+  },
+
+  phone: (value) => {
+    const phone = normalizePhone(value);
+    return phone ? { value: phone } : { error: 'Enter a valid phone number, e.g. (555) 123-4567' };
+  },
+
+  amount: (value) => {
+    const amount = parseAmount(value);
+    return amount === null || amount < 0 ? { error: 'Enter a number, e.g. 2,500,000 or 2.5M' } : { value: amount };
+  },
+
+  enum: (value, spec) => {
+    const match = spec.values.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+    return match ? { value: match } : { error: `Choose one of: ${spec.values.join(', ')}` };
+  },
+
+  boolean: (value) => {
+    if (typeof value === 'boolean') return { value };
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return { value: true };
+    if (FALSE_VALUES.includes(text)) return { value: false };
+    return { error: 'Must be yes or no' };
+  },
+
+  // Multi-selects arrive as arrays (JSON) or repeated/comma-separated values (multipart)
+  list: (value) => {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return { value: items.map(item => String(item).trim()).filter(Boolean) };
+  }
+};
+
+/**
+ * Validate and coerce form data against a schema
+ * @param {Object} schema - { fieldName: { type, required, values, maxLength, message } }
+ * @param {Object} formData - Sanitized submission
+ * @returns {Object} { valid, data, errors: [{ field, message }] }
+ */
+export function validateIntake(schema, formData) {
+  const data = { ...formData };
+  const errors = [];
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = formData[field];
+
+    if (isBlank(value)) {
+      if (spec.required) {
+        errors.push({ field, message: spec.message || 'This field is required' });
+      }
+      delete data[field];
+      continue;
+    }
+
+    const coerce = COERCERS[spec.type];
+    if (!coerce) {
+      throw new Error(`Unknown intake field type "${spec.type}" for ${field}`);
+    }
+
+    const result = coerce(value, spec);
+    if (result.error) {
+      errors.push({ field, message: spec.message || result.error });
+    } else {
+      data[field] = result.value;
+    }
+  }
+
+  return { valid: errors.length === 0, data, errors };
+}
+
+export default {
+  IntakeValidationError,
+  validateIntake,
+  parseAmount,
+  normalizePhone,
+  normalizeEmail
+};
@@ -1,36 +1,22 @@
 // src/services/intelligentKitIntegration.js - Super Smart Kit Integration with Strategic Tagging
 // This is the ONLY email automation system - no Mailchimp dependencies
 
-import fetch from 'node-fetch';
 import { config } from '../config/environment.js';
 import { log } from '../utils/logger.js';
-
-const KIT_API_BASE = 'https://api.kit.com/v4';
+import { leadDb } from '../models/database.js';
+import { getKitClient } from './kitClient.js';
 
 export class IntelligentKitIntegration {
-  constructor() {
-    this.apiKey = config.kit.apiKey;
-    this.headers = {
-      'X-Kit-Api-Key': this.apiKey,
-      'Content-Type': 'application/json'
-    };
+  constructor(kit = getKitClient()) {
+    this.kit = kit;
   }
 
   // Test connection to Kit
   async testConnection() {
     try {
-      const response = await fetch(`${KIT_API_BASE}/account`, {
-        headers: this.headers
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Kit connection failed: ${data.error || 'Unknown error'}`);
-      }
-      
-      log.info('✅ Kit connection successful', { account: data.name });
-      return { success: true, account: data };
+      const account = await this.kit.getAccount();
+      log.info('✅ Kit connection successful', { account: account?.name });
+      return { success: true, account };
     } catch (error) {
       log.error('❌ Kit connection failed:', error.message);
       throw error;
@@ -475,20 +461,10 @@ export class IntelligentKitIntegration {
     }
   }
 
-  // Helper methods for Kit API calls
+  // Helper methods for Kit API calls (src/services/kitClient.js)
   async getSubscriberByEmail(email) {
     try {
-      const response = await fetch(`${KIT_API_BASE}/subscribers?email_address=${encodeURIComponent(email)}`, {
-        headers: this.headers
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Subscriber lookup failed: ${data.error}`);
-      }
-      
-      return data.data && data.data.length > 0 ? data.data[0] : null;
+      return await this.kit.findSubscriber(email);
     } catch (error) {
       log.error(`Subscriber lookup failed: ${email}`, error.message);
       return null;
@@ -497,136 +473,40 @@ export class IntelligentKitIntegration {
 
   async createSubscriber(email, firstName = '', lastName = '') {
     try {
-      const response = await fetch(`${KIT_API_BASE}/subscribers`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({
-          email_address: email,
-          first_name: firstName,
-          last_name: lastName
-        })
+      const subscriber = await this.kit.upsertSubscriber({
+        email,
+        firstName,
+        fields: lastName ? { last_name: lastName } : undefined
       });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        if (response.status === 409) {
-          return await this.getSubscriberByEmail(email);
-        }
-        throw new Error(`Subscriber creation failed: ${data.error || 'Unknown error'}`);
-      }
-      
       log.info(`✅ Kit subscriber created: ${email}`);
-      return data.data;
+      return subscriber;
     } catch (error) {
       log.error(`Subscriber creation failed: ${email}`, error.message);
       throw error;
     }
   }
 
+  // Tags are looked up in the shared registry and created in Kit when missing
   async createAndApplyTag(email, tagName) {
     try {
-      // First try to create the tag (will succeed or fail gracefully if exists)
-      await this.createTag(tagName);
-      
-      // Then apply the tag to the subscriber
-      return await this.applyTagByName(email, tagName);
+      return await this.kit.tagSubscriber(email, tagName);
     } catch (error) {
       log.error(`Create and apply tag failed: ${tagName} for ${email}`, error.message);
       throw error;
     }
   }
 
-  async createTag(tagName) {
-    try {
-      const response = await fetch(`${KIT_API_BASE}/tags`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({
-          name: tagName
-        })
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok && response.status !== 409) { // 409 means tag already exists
-        throw new Error(`Tag creation failed: ${data.error}`);
-      }
-      
-      return data.data;
-    } catch (error) {
-      // Don't throw on tag creation errors - tag might already exist
-      log.debug(`Tag creation note: ${tagName}`, error.message);
-      return null;
-    }
-  }
-
-  async applyTagByName(email, tagName) {
-    try {
-      // Get tag ID first
-      const tags = await this.listTags();
-      const tag = tags.find(t => t.name === tagName);
-      
-      if (!tag) {
-        // Create tag if it doesn't exist
-        const newTag = await this.createTag(tagName);
-        if (newTag) {
-          return await this.applyTag(email, newTag.id);
-        }
-        throw new Error(`Could not create or find tag: ${tagName}`);
-      }
-      
-      return await this.applyTag(email, tag.id);
-    } catch (error) {
-      log.error(`Apply tag by name failed: ${tagName} for ${email}`, error.message);
-      throw error;
-    }
-  }
-
-  async applyTag(email, tagId) {
-    try {
-      const response = await fetch(`${KIT_API_BASE}/tags/${tagId}/subscribers`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({
-          email_address: email
-        })
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Tag application failed: ${data.error}`);
-      }
-      
-      return data.data;
-    } catch (error) {
-      log.error(`Tag application failed: ${email} -> ${tagId}`, error.message);
-      throw error;
-    }
-  }
-
   async listTags() {
     try {
-      const response = await fetch(`${KIT_API_BASE}/tags`, {
-        headers: this.headers
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`List tags failed: ${data.error}`);
-      }
-      
-      return data.data || [];
+      return await this.kit.listTags();
     } catch (error) {
       log.error('List tags failed:', error.message);
       return [];
     }
   }
 
-  async addToIntelligentSequence(email, formData, leadScore, submissionType) {
-    // Determine best sequence based on lead profile
+  // Sequence a lead belongs in, by score band with a practice-area suffix
+  chooseIntelligentSequence(leadScore, submissionType) {
     let sequenceName;
     
     if (leadScore.score >= 90) {
@@ -650,15 +530,50 @@ export class IntelligentKitIntegration {
       sequenceName += '-Brand';
     }
     
+    return sequenceName;
+  }
+
+  // Enroll the lead in its sequence, resolved by name through the client's cached registry.
+  // Sequences missing from Kit fall back to config.kit.defaultSequence (KIT_DEFAULT_SEQUENCE).
+  // The enrollment is logged against options.leadId (looked up by email when not given). Kit and database
+  // errors are thrown so a queued job retries; only a missing sequence returns { enrolled: false }.
+  async addToIntelligentSequence(email, formData, leadScore, submissionType, { leadId } = {}) {
+    const targetSequence = this.chooseIntelligentSequence(leadScore, submissionType);
+    
     try {
-      // Note: In a real implementation, you would get the sequence ID
-      // For now, we'll just log the intended sequence
-      log.info(`Would add ${email} to sequence: ${sequenceName}`);
+      let sequence = await this.kit.findSequence(targetSequence);
+      const fallback = !sequence && Boolean(config.kit.defaultSequence);
+      if (fallback) {
+        log.warn(`Kit sequence not found: ${targetSequence} - enrolling ${email} in ${config.kit.defaultSequence}`);
+        sequence = await this.kit.findSequence(config.kit.defaultSequence);
+      }
+      if (!sequence) {
+        log.warn(`Kit sequence not found: ${fallback ? config.kit.defaultSequence : targetSequence} - ${email} not enrolled`);
+        return { sequenceName: null, targetSequence, email, enrolled: false };
+      }
+      
+      await this.kit.addToSequence(email, sequence.id, {
+        firstName: formData.firstName || formData.fullName?.split(' ')[0] || ''
+      });
+      const sequenceName = sequence.name || (fallback ? config.kit.defaultSequence : targetSequence);
       
-      return { sequenceName, email };
+      const interactionLeadId = leadId ?? (await leadDb.getLeadByEmail(email))?.id;
+      if (interactionLeadId) {
+        await leadDb.logInteraction(interactionLeadId, 'kit_sequence_enrolled', {
+          sequence: sequenceName,
+          sequenceId: sequence.id,
+          targetSequence,
+          fallback,
+          score: leadScore.score,
+          submissionType
+        });
+      }
+      
+      log.info(`✅ ${email} enrolled in Kit sequence: ${sequenceName}${fallback ? ` (default for ${targetSequence})` : ''}`);
+      return { sequenceName, sequenceId: sequence.id, targetSequence, fallback, email, enrolled: true };
     } catch (error) {
       log.error(`Sequence assignment failed: ${email}`, error.message);
-      return null;
+      throw error;
     }
   }
 }
@@ -0,0 +1,324 @@
+// src/services/jobQueue.js - Durable outbound job queue
+// Jobs live in the jobs table so a Graph, Clio or Kit outage (or a restart) never loses work.
+// Failed jobs retry with exponential backoff; after max_attempts they move to the dead-letter
+// state ('dead') for inspection. Idempotency keys make enqueueing the same work twice a no-op.
+
+import db from '../models/database.js';
+import { log } from '../utils/logger.js';
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  DEAD: 'dead', // exhausted retries - waiting for replay or abandon
+  ABANDONED: 'abandoned' // dead job an operator decided not to retry
+};
+
+// Which outbound integration a job type talks to, for grouping failures
+const JOB_INTEGRATIONS = {
+  'intake.client-email': 'client-email',
+  'intake.internal-alert': 'internal-alert',
+  'email.send': 'email'
+};
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60; // 6 hours
+const STALE_LOCK_MINUTES = 10; // running jobs older than this were orphaned by a crash
+const POLL_INTERVAL_MS = 5000;
+const BATCH_SIZE = 10;
+
+const handlers = new Map();
+let workerTimer = null;
+let draining = null;
+
+/**
+ * Register the function that performs one job type
+ * @param {String} type - Job type, e.g. 'intake.client-email'
+ * @param {Function} handler - async (payload, job) => result; throw to retry
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Seconds to wait before the next attempt: 30s, 60s, 120s, ... capped at 6 hours
+ * @param {Number} attempts - Attempts made so far (1 after the first failure)
+ */
+export function backoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Persist a job for the worker
+ * @param {String} type - Registered job type
+ * @param {Object} payload - JSON-serializable job input
+ * @param {Object} [options] - { idempotencyKey, maxAttempts, delaySeconds }
+ * @returns {Object} { id, duplicate } - duplicate is true when the idempotency key already existed
+ */
+export async function enqueueJob(type, payload, { idempotencyKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, delaySeconds = 0 } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`No job handler registered for ${type}`);
+  }
+
+  const result = await db.run(`
+    INSERT INTO jobs (type, payload, idempotency_key, max_attempts, run_at)
+    VALUES (?, ?, ?, ?, datetime('now', ?))
+    ON CONFLICT(idempotency_key) DO NOTHING
+  `, type, JSON.stringify(payload), idempotencyKey, maxAttempts, `+${delaySeconds} seconds`);
+
+  if (result.changes === 0) {
+    const existing = await db.get('SELECT id FROM jobs WHERE idempotency_key = ?', idempotencyKey);
+    log.info('Job already queued', { type, idempotencyKey, id: existing?.id });
+    return { id: existing?.id, duplicate: true };
+  }
+
+  log.info('📬 Job queued', { type, id: result.lastInsertRowid, idempotencyKey });
+  kickJobWorker();
+  return { id: result.lastInsertRowid, duplicate: false };
+}
+
+// Claim a pending job; returns false if another drain got to it first
+async function claimJob(job) {
+  const claimed = await db.run(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'pending'
+  `, job.id);
+  return claimed.changes === 1;
+}
+
+async function runJob(job) {
+  const attempts = job.attempts + 1;
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No job handler registered for ${job.type}`);
+    }
+
+    const result = await handler(JSON.parse(job.payload), { ...job, attempts });
+    await db.run(`
+      UPDATE jobs
+      SET status = 'completed', result = ?, last_error = NULL, locked_at = NULL,
+          completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, JSON.stringify(result ?? null), job.id);
+    log.info('✅ Job completed', { id: job.id, type: job.type, attempts });
+  } catch (error) {
+    if (attempts >= job.max_attempts) {
+      await db.run(`
+        UPDATE jobs SET status = 'dead', last_error = ?, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, error.message, job.id);
+      log.error('💀 Job moved to dead-letter', { id: job.id, type: job.type, attempts, error: error.message });
+      return;
+    }
+
+    const delay = backoffSeconds(attempts);
+    await db.run(`
+      UPDATE jobs
+      SET status = 'pending', last_error = ?, locked_at = NULL, run_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, error.message, `+${delay} seconds`, job.id);
+    log.warn('🔄 Job failed, retrying', { id: job.id, type: job.type, attempts, retryInSeconds: delay, error: error.message });
+  }
+}
+
+/**
+ * Run every job that is due, oldest first
+ * @param {Number} [limit] - Maximum jobs per batch
+ * @returns {Number} Jobs processed
+ */
+export async function processDueJobs(limit = BATCH_SIZE) {
+  // Jobs left 'running' by a crashed process go back in the queue
+  await db.run(`
+    UPDATE jobs SET status = 'pending', locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'running' AND locked_at < datetime('now', ?)
+  `, `-${STALE_LOCK_MINUTES} minutes`);
+
+  const due = await db.all(`
+    SELECT * FROM jobs
+    WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP
+    ORDER BY run_at ASC, id ASC
+    LIMIT ?
+  `, limit);
+
+  let processed = 0;
+  for (const job of due) {
+    if (await claimJob(job)) {
+      await runJob(job);
+      processed++;
+    }
+  }
+  return processed;
+}
+
+// Drain until nothing is due; concurrent calls share the same drain
+function drain() {
+  if (!draining) {
+    draining = (async () => {
+      try {
+        let processed;
+        do {
+          processed = await processDueJobs();
+        } while (processed === BATCH_SIZE);
+      } catch (error) {
+        log.error('❌ Job worker error:', { error: error.message });
+      } finally {
+        draining = null;
+      }
+    })();
+  }
+  return draining;
+}
+
+/**
+ * Drain immediately instead of waiting for the next poll (no-op when the worker is stopped)
+ */
+export function kickJobWorker() {
+  if (workerTimer) {
+    setImmediate(drain);
+  }
+}
+
+/**
+ * Start polling the queue
+ * @param {Object} [options] - { intervalMs }
+ */
+export function startJobWorker({ intervalMs = POLL_INTERVAL_MS } = {}) {
+  if (workerTimer) return;
+  workerTimer = setInterval(drain, intervalMs);
+  workerTimer.unref();
+  log.info('👷 Job worker started', { intervalMs, handlers: Array.from(handlers.keys()) });
+  drain();
+}
+
+/**
+ * Stop polling and wait for the in-flight drain to finish
+ */
+export async function stopJobWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+  await draining;
+}
+
+const parseJob = (job) => job && {
+  ...job,
+  payload: JSON.parse(job.payload),
+  result: job.result ? JSON.parse(job.result) : null
+};
+
+/**
+ * Integration a job belongs to ('clio', 'kit', 'client-email', ...)
+ * @param {Object} job - Job with parsed payload
+ */
+export function jobIntegration(job) {
+  return job.payload?.integration || JOB_INTEGRATIONS[job.type] || job.type;
+}
+
+/**
+ * Get one job with its payload parsed
+ * @param {Number} id
+ */
+export async function getJob(id) {
+  return parseJob(await db.get('SELECT * FROM jobs WHERE id = ?', id));
+}
+
+/**
+ * Failed jobs (dead-letter by default), newest first
+ * Status, type, error and ids are matched in SQL; integration (read from the payload) is matched here,
+ * and the limit applies to what matched, so a filter never misses jobs older than the newest `limit`.
+ * @param {Object} [filter] - { status, type, integration, error (substring), ids, limit }
+ * @returns {Array} Jobs with parsed payloads and an `integration` field
+ */
+export async function findFailedJobs({ status = JOB_STATUS.DEAD, type, integration, error, ids, limit = 500 } = {}) {
+  const where = ['status = ?'];
+  const params = [status];
+  if (type) {
+    where.push('type = ?');
+    params.push(type);
+  }
+  if (error) {
+    where.push("INSTR(COALESCE(last_error, ''), ?) > 0");
+    params.push(error);
+  }
+  if (ids) {
+    const wanted = [].concat(ids).map(Number);
+    where.push(`id IN (${wanted.map(() => '?').join(', ') || 'NULL'})`);
+    params.push(...wanted);
+  }
+
+  const jobs = (await db.all(`
+    SELECT * FROM jobs WHERE ${where.join(' AND ')} ORDER BY updated_at DESC, id DESC
+    ${integration ? '' : 'LIMIT ?'}
+  `, ...params, ...(integration ? [] : [limit]))).map(parseJob);
+
+  return jobs
+    .map(job => ({ ...job, integration: jobIntegration(job) }))
+    .filter(job => !integration || job.integration === integration)
+    .slice(0, limit);
+}
+
+/**
+ * Put a dead or abandoned job back in the queue with a fresh set of attempts
+ * @param {Number} id
+ * @returns {Boolean} false when the job is not in a replayable state
+ */
+export async function replayJob(id) {
+  const result = await db.run(`
+    UPDATE jobs
+    SET status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP, locked_at = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status IN ('dead', 'abandoned')
+  `, id);
+
+  if (result.changes === 1) {
+    log.info('🔁 Job replayed', { id });
+    kickJobWorker();
+  }
+  return result.changes === 1;
+}
+
+/**
+ * Give up on a dead job for good
+ * @param {Number} id
+ * @returns {Boolean} false when the job is not dead
+ */
+export async function abandonJob(id) {
+  const result = await db.run(`
+    UPDATE jobs SET status = 'abandoned', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND status = 'dead'
+  `, id);
+
+  if (result.changes === 1) {
+    log.info('🗑️ Job abandoned', { id });
+  }
+  return result.changes === 1;
+}
+
+/**
+ * Job counts by status, for health and dashboards
+ */
+export async function getJobStats() {
+  const rows = await db.all('SELECT status, COUNT(*) as count FROM jobs GROUP BY status');
+  const stats = Object.fromEntries(Object.values(JOB_STATUS).map(status => [status, 0]));
+  rows.forEach(({ status, count }) => { stats[status] = count; });
+  return stats;
+}
+
+export default {
+  JOB_STATUS,
+  registerJobHandler,
+  enqueueJob,
+  processDueJobs,
+  startJobWorker,
+  stopJobWorker,
+  kickJobWorker,
+  getJobStats,
+  getJob,
+  findFailedJobs,
+  jobIntegration,
+  replayJob,
+  abandonJob,
+  backoffSeconds
+};
@@ -0,0 +1,539 @@
+// src/services/kitClient.js - The one Kit (ConvertKit) API client
+// Every Kit call goes through here: coreServices, intelligentKitIntegration, kitV4Automation,
+// premiumKitAutomation and scripts/setupKit.js. KIT_API_VERSION picks the API:
+//   v3 - api.convertkit.com/v3, api_secret (or api_key) sent as a parameter
+//   v4 - api.kit.com/v4, X-Kit-Api-Key header (keys start with "kit_")
+// Responses are normalized to plain resources ({ id, name, ... }) whichever version answered.
+// Tag, sequence, form and custom field name → ID lookups share a cached registry per account,
+// and requests stay under Kit's rate limit (120 per rolling minute), backing off on a 429.
+
+import { createHash } from 'crypto';
+import { config } from '../config/environment.js';
+import { log } from '../utils/logger.js';
+
+export const KIT_API_BASES = {
+  v3: 'https://api.convertkit.com/v3',
+  v4: 'https://api.kit.com/v4'
+};
+
+const RATE_LIMIT = { requests: 120, windowMs: 60 * 1000 };
+const MAX_RETRIES = 3;
+const REGISTRY_TTL_MS = 10 * 60 * 1000;
+const REGISTRY_MISS_REFRESH_MS = 60 * 1000; // an unknown name reloads the list at most this often
+const V4_PAGE_SIZE = 1000;
+
+export class KitApiError extends Error {
+  constructor(message, { status = null, body = null, path = null } = {}) {
+    super(message);
+    this.name = 'KitApiError';
+    this.status = status;
+    this.body = body;
+    this.path = path;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rate limit window and resource registry, shared by every client using the same credential
+
+const accounts = new Map();
+
+function accountState(credential) {
+  const key = createHash('sha256').update(credential || '').digest('hex');
+  if (!accounts.has(key)) {
+    accounts.set(key, { sent: [], registry: new Map() });
+  }
+  return accounts.get(key);
+}
+
+// Resources kept in the registry, with their list paths and response keys per version
+const RESOURCES = {
+  tags: { path: '/tags', v3: 'tags', v4: 'tags' },
+  sequences: { path: '/sequences', v3: 'courses', v4: 'sequences' },
+  forms: { path: '/forms', v3: 'forms', v4: 'forms' },
+  customFields: { path: '/custom_fields', v3: 'custom_fields', v4: 'custom_fields' }
+};
+
+const resourceNames = (kind, resource) => kind === 'customFields'
+  ? [resource.label, resource.key, resource.name].filter(Boolean)
+  : [resource.name];
+
+const isId = (value) => typeof value === 'number' || /^\d+$/.test(String(value));
+
+export class KitClient {
+  /**
+   * @param {Object} [options] - { version: 'v3' | 'v4', apiKey, apiSecret }; defaults from config.kit
+   */
+  constructor({ version = config.kit.apiVersion, apiKey = config.kit.apiKey, apiSecret = config.kit.apiSecret } = {}) {
+    if (!KIT_API_BASES[version]) {
+      throw new KitApiError(`Unknown Kit API version: ${version}`);
+    }
+    this.version = version;
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.baseUrl = KIT_API_BASES[version];
+    this.state = accountState(this.credential);
+  }
+
+  // v3 accepts the secret anywhere the key works; v4 only takes the v4 API key
+  get credential() {
+    return this.version === 'v4' ? this.apiKey : (this.apiSecret || this.apiKey);
+  }
+
+  isConfigured() {
+    return !!this.credential;
+  }
+
+  // Transport
+
+  async throttle() {
+    const { sent } = this.state;
+    for (;;) {
+      const now = Date.now();
+      while (sent.length && sent[0] <= now - RATE_LIMIT.windowMs) sent.shift();
+      if (sent.length < RATE_LIMIT.requests) break;
+      const wait = sent[0] + RATE_LIMIT.windowMs - now;
+      log.debug(`⏳ Kit rate limit reached, waiting ${wait}ms`);
+      await sleep(wait);
+    }
+    sent.push(Date.now());
+  }
+
+  /**
+   * Call the Kit API with this client's version and credentials; 429s are retried after Retry-After
+   * @param {String} method - HTTP method
+   * @param {String} path - Path below the version base, e.g. '/tags'
+   * @param {Object} [options] - { query, body }
+   * @returns {Object|null} Parsed JSON body (null for an empty response)
+   * @throws {KitApiError} When Kit is not configured or answers with an error
+   */
+  async request(method, path, { query = {}, body } = {}) {
+    if (!this.isConfigured()) {
+      throw new KitApiError('Kit API credentials not configured', { path });
+    }
+
+    const url = new URL(`${this.baseUrl}${path}`);
+    const headers = { 'Accept': 'application/json' };
+    let payload = body;
+
+    if (this.version === 'v4') {
+      headers['X-Kit-Api-Key'] = this.apiKey;
+    } else if (method === 'GET' || method === 'DELETE') {
+      query = { ...query, api_secret: this.credential };
+    } else {
+      payload = { ...body, api_secret: this.credential };
+    }
+
+    for (const [name, value] of Object.entries(query)) {
+      if (value !== undefined && value !== null) url.searchParams.set(name, value);
+    }
+    if (payload !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle();
+      const response = await fetch(url, {
+        method,
+        headers,
+        body: payload === undefined ? undefined : JSON.stringify(payload)
+      });
+
+      if (response.status === 429 && attempt < MAX_RETRIES) {
+        const wait = (Number(response.headers.get('retry-after')) || 2 ** attempt) * 1000;
+        log.warn('⏳ Kit rate limited, retrying', { path, attempt: attempt + 1, wait });
+        await sleep(wait);
+        continue;
+      }
+
+      const text = await response.text();
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch {
+        data = { message: text };
+      }
+
+      if (!response.ok) {
+        const detail = [data?.message, data?.error, ...(data?.errors || [])].filter(Boolean).join('; ');
+        throw new KitApiError(`Kit ${this.version} ${method} ${path} failed: ${response.status}${detail ? ` - ${detail}` : ''}`, {
+          status: response.status,
+          body: data,
+          path
+        });
+      }
+      return data;
+    }
+  }
+
+  // GET a v4 list across every page (v3 lists come back whole)
+  async listAll(path, key, query = {}) {
+    if (this.version === 'v3') {
+      return (await this.request('GET', path, { query }))?.[key] || [];
+    }
+
+    const items = [];
+    let after = null;
+    do {
+      const data = await this.request('GET', path, { query: { ...query, per_page: V4_PAGE_SIZE, after } });
+      items.push(...(data?.[key] || []));
+      after = data?.pagination?.has_next_page ? data.pagination.end_cursor : null;
+    } while (after);
+    return items;
+  }
+
+  unsupported(action) {
+    throw new KitApiError(`${action} is not available in the Kit ${this.version} API`);
+  }
+
+  // Account
+
+  async getAccount() {
+    const data = await this.request('GET', '/account');
+    return data?.account ? { ...data.account, user: data.user } : data;
+  }
+
+  // Registry (name → resource, cached per account)
+
+  async loadRegistry(kind, { refresh = false } = {}) {
+    const entry = this.state.registry.get(kind) || { byName: new Map(), list: [], loadedAt: 0, loading: null };
+    this.state.registry.set(kind, entry);
+
+    if (!refresh && entry.loadedAt && Date.now() - entry.loadedAt < REGISTRY_TTL_MS) {
+      return entry;
+    }
+
+    if (!entry.loading) {
+      entry.loading = (async () => {
+        try {
+          const { path, [this.version]: key } = RESOURCES[kind];
+          const list = await this.listAll(path, key);
+          entry.list = list;
+          entry.byName = new Map();
+          list.forEach(resource => this.remember(kind, resource));
+          entry.loadedAt = Date.now();
+          log.debug(`📇 Kit ${kind} loaded`, { count: list.length });
+          return entry;
+        } finally {
+          entry.loading = null;
+        }
+      })();
+    }
+    return entry.loading;
+  }
+
+  remember(kind, resource) {
+    const entry = this.state.registry.get(kind);
+    if (!entry || !resource?.id) return resource;
+    if (!entry.list.some(item => item.id === resource.id)) entry.list.push(resource);
+    resourceNames(kind, resource).forEach(name => entry.byName.set(name.toLowerCase(), resource));
+    return resource;
+  }
+
+  /**
+   * Look up a tag, sequence, form or custom field by name (or ID) through the cached registry
+   * @param {String} kind - 'tags' | 'sequences' | 'forms' | 'customFields'
+   * @param {String|Number} nameOrId
+   * @returns {Object|null} The resource, or null when Kit has none by that name
+   */
+  async findResource(kind, nameOrId) {
+    let entry = await this.loadRegistry(kind);
+    const lookup = () => isId(nameOrId)
+      ? entry.list.find(resource => String(resource.id) === String(nameOrId))
+      : entry.byName.get(String(nameOrId).toLowerCase());
+
+    let resource = lookup();
+    if (!resource && Date.now() - entry.loadedAt > REGISTRY_MISS_REFRESH_MS) {
+      entry = await this.loadRegistry(kind, { refresh: true });
+      resource = lookup();
+    }
+    if (!resource && isId(nameOrId)) {
+      return { id: Number(nameOrId) }; // IDs from elsewhere (manifests, webhooks) need no lookup
+    }
+    return resource || null;
+  }
+
+  async list(kind, options) {
+    return [...(await this.loadRegistry(kind, options)).list];
+  }
+
+  listTags(options) { return this.list('tags', options); }
+  listSequences(options) { return this.list('sequences', options); }
+  listForms(options) { return this.list('forms', options); }
+  listCustomFields(options) { return this.list('customFields', options); }
+
+  findTag(nameOrId) { return this.findResource('tags', nameOrId); }
+  findSequence(nameOrId) { return this.findResource('sequences', nameOrId); }
+  findForm(nameOrId) { return this.findResource('forms', nameOrId); }
+
+  clearRegistry() {
+    this.state.registry.clear();
+  }
+
+  async requireResource(kind, nameOrId) {
+    const resource = await this.findResource(kind, nameOrId);
+    if (!resource) {
+      throw new KitApiError(`Kit ${kind.replace(/s$/, '')} not found: ${nameOrId}`, { status: 404 });
+    }
+    return resource;
+  }
+
+  // Tags
+
+  async createTag(name) {
+    const data = await this.request('POST', '/tags', { body: this.version === 'v4' ? { name } : { tag: { name } } });
+    await this.loadRegistry('tags');
+    return this.remember('tags', data?.tag || data);
+  }
+
+  /**
+   * Tag by name, created in Kit when it does not exist yet
+   * @returns {Object} The tag
+   */
+  async ensureTag(nameOrId) {
+    const tag = await this.findTag(nameOrId);
+    if (tag) return tag;
+
+    try {
+      const created = await this.createTag(nameOrId);
+      log.info(`🏷️ Kit tag created: ${nameOrId}`);
+      return created;
+    } catch (error) {
+      // Created by someone else since the registry loaded
+      if (error.status === 409 || error.status === 422) {
+        const existing = await this.findResource('tags', nameOrId);
+        if (existing) return existing;
+      }
+      throw error;
+    }
+  }
+
+  async renameTag(nameOrId, name) {
+    if (this.version === 'v3') this.unsupported('Renaming tags');
+    const { id } = await this.requireResource('tags', nameOrId);
+    const data = await this.request('PUT', `/tags/${id}`, { body: { name } });
+    await this.loadRegistry('tags', { refresh: true });
+    return data?.tag || data;
+  }
+
+  async tagSubscriber(email, nameOrId, { firstName } = {}) {
+    const tag = await this.ensureTag(nameOrId);
+    const data = this.version === 'v4'
+      ? await this.request('POST', `/tags/${tag.id}/subscribers`, { body: { email_address: email } })
+      : await this.request('POST', `/tags/${tag.id}/subscribe`, { body: { email, first_name: firstName } });
+    return data?.subscriber || data?.subscription?.subscriber || data;
+  }
+
+  async untagSubscriber(email, nameOrId) {
+    const [tag, subscriber] = await Promise.all([this.findTag(nameOrId), this.findSubscriber(email)]);
+    if (!tag || !subscriber) return false;
+
+    await this.request('DELETE', this.version === 'v4'
+      ? `/tags/${tag.id}/subscribers/${subscriber.id}`
+      : `/subscribers/${subscriber.id}/tags/${tag.id}`);
+    return true;
+  }
+
+  // Subscribers
+
+  async findSubscriber(email) {
+    const data = await this.request('GET', '/subscribers', { query: { email_address: email } });
+    return data?.subscribers?.[0] || null;
+  }
+
+  /**
+   * Create or update a subscriber
+   * @param {Object} subscriber - { email, firstName, fields }
+   * @returns {Object} The Kit subscriber
+   */
+  async upsertSubscriber({ email, firstName, fields }) {
+    if (this.version === 'v4') {
+      const data = await this.request('POST', '/subscribers', {
+        body: { email_address: email, first_name: firstName || undefined, fields }
+      });
+      return data?.subscriber || data;
+    }
+
+    // v3 only creates subscribers through a form, sequence or tag
+    const existing = await this.findSubscriber(email);
+    if (existing) {
+      const data = await this.request('PUT', `/subscribers/${existing.id}`, { body: { first_name: firstName || undefined, fields } });
+      return data?.subscriber || existing;
+    }
+    if (!config.kit.formId) {
+      throw new KitApiError('Kit v3 needs KIT_FORM_ID to create subscribers');
+    }
+    return this.subscribeToForm(config.kit.formId, { email, firstName, fields });
+  }
+
+  async unsubscribe(email) {
+    if (this.version === 'v3') {
+      const data = await this.request('PUT', '/unsubscribe', { body: { email } });
+      return data?.subscriber || null;
+    }
+
+    const subscriber = await this.findSubscriber(email);
+    if (!subscriber) return null;
+    await this.request('POST', `/subscribers/${subscriber.id}/unsubscribe`);
+    return subscriber;
+  }
+
+  // Forms
+
+  /**
+   * Subscribe someone through a form, tagging them by name
+   * @param {String|Number} form - Form name or ID
+   * @param {Object} subscriber - { email, firstName, fields, tags: [tag names] }
+   * @returns {Object} The Kit subscriber
+   */
+  async subscribeToForm(form, { email, firstName, fields, tags = [] }) {
+    const { id } = await this.requireResource('forms', form);
+
+    if (this.version === 'v3') {
+      const tagIds = [];
+      for (const tag of tags) tagIds.push((await this.ensureTag(tag)).id);
+      const data = await this.request('POST', `/forms/${id}/subscribe`, {
+        body: { email, first_name: firstName, fields, tags: tagIds.length ? tagIds : undefined }
+      });
+      return data?.subscription?.subscriber || data;
+    }
+
+    await this.upsertSubscriber({ email, firstName, fields });
+    const data = await this.request('POST', `/forms/${id}/subscribers`, { body: { email_address: email } });
+    for (const tag of tags) await this.tagSubscriber(email, tag);
+    return data?.subscriber || data;
+  }
+
+  async createForm(name, attributes = {}) {
+    if (this.version === 'v4') this.unsupported('Creating forms');
+    const data = await this.request('POST', '/forms', { body: { form: { name, ...attributes } } });
+    await this.loadRegistry('forms');
+    return this.remember('forms', data?.form || data);
+  }
+
+  // Sequences
+
+  async addToSequence(email, sequence, { firstName, fields } = {}) {
+    const { id } = await this.requireResource('sequences', sequence);
+
+    if (this.version === 'v4') {
+      await this.upsertSubscriber({ email, firstName, fields });
+      const data = await this.request('POST', `/sequences/${id}/subscribers`, { body: { email_address: email } });
+      return data?.subscriber || data;
+    }
+
+    const data = await this.request('POST', `/sequences/${id}/subscribe`, { body: { email, first_name: firstName, fields } });
+    return data?.subscription?.subscriber || data;
+  }
+
+  async createSequence(name, { description } = {}) {
+    if (this.version === 'v4') this.unsupported('Creating sequences');
+    const data = await this.request('POST', '/sequences', { body: { sequence: { name, description } } });
+    await this.loadRegistry('sequences');
+    return this.remember('sequences', data?.sequence || data?.course || data);
+  }
+
+  /**
+   * Append an email to a sequence
+   * @param {Object} email - { subject, content, delayDays, delayHours, published }
+   */
+  async addSequenceEmail(sequence, { subject, content, delayDays = 0, delayHours = 0, published = true }) {
+    if (this.version === 'v4') this.unsupported('Adding sequence emails');
+    const { id } = await this.requireResource('sequences', sequence);
+    const data = await this.request('POST', `/sequences/${id}/emails`, {
+      body: { email: { subject, content, delay_days: delayDays, delay_hours: delayHours, published } }
+    });
+    return data?.email || data;
+  }
+
+  // Custom fields
+
+  async createCustomField(label) {
+    const data = await this.request('POST', '/custom_fields', { body: { label } });
+    await this.loadRegistry('customFields');
+    return this.remember('customFields', data?.custom_field || data);
+  }
+
+  async renameCustomField(labelOrId, label) {
+    const { id } = await this.requireResource('customFields', labelOrId);
+    const data = await this.request('PUT', `/custom_fields/${id}`, { body: { label } });
+    await this.loadRegistry('customFields', { refresh: true });
+    return data?.custom_field || data;
+  }
+
+  async ensureCustomField(label) {
+    return (await this.findResource('customFields', label)) || this.createCustomField(label);
+  }
+
+  // Broadcasts
+
+  /**
+   * Create a broadcast (a draft unless sendAt is given)
+   * @param {Object} broadcast - { subject, content, description, tags: [tag names or IDs], public, sendAt }
+   */
+  async createBroadcast({ subject, content, description, tags = [], public: isPublic = false, sendAt = null }) {
+    const body = { subject, content, description, public: isPublic, send_at: sendAt };
+
+    if (tags.length > 0) {
+      if (this.version === 'v3') this.unsupported('Targeting broadcasts by tag');
+      const tagIds = [];
+      for (const tag of tags) tagIds.push((await this.requireResource('tags', tag)).id);
+      body.subscriber_filter = [{ any: [{ type: 'tag', ids: tagIds }] }];
+    }
+
+    const data = await this.request('POST', '/broadcasts', { body });
+    return data?.broadcast || data;
+  }
+
+  // Webhooks (v3 calls them automation hooks / rules)
+
+  /**
+   * Point a Kit event at a URL
+   * @param {Object} webhook - { targetUrl, event: e.g. 'subscriber.tag_add', tagId, formId, sequenceId,
+   *   url: the link a subscriber.link_click hook watches }
+   * @returns {Object} { id, event, target_url }
+   */
+  async createWebhook({ targetUrl, event, tagId, formId, sequenceId, url }) {
+    const body = {
+      target_url: targetUrl,
+      event: { name: event, tag_id: tagId, form_id: formId, sequence_id: sequenceId, initiator_value: url }
+    };
+    const data = await this.request('POST', this.version === 'v4' ? '/webhooks' : '/automations/hooks', { body });
+    return data?.webhook || data?.rule || data;
+  }
+
+  async deleteWebhook(id) {
+    await this.request('DELETE', this.version === 'v4' ? `/webhooks/${id}` : `/automations/hooks/${id}`);
+  }
+
+  async listWebhooks() {
+    if (this.version === 'v3') this.unsupported('Listing webhooks');
+    return this.listAll('/webhooks', 'webhooks');
+  }
+}
+
+const clients = new Map();
+
+/**
+ * Shared client for the configured account
+ * @param {String} [version] - 'v3' or 'v4' (default KIT_API_VERSION)
+ * @returns {KitClient}
+ */
+export function getKitClient(version = config.kit.apiVersion) {
+  if (!clients.has(version)) {
+    clients.set(version, new KitClient({ version }));
+  }
+  return clients.get(version);
+}
+
+export function isKitConfigured(version = config.kit.apiVersion) {
+  return getKitClient(version).isConfigured();
+}
+
+export default {
+  KIT_API_BASES,
+  KitApiError,
+  KitClient,
+  getKitClient,
+  isKitConfigured
+};
@@ -0,0 +1,153 @@
+// src/services/kitDrift.js - Find tag and sequence names the code emits that Kit does not know about
+// Runs every tag and sequence generator over a corpus of representative submissions
+// (tests/fixtures/kit-submissions.json) and checks each emitted name against src/config/kit-manifest.json
+// and, when credentials are configured, the live account. Names compare case-insensitively, as in Kit;
+// on-demand tags (manifest `dynamicTags`, e.g. date-*) are skipped.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/environment.js';
+import { getKitClient } from './kitClient.js';
+import { loadKitManifest, expandKitManifest, dynamicKitTagMatcher } from './kitSync.js';
+import IntelligentKitTagging from './intelligentKitTagging.js';
+import IntelligentKitIntegration from './intelligentKitIntegration.js';
+import KitV4Automation from './kitV4Automation.js';
+import PremiumKitAutomation from './premiumKitAutomation.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const KIT_FIXTURES_PATH = join(__dirname, '../../tests/fixtures/kit-submissions.json');
+
+const key = (name) => String(name).toLowerCase();
+
+// Every place the code turns a submission into Kit names; emit(fixture) => [names]
+// (generators are pure: nothing here calls Kit)
+const GENERATORS = [
+  {
+    name: 'IntelligentKitTagging.generateIntelligentTags',
+    kind: 'tags',
+    emit: ({ formData, leadScore, submissionType }) => new IntelligentKitTagging().generateIntelligentTags(formData, leadScore, submissionType)
+  },
+  {
+    name: 'IntelligentKitTagging.generateSequenceAssignmentTags',
+    kind: 'tags',
+    emit: ({ formData, leadScore, submissionType }) => new IntelligentKitTagging().generateSequenceAssignmentTags(formData, leadScore, submissionType)
+  },
+  {
+    name: 'IntelligentKitIntegration.generateIntelligentTags',
+    kind: 'tags',
+    emit: ({ formData, leadScore, submissionType }, kit) => new IntelligentKitIntegration(kit).generateIntelligentTags(formData, leadScore, submissionType)
+  },
+  {
+    name: 'IntelligentKitIntegration.addToIntelligentSequence',
+    kind: 'sequences',
+    emit: ({ leadScore, submissionType }, kit) => [new IntelligentKitIntegration(kit).chooseIntelligentSequence(leadScore, submissionType)]
+  },
+  {
+    name: 'KIT_DEFAULT_SEQUENCE (addToIntelligentSequence fallback)',
+    kind: 'sequences',
+    emit: () => [config.kit.defaultSequence].filter(Boolean)
+  },
+  {
+    name: 'KitV4Automation.processLeadAutomation (tags)',
+    kind: 'tags',
+    emit: ({ leadScore, submissionType }, kit) => new KitV4Automation(kit).determineAutomationPath(leadScore.score, submissionType).tags
+  },
+  {
+    name: 'KitV4Automation.processLeadAutomation (sequences)',
+    kind: 'sequences',
+    emit: ({ leadScore, submissionType }, kit) => new KitV4Automation(kit).determineAutomationPath(leadScore.score, submissionType).sequences
+  },
+  {
+    name: 'PremiumKitAutomation.determinePremiumTags',
+    kind: 'tags',
+    emit: ({ leadScore, submissionType }, kit) => new PremiumKitAutomation(kit).determinePremiumTags(leadScore, submissionType)
+  }
+];
+
+/**
+ * Read the fixture corpus
+ * @param {String} [file] - Defaults to tests/fixtures/kit-submissions.json
+ * @returns {Array} [{ name, submissionType, formData, leadScore }]
+ */
+export function loadKitFixtures(file = KIT_FIXTURES_PATH) {
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+/**
+ * Run every generator over the fixtures
+ * @returns {Object} { tags, sequences } - each a Map of name → { generators: Set, fixtures: Set }
+ */
+export function collectEmittedKitNames(fixtures = loadKitFixtures(), { kit = getKitClient() } = {}) {
+  const emitted = { tags: new Map(), sequences: new Map() };
+
+  for (const fixture of fixtures) {
+    for (const generator of GENERATORS) {
+      for (const name of generator.emit(fixture, kit)) {
+        const names = emitted[generator.kind];
+        if (!names.has(name)) names.set(name, { generators: new Set(), fixtures: new Set() });
+        names.get(name).generators.add(generator.name);
+        names.get(name).fixtures.add(fixture.name);
+      }
+    }
+  }
+
+  return emitted;
+}
+
+/**
+ * Check emitted names against the manifest and (optionally) the live account
+ * @param {Object} [options] - { fixtures, manifest, kit: KitClient, account: also check the live account
+ *   (default when Kit is configured) }
+ * @returns {Object} { fixtures, emitted: { tags, sequences }, accountChecked,
+ *   missing: [{ kind, name, from: 'manifest' | 'account', generators, fixtures }] }
+ */
+export async function checkKitDrift({
+  fixtures = loadKitFixtures(),
+  manifest = loadKitManifest(),
+  kit = getKitClient(),
+  account = kit.isConfigured()
+} = {}) {
+  const emitted = collectEmittedKitNames(fixtures, { kit });
+  const isDynamicTag = dynamicKitTagMatcher(manifest);
+  const desired = expandKitManifest(manifest);
+
+  const sources = { manifest: {}, account: null };
+  for (const kind of Object.keys(emitted)) {
+    sources.manifest[kind] = new Set(desired[kind].map(({ name }) => key(name)));
+  }
+  if (account) {
+    sources.account = {};
+    for (const kind of Object.keys(emitted)) {
+      const existing = await kit.list(kind, { refresh: true });
+      sources.account[kind] = new Set(existing.map(({ name }) => key(name)));
+    }
+  }
+
+  const missing = [];
+  for (const [kind, names] of Object.entries(emitted)) {
+    for (const [name, { generators, fixtures: seenIn }] of names) {
+      if (kind === 'tags' && isDynamicTag(name)) continue;
+
+      for (const [from, known] of Object.entries(sources)) {
+        if (known && !known[kind].has(key(name))) {
+          missing.push({ kind, name, from, generators: [...generators], fixtures: [...seenIn] });
+        }
+      }
+    }
+  }
+
+  return {
+    fixtures: fixtures.length,
+    emitted: { tags: emitted.tags.size, sequences: emitted.sequences.size },
+    accountChecked: Boolean(account),
+    missing
+  };
+}
+
+export default {
+  KIT_FIXTURES_PATH,
+  loadKitFixtures,
+  collectEmittedKitNames,
+  checkKitDrift
+};
@@ -0,0 +1,205 @@
+// src/services/kitSync.js - Keep the Kit account in line with src/config/kit-manifest.json
+// The manifest lists every tag, sequence and custom field the tagging code can emit. planKitSync()
+// diffs it against the live account; applyKitSync() creates what is missing and renames resources
+// still carrying a name listed under `renames`. Nothing is ever deleted, so both are safe to re-run.
+// Kit's API cannot do everything (no sequence renames, no v4 sequence creation, no v3 tag renames);
+// those steps come back as `manual` actions to finish in the Kit dashboard.
+// Setup builders (scripts/setupKit.js, premiumKitAutomation) create names only through syncKitManifest()
+// and then fill the sequences it created with their emails, so nothing outside the manifest is created.
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { log } from '../utils/logger.js';
+import { getKitClient } from './kitClient.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const KIT_MANIFEST_PATH = join(__dirname, '../config/kit-manifest.json');
+
+// What each API version can do per resource kind
+const CAPABILITIES = {
+  tags: { create: ['v3', 'v4'], rename: ['v4'] },
+  sequences: { create: ['v3'], rename: [] },
+  customFields: { create: ['v3', 'v4'], rename: ['v3', 'v4'] }
+};
+
+const KIND_LABELS = { tags: 'tag', sequences: 'sequence', customFields: 'custom field' };
+
+const key = (name) => String(name).toLowerCase();
+
+/**
+ * Read the manifest
+ * @param {String} [file] - Defaults to src/config/kit-manifest.json
+ */
+export function loadKitManifest(file = KIT_MANIFEST_PATH) {
+  return JSON.parse(readFileSync(file, 'utf8'));
+}
+
+// "source-{submissionTypes}" → one name per value in manifest.values.submissionTypes
+function expandTemplate(manifest, pattern) {
+  const [, placeholder] = pattern.match(/\{(\w+)\}/) || [];
+  const values = manifest.values?.[placeholder];
+  if (!values) {
+    throw new Error(`Kit manifest template ${pattern} has no values list "${placeholder}"`);
+  }
+  return values.map(value => pattern.replace(`{${placeholder}}`, value));
+}
+
+/**
+ * The concrete resources a manifest describes, de-duplicated (names compare case-insensitively, as in Kit)
+ * @returns {Object} { tags, sequences, customFields } - each [{ name, renamedFrom, ... }]
+ */
+export function expandKitManifest(manifest = loadKitManifest()) {
+  const collect = (entries, renames = {}) => {
+    const byName = new Map();
+    for (const entry of entries) {
+      if (!byName.has(key(entry.name))) {
+        byName.set(key(entry.name), { ...entry, renamedFrom: renames[entry.name] || [] });
+      }
+    }
+    return [...byName.values()];
+  };
+
+  const tagNames = [
+    ...Object.values(manifest.tags || {}).flat(),
+    ...(manifest.tagTemplates || []).flatMap(({ pattern }) => expandTemplate(manifest, pattern))
+  ];
+
+  return {
+    tags: collect(tagNames.map(name => ({ name })), manifest.renames?.tags),
+    sequences: collect(manifest.sequences || [], manifest.renames?.sequences),
+    customFields: collect((manifest.customFields || []).map(field => ({ name: field.label })), manifest.renames?.customFields)
+  };
+}
+
+/**
+ * Matcher for tags created on demand (dates, preferences): expected in the account but never planned
+ * @returns {Function} name => Boolean
+ */
+export function dynamicKitTagMatcher(manifest = loadKitManifest()) {
+  const patterns = (manifest.dynamicTags || []).map(({ pattern }) =>
+    new RegExp(`^${pattern.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{[^}]+\}/g, '.+')}$`, 'i'));
+  return (name) => patterns.some(pattern => pattern.test(name));
+}
+
+const resourceLabel = (kind, resource) => kind === 'customFields' ? resource.label || resource.key : resource.name;
+
+/**
+ * Diff the manifest against the live Kit account
+ * @param {Object} [options] - { kit: KitClient, manifest }
+ * @returns {Object} { version, actions: [{ kind, action: 'create' | 'rename' | 'manual', name, from, id, reason }],
+ *   unmanaged: { tags, sequences, customFields }, counts }
+ */
+export async function planKitSync({ kit = getKitClient(), manifest = loadKitManifest() } = {}) {
+  const desired = expandKitManifest(manifest);
+  const isDynamicTag = dynamicKitTagMatcher(manifest);
+  const actions = [];
+  const unmanaged = {};
+  const counts = {};
+
+  for (const kind of Object.keys(CAPABILITIES)) {
+    const existing = await kit.list(kind, { refresh: true });
+    const byName = new Map();
+    existing.forEach(resource => {
+      [resource.name, resource.label, resource.key].filter(Boolean).forEach(name => byName.set(key(name), resource));
+    });
+
+    const can = (action) => CAPABILITIES[kind][action].includes(kit.version);
+    const wanted = new Set();
+    let present = 0;
+
+    for (const { name, renamedFrom } of desired[kind]) {
+      wanted.add(key(name));
+      if (byName.has(key(name))) {
+        present++;
+        continue;
+      }
+
+      const legacy = renamedFrom.map(from => byName.get(key(from))).find(Boolean);
+      if (legacy) {
+        const from = resourceLabel(kind, legacy);
+        wanted.add(key(from));
+        actions.push(can('rename')
+          ? { kind, action: 'rename', name, from, id: legacy.id }
+          : { kind, action: 'manual', name, from, id: legacy.id, reason: `rename "${from}" in the Kit dashboard (not possible through the ${kit.version} API)` });
+      } else {
+        actions.push(can('create')
+          ? { kind, action: 'create', name }
+          : { kind, action: 'manual', name, reason: `create it in the Kit dashboard (not possible through the ${kit.version} API)` });
+      }
+    }
+
+    unmanaged[kind] = existing
+      .filter(resource => ![resource.name, resource.label, resource.key].some(name => name && wanted.has(key(name))))
+      .map(resource => resourceLabel(kind, resource))
+      .filter(name => name && !(kind === 'tags' && isDynamicTag(name)));
+    counts[kind] = { desired: desired[kind].length, present, existing: existing.length };
+  }
+
+  return { version: kit.version, actions, unmanaged, counts };
+}
+
+/**
+ * Carry out a plan's create and rename actions (manual ones are returned untouched)
+ * @param {Object} plan - From planKitSync()
+ * @param {Object} [options] - { kit: KitClient, onAction: (result) => void } for progress output
+ * @returns {Array} [{ ...action, status: 'done' | 'failed' | 'manual', error }]
+ */
+export async function applyKitSync(plan, { kit = getKitClient(), onAction } = {}) {
+  if (plan.version !== kit.version) {
+    throw new Error(`Plan was made against the Kit ${plan.version} API but the client uses ${kit.version}`);
+  }
+
+  const results = [];
+  for (const action of plan.actions) {
+    let result;
+    try {
+      if (action.action === 'manual') {
+        result = { ...action, status: 'manual' };
+      } else if (action.action === 'rename') {
+        await (action.kind === 'tags' ? kit.renameTag(action.id, action.name) : kit.renameCustomField(action.id, action.name));
+        result = { ...action, status: 'done' };
+      } else {
+        await ({
+          tags: () => kit.createTag(action.name),
+          sequences: () => kit.createSequence(action.name),
+          customFields: () => kit.createCustomField(action.name)
+        })[action.kind]();
+        result = { ...action, status: 'done' };
+      }
+    } catch (error) {
+      log.warn(`Kit sync: ${action.action} ${KIND_LABELS[action.kind]} "${action.name}" failed`, error.message);
+      result = { ...action, status: 'failed', error: error.message };
+    }
+    results.push(result);
+    onAction?.(result);
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  log.info('🔄 Kit sync applied', { done: count('done'), failed: count('failed'), manual: count('manual') });
+  return results;
+}
+
+/**
+ * Plan and apply in one step, for builders that fill newly created sequences with emails
+ * @param {Object} [options] - { kit: KitClient, manifest, onAction }
+ * @returns {Object} { results (from applyKitSync), created: { tags, sequences, customFields } - names created
+ *   by this run }
+ */
+export async function syncKitManifest({ kit = getKitClient(), manifest = loadKitManifest(), onAction } = {}) {
+  const results = await applyKitSync(await planKitSync({ kit, manifest }), { kit, onAction });
+  const created = Object.fromEntries(Object.keys(CAPABILITIES).map(kind => [kind, results
+    .filter(result => result.kind === kind && result.action === 'create' && result.status === 'done')
+    .map(result => result.name)]));
+  return { results, created };
+}
+
+export default {
+  KIT_MANIFEST_PATH,
+  loadKitManifest,
+  expandKitManifest,
+  dynamicKitTagMatcher,
+  planKitSync,
+  applyKitSync,
+  syncKitManifest
+};
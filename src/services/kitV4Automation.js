@@ -1,157 +1,58 @@
 // src/services/kitV4Automation.js - Complete Kit v4 Automation System
-// Full automation using Kit v4 API with hybrid approach
+// Full automation using Kit v4 API with hybrid approach (requests go through src/services/kitClient.js)
 
-import fetch from 'node-fetch';
 import { config } from '../config/environment.js';
 import { log } from '../utils/logger.js';
-
-const KIT_API_BASE = 'https://api.kit.com/v4';
+import { renderTemplate } from './templateEngine.js';
+import { getKitClient } from './kitClient.js';
+import { planKitSync } from './kitSync.js';
 
 export class KitV4Automation {
-  constructor() {
-    this.apiKey = config.kit.apiKey;
-    
-    // Kit v4 requires header authentication
-    this.headers = {
-      'X-Kit-Api-Key': this.apiKey,
-      'Content-Type': 'application/json'
-    };
-    
-    // Track resources
-    this.sequences = new Map();
-    this.forms = new Map();
-    this.tags = new Map();
-    this.subscribers = new Map();
+  constructor(kit = getKitClient('v4')) {
+    this.kit = kit;
   }
 
   // Test Kit v4 connection
   async testConnection() {
     try {
-      const response = await fetch(`${KIT_API_BASE}/account`, {
-        headers: this.headers
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Kit v4 connection failed: ${data.error || 'Unknown error'}`);
-      }
-      
-      log.info('✅ Kit v4 connection successful', { account: data.name });
-      return { success: true, account: data };
+      const account = await this.kit.getAccount();
+      log.info('✅ Kit v4 connection successful', { account: account?.name });
+      return { success: true, account };
     } catch (error) {
       log.error('❌ Kit v4 connection failed:', error.message);
       throw error;
     }
   }
 
-  // Load existing sequences
+  // Load existing sequences, forms and tags into the shared registry
   async loadSequences() {
-    try {
-      const response = await fetch(`${KIT_API_BASE}/sequences`, {
-        headers: this.headers
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Failed to load sequences: ${data.error}`);
-      }
-      
-      if (data.data) {
-        data.data.forEach(sequence => {
-          this.sequences.set(sequence.name, sequence);
-        });
-      }
-      
-      log.info(`📧 Loaded ${this.sequences.size} existing sequences`);
-      return Array.from(this.sequences.values());
-    } catch (error) {
-      log.error('❌ Failed to load sequences:', error.message);
-      throw error;
-    }
+    const sequences = await this.kit.listSequences({ refresh: true });
+    log.info(`📧 Loaded ${sequences.length} existing sequences`);
+    return sequences;
   }
 
-  // Load existing forms
   async loadForms() {
-    try {
-      const response = await fetch(`${KIT_API_BASE}/forms`, {
-        headers: this.headers
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Failed to load forms: ${data.error}`);
-      }
-      
-      if (data.data) {
-        data.data.forEach(form => {
-          this.forms.set(form.name, form);
-        });
-      }
-      
-      log.info(`📝 Loaded ${this.forms.size} existing forms`);
-      return Array.from(this.forms.values());
-    } catch (error) {
-      log.error('❌ Failed to load forms:', error.message);
-      throw error;
-    }
+    const forms = await this.kit.listForms({ refresh: true });
+    log.info(`📝 Loaded ${forms.length} existing forms`);
+    return forms;
   }
 
-  // Load existing tags
   async loadTags() {
-    try {
-      const response = await fetch(`${KIT_API_BASE}/tags`, {
-        headers: this.headers
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Failed to load tags: ${data.error}`);
-      }
-      
-      if (data.data) {
-        data.data.forEach(tag => {
-          this.tags.set(tag.name, tag);
-        });
-      }
-      
-      log.info(`🏷️ Loaded ${this.tags.size} existing tags`);
-      return Array.from(this.tags.values());
-    } catch (error) {
-      log.error('❌ Failed to load tags:', error.message);
-      throw error;
-    }
+    const tags = await this.kit.listTags({ refresh: true });
+    log.info(`🏷️ Loaded ${tags.length} existing tags`);
+    return tags;
   }
 
   // Create or update subscriber
   async createSubscriber(email, firstName = '', lastName = '') {
     try {
-      const response = await fetch(`${KIT_API_BASE}/subscribers`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({
-          email_address: email,
-          first_name: firstName,
-          last_name: lastName
-        })
+      const subscriber = await this.kit.upsertSubscriber({
+        email,
+        firstName,
+        fields: lastName ? { last_name: lastName } : undefined
       });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        // Check if subscriber already exists
-        if (response.status === 409 || data.error?.includes('already exists')) {
-          log.info(`Subscriber exists: ${email}`);
-          return await this.getSubscriberByEmail(email);
-        }
-        throw new Error(`Subscriber creation failed: ${data.error || 'Unknown error'}`);
-      }
-      
-      log.info(`✅ Subscriber created: ${email}`);
-      return data.data;
+      log.info(`✅ Subscriber saved: ${email}`);
+      return subscriber;
     } catch (error) {
       log.error(`❌ Subscriber creation failed: ${email}`, error.message);
       throw error;
@@ -161,109 +62,51 @@ export class KitV4Automation {
   // Get subscriber by email
   async getSubscriberByEmail(email) {
     try {
-      const response = await fetch(`${KIT_API_BASE}/subscribers?email_address=${encodeURIComponent(email)}`, {
-        headers: this.headers
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Subscriber lookup failed: ${data.error}`);
-      }
-      
-      if (data.data && data.data.length > 0) {
-        return data.data[0];
-      }
-      
-      return null;
+      return await this.kit.findSubscriber(email);
     } catch (error) {
       log.error(`❌ Subscriber lookup failed: ${email}`, error.message);
       throw error;
     }
   }
 
-  // Add subscriber to sequence
-  async addSubscriberToSequence(email, sequenceId, firstName = '', lastName = '') {
+  // Add subscriber to sequence (by name or ID)
+  async addSubscriberToSequence(email, sequence, firstName = '', lastName = '') {
     try {
-      // First ensure subscriber exists
-      let subscriber = await this.getSubscriberByEmail(email);
-      
-      if (!subscriber) {
-        subscriber = await this.createSubscriber(email, firstName, lastName);
-      }
-      
-      // Add to sequence
-      const response = await fetch(`${KIT_API_BASE}/sequences/${sequenceId}/subscribers`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({
-          email_address: email
-        })
+      const subscriber = await this.kit.addToSequence(email, sequence, {
+        firstName,
+        fields: lastName ? { last_name: lastName } : undefined
       });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Adding to sequence failed: ${data.error || 'Unknown error'}`);
-      }
-      
-      log.info(`✅ Added to sequence: ${email} → ${sequenceId}`);
-      return data.data;
+      log.info(`✅ Added to sequence: ${email} → ${sequence}`);
+      return subscriber;
     } catch (error) {
       log.error(`❌ Adding to sequence failed: ${email}`, error.message);
       throw error;
     }
   }
 
-  // Apply tag to subscriber
-  async applyTag(email, tagId) {
+  // Apply tag (by name or ID) to subscriber
+  async applyTag(email, tag) {
     try {
-      const response = await fetch(`${KIT_API_BASE}/tags/${tagId}/subscribers`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({
-          email_address: email
-        })
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Tag application failed: ${data.error || 'Unknown error'}`);
-      }
-      
-      log.info(`✅ Tag applied: ${email} → ${tagId}`);
-      return data.data;
+      const subscriber = await this.kit.tagSubscriber(email, tag);
+      log.info(`✅ Tag applied: ${email} → ${tag}`);
+      return subscriber;
     } catch (error) {
       log.error(`❌ Tag application failed: ${email}`, error.message);
       throw error;
     }
   }
 
-  // Create broadcast campaign
+  // Create broadcast campaign (a draft for the subscribers holding any of the tags)
   async createBroadcast(subject, content, tags = []) {
     try {
-      const response = await fetch(`${KIT_API_BASE}/broadcasts`, {
-        method: 'POST',
-        headers: this.headers,
-        body: JSON.stringify({
-          subject: subject,
-          content: content,
-          description: `Automated broadcast from Jacobs Counsel system`,
-          public: false, // Draft mode
-          send_at: null, // Draft, not scheduled
-          tag_ids: tags
-        })
+      const broadcast = await this.kit.createBroadcast({
+        subject,
+        content,
+        description: 'Automated broadcast from Jacobs Counsel system',
+        tags
       });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Broadcast creation failed: ${data.error || 'Unknown error'}`);
-      }
-      
       log.info(`✅ Broadcast created: ${subject}`);
-      return data.data;
+      return broadcast;
     } catch (error) {
       log.error(`❌ Broadcast creation failed: ${subject}`, error.message);
       throw error;
@@ -290,7 +133,7 @@ export class KitV4Automation {
       
       // Step 3: Apply appropriate tags
       for (const tagName of automationPath.tags) {
-        const tag = this.tags.get(tagName);
+        const tag = await this.kit.findTag(tagName);
         if (tag) {
           await this.applyTag(formData.email, tag.id);
         } else {
@@ -300,7 +143,7 @@ export class KitV4Automation {
       
       // Step 4: Add to sequences (if they exist)
       for (const sequenceName of automationPath.sequences) {
-        const sequence = this.sequences.get(sequenceName);
+        const sequence = await this.kit.findSequence(sequenceName);
         if (sequence) {
           await this.addSubscriberToSequence(formData.email, sequence.id, firstName, lastName);
         } else {
@@ -353,7 +196,8 @@ export class KitV4Automation {
     return paths.premium; // All clients receive Premium minimum
   }
 
-  // Initialize complete system
+  // Initialize complete system: load the account's resources and report manifest names it lacks
+  // (created by npm run kit:apply, never here)
   async initializeSystem() {
     log.info('🏗️ Initializing Kit v4 automation system...');
     
@@ -368,6 +212,13 @@ export class KitV4Automation {
         this.loadTags()
       ]);
       
+      const { actions: missing } = await planKitSync({ kit: this.kit });
+      if (missing.length > 0) {
+        log.warn(`Kit account is missing ${missing.length} manifest name(s) - run npm run kit:apply`, {
+          missing: missing.map(({ kind, name }) => `${kind}: ${name}`)
+        });
+      }
+      
       log.info('📊 System initialized successfully', {
         sequences: sequences.length,
         forms: forms.length,
@@ -380,7 +231,8 @@ export class KitV4Automation {
           sequences,
           forms,
           tags
-        }
+        },
+        missing
       };
       
     } catch (error) {
@@ -389,7 +241,7 @@ export class KitV4Automation {
     }
   }
 
-  // Generate sequence templates for manual setup
+  // Generate sequence templates for manual setup (email bodies live in src/views/emails/kit)
   generateSequenceTemplates() {
     return {
       vip: {
@@ -399,17 +251,17 @@ export class KitV4Automation {
           {
             subject: '🏛️ Welcome to Your VIP Legal Experience',
             delay: 'Immediate',
-            content: 'VIP welcome email content...'
+            content: renderTemplate('kit/vip-welcome')
           },
           {
             subject: '⚡ Your Personal Legal Strategy Session Awaits',
             delay: '2 hours',
-            content: 'Strategy session email content...'
+            content: renderTemplate('kit/vip-strategy-session')
           },
           {
             subject: '🎯 Priority Access: Schedule Your Session Today',
             delay: '24 hours', 
-            content: 'Priority booking email content...'
+            content: renderTemplate('kit/vip-priority-booking')
           }
         ]
       },
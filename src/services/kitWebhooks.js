@@ -0,0 +1,201 @@
+// src/services/kitWebhooks.js - Subscriber events from Kit back into the lead record
+// registerKitWebhooks() points Kit's subscriber events at POST /api/webhooks/kit: one hook per tag
+// (tag_add), form (form_subscribe) and sequence (course_complete, i.e. sequence finished), one per
+// booking link (link_click) and one for unsubscribes. Kit posts only { subscriber }, so each hook's URL
+// carries its event, resource and the INBOUND_EMAIL_TOKEN; deliveries that match no registered hook
+// are refused. Tags are mirrored into subscriber_tags, everything else lands in lead_interactions,
+// and a Kit unsubscribe unsubscribes the address here too (src/services/suppression.js).
+
+import db, { leadDb } from '../models/database.js';
+import { config } from '../config/environment.js';
+import { log } from '../utils/logger.js';
+import { getKitClient } from './kitClient.js';
+
+export const KIT_WEBHOOK_PATH = '/api/webhooks/kit';
+
+// Kit event → what it is scoped to (Kit requires the id/link when registering) and how it is recorded
+export const KIT_WEBHOOK_EVENTS = {
+  'subscriber.tag_add': { scope: 'tags', param: 'tagId' },
+  'subscriber.subscriber_unsubscribe': { scope: null, interaction: 'kit_unsubscribed' },
+  'subscriber.link_click': { scope: 'links', param: 'url', interaction: 'kit_link_clicked' },
+  'subscriber.form_subscribe': { scope: 'forms', param: 'formId', interaction: 'kit_form_subscribed' },
+  'subscriber.course_complete': { scope: 'sequences', param: 'sequenceId', interaction: 'kit_sequence_completed' }
+};
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * The URL Kit calls for one event and resource
+ * @param {String} event - One of KIT_WEBHOOK_EVENTS
+ * @param {String} [resource] - Tag/form/sequence id or link
+ */
+export function kitWebhookUrl(event, resource = '') {
+  const url = new URL(KIT_WEBHOOK_PATH, config.baseUrl);
+  url.searchParams.set('event', event);
+  if (resource) url.searchParams.set('resource', resource);
+  url.searchParams.set('token', config.inbound.token);
+  return url.toString();
+}
+
+// Every hook the account should have: one per tag, form and sequence in Kit, one per booking link
+async function desiredWebhooks(kit) {
+  const resources = {
+    tags: (await kit.listTags({ refresh: true })).map(({ id, name }) => ({ resource: String(id), name })),
+    forms: (await kit.listForms({ refresh: true })).map(({ id, name }) => ({ resource: String(id), name })),
+    sequences: (await kit.listSequences({ refresh: true })).map(({ id, name }) => ({ resource: String(id), name })),
+    links: [...new Set(Object.values(config.calendlyLinks))].map(link => ({ resource: link, name: link }))
+  };
+
+  return Object.entries(KIT_WEBHOOK_EVENTS).flatMap(([event, { scope }]) =>
+    scope ? resources[scope].map(entry => ({ event, ...entry })) : [{ event, resource: '', name: null }]);
+}
+
+/**
+ * Register every missing hook with Kit (hooks recorded in kit_webhooks are skipped, so it is safe to re-run)
+ * @param {Object} [options] - { kit: KitClient, onWebhook: (result) => void } for progress output
+ * @returns {Object} { created: [{ event, resource, name }], existing, failed: [{ event, resource, name, error }] }
+ */
+export async function registerKitWebhooks({ kit = getKitClient(), onWebhook } = {}) {
+  if (!config.inbound.token) {
+    throw new Error('Set INBOUND_EMAIL_TOKEN before registering Kit webhooks');
+  }
+
+  const recorded = new Set((await db.all('SELECT event, resource FROM kit_webhooks'))
+    .map(({ event, resource }) => `${event} ${resource}`));
+  const result = { created: [], existing: 0, failed: [] };
+
+  for (const webhook of await desiredWebhooks(kit)) {
+    if (recorded.has(`${webhook.event} ${webhook.resource}`)) {
+      result.existing++;
+      continue;
+    }
+
+    const { param } = KIT_WEBHOOK_EVENTS[webhook.event];
+    try {
+      const created = await kit.createWebhook({
+        targetUrl: kitWebhookUrl(webhook.event, webhook.resource),
+        event: webhook.event,
+        ...(param ? { [param]: param === 'url' ? webhook.resource : Number(webhook.resource) } : {})
+      });
+      await db.run(`
+        INSERT INTO kit_webhooks (event, resource, resource_name, kit_webhook_id, api_version) VALUES (?, ?, ?, ?, ?)
+      `, webhook.event, webhook.resource, webhook.name, created.id, kit.version);
+      result.created.push(webhook);
+      onWebhook?.({ ...webhook, status: 'created' });
+    } catch (error) {
+      log.warn(`Kit webhook registration failed: ${webhook.event} ${webhook.name || ''}`, error.message);
+      result.failed.push({ ...webhook, error: error.message });
+      onWebhook?.({ ...webhook, status: 'failed', error: error.message });
+    }
+  }
+
+  log.info('🪝 Kit webhooks registered', { created: result.created.length, existing: result.existing, failed: result.failed.length });
+  return result;
+}
+
+// Hooks this server registered (kit_webhooks rows)
+export function listKitWebhooks() {
+  return db.all('SELECT * FROM kit_webhooks ORDER BY event, resource_name');
+}
+
+/**
+ * Delete every recorded hook from Kit, e.g. before rotating INBOUND_EMAIL_TOKEN or changing BASE_URL
+ * @returns {Object} { removed, failed: [{ event, resource, error }] }
+ */
+export async function removeKitWebhooks({ kit = getKitClient() } = {}) {
+  const result = { removed: 0, failed: [] };
+
+  for (const webhook of await listKitWebhooks()) {
+    try {
+      await kit.deleteWebhook(webhook.kit_webhook_id);
+    } catch (error) {
+      // Already gone in Kit: forget it here too
+      if (error.status !== 404) {
+        result.failed.push({ event: webhook.event, resource: webhook.resource, error: error.message });
+        continue;
+      }
+    }
+    await db.run('DELETE FROM kit_webhooks WHERE id = ?', webhook.id);
+    result.removed++;
+  }
+
+  log.info('🪝 Kit webhooks removed', { removed: result.removed, failed: result.failed.length });
+  return result;
+}
+
+// Local subscribers row for an address (subscriber_tags hangs off it)
+async function subscriberId(email, firstName) {
+  await db.run(`
+    INSERT INTO subscribers (email, first_name) VALUES (?, ?)
+    ON CONFLICT(email) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+  `, email, firstName || null);
+  return (await db.get('SELECT id FROM subscribers WHERE email = ?', email)).id;
+}
+
+/**
+ * Record one Kit delivery
+ * @param {Object} params - { event, resource } from the hook's URL
+ * @param {Object} payload - Kit's body: { subscriber: { id, email_address, first_name, state } }
+ * @returns {Object} { accepted, reason?, email?, event?, leadId?, recorded? }
+ */
+export async function handleKitWebhook({ event, resource = '' }, payload) {
+  const webhook = await db.get('SELECT * FROM kit_webhooks WHERE event = ? AND resource = ?', event, resource);
+  if (!webhook) {
+    return { accepted: false, reason: 'unregistered' };
+  }
+
+  const email = normalizeEmail(payload?.subscriber?.email_address);
+  if (!email) {
+    return { accepted: false, reason: 'missing_subscriber' };
+  }
+
+  const lead = await leadDb.getLeadByEmail(email);
+  const details = { kitSubscriberId: payload.subscriber.id ?? null };
+  let recorded = true;
+
+  switch (event) {
+    case 'subscriber.tag_add': {
+      const tag = webhook.resource_name || resource;
+      const added = await db.run(
+        'INSERT OR IGNORE INTO subscriber_tags (subscriber_id, tag_name) VALUES (?, ?)',
+        await subscriberId(email, payload.subscriber.first_name), tag
+      );
+      // Kit repeats tags our own tagging applied; only a new tag is worth an interaction
+      recorded = added.changes > 0;
+      if (recorded && lead) {
+        await leadDb.logInteraction(lead.id, 'kit_tag_added', { tag, ...details });
+      }
+      break;
+    }
+    case 'subscriber.subscriber_unsubscribe':
+      await leadDb.unsubscribeEmail(email, 'kit_unsubscribe');
+      break;
+    case 'subscriber.link_click':
+      details.url = resource;
+      break;
+    case 'subscriber.form_subscribe':
+      details.form = webhook.resource_name || resource;
+      break;
+    case 'subscriber.course_complete':
+      details.sequence = webhook.resource_name || resource;
+      break;
+  }
+
+  const { interaction } = KIT_WEBHOOK_EVENTS[event];
+  if (interaction && lead) {
+    await leadDb.logInteraction(lead.id, interaction, details);
+  }
+
+  log.info('🪝 Kit webhook received', { event, email, resource: webhook.resource_name || resource, leadId: lead?.id || null });
+  return { accepted: true, event, email, leadId: lead?.id || null, recorded };
+}
+
+export default {
+  KIT_WEBHOOK_PATH,
+  KIT_WEBHOOK_EVENTS,
+  kitWebhookUrl,
+  registerKitWebhooks,
+  removeKitWebhooks,
+  listKitWebhooks,
+  handleKitWebhook
+};
@@ -1,6 +1,7 @@
 // src/services/leadScoring.js - Enhanced lead scoring for better conversion
 import { config } from '../config/environment.js';
 import { log } from '../utils/logger.js';
+import { parseAmount } from './intakeSchemas.js';
 
 // Get appropriate Calendly link based on type and score
 export function getCalendlyLink(submissionType, leadScore) {
@@ -59,7 +60,7 @@ export function calculateLeadScore(formData, submissionType) {
   
   // Estate Planning Scoring (enhanced for better targeting)
   if (submissionType === 'estate-intake') {
-    const grossEstate = parseFloat(formData.grossEstate?.replace(/[,$]/g, '') || '0');
+    const grossEstate = parseAmount(formData.grossEstate) || 0;
     
     // More granular estate value scoring
     if (grossEstate > 10000000) { 
@@ -159,7 +160,7 @@ export function calculateLeadScore(formData, submissionType) {
     }
     
     // CREATOR-SPECIFIC SCORING
-    const socialFollowing = parseInt(formData.socialFollowing?.replace(/[,]/g, '') || '0');
+    const socialFollowing = parseAmount(formData.socialFollowing) || 0;
     if (socialFollowing > 2000000) {
       score += 60;
       scoreFactors.push('Major creator (2M+ followers): +60');
@@ -171,7 +172,7 @@ export function calculateLeadScore(formData, submissionType) {
       scoreFactors.push('Mid-tier creator (500K+ followers): +30');
     }
     
-    const businessRevenue = parseInt(formData.businessRevenue?.replace(/[,]/g, '') || '0');
+    const businessRevenue = parseAmount(formData.businessRevenue) || 0;
     if (businessRevenue > 2000000) {
       score += 50;
       scoreFactors.push('High revenue creator ($2M+): +50');
@@ -191,15 +192,17 @@ export function calculateLeadScore(formData, submissionType) {
   
   // Outside Counsel Scoring  
   if (submissionType === 'outside-counsel') {
-    if (formData.budget?.includes('10K+')) { 
+    // The intake form sends monthly legal spend as legalSpend (e.g. '10k-25k')
+    const legalSpend = formData.legalSpend || '';
+    if (formData.budget?.includes('10K+') || ['10k-25k', '25k-plus'].includes(legalSpend)) {
       score += 50; // Increased
-      scoreFactors.push('High budget (>$10K): +50'); 
-    } else if (formData.budget?.includes('5K-10K')) { 
+      scoreFactors.push('High budget (>$10K): +50');
+    } else if (formData.budget?.includes('5K-10K') || legalSpend === '5k-10k') {
       score += 30; // Increased
-      scoreFactors.push('Substantial budget: +30'); 
+      scoreFactors.push('Substantial budget: +30');
     }
-    
-    if (formData.timeline === 'Immediately') { 
+
+    if (formData.timeline === 'Immediately' || formData.timeline === 'immediate') {
       score += 35; // Increased - urgency premium
       scoreFactors.push('Immediate need: +35'); 
     }
@@ -245,4 +248,78 @@ export function calculateLeadScore(formData, submissionType) {
     factors: scoreFactors,
     priority: finalScore >= 70 ? 'HIGH' : finalScore >= 50 ? 'MEDIUM' : 'STANDARD'
   };
-}
\ No newline at end of file
+}
+
+// Gaming & interactive entertainment scoring - every gaming lead starts high priority
+export function calculateGamingLeadScore(formData) {
+  let score = 40; // Base score (equalized system)
+  const scoreFactors = ['Base gaming-legal-intake: +40'];
+  const isTrue = (value) => value === true || value === 'true';
+  
+  // High-value indicators for gaming legal
+  if (isTrue(formData.hasRealMoney)) { score += 15; scoreFactors.push('Real-money play: +15'); }
+  if (isTrue(formData.isSkillBased)) { score += 20; scoreFactors.push('Skill-based gaming: +20'); } // Highest complexity
+  if (formData.currentStage === 'live' || formData.currentStage === 'scaling') { score += 10; scoreFactors.push('Live or scaling product: +10'); }
+  if (formData.urgencyLevel === 'immediate') { score += 15; scoreFactors.push('Immediate need: +15'); }
+  if (formData.monthlyRevenue && ['100k-500k', '500k+'].includes(formData.monthlyRevenue)) { score += 10; scoreFactors.push('Monthly revenue $100K+: +10'); }
+  if (formData.specificChallenges && formData.specificChallenges.length > 50) { score += 5; scoreFactors.push('Detailed challenges: +5'); }
+  
+  // Gaming-specific services boost
+  if (Array.isArray(formData.legalServices)) {
+    if (formData.legalServices.includes('compliance-analysis')) { score += 5; scoreFactors.push('Compliance analysis: +5'); }
+    if (formData.legalServices.includes('legal-opinions')) { score += 10; scoreFactors.push('Legal opinions: +10'); }
+    if (formData.legalServices.includes('regulatory-defense')) { score += 15; scoreFactors.push('Regulatory defense: +15'); }
+  }
+  
+  const finalScore = Math.min(score, 100);
+  
+  // Gaming legal clients are inherently high value
+  const priority = isTrue(formData.isSkillBased) || isTrue(formData.hasRealMoney) ||
+    formData.urgencyLevel === 'immediate' || finalScore >= 80
+    ? 'critical'
+    : 'high';
+  
+  log.info('Gaming lead scored', {
+    email: formData.email,
+    score: finalScore,
+    priority
+  });
+  
+  return {
+    score: finalScore,
+    factors: scoreFactors,
+    priority
+  };
+}
+
+// Strategy assessment scoring - driven by the server-side risk assessment, not the browser's score
+export function calculateAssessmentLeadScore(formData) {
+  const assessment = formData.assessment || {};
+  let score = 40; // Base score (equalized system)
+  const scoreFactors = ['Base legal-strategy-assessment: +40'];
+
+  const riskPoints = assessment.overallRiskScore || 0;
+  if (riskPoints > 0) { score += riskPoints; scoreFactors.push(`Overall risk ${riskPoints}/30: +${riskPoints}`); }
+
+  // Exposure above 1.0 means more wealth or revenue at stake
+  const exposurePoints = Math.round(Math.max(0, (assessment.exposure || 1) - 1) * 50);
+  if (exposurePoints > 0) { score += exposurePoints; scoreFactors.push(`Assets/revenue at stake: +${exposurePoints}`); }
+
+  const highRiskCount = assessment.highRiskAreas?.length || 0;
+  if (highRiskCount > 0) { score += highRiskCount * 5; scoreFactors.push(`${highRiskCount} high-risk area(s): +${highRiskCount * 5}`); }
+
+  const finalScore = Math.min(score, 100);
+
+  log.info('Assessment lead scored', {
+    email: formData.email,
+    score: finalScore,
+    overallRiskScore: riskPoints,
+    factors: scoreFactors.length
+  });
+
+  return {
+    score: finalScore,
+    factors: scoreFactors,
+    priority: finalScore >= 70 ? 'HIGH' : finalScore >= 50 ? 'MEDIUM' : 'STANDARD'
+  };
+}
@@ -0,0 +1,316 @@
+// src/services/mailTransport.js - The one way this backend sends email
+// Providers register here in failover order (Graph, SendGrid, Resend, Mailgun, SMTP) and every
+// send goes through sendMail(), which applies suppression and List-Unsubscribe headers, tries each
+// configured provider in turn and returns the same result shape whichever provider delivered.
+// Every message goes out as multipart/alternative with a plain-text part derived from the HTML.
+// Sends that ask for it are tracked: opens and clicks are recorded per message (emailTracking.js).
+// With nothing configured in development, mail is captured as .eml files instead of being dropped.
+
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { config } from '../config/environment.js';
+import { log } from '../utils/logger.js';
+import { filterRecipients, TRANSACTIONAL } from './suppression.js';
+import { listUnsubscribeHeaders } from './emailLinks.js';
+import { buildMimeMessage, formatAddress } from './mimeMessage.js';
+import { htmlToText } from '../utils/htmlToText.js';
+import { isGraphConfigured, graphFetch } from './graphAuth.js';
+import { startTracking, markTrackedSent, markTrackedFailed, trackingMessageId } from './emailTracking.js';
+
+const providers = new Map();
+
+/**
+ * Register a mail provider; registration order is the default failover order
+ * @param {String} name - Key used in MAIL_PROVIDERS, e.g. 'sendgrid'
+ * @param {Object} provider - { label, isConfigured: () => Boolean, send: async (message) => ({ messageId }), capture }
+ *   message is { from: { email, name }, to: [emails], subject, html, text, replyTo, headers };
+ *   capture marks development transports that are never used as a production fallback
+ */
+export function registerMailProvider(name, provider) {
+  providers.set(name, { name, capture: false, ...provider });
+}
+
+/**
+ * Providers sendMail() will try, in order
+ * MAIL_PROVIDERS picks and orders them explicitly; otherwise every configured real provider is used,
+ * falling back to the capture transport in development.
+ */
+export function getActiveProviders() {
+  if (config.email.providers.length > 0) {
+    return config.email.providers
+      .map(name => providers.get(name))
+      .filter(provider => provider?.isConfigured());
+  }
+
+  const configured = Array.from(providers.values()).filter(provider => provider.isConfigured());
+  const real = configured.filter(provider => !provider.capture);
+  if (real.length > 0) return real;
+  return config.isDevelopment ? configured.filter(provider => provider.capture) : [];
+}
+
+/**
+ * Registered providers and whether each is configured and in use, for status endpoints
+ */
+export function listMailProviders() {
+  const active = getActiveProviders().map(provider => provider.name);
+  return Array.from(providers.values()).map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    priority: active.includes(provider.name) ? active.indexOf(provider.name) + 1 : null
+  }));
+}
+
+/**
+ * Send an email through the first provider that accepts it
+ * @param {Object} email - { to, subject, html, text, replyTo, category, priority, headers, track }
+ *   to is one address or a list; text defaults to a rendering of html (src/utils/htmlToText.js);
+ *   category decides which opt-outs apply (see suppression.js);
+ *   priority 'high' flags the message as important in the recipient's mail client;
+ *   track ({ leadId, templateKey, trackingId, automationId, subscriberId }) records opens and clicks
+ *   when the message goes to a single recipient and EMAIL_TRACKING is not 'false'
+ * @returns {Object} { success: true, provider, messageId, trackingId, skipped, failures }, or
+ *   { success: false, suppressed: true, skipped } when every recipient has opted out.
+ *   skipped lists suppressed recipients; failures lists providers that were tried first and failed.
+ * @throws {Error} When no provider is configured or every provider fails (error.failures has the details)
+ */
+export async function sendMail({ to, subject, html, text, replyTo, category, priority, headers = {}, track }) {
+  const { allowed, suppressed } = await filterRecipients(to, category);
+  if (allowed.length === 0) {
+    return { success: false, suppressed: true, skipped: suppressed };
+  }
+
+  // Marketing mail to a single recipient carries RFC 8058 one-click unsubscribe headers
+  if (allowed.length === 1 && category !== TRANSACTIONAL) {
+    headers = { ...headers, ...listUnsubscribeHeaders(allowed[0]) };
+  }
+
+  if (priority === 'high') {
+    headers = { ...headers, 'Importance': 'high', 'X-Priority': '1' };
+  }
+
+  const active = getActiveProviders();
+  if (active.length === 0) {
+    throw new Error('No email providers configured');
+  }
+
+  const message = {
+    from: { email: config.email.fromAddress, name: config.email.fromName },
+    to: allowed,
+    subject,
+    html,
+    text: text || htmlToText(html), // from the original HTML, so the text part shows real URLs
+    replyTo,
+    headers
+  };
+
+  const tracking = track && allowed.length === 1 && config.email.tracking
+    ? await startTracking({ ...track, email: allowed[0], subject, html })
+    : null;
+  if (tracking) {
+    message.html = tracking.html;
+    message.headers = { 'Message-ID': trackingMessageId(tracking.trackingId), ...message.headers };
+  }
+
+  const failures = [];
+  for (const provider of active) {
+    try {
+      log.info(`📧 Sending email via ${provider.label}`, { to: allowed, subject, category });
+      const result = await provider.send(message);
+
+      log.info(`✅ Email sent via ${provider.label}`, { to: allowed, messageId: result?.messageId });
+      if (tracking) {
+        await markTrackedSent(tracking.trackingId, { provider: provider.name, messageId: result?.messageId || null });
+      }
+      return {
+        success: true,
+        provider: provider.name,
+        messageId: result?.messageId || null,
+        trackingId: tracking?.trackingId || null,
+        skipped: suppressed,
+        failures
+      };
+    } catch (error) {
+      failures.push({ provider: provider.name, error: error.message });
+      log.warn(`❌ Email failed via ${provider.label}`, { to: allowed, subject, error: error.message });
+    }
+  }
+
+  log.error('❌ All email providers failed', { to: allowed, subject, failures });
+  const error = new Error(`Email sending failed: ${failures.map(failure => `${failure.provider}: ${failure.error}`).join('; ')}`);
+  error.failures = failures;
+  if (tracking) {
+    await markTrackedFailed(tracking.trackingId, error);
+  }
+  throw error;
+}
+
+// Providers
+
+// Non-2xx responses become errors carrying the provider's response body
+async function ensureOk(response, label) {
+  if (!response.ok) {
+    throw new Error(`${label} API error: ${response.status} - ${await response.text()}`);
+  }
+  return response;
+}
+
+registerMailProvider('graph', {
+  label: 'Microsoft Graph',
+  isConfigured: isGraphConfigured,
+  send: async (message) => {
+    // App-only tokens send as the configured mailbox
+    const sender = { email: config.microsoft.sender, name: message.from.name };
+
+    // Graph's JSON form takes a single body and only x- headers, so we always post MIME
+    await ensureOk(await graphFetch(`/users/${encodeURIComponent(sender.email)}/sendMail`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: Buffer.from(buildMimeMessage({ ...message, from: sender })).toString('base64')
+    }), 'Microsoft Graph');
+
+    // Graph accepts with 202 and no message id
+    return { messageId: `graph_${randomUUID()}` };
+  }
+});
+
+registerMailProvider('sendgrid', {
+  label: 'SendGrid',
+  isConfigured: () => !!config.sendgrid.apiKey,
+  send: async ({ from, to, subject, html, text, replyTo, headers }) => {
+    const response = await ensureOk(await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${config.sendgrid.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: to.map(email => ({ email })) }],
+        from,
+        reply_to: replyTo ? { email: replyTo } : undefined,
+        subject,
+        content: [{ type: 'text/plain', value: text }, { type: 'text/html', value: html }],
+        headers: Object.keys(headers).length > 0 ? headers : undefined,
+        mail_settings: config.sendgrid.sandbox ? { sandbox_mode: { enable: true } } : undefined
+      })
+    }), 'SendGrid');
+
+    return { messageId: response.headers.get('x-message-id') };
+  }
+});
+
+registerMailProvider('resend', {
+  label: 'Resend',
+  isConfigured: () => !!config.resend.apiKey,
+  send: async ({ from, to, subject, html, text, replyTo, headers }) => {
+    const response = await ensureOk(await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${config.resend.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ from: formatAddress(from), to, subject, html, text, reply_to: replyTo, headers })
+    }), 'Resend');
+
+    const { id } = await response.json();
+    return { messageId: id };
+  }
+});
+
+registerMailProvider('mailgun', {
+  label: 'Mailgun',
+  isConfigured: () => !!(config.mailgun.apiKey && config.mailgun.domain),
+  send: async ({ from, to, subject, html, text, replyTo, headers }) => {
+    const form = new URLSearchParams({ from: formatAddress(from), subject, text, html });
+    to.forEach(address => form.append('to', address));
+    if (replyTo) form.append('h:Reply-To', replyTo);
+    // Mailgun takes custom headers as h:Name fields
+    Object.entries(headers).forEach(([name, value]) => form.append(`h:${name}`, value));
+
+    const response = await ensureOk(await fetch(`${config.mailgun.apiBase}/v3/${config.mailgun.domain}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`api:${config.mailgun.apiKey}`).toString('base64')}`
+      },
+      body: form
+    }), 'Mailgun');
+
+    const { id } = await response.json();
+    return { messageId: id };
+  }
+});
+
+let smtpTransporter = null;
+
+registerMailProvider('smtp', {
+  label: 'SMTP',
+  isConfigured: () => !!config.smtp.host,
+  send: async ({ from, to, subject, html, text, replyTo, headers }) => {
+    if (!smtpTransporter) {
+      const nodemailer = await import('nodemailer').catch(() => {
+        throw new Error('SMTP transport needs the nodemailer package (npm install nodemailer)');
+      });
+      smtpTransporter = nodemailer.default.createTransport({
+        host: config.smtp.host,
+        port: config.smtp.port,
+        secure: config.smtp.secure,
+        auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+      });
+    }
+
+    const info = await smtpTransporter.sendMail({
+      from: formatAddress(from),
+      to: to.join(', '),
+      replyTo,
+      subject,
+      text,
+      html,
+      headers
+    });
+    return { messageId: info.messageId };
+  }
+});
+
+// Development/test capture - writes each message to MAIL_CAPTURE_DIR and keeps the latest in memory
+const CAPTURE_LIMIT = 100;
+const capturedMail = [];
+
+registerMailProvider('file', {
+  label: 'File capture',
+  capture: true,
+  isConfigured: () => true,
+  send: async (message) => {
+    const messageId = `file_${randomUUID()}`;
+    const file = path.resolve(config.email.captureDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId}.eml`);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buildMimeMessage({ ...message, headers: { 'Message-ID': `<${messageId}@localhost>`, ...message.headers } }));
+
+    capturedMail.push({ ...message, messageId, file, capturedAt: new Date().toISOString() });
+    capturedMail.splice(0, capturedMail.length - CAPTURE_LIMIT);
+
+    log.info('📥 Email captured to file', { to: message.to, file });
+    return { messageId };
+  }
+});
+
+/**
+ * Messages captured by the file transport since startup (newest last)
+ */
+export function getCapturedMail() {
+  return [...capturedMail];
+}
+
+export function clearCapturedMail() {
+  capturedMail.length = 0;
+}
+
+export default {
+  registerMailProvider,
+  getActiveProviders,
+  listMailProviders,
+  sendMail,
+  getCapturedMail,
+  clearCapturedMail
+};
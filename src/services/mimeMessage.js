@@ -0,0 +1,196 @@
+// src/services/mimeMessage.js - Minimal RFC 5322 message builder and parser
+// Graph's JSON sendMail takes a single body and only custom headers starting with "x-", so mail
+// is sent to Graph (and captured to file) as a base64-encoded multipart/alternative MIME message.
+// The parser reads inbound mail (replies, delivery reports) well enough to match it to what we sent.
+
+import { randomBytes } from 'crypto';
+
+const CRLF = '\r\n';
+
+// RFC 2047 encoded-word for header values that aren't plain ASCII
+function encodeHeaderValue(value) {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// Display names with RFC 5322 specials ("Drew Jacobs, Esq.") must be quoted
+const formatDisplayName = (name) => /[()<>\[\]:;@\\,."]/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : name;
+
+/**
+ * Format an address for a header
+ * @param {String|Object} address - 'a@b.com' or { email, name }
+ * @returns {String} e.g. '"Drew Jacobs, Esq." <drew@jacobscounsellaw.com>'
+ */
+export function formatAddress(address) {
+  if (typeof address === 'string') return address;
+  if (!address.name) return address.email;
+  const name = /^[\x20-\x7e]*$/.test(address.name) ? formatDisplayName(address.name) : encodeHeaderValue(address.name);
+  return `${name} <${address.email}>`;
+}
+
+const wrapBase64 = (text) => Buffer.from(text, 'utf8').toString('base64').replace(/.{76}(?=.)/g, `$&${CRLF}`);
+
+const part = (contentType, body) => [
+  `Content-Type: ${contentType}; charset=UTF-8`,
+  'Content-Transfer-Encoding: base64',
+  '',
+  wrapBase64(body)
+].join(CRLF);
+
+/**
+ * Build an HTML message, as multipart/alternative when a plain-text version is given
+ * @param {Object} message - { from, to, subject, html, text, replyTo, headers }
+ *   from/to/replyTo accept 'a@b.com' or { email, name }; headers is { Name: value }
+ * @returns {String} CRLF-delimited MIME message
+ */
+export function buildMimeMessage({ from, to, subject, html, text, replyTo, headers = {} }) {
+  const recipients = Array.isArray(to) ? to : [to];
+  const lines = [
+    `From: ${formatAddress(from)}`,
+    `To: ${recipients.map(formatAddress).join(', ')}`,
+    replyTo && `Reply-To: ${formatAddress(replyTo)}`,
+    `Subject: ${encodeHeaderValue(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeaderValue(value)}`)
+  ].filter(Boolean);
+
+  if (!text) {
+    return `${lines.join(CRLF)}${CRLF}${part('text/html', html)}${CRLF}`;
+  }
+
+  // Clients show the last alternative they can render, so plain text goes first
+  const boundary = `=_alt_${randomBytes(12).toString('hex')}`;
+  return [
+    ...lines,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    part('text/plain', text.replace(/\r?\n/g, CRLF)),
+    `--${boundary}`,
+    part('text/html', html),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+}
+
+// Parsing
+
+const decodeText = (bytes, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+};
+
+const decodeQuotedPrintable = (text) => Buffer.from(
+  text.replace(/=\r?\n/g, '').replace(/=([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+  'latin1'
+);
+
+// RFC 2047 encoded-words (=?UTF-8?B?...?=) in header values
+function decodeHeaderValue(value) {
+  return value
+    .replace(/(\?=)\s+(=\?)/g, '$1$2') // whitespace between adjacent encoded-words is not displayed
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => decodeText(
+      encoding.toLowerCase() === 'b' ? Buffer.from(text, 'base64') : decodeQuotedPrintable(text.replace(/_/g, ' ')),
+      charset
+    ));
+}
+
+/**
+ * Parse a header block into lower-cased names (the first of any repeated header wins)
+ * @param {String} block - Header lines (folded lines are joined)
+ * @returns {Object} { name: value }
+ */
+export function parseHeaders(block) {
+  const entries = block
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .map(line => line.match(/^([^:\s]+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, name, value]) => [name.toLowerCase(), decodeHeaderValue(value.trim())]);
+
+  const headers = {};
+  for (const [name, value] of entries) {
+    if (!(name in headers)) headers[name] = value;
+  }
+  return headers;
+}
+
+// 'multipart/mixed; boundary="x"' -> { type: 'multipart/mixed', params: { boundary: 'x' } }
+function parseContentType(value = 'text/plain') {
+  const [type, ...rest] = value.split(';');
+  const params = {};
+  for (const param of rest) {
+    const [, key, quoted, bare] = param.trim().match(/^([\w-]+)\s*=\s*(?:"([^"]*)"|(\S+))/) || [];
+    if (key) params[key.toLowerCase()] = quoted ?? bare;
+  }
+  return { type: type.trim().toLowerCase(), params };
+}
+
+function splitEntity(raw) {
+  const match = raw.match(/\r?\n\r?\n/);
+  return match
+    ? { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) }
+    : { head: raw, body: '' };
+}
+
+function decodeBody(body, headers, charset) {
+  const encoding = (headers['content-transfer-encoding'] || '').toLowerCase();
+  if (encoding === 'base64') return decodeText(Buffer.from(body.replace(/\s+/g, ''), 'base64'), charset);
+  if (encoding === 'quoted-printable') return decodeText(decodeQuotedPrintable(body), charset);
+  return body;
+}
+
+// Leaf parts of an entity, depth first
+function collectParts(raw, parts) {
+  const { head, body } = splitEntity(raw);
+  const headers = parseHeaders(head);
+  const { type, params } = parseContentType(headers['content-type']);
+
+  if (type.startsWith('multipart/') && params.boundary) {
+    const delimiter = `--${params.boundary}`;
+    let section = null; // lines of the part being read; null in the preamble and after the closing delimiter
+    for (const line of body.split(/\r?\n/)) {
+      if (line.startsWith(delimiter)) {
+        if (section) collectParts(section.join('\r\n'), parts);
+        section = line.startsWith(`${delimiter}--`) ? null : [];
+      } else if (section) {
+        section.push(line);
+      }
+    }
+    if (section) collectParts(section.join('\r\n'), parts); // tolerate a missing closing delimiter
+  } else {
+    parts.push({ type, headers, body: decodeBody(body, headers, params.charset) });
+  }
+  return parts;
+}
+
+/**
+ * Parse a raw RFC 5322 message
+ * @param {String} raw
+ * @returns {Object} { headers, parts: [{ type, headers, body }], text, html } where text and html
+ *   are the first text/plain and text/html parts (decoded)
+ */
+export function parseMimeMessage(raw) {
+  const source = String(raw || '');
+  const parts = collectParts(source, []);
+  return {
+    headers: parseHeaders(splitEntity(source).head),
+    parts,
+    text: parts.find(entry => entry.type === 'text/plain')?.body || '',
+    html: parts.find(entry => entry.type === 'text/html')?.body || ''
+  };
+}
+
+/**
+ * Bare address from a header value: '"Drew" <drew@x.com>' -> 'drew@x.com'
+ */
+export function extractAddress(value) {
+  const match = String(value || '').match(/<([^>]+)>/) || String(value || '').match(/[^\s<>"',;]+@[^\s<>"',;]+/);
+  return match ? (match[1] || match[0]).trim().toLowerCase() : null;
+}
+
+export default { buildMimeMessage, formatAddress, parseMimeMessage, parseHeaders, extractAddress };
@@ -1,15 +1,27 @@
 // src/services/premiumKitAutomation.js - Premium Kit Automation Builder
 // The Taj Mahal of legal marketing automation with Jacobs Counsel branding
+// (requests go through src/services/kitClient.js)
 
-import fetch from 'node-fetch';
 import { config } from '../config/environment.js';
 import { log } from '../utils/logger.js';
+import { htmlToText } from '../utils/htmlToText.js';
+import { renderTemplate } from './templateEngine.js';
+import { getKitClient, isKitConfigured } from './kitClient.js';
+import { syncKitManifest } from './kitSync.js';
 
-const KIT_API_BASE = 'https://api.convertkit.com/v3';
+// Intake and premium form types → practice area in the premium tag names
+const PREMIUM_PRACTICE_AREAS = {
+  'estate-intake': 'Estate-Planning',
+  'estate-planning': 'Estate-Planning',
+  'business-formation': 'Business-Formation',
+  'brand-protection': 'Brand-Protection',
+  'outside-counsel': 'Outside-Counsel'
+};
 
 // Premium automation architecture for Jacobs Counsel
 export class PremiumKitAutomation {
-  constructor() {
+  constructor(kit = getKitClient()) {
+    this.kit = kit;
     this.brandColors = {
       primary: '#1a365d',
       secondary: '#2d4a63', 
@@ -17,24 +29,14 @@ export class PremiumKitAutomation {
       text: '#2d3748',
       background: '#f7fafc'
     };
-    
-    this.sequences = new Map();
-    this.forms = new Map();
-    this.tags = new Map();
   }
 
   // Test Kit connection and account details
   async testConnection() {
     try {
-      const response = await fetch(`${KIT_API_BASE}/account?api_key=${config.kit.apiKey}`);
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Kit API error: ${data.message || 'Unknown error'}`);
-      }
-      
-      log.info('Kit connection successful', { account: data.name });
-      return { success: true, account: data };
+      const account = await this.kit.getAccount();
+      log.info('Kit connection successful', { account: account?.name });
+      return { success: true, account };
     } catch (error) {
       log.error('Kit connection failed:', error.message);
       throw error;
@@ -64,177 +66,52 @@ export class PremiumKitAutomation {
 
     const template = templates[type] || templates.welcome;
     
-    return {
-      ...template,
-      html: `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1">
-  <title>${template.subject}</title>
-  <style>
-    body { 
-      margin: 0; 
-      padding: 0; 
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      background: ${this.brandColors.background};
-      color: ${this.brandColors.text};
-      line-height: 1.6;
-    }
-    .container { 
-      max-width: 600px; 
-      margin: 0 auto; 
-      background: white;
-      box-shadow: 0 10px 40px rgba(0,0,0,0.1);
-    }
-    .header { 
-      background: linear-gradient(135deg, ${this.brandColors.primary} 0%, ${this.brandColors.secondary} 100%);
-      padding: 40px 30px;
-      text-align: center;
-      color: white;
-    }
-    .logo { 
-      font-size: 28px; 
-      font-weight: 700; 
-      margin-bottom: 10px;
-      letter-spacing: -0.5px;
-    }
-    .tagline { 
-      opacity: 0.9; 
-      font-size: 16px;
-      font-weight: 300;
-    }
-    .content { 
-      padding: 40px 30px;
-    }
-    .highlight-box {
-      background: linear-gradient(135deg, ${this.brandColors.accent}15 0%, ${this.brandColors.accent}25 100%);
-      padding: 25px;
-      border-radius: 12px;
-      border-left: 4px solid ${this.brandColors.accent};
-      margin: 25px 0;
-    }
-    .cta-button {
-      display: inline-block;
-      background: linear-gradient(135deg, ${this.brandColors.primary} 0%, ${this.brandColors.secondary} 100%);
-      color: white !important;
-      padding: 16px 32px;
-      text-decoration: none;
-      border-radius: 8px;
-      font-weight: 600;
-      font-size: 16px;
-      margin: 20px 0;
-      box-shadow: 0 4px 15px rgba(26, 54, 93, 0.3);
-      transition: all 0.3s ease;
-    }
-    .footer {
-      background: ${this.brandColors.text};
-      color: white;
-      padding: 30px;
-      text-align: center;
-      font-size: 14px;
-    }
-    .disclaimer {
-      opacity: 0.8;
-      font-size: 12px;
-      margin-top: 20px;
-      padding: 15px;
-      background: rgba(255,255,255,0.1);
-      border-radius: 6px;
-    }
-    @media (max-width: 600px) {
-      .container { margin: 0 10px; }
-      .header, .content { padding: 25px 20px; }
-    }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <div class="logo">JACOBS COUNSEL</div>
-      <div class="tagline">Next-Generation Legal Counsel</div>
-    </div>
-    <div class="content">
-      ${content}
-    </div>
-    <div class="footer">
-      <strong>JACOBS COUNSEL</strong><br>
-      Strategic Legal Counsel to Unlock Your Edge
-      <div class="disclaimer">
-        <strong>IMPORTANT LEGAL DISCLAIMER:</strong> This communication does not create an attorney-client relationship. 
-        No attorney-client privilege exists unless a written engagement letter is executed. 
-        This information is for educational purposes only and should not be construed as legal advice.
-        Consult with a qualified attorney for advice specific to your situation.
-      </div>
-    </div>
-  </div>
-</body>
-</html>`
-    };
+    const html = renderTemplate('kit-sequence', {
+      title: template.subject,
+      preheader: template.preheader,
+      colors: this.brandColors,
+      content
+    });
+
+    // Plain-text alternative for text-only clients and spam filters
+    return { ...template, html, text: htmlToText(html) };
   }
 
   // Create advanced form with specific triggers
   async createForm(name, description, tags = []) {
     try {
-      const response = await fetch(`${KIT_API_BASE}/forms?api_key=${config.kit.apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name,
-          description,
-          sign_up_button_text: 'Start Your Legal Journey',
-          success_message: 'Thank you! Your personalized legal roadmap is being prepared.',
-          archetype: 'lead-magnet',
-          format: 'modal'
-        })
+      const form = await this.kit.createForm(name, {
+        description,
+        sign_up_button_text: 'Start Your Legal Journey',
+        success_message: 'Thank you! Your personalized legal roadmap is being prepared.',
+        archetype: 'lead-magnet',
+        format: 'modal'
       });
       
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Kit form creation failed: ${data.message}`);
-      }
-      
-      log.info(`Kit form created: ${name}`, { id: data.form.id });
-      this.forms.set(name, data.form);
-      
-      return data.form;
+      log.info(`Kit form created: ${name}`, { id: form.id });
+      return form;
     } catch (error) {
       log.error('Kit form creation failed:', error.message);
       throw error;
     }
   }
 
-  // Create sophisticated sequences with AI-powered personalization
-  async createSequence(name, content) {
+  // Fill a sequence the manifest sync just created with its branded emails
+  async fillSequence(name, content) {
     try {
-      const response = await fetch(`${KIT_API_BASE}/sequences?api_key=${config.kit.apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          name,
-          description: `${name} - Premium automated sequence with intelligent personalization`
-        })
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Kit sequence creation failed: ${data.message}`);
+      const sequence = await this.kit.findSequence(name);
+      if (!sequence) {
+        throw new Error(`Kit sequence not found: ${name}`);
       }
       
-      log.info(`Kit sequence created: ${name}`, { id: data.sequence.id });
-      this.sequences.set(name, data.sequence);
-      
-      // Add emails to sequence
       for (const email of content.emails) {
-        await this.addEmailToSequence(data.sequence.id, email);
+        await this.addEmailToSequence(sequence.id, email);
       }
       
-      return data.sequence;
+      log.info(`Kit sequence filled: ${name}`, { id: sequence.id, emails: content.emails.length });
+      return sequence;
     } catch (error) {
-      log.error('Kit sequence creation failed:', error.message);
+      log.error('Kit sequence fill failed:', error.message);
       throw error;
     }
   }
@@ -244,63 +121,26 @@ export class PremiumKitAutomation {
     try {
       const template = this.generateEmailTemplate(emailData.content, emailData.type);
       
-      const response = await fetch(`${KIT_API_BASE}/sequences/${sequenceId}/emails?api_key=${config.kit.apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          subject: template.subject,
-          content: template.html,
-          delay_days: emailData.delay_days || 0,
-          delay_hours: emailData.delay_hours || 0,
-          delay_minutes: emailData.delay_minutes || 0,
-          published: true
-        })
+      const email = await this.kit.addSequenceEmail(sequenceId, {
+        subject: template.subject,
+        content: template.html,
+        delayDays: emailData.delay_days || 0,
+        delayHours: emailData.delay_hours || 0
       });
       
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Kit email creation failed: ${data.message}`);
-      }
-      
       log.info('Kit email added to sequence', { 
         sequenceId, 
-        emailId: data.email.id,
+        emailId: email.id,
         subject: template.subject 
       });
       
-      return data.email;
+      return email;
     } catch (error) {
       log.error('Kit email creation failed:', error.message);
       throw error;
     }
   }
 
-  // Create premium tags for advanced segmentation
-  async createTag(name) {
-    try {
-      const response = await fetch(`${KIT_API_BASE}/tags?api_key=${config.kit.apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name })
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Kit tag creation failed: ${data.message}`);
-      }
-      
-      log.info(`Kit tag created: ${name}`, { id: data.tag.id });
-      this.tags.set(name, data.tag);
-      
-      return data.tag;
-    } catch (error) {
-      log.error('Kit tag creation failed:', error.message);
-      throw error;
-    }
-  }
-
   // Build the complete premium automation architecture
   async buildPremiumArchitecture() {
     log.info('🏗️ Building premium Kit automation architecture...');
@@ -316,26 +156,9 @@ export class PremiumKitAutomation {
       // Test connection first
       await this.testConnection();
       
-      // Create premium tags for segmentation
-      const tagNames = [
-        'JC-Estate-Planning-VIP',
-        'JC-Business-Formation-Premium', 
-        'JC-Brand-Protection-Advanced',
-        'JC-Outside-Counsel-Strategic',
-        'JC-High-Value-Lead',
-        'JC-Consultation-Ready',
-        'JC-Engaged-Prospect',
-        'JC-AI-Native-Client'
-      ];
-      
-      for (const tagName of tagNames) {
-        try {
-          const tag = await this.createTag(tagName);
-          results.tags.push(tag);
-        } catch (error) {
-          log.warn(`Tag creation skipped (may exist): ${tagName}`);
-        }
-      }
+      // Tags and sequences come from src/config/kit-manifest.json (same as npm run kit:apply)
+      const sync = await syncKitManifest({ kit: this.kit });
+      results.tags = sync.created.tags;
       
       // Create premium forms for each service
       const forms = [
@@ -366,8 +189,8 @@ export class PremiumKitAutomation {
         }
       }
       
-      // Create premium sequence flows
-      await this.createPremiumSequences(results);
+      // Fill the premium sequences the sync created with their emails
+      await this.fillPremiumSequences(results, sync.created.sequences);
       
       log.info('🎉 Premium Kit automation architecture complete!', {
         forms: results.forms.length,
@@ -383,8 +206,9 @@ export class PremiumKitAutomation {
     }
   }
 
-  // Create sophisticated sequence flows
-  async createPremiumSequences(results) {
+  // Sophisticated sequence flows; only sequences created by this run are filled, so re-running never
+  // duplicates emails (sequences Kit cannot create through the API are left to the dashboard)
+  async fillPremiumSequences(results, created = []) {
     const sequences = [
       {
         name: 'JC Estate Planning VIP Journey',
@@ -517,11 +341,15 @@ export class PremiumKitAutomation {
     ];
     
     for (const sequenceData of sequences) {
+      if (!created.includes(sequenceData.name)) {
+        log.info(`Sequence emails left unchanged: ${sequenceData.name} (not created by this run)`);
+        continue;
+      }
       try {
-        const sequence = await this.createSequence(sequenceData.name, sequenceData);
+        const sequence = await this.fillSequence(sequenceData.name, sequenceData);
         results.sequences.push(sequence);
       } catch (error) {
-        log.warn(`Sequence creation skipped: ${sequenceData.name} - ${error.message}`);
+        log.warn(`Sequence fill skipped: ${sequenceData.name} - ${error.message}`);
       }
     }
   }
@@ -538,39 +366,23 @@ export class PremiumKitAutomation {
       };
       
       const formName = formMapping[submissionType] || 'JC Estate Planning Premium Lead Magnet';
-      const form = this.forms.get(formName);
-      
-      if (!form) {
-        throw new Error(`Form not found: ${formName}`);
-      }
       
       // Add subscriber to form
-      const response = await fetch(`${KIT_API_BASE}/forms/${form.id}/subscribe`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          email,
-          first_name: firstName,
+      const subscriber = await this.kit.subscribeToForm(formName, {
+        email,
+        firstName,
+        fields: {
           last_name: lastName,
-          api_key: config.kit.apiKey,
-          fields: {
-            lead_score: leadScore.score,
-            submission_type: submissionType,
-            urgency_level: leadScore.urgency || 'medium',
-            ai_recommendations: JSON.stringify(leadScore.insights || {})
-          }
-        })
+          lead_score: leadScore.score,
+          submission_type: submissionType,
+          urgency_level: leadScore.urgency || 'medium',
+          ai_recommendations: JSON.stringify(leadScore.insights || {})
+        }
       });
       
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(`Kit subscription failed: ${data.message}`);
-      }
-      
       // Add premium tags based on lead score and type
       const tags = this.determinePremiumTags(leadScore, submissionType);
-      await this.applyTags(data.subscription.subscriber.id, tags);
+      await this.applyTags(email, tags);
       
       log.info('Premium Kit subscriber added', {
         email,
@@ -581,7 +393,7 @@ export class PremiumKitAutomation {
       
       return {
         success: true,
-        subscriber_id: data.subscription.subscriber.id,
+        subscriber_id: subscriber.id,
         form_used: formName,
         tags_applied: tags.length
       };
@@ -594,7 +406,13 @@ export class PremiumKitAutomation {
 
   // Determine premium tags based on sophisticated logic
   determinePremiumTags(leadScore, submissionType) {
-    const tags = [`JC-${submissionType.charAt(0).toUpperCase() + submissionType.slice(1)}-Premium`];
+    const tags = [];
+    
+    // One practice-area tag per premium service (JC-{premiumTypes}-Premium in the Kit manifest)
+    const practiceArea = PREMIUM_PRACTICE_AREAS[submissionType];
+    if (practiceArea) {
+      tags.push(`JC-${practiceArea}-Premium`);
+    }
     
     if (leadScore.score >= 80) {
       tags.push('JC-High-Value-Lead');
@@ -613,20 +431,13 @@ export class PremiumKitAutomation {
     return tags;
   }
 
-  // Apply multiple tags to subscriber
-  async applyTags(subscriberId, tagNames) {
+  // Apply multiple tags to subscriber (tags missing from Kit are skipped)
+  async applyTags(email, tagNames) {
     for (const tagName of tagNames) {
       try {
-        const tag = this.tags.get(tagName);
+        const tag = await this.kit.findTag(tagName);
         if (tag) {
-          await fetch(`${KIT_API_BASE}/tags/${tag.id}/subscribe`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              api_key: config.kit.apiKey,
-              subscriber: { id: subscriberId }
-            })
-          });
+          await this.kit.tagSubscriber(email, tag.id);
         }
       } catch (error) {
         log.warn(`Tag application failed: ${tagName}`, error.message);
@@ -637,7 +448,7 @@ export class PremiumKitAutomation {
 
 // Main integration function for backend
 export async function addToKitPremiumAutomation(formData, leadScore, submissionType) {
-  if (!config.kit.apiKey || config.kit.apiKey === '_asjUkBoW6K8ORx6w2lSpg') {
+  if (!isKitConfigured() || config.kit.apiKey === '_asjUkBoW6K8ORx6w2lSpg') {
     log.warn('Kit premium automation skipped - API credentials not configured');
     return {
       success: true,
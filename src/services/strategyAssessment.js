@@ -0,0 +1,322 @@
+// src/services/strategyAssessment.js - Server-side legal strategy assessment
+// Recomputes the premium strategy builder's risk picture from the raw answers so the
+// report, lead score and internal alert never depend on a score calculated in the browser.
+
+// Risk areas - keys match what generateInternalEmail/generateClientEmail read from riskBreakdown
+export const RISK_AREAS = {
+  entity: 'Business Entity Structure',
+  contracts: 'Contracts & Agreements',
+  ip: 'Intellectual Property',
+  estate: 'Estate & Legacy Planning',
+  insurance: 'Liability & Asset Protection',
+  tax: 'Tax Exposure',
+  compliance: 'Regulatory Compliance'
+};
+
+// Same cut-offs the assessment emails use: areas turn red above 15, overall above 20
+const MAX_AREA_SCORE = 30;
+const AREA_THRESHOLDS = { high: 15, medium: 8 };
+const OVERALL_THRESHOLDS = { high: 20, medium: 10 };
+
+// Baseline exposure for each user type before any answers are applied
+const USER_TYPE_BASELINES = {
+  new_entrepreneur: { entity: 10, contracts: 8, ip: 6, insurance: 6 },
+  established_business: { entity: 8, contracts: 6, tax: 8, insurance: 8 },
+  creative_brand: { ip: 12, contracts: 8, entity: 6 },
+  family_planning: { estate: 12, insurance: 6, tax: 4 },
+  real_estate_investor: { insurance: 10, entity: 8, tax: 8 },
+  high_net_worth: { estate: 10, tax: 10, insurance: 10 },
+  professional_service: { insurance: 12, compliance: 8, entity: 6 },
+  ecommerce_online: { compliance: 10, ip: 8, insurance: 8, contracts: 6 },
+  athlete_professional: { contracts: 10, insurance: 10, estate: 6, ip: 4 },
+  retiree_planning: { estate: 12, tax: 6, insurance: 6 },
+  other: { estate: 4, contracts: 4, insurance: 4 }
+};
+
+// Answer rules keyed by question id, then by the answer text the page submits.
+// `areas` adds risk points; `exposure` scales every area (more at stake = more risk).
+const ANSWER_RULES = {
+  // New entrepreneur
+  business_type: {
+    'Service-Based Business': { areas: { contracts: 6, insurance: 4 } },
+    'Product-Based Business': { areas: { insurance: 8, compliance: 4 } },
+    'Technology/SaaS': { areas: { ip: 8, contracts: 6, compliance: 4 } },
+    'Creative/Content': { areas: { ip: 10 } }
+  },
+  revenue_stage: {
+    'Pre-Revenue/Idea Stage': { exposure: 0.8 },
+    'First Sales ($0-$10K)': { exposure: 1 },
+    'Growing Revenue ($10K-$100K)': { exposure: 1.15 },
+    'Established Revenue ($100K+)': { exposure: 1.3 }
+  },
+  legal_priority: {
+    'Business Formation': { areas: { entity: 12 } },
+    'Contract Protection': { areas: { contracts: 12 } },
+    'Intellectual Property': { areas: { ip: 12 } },
+    'Liability Protection': { areas: { insurance: 12 } }
+  },
+
+  // Established business
+  business_scale: {
+    'Solo/Small Team (1-5 people)': { exposure: 1 },
+    'Growing Team (5-25 people)': { exposure: 1.15, areas: { compliance: 6 } },
+    'Established Company (25+ people)': { exposure: 1.3, areas: { compliance: 8 } },
+    'Multiple Businesses/Ventures': { exposure: 1.3, areas: { entity: 8 } }
+  },
+  entity_structure: {
+    'Sole Proprietorship/No Entity': { areas: { entity: 15, insurance: 8 } },
+    'Single LLC or Corporation': { areas: { entity: 6 } },
+    'Multiple Entities': { areas: { entity: 3, tax: 4 } },
+    'Complex Structure with Trusts': { areas: { estate: 4 } }
+  },
+  key_challenge: {
+    'Liability Concerns': { areas: { insurance: 12 } },
+    'Tax Optimization': { areas: { tax: 12 } },
+    'Growth Scaling': { areas: { contracts: 8, compliance: 6 } },
+    'Exit Planning': { areas: { entity: 8, tax: 8, estate: 6 } }
+  },
+
+  // Creative & brand
+  creative_type: {
+    'Content Creator/Influencer': { areas: { ip: 6, contracts: 6 } },
+    'Artist/Designer': { areas: { ip: 8 } },
+    'Writer/Author': { areas: { ip: 8, contracts: 4 } },
+    'Performer/Entertainer': { areas: { contracts: 8, insurance: 4 } }
+  },
+  monetization: {
+    'Direct Sales/Services': { areas: { contracts: 6 } },
+    'Licensing/Royalties': { areas: { ip: 8, contracts: 6 }, exposure: 1.1 },
+    'Brand Partnerships': { areas: { contracts: 10 }, exposure: 1.1 },
+    'Multiple Revenue Streams': { areas: { entity: 6, tax: 6 }, exposure: 1.2 }
+  },
+  brand_concern: {
+    'Trademark Protection': { areas: { ip: 12 } },
+    'Copyright Issues': { areas: { ip: 10 } },
+    'Contract Management': { areas: { contracts: 12 } },
+    'Business Structure': { areas: { entity: 12 } }
+  },
+
+  // Family planning
+  family_status: {
+    'Young Family/New Parents': { areas: { estate: 10, insurance: 4 } },
+    'Growing Family': { areas: { estate: 8, insurance: 4 } },
+    'Empty Nesters': { areas: { estate: 6, tax: 4 } },
+    'Multi-Generational Planning': { areas: { estate: 10, tax: 6 } }
+  },
+  asset_level: {
+    'Building Wealth ($0-$250K)': { exposure: 0.9 },
+    'Established ($250K-$1M)': { exposure: 1.05 },
+    'Affluent ($1M-$5M)': { exposure: 1.2 },
+    'High Net Worth ($5M+)': { exposure: 1.35 }
+  },
+  planning_priority: {
+    'Basic Estate Planning': { areas: { estate: 8 } },
+    'Tax Planning': { areas: { tax: 12 } },
+    'Asset Protection': { areas: { insurance: 12 } },
+    'Legacy Planning': { areas: { estate: 12 } }
+  },
+
+  // Real estate investor
+  investment_type: {
+    'Rental Properties': { areas: { insurance: 8 } },
+    'Fix and Flip': { areas: { insurance: 6, contracts: 6, tax: 4 } },
+    'Commercial Real Estate': { areas: { contracts: 8, insurance: 6 } },
+    'Real Estate Syndications/REITs': { areas: { compliance: 10, tax: 4 } }
+  },
+  portfolio_size: {
+    'Getting Started (1-2 properties)': { exposure: 0.9 },
+    'Building Portfolio (3-10 properties)': { exposure: 1.1, areas: { entity: 6 } },
+    'Established Investor (10+ properties)': { exposure: 1.25, areas: { entity: 8 } },
+    'Large Scale/Syndications': { exposure: 1.35, areas: { entity: 8, compliance: 6 } }
+  },
+  real_estate_concern: {
+    'Liability Protection': { areas: { insurance: 12 } },
+    'Tax Optimization': { areas: { tax: 12 } },
+    'Entity Structure': { areas: { entity: 12 } },
+    'Exit Strategy Planning': { areas: { tax: 8, estate: 6 } }
+  },
+
+  // High net worth
+  wealth_source: {
+    'Business Ownership/Sale': { areas: { entity: 6, tax: 6 } },
+    'Investment Portfolio': { areas: { tax: 6 } },
+    'Real Estate Holdings': { areas: { insurance: 6, entity: 4 } },
+    'Inherited Wealth': { areas: { estate: 8 } }
+  },
+  wealth_level: {
+    'Emerging HNW ($1M-$5M)': { exposure: 1.1 },
+    'Established HNW ($5M-$25M)': { exposure: 1.25 },
+    'Ultra HNW ($25M+)': { exposure: 1.4 },
+    'Family Office Level': { exposure: 1.4, areas: { estate: 6 } }
+  },
+  planning_focus: {
+    'Asset Protection': { areas: { insurance: 12 } },
+    'Tax Minimization': { areas: { tax: 12 } },
+    'Legacy Planning': { areas: { estate: 12 } },
+    'Charitable Giving': { areas: { tax: 6, estate: 6 } }
+  },
+
+  // Professional services
+  professional_type: {
+    'Healthcare Professional': { areas: { insurance: 8, compliance: 8 } },
+    'Legal Professional': { areas: { insurance: 6, compliance: 6 } },
+    'Financial Professional': { areas: { compliance: 10 } },
+    'Other Licensed Professional': { areas: { insurance: 6, compliance: 4 } }
+  },
+  practice_structure: {
+    'Solo Practice': { areas: { entity: 6 } },
+    'Small Partnership': { areas: { contracts: 8 } },
+    'Group Practice/Firm': { exposure: 1.15, areas: { contracts: 6 } },
+    'Multiple Locations/Businesses': { exposure: 1.25, areas: { entity: 8 } }
+  },
+  professional_concern: {
+    'Malpractice Protection': { areas: { insurance: 12 } },
+    'Personal Asset Protection': { areas: { insurance: 8, entity: 6 } },
+    'Practice Succession': { areas: { estate: 8, contracts: 6 } },
+    'Regulatory Compliance': { areas: { compliance: 12 } }
+  },
+
+  // E-commerce & online
+  online_model: {
+    'E-commerce Store': { areas: { insurance: 6, compliance: 4 } },
+    'Digital Products/Services': { areas: { ip: 8, contracts: 4 } },
+    'Dropshipping/Amazon FBA': { areas: { contracts: 8, insurance: 6 } },
+    'Subscription/SaaS': { areas: { contracts: 6, compliance: 6 } }
+  },
+  online_scale: {
+    'Starting Out ($0-$100K)': { exposure: 0.9 },
+    'Growing Fast ($100K-$1M)': { exposure: 1.1 },
+    'Established ($1M-$10M)': { exposure: 1.25 },
+    'Large Scale ($10M+)': { exposure: 1.4 }
+  },
+  online_challenge: {
+    'Customer Liability': { areas: { insurance: 12 } },
+    'Privacy/Data Protection': { areas: { compliance: 12 } },
+    'Intellectual Property': { areas: { ip: 12 } },
+    'International Expansion': { areas: { compliance: 8, tax: 6, entity: 4 } }
+  },
+
+  // Athletes
+  athletic_stage: {
+    'College Athlete (Current)': { areas: { contracts: 6, compliance: 4 } },
+    'Professional Athlete (Active)': { areas: { contracts: 8, insurance: 6 } },
+    'Recently Retired/Transitioning': { areas: { estate: 6, entity: 6 } },
+    'Sports Professional/Coach': { areas: { contracts: 6 } }
+  },
+  athletic_income: {
+    'College/Amateur Level': { exposure: 0.9 },
+    'Emerging Professional ($0-$500K)': { exposure: 1.05 },
+    'Established Professional ($500K-$5M)': { exposure: 1.25, areas: { tax: 6 } },
+    'Elite Level ($5M+)': { exposure: 1.4, areas: { tax: 8, estate: 6 } }
+  },
+  athletic_concerns: {
+    'Contract Negotiations': { areas: { contracts: 12 } },
+    'Asset Protection': { areas: { insurance: 12 } },
+    'Business Ventures': { areas: { entity: 10, ip: 4 } },
+    'Retirement/Transition Planning': { areas: { estate: 10, tax: 4 } }
+  },
+
+  // Retirees
+  retirement_stage: {
+    'Pre-Retirement Planning': { areas: { tax: 6 } },
+    'Recently Retired': { areas: { estate: 6 } },
+    'Established Retirement': { areas: { estate: 8 } },
+    'Advanced Planning': { areas: { estate: 10 } }
+  },
+  retirement_assets: {
+    'Modest Retirement ($100K-$500K)': { exposure: 0.9 },
+    'Comfortable ($500K-$2M)': { exposure: 1.05 },
+    'Affluent ($2M-$10M)': { exposure: 1.2 },
+    'Wealthy ($10M+)': { exposure: 1.35 }
+  },
+  retirement_goal: {
+    'Income Optimization': { areas: { tax: 8 } },
+    'Healthcare/Long-term Care': { areas: { estate: 8, insurance: 6 } },
+    'Legacy Planning': { areas: { estate: 12 } },
+    'Tax Minimization': { areas: { tax: 12 } }
+  },
+
+  // Other
+  other_situation: {
+    'Individual with Complex Assets': { areas: { estate: 6, tax: 6 }, exposure: 1.15 },
+    'Non-Profit/Organization Leader': { areas: { compliance: 10 } },
+    'Government/Public Sector': { areas: { compliance: 6 } },
+    'Student/Academic': { exposure: 0.8 }
+  },
+  other_concerns: {
+    'Personal Asset Protection': { areas: { insurance: 12 } },
+    'Family/Divorce Issues': { areas: { estate: 8, insurance: 4 } },
+    'Estate & Legacy Planning': { areas: { estate: 12 } },
+    'Contract & Agreement Help': { areas: { contracts: 12 } }
+  }
+};
+
+// What we tell the client to do about each area once it scores as a risk
+const AREA_RECOMMENDATIONS = {
+  entity: 'Form or restructure your business entity so business liabilities stay separate from personal assets',
+  contracts: 'Put professionally drafted agreements in place for every client, partner and vendor relationship',
+  ip: 'Register trademarks and document ownership of your creative work and intellectual property',
+  estate: 'Establish a will, revocable trust and powers of attorney that reflect your current assets and family',
+  insurance: 'Review insurance coverage and asset protection structures against your real liability exposure',
+  tax: 'Build a tax strategy around entity selection, timing and transfer planning before the next tax year',
+  compliance: 'Audit regulatory, licensing and privacy obligations for your industry and locations'
+};
+
+const riskLevel = (score, thresholds) => {
+  if (score > thresholds.high) return 'high';
+  if (score > thresholds.medium) return 'medium';
+  return 'low';
+};
+
+/**
+ * Score a strategy builder submission from its raw answers
+ * @param {Object} answers - Submitted fields (userType plus one field per question id)
+ * @returns {Object} { userType, overallRiskScore (0-30), riskBreakdown, areas, highRiskAreas, recommendations, exposure }
+ */
+export function assessLegalStrategy(answers = {}) {
+  const userType = USER_TYPE_BASELINES[answers.userType] ? answers.userType : 'other';
+  const points = { ...USER_TYPE_BASELINES[userType] };
+  let exposure = 1;
+  const answered = [];
+
+  for (const [questionId, options] of Object.entries(ANSWER_RULES)) {
+    const rule = options[answers[questionId]];
+    if (!rule) continue;
+
+    answered.push(questionId);
+    exposure *= rule.exposure || 1;
+    for (const [area, value] of Object.entries(rule.areas || {})) {
+      points[area] = (points[area] || 0) + value;
+    }
+  }
+
+  const riskBreakdown = {};
+  for (const area of Object.keys(RISK_AREAS)) {
+    riskBreakdown[area] = Math.min(MAX_AREA_SCORE, Math.round((points[area] || 0) * exposure));
+  }
+
+  const areas = Object.entries(riskBreakdown)
+    .map(([area, score]) => ({ area, label: RISK_AREAS[area], score, level: riskLevel(score, AREA_THRESHOLDS) }))
+    .sort((a, b) => b.score - a.score);
+
+  // Overall risk is driven by the three most exposed areas
+  const topAreas = areas.slice(0, 3);
+  const overallRiskScore = Math.round(topAreas.reduce((sum, { score }) => sum + score, 0) / topAreas.length);
+
+  const flagged = areas.filter(({ level }) => level === 'high');
+  const recommendationAreas = flagged.length > 0 ? flagged : areas.filter(({ score }) => score > 0).slice(0, 3);
+
+  return {
+    userType,
+    answered,
+    exposure: Math.round(exposure * 100) / 100,
+    overallRiskScore,
+    overallRiskLevel: riskLevel(overallRiskScore, OVERALL_THRESHOLDS),
+    riskBreakdown,
+    areas,
+    highRiskAreas: flagged.map(({ label, score }) => `${label} (${score}/${MAX_AREA_SCORE})`),
+    recommendations: recommendationAreas.map(({ area }) => AREA_RECOMMENDATIONS[area])
+  };
+}
+
+export default { assessLegalStrategy, RISK_AREAS };
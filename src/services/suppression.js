@@ -0,0 +1,102 @@
+// src/services/suppression.js - Who may be emailed, and about what
+// Every send path declares a category. Marketing categories follow the preference center
+// (newsletter / follow_ups / resources / consultations) and a global unsubscribe stops them all;
+// 'transactional' mail (intake confirmations, internal alerts) is exempt from marketing opt-outs.
+// Addresses that bounced are never mailed; spam complaints stop everything but transactional mail
+// (both recorded by src/services/deliveryEvents.js). The firm's own inboxes are never suppressed, so a
+// forged or misrouted bounce report cannot silence intake alerts.
+
+import { leadDb } from '../models/database.js';
+import { config } from '../config/environment.js';
+import { log } from '../utils/logger.js';
+
+export const EMAIL_CATEGORIES = {
+  newsletter: 'Strategic Legal Insights newsletter',
+  follow_ups: 'Follow-up emails about your inquiry',
+  resources: 'Guides and legal resources',
+  consultations: 'Consultation reminders and scheduling'
+};
+
+export const TRANSACTIONAL = 'transactional';
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Firm inboxes from the environment; intakePipeline.js adds its alert recipients
+const protectedAddresses = new Set([
+  config.firm.email,
+  config.notifications.intakeNotifyTo,
+  config.notifications.highValueNotifyTo,
+  config.email.fromAddress,
+  config.microsoft.sender
+].filter(Boolean).map(normalizeEmail));
+
+/**
+ * Mark addresses that bounces and complaints must never suppress (internal alert recipients)
+ * @param {Array} addresses
+ */
+export function protectAddresses(addresses) {
+  addresses.forEach(address => protectedAddresses.add(normalizeEmail(address)));
+}
+
+export function isProtectedAddress(email) {
+  return protectedAddresses.has(normalizeEmail(email));
+}
+
+/**
+ * Check one address before mailing it
+ * @param {String} email - Recipient address
+ * @param {String} category - One of EMAIL_CATEGORIES or 'transactional'
+ * @returns {Object} { suppressed, reason }
+ */
+export async function checkSuppression(email, category) {
+  // Bounced addresses get nothing; complainers still get mail they asked for (transactional)
+  const bounced = isProtectedAddress(email) ? null : await leadDb.getSuppression(email);
+  if (bounced && (bounced.reason !== 'complaint' || category !== TRANSACTIONAL)) {
+    return { suppressed: true, reason: bounced.reason };
+  }
+
+  if (category === TRANSACTIONAL) {
+    return { suppressed: false };
+  }
+
+  if (await leadDb.isUnsubscribed(email)) {
+    return { suppressed: true, reason: 'unsubscribed' };
+  }
+
+  if (category in EMAIL_CATEGORIES) {
+    const preferences = await leadDb.getEmailPreferences(email);
+    if (!preferences[category]) {
+      return { suppressed: true, reason: `opted_out:${category}` };
+    }
+  }
+
+  return { suppressed: false };
+}
+
+/**
+ * Split a recipient list into addresses we may mail and addresses we must skip
+ * @param {String|Array} to - One address or a list
+ * @param {String} category - Send category
+ * @returns {Object} { allowed: [emails], suppressed: [{ email, reason }] }
+ */
+export async function filterRecipients(to, category) {
+  const allowed = [];
+  const suppressed = [];
+
+  for (const email of Array.isArray(to) ? to : [to]) {
+    const result = await checkSuppression(email, category);
+    if (result.suppressed) {
+      suppressed.push({ email, reason: result.reason });
+    } else {
+      allowed.push(email);
+    }
+  }
+
+  if (suppressed.length > 0) {
+    log.info('🚫 Suppressed recipients skipped', { category, suppressed });
+  }
+
+  return { allowed, suppressed };
+}
+
+export default { EMAIL_CATEGORIES, TRANSACTIONAL, protectAddresses, isProtectedAddress, checkSuppression, filterRecipients };
@@ -0,0 +1,243 @@
+// src/services/templateEngine.js - Email template rendering
+// Templates are files under src/views/emails (layouts/, partials/ and the emails themselves) using a
+// small Handlebars-style syntax:
+//   {{ name }} / {{ a.b }}      escaped output          {{{ html }}}            raw output
+//   {{#if x}}..{{else}}..{{/if}} {{#unless x}}..{{/unless}}
+//   {{#each list}}..{{/each}}    with {{this}}, {{@number}} (1-based), {{@index}}, {{@first}}, {{@last}}
+//   {{> partial}} / {{> cta url=bookingUrl label="Book a call"}}
+//   {{!< layout}}               choose the layout ('none' for a bare fragment)
+//   {{! comment }}               \{{ literal braces (for Kit's Liquid tags)
+// Every render sees `firm` (name, phone, year, ...) and `baseUrl`, so no template hard-codes them.
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/environment.js';
+
+export const TEMPLATE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../views/emails');
+const DEFAULT_LAYOUT = 'base';
+
+const compiled = new Map();
+
+export class TemplateError extends Error {
+  constructor(message, template) {
+    super(`${template}: ${message}`);
+    this.name = 'TemplateError';
+    this.template = template;
+  }
+}
+
+// Escaping
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+
+function escapeValue(value) {
+  if (value === undefined || value === null || value === false) return '';
+  return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+const rawValue = (value) => (value === undefined || value === null || value === false ? '' : String(value));
+
+// Parsing
+
+const TAG = /\\\{\{|\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+
+// key=value arguments for partials: strings, numbers or paths
+function parseArgs(text, name) {
+  const args = {};
+  const pattern = /(\w+)=("([^"]*)"|'([^']*)'|(-?\d+(?:\.\d+)?)|([\w.@-]+))/g;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const [, key, , double, single, number, pathValue] = match;
+    args[key] = double !== undefined || single !== undefined
+      ? { literal: double ?? single }
+      : number !== undefined ? { literal: Number(number) } : { path: pathValue };
+  }
+  if (text.replace(pattern, '').trim()) {
+    throw new TemplateError(`Bad partial arguments "${text}"`, name);
+  }
+  return args;
+}
+
+function parse(source, name) {
+  const root = { children: [] };
+  const stack = [root];
+  let layout;
+  let cursor = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const push = (node) => current()[current().inElse ? 'otherwise' : 'children'].push(node);
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source))) {
+    if (match.index > cursor) push({ type: 'text', value: source.slice(cursor, match.index) });
+    cursor = TAG.lastIndex;
+
+    if (match[0] === '\\{{') {
+      push({ type: 'text', value: '{{' });
+      continue;
+    }
+
+    if (match[1] !== undefined) {
+      push({ type: 'value', path: match[1], raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith('!<')) {
+      layout = tag.slice(2).trim();
+    } else if (tag.startsWith('!')) {
+      // comment
+    } else if (tag.startsWith('>')) {
+      const [, partial, args = ''] = tag.match(/^>\s*([\w/-]+)\s*([\s\S]*)$/) || [];
+      if (!partial) throw new TemplateError(`Bad partial tag "{{${tag}}}"`, name);
+      push({ type: 'partial', name: partial, args: parseArgs(args, name) });
+    } else if (tag.startsWith('#')) {
+      const [, block, target] = tag.match(/^#(\w+)\s+([\w.@-]+)$/) || [];
+      if (!BLOCKS.includes(block)) throw new TemplateError(`Unknown block "{{${tag}}}"`, name);
+      const node = { type: block, path: target, children: [], otherwise: [] };
+      push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (stack.length === 1) throw new TemplateError('{{else}} outside a block', name);
+      current().inElse = true;
+    } else if (tag.startsWith('/')) {
+      const block = tag.slice(1).trim();
+      if (current().type !== block) throw new TemplateError(`Unexpected {{/${block}}}`, name);
+      delete stack.pop().inElse;
+    } else {
+      push({ type: 'value', path: tag, raw: false });
+    }
+  }
+
+  if (stack.length > 1) throw new TemplateError(`Unclosed {{#${current().type}}}`, name);
+  if (cursor < source.length) push({ type: 'text', value: source.slice(cursor) });
+  return { layout, nodes: root.children };
+}
+
+// Rendering
+
+// Scopes run innermost first; @-variables come from the nearest {{#each}}
+function lookup(scopes, pathText) {
+  if (pathText === 'this' || pathText === '.') return scopes[0].data;
+  if (pathText.startsWith('@')) return scopes.find(scope => scope.meta)?.meta[pathText.slice(1)];
+
+  const [head, ...rest] = pathText.replace(/^this\./, '').split('.');
+  const scope = pathText.startsWith('this.')
+    ? scopes[0]
+    : scopes.find(candidate => candidate.data !== null && typeof candidate.data === 'object' && head in candidate.data);
+  if (!scope) return undefined;
+
+  return rest.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), scope.data[head]);
+}
+
+const truthy = (value) => (Array.isArray(value) ? value.length > 0 : !!value);
+
+function renderNodes(nodes, scopes) {
+  let output = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+      case 'value': {
+        const value = lookup(scopes, node.path);
+        output += node.raw ? rawValue(value) : escapeValue(value);
+        break;
+      }
+      case 'if':
+      case 'unless': {
+        const pass = truthy(lookup(scopes, node.path)) === (node.type === 'if');
+        output += renderNodes(pass ? node.children : node.otherwise, scopes);
+        break;
+      }
+      case 'each': {
+        const value = lookup(scopes, node.path);
+        const items = Array.isArray(value) ? value : value && typeof value === 'object' ? Object.values(value) : [];
+        const keys = Array.isArray(value) ? null : value && typeof value === 'object' ? Object.keys(value) : [];
+        if (items.length === 0) {
+          output += renderNodes(node.otherwise, scopes);
+          break;
+        }
+        items.forEach((item, index) => {
+          const meta = { index, number: index + 1, first: index === 0, last: index === items.length - 1, key: keys?.[index] };
+          output += renderNodes(node.children, [{ data: item, meta }, ...scopes]);
+        });
+        break;
+      }
+      case 'partial': {
+        const args = Object.fromEntries(Object.entries(node.args).map(([key, arg]) => [
+          key,
+          'literal' in arg ? arg.literal : lookup(scopes, arg.path)
+        ]));
+        const partial = loadTemplate(`partials/${node.name}`);
+        output += renderNodes(partial.nodes, [{ data: args }, ...scopes]);
+        break;
+      }
+    }
+  }
+  return output;
+}
+
+function loadTemplate(name) {
+  if (!compiled.has(name)) {
+    let source;
+    try {
+      source = readFileSync(path.join(TEMPLATE_DIR, `${name}.html`), 'utf8');
+    } catch (error) {
+      throw new TemplateError(`Template not found (${error.code})`, name);
+    }
+    compiled.set(name, parse(source, name));
+  }
+  return compiled.get(name);
+}
+
+/**
+ * Values every template can use
+ */
+export function templateGlobals() {
+  return {
+    firm: { ...config.firm, year: new Date().getFullYear() },
+    baseUrl: config.baseUrl,
+    calendlyLinks: config.calendlyLinks
+  };
+}
+
+/**
+ * Render an email template file inside its layout
+ * @param {String} name - Path below src/views/emails without .html, e.g. 'newsletter-welcome'
+ * @param {Object} [data] - Template variables
+ * @param {Object} [options] - { layout } overrides the template's {{!< layout}} (false for none)
+ * @returns {String} HTML
+ */
+export function renderTemplate(name, data = {}, { layout } = {}) {
+  const template = loadTemplate(name);
+  const scopes = [{ data }, { data: templateGlobals() }];
+  const body = renderNodes(template.nodes, scopes).trim();
+
+  const layoutName = layout === false ? 'none' : layout || template.layout || DEFAULT_LAYOUT;
+  if (layoutName === 'none') return body;
+
+  return renderNodes(loadTemplate(`layouts/${layoutName}`).nodes, [{ data: { body } }, ...scopes]).trim();
+}
+
+/**
+ * Render a template held in a string (no layout), e.g. stored campaign HTML
+ * @param {String} source - Template text
+ * @param {Object} [data] - Template variables
+ * @returns {String}
+ */
+export function renderTemplateString(source, data = {}) {
+  return renderNodes(parse(source, 'inline').nodes, [{ data }, { data: templateGlobals() }]);
+}
+
+/**
+ * Forget compiled templates so edited files are picked up
+ */
+export function clearTemplateCache() {
+  compiled.clear();
+}
+
+export default { renderTemplate, renderTemplateString, clearTemplateCache, templateGlobals, TemplateError, TEMPLATE_DIR };
@@ -0,0 +1,266 @@
+// src/services/templateStudio.js - Email template catalog, fixture personas and test sends
+// Backs the admin template studio. Every intake's client confirmation and internal alert is listed
+// straight from the intake definitions, so a new intake shows up here without extra wiring; the
+// consultation and Kit emails are added below. Previews run the same generators production uses,
+// fed by fixture personas instead of real leads.
+
+import { config } from '../config/environment.js';
+import { log } from '../utils/logger.js';
+import { htmlToText } from '../utils/htmlToText.js';
+import { listIntakeDefinitions } from './intakePipeline.js';
+import { sendMail } from './mailTransport.js';
+import { TRANSACTIONAL } from './suppression.js';
+import consultationHandler from './consultationHandler.js';
+import { PremiumKitAutomation } from './premiumKitAutomation.js';
+import { KitV4Automation } from './kitV4Automation.js';
+import './intakeDefinitions.js';
+
+export class TemplateStudioError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TemplateStudioError';
+    this.status = status;
+  }
+}
+
+// Fixture personas - one form submission's worth of fields for every intake the firm runs.
+// Addresses use example.com so a preview can never reach a real person.
+export const PERSONAS = {
+  athlete: {
+    label: 'Professional athlete',
+    description: 'NBA guard with endorsement deals and a new family office',
+    formData: {
+      firstName: 'Marcus', lastName: 'Reed', fullName: 'Marcus Reed', name: 'Marcus Reed', contactName: 'Marcus Reed',
+      email: 'marcus.reed@example.com', phone: '(212) 555-0141',
+      companyName: 'Reed Ventures LLC', company: 'Reed Ventures LLC', industry: 'Professional sports',
+      businessStage: 'established', revenue: '$10M+', teamSize: '5-10',
+      estateValue: 'over-5m', grossEstate: 18000000, socialFollowing: 850000, businessRevenue: 2500000,
+      timeline: 'immediate', legalSpend: '10k-25k', currentCounsel: 'occasional', engagementLevel: 'retainer',
+      legalFocus: 'Endorsement contracts and NIL licensing', painPoints: 'Agent contracts renew next month',
+      businessDescription: 'Holding company for endorsement income and a youth basketball camp.',
+      specialCircumstances: 'Contract extension pending; two minor children.',
+      consultationType: 'estate-planning',
+      userType: 'athlete_professional'
+    }
+  },
+  creator: {
+    label: 'Content creator',
+    description: 'Lifestyle creator launching a product line',
+    formData: {
+      firstName: 'Priya', lastName: 'Shah', fullName: 'Priya Shah', name: 'Priya Shah', contactName: 'Priya Shah',
+      email: 'priya.shah@example.com', phone: '(646) 555-0187',
+      companyName: 'Glow Studio Media', company: 'Glow Studio Media', industry: 'Digital media',
+      businessStage: 'growth', revenue: '$1M-$5M', teamSize: '2-5',
+      estateValue: '500k-1m', socialFollowing: 2000000, businessRevenue: 1200000,
+      timeline: '2weeks', legalSpend: '1k-5k', currentCounsel: 'none', engagementLevel: 'project-based',
+      legalFocus: 'Trademarks and brand deals', painPoints: 'A competitor is using a confusingly similar name',
+      brandDescription: 'Clean-beauty tutorials and a skincare line launching next quarter.',
+      consultationType: 'brand-protection',
+      userType: 'creative_brand', business_type: 'Creative/Content'
+    }
+  },
+  'vc-founder': {
+    label: 'VC-backed founder',
+    description: 'SaaS founder preparing a Series A',
+    formData: {
+      firstName: 'Daniel', lastName: 'Okafor', fullName: 'Daniel Okafor', name: 'Daniel Okafor', contactName: 'Daniel Okafor',
+      email: 'daniel.okafor@example.com', phone: '(415) 555-0123',
+      companyName: 'Ledgerline Inc.', company: 'Ledgerline Inc.', founderName: 'Daniel Okafor', industry: 'B2B SaaS',
+      businessStage: 'startup', revenue: '$1M-$5M', teamSize: '11-25', investmentPlan: 'vc',
+      businessRevenue: 2500000, timeline: '1month', legalSpend: '5k-10k', currentCounsel: 'multiple-firms',
+      engagementLevel: 'comprehensive', legalFocus: 'Financing and employment', painPoints: 'Cap table clean-up before the round',
+      businessDescription: 'Accounts-payable automation for mid-market finance teams.',
+      legalChallenges: 'Founder vesting, option pool refresh and vendor contracts.',
+      consultationType: 'business-formation',
+      userType: 'new_entrepreneur', business_type: 'Technology/SaaS', legal_priority: 'Business Formation'
+    }
+  },
+  'hnw-family': {
+    label: 'High-net-worth family',
+    description: 'Multi-generational family planning a wealth transfer',
+    formData: {
+      firstName: 'Eleanor', lastName: 'Whitfield', fullName: 'Eleanor Whitfield', name: 'Eleanor Whitfield', contactName: 'Eleanor Whitfield',
+      email: 'eleanor.whitfield@example.com', phone: '(914) 555-0162',
+      companyName: 'Whitfield Family Office', company: 'Whitfield Family Office', industry: 'Real estate',
+      businessStage: 'established', revenue: '$5M-$10M', teamSize: '5-10',
+      estateValue: 'over-5m', grossEstate: 42000000, timeline: 'flexible', legalSpend: '25k-plus',
+      currentCounsel: 'primary-firm', engagementLevel: 'comprehensive',
+      legalFocus: 'Estate and succession planning', painPoints: 'Trusts drafted in 2004 no longer fit the family',
+      specialCircumstances: 'Grandchildren in two states; vacation property held personally.',
+      consultationType: 'estate-planning',
+      userType: 'high_net_worth'
+    }
+  }
+};
+
+export const DEFAULT_PERSONA = 'athlete';
+
+// Pipeline context the intake templates expect, built the way runIntakePipeline builds it
+function intakeContext(definition, persona) {
+  const formData = definition.normalize({ ...persona.formData });
+  return {
+    definition,
+    formData,
+    submissionType: definition.type,
+    submissionId: `${definition.idPrefix}-preview`,
+    leadId: null,
+    leadScore: definition.scorer(formData, definition.type)
+  };
+}
+
+const resolve = (value, ctx) => (typeof value === 'function' ? value(ctx) : value);
+
+function intakeTemplates() {
+  return listIntakeDefinitions().flatMap(definition => {
+    const entries = [{
+      name: `${definition.type}/client`,
+      label: `${definition.serviceName} - client confirmation`,
+      group: 'Intake',
+      render: (persona) => {
+        const ctx = intakeContext(definition, persona);
+        return { subject: resolve(definition.client.subject, ctx), html: definition.client.template(ctx) };
+      }
+    }];
+
+    if (definition.internal.template) {
+      entries.push({
+        name: `${definition.type}/internal`,
+        label: `${definition.serviceName} - internal alert`,
+        group: 'Intake',
+        render: (persona) => {
+          const ctx = intakeContext(definition, persona);
+          return { subject: resolve(definition.internal.subject, ctx), html: definition.internal.template(ctx) };
+        }
+      });
+    }
+    return entries;
+  });
+}
+
+// A consultation two days out at 2pm, so the preview always shows a future date
+function sampleConsultationTime() {
+  const date = new Date();
+  date.setDate(date.getDate() + 2);
+  date.setHours(14, 0, 0, 0);
+  return date.toISOString();
+}
+
+const OTHER_TEMPLATES = [
+  {
+    name: 'consultation-confirmation',
+    label: 'Consultation confirmation',
+    group: 'Consultations',
+    render: ({ formData }) => {
+      const type = consultationHandler.consultationTypes[formData.consultationType] ? formData.consultationType : 'general';
+      const { name } = consultationHandler.consultationTypes[type];
+      return {
+        subject: `Consultation Confirmed: ${name} - Jacobs Counsel`,
+        html: consultationHandler.generateConfirmationEmail(formData.firstName, type, name, sampleConsultationTime(), {})
+      };
+    }
+  },
+  {
+    name: 'kit-sequence',
+    label: 'Kit sequence email (premium layout)',
+    group: 'Kit',
+    render: ({ formData }) => {
+      const { subject, html } = new PremiumKitAutomation().generateEmailTemplate(
+        `<p>Hi ${formData.firstName},</p><p>Here are three legal moves to make before your next big milestone.</p>`,
+        'nurture'
+      );
+      return { subject, html };
+    }
+  },
+  ...['vip-welcome', 'vip-strategy-session', 'vip-priority-booking'].map((template, index) => ({
+    name: `kit/${template}`,
+    label: `Kit VIP sequence ${index + 1}`,
+    group: 'Kit',
+    render: () => {
+      const { subject, content } = new KitV4Automation().generateSequenceTemplates().vip.emails[index];
+      return { subject, html: content };
+    }
+  }))
+];
+
+function catalog() {
+  return [...intakeTemplates(), ...OTHER_TEMPLATES];
+}
+
+/**
+ * Every template the studio can preview
+ * @returns {Array} [{ name, label, group }]
+ */
+export function listStudioTemplates() {
+  return catalog().map(({ name, label, group }) => ({ name, label, group }));
+}
+
+export function listPersonas() {
+  return Object.entries(PERSONAS).map(([id, { label, description }]) => ({ id, label, description }));
+}
+
+/**
+ * Render a catalog template for a fixture persona
+ * @param {String} name - Catalog name, e.g. 'estate-intake/client'
+ * @param {String} [personaId] - Key of PERSONAS
+ * @returns {Object} { name, label, persona, subject, html, text }
+ * @throws {TemplateStudioError} 404 for an unknown template or persona
+ */
+export function renderStudioTemplate(name, personaId = DEFAULT_PERSONA) {
+  const entry = catalog().find(template => template.name === name);
+  if (!entry) {
+    throw new TemplateStudioError(`Unknown template: ${name}`, 404);
+  }
+  const persona = PERSONAS[personaId];
+  if (!persona) {
+    throw new TemplateStudioError(`Unknown persona: ${personaId}`, 404);
+  }
+
+  const { subject, html } = entry.render(persona);
+  return { name, label: entry.label, persona: personaId, subject, html, text: htmlToText(html) };
+}
+
+/**
+ * Addresses test copies may go to (TEMPLATE_TEST_RECIPIENTS, else the firm's own inboxes)
+ */
+export function getTestRecipients() {
+  const configured = config.email.testRecipients.length > 0
+    ? config.email.testRecipients
+    : [config.firm.email, config.notifications.intakeNotifyTo, config.notifications.highValueNotifyTo];
+  return [...new Set(configured.map(address => address.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Send one rendered template to an allow-listed internal address
+ * @param {Object} options - { name, persona, to }
+ * @returns {Object} sendMail() result plus the subject that was sent
+ * @throws {TemplateStudioError} 403 when the address is not on the allow-list
+ */
+export async function sendTestEmail({ name, persona = DEFAULT_PERSONA, to }) {
+  const recipient = String(to || '').trim().toLowerCase();
+  if (!getTestRecipients().includes(recipient)) {
+    throw new TemplateStudioError(`Test emails can only go to: ${getTestRecipients().join(', ')}`, 403);
+  }
+
+  const rendered = renderStudioTemplate(name, persona);
+  const subject = `[TEST] ${rendered.subject}`;
+  const result = await sendMail({
+    to: recipient,
+    subject,
+    html: rendered.html,
+    text: rendered.text,
+    category: TRANSACTIONAL // internal copy - never subject to the reader's marketing opt-outs
+  });
+
+  log.info('🧪 Template test email sent', { template: name, persona, to: recipient, provider: result.provider });
+  return { ...result, subject };
+}
+
+export default {
+  PERSONAS,
+  listStudioTemplates,
+  listPersonas,
+  renderStudioTemplate,
+  getTestRecipients,
+  sendTestEmail,
+  TemplateStudioError
+};
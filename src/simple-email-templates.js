@@ -1,21 +1,23 @@
 // Simple, Clean Email Templates - Built from Scratch
 // No white on white, readable, actionable, CAN-SPAM compliant
+// Each generator builds the view data; the markup lives in src/views/emails and is rendered
+// (auto-escaped) by the template engine inside the shared branded layout.
 
-function generateUnsubscribeUrls(email) {
-  const baseUrl = process.env.BASE_URL || 'https://estate-intake-system.onrender.com';
-  const encodedEmail = encodeURIComponent(email);
-  
-  return {
-    unsubscribeUrl: `${baseUrl}/unsubscribe/${encodedEmail}`,
-    preferencesUrl: `${baseUrl}/preferences/${encodedEmail}`
-  };
+import { renderTemplate } from './services/templateEngine.js';
+import { generateUnsubscribeUrls } from './services/emailLinks.js';
+import { config } from './config/environment.js';
+
+// Assessment fields arrive as JSON strings from the strategy builder
+function parseJsonField(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch (e) {
+    return fallback;
+  }
 }
 
-export function generateInternalEmail(formData, riskScore, submissionType) {
-  const name = formData.name || 'Unknown';
-  const email = formData.email || 'No email';
+export function generateInternalEmail(formData, riskScore, submissionType, documents = []) {
   const score = parseInt(formData.overallRiskScore) || 0;
-  const urls = generateUnsubscribeUrls(email);
   
   let riskLevel = 'Low Risk';
   let urgency = 'Standard';
@@ -31,27 +33,9 @@ export function generateInternalEmail(formData, riskScore, submissionType) {
     leadPriority = 'Medium Priority';
   }
   
-  let highRiskAreas = [];
-  let recommendations = [];
-  let riskBreakdown = {};
-  
-  try {
-    highRiskAreas = formData.highRiskAreas ? JSON.parse(formData.highRiskAreas) : [];
-  } catch (e) {
-    highRiskAreas = [];
-  }
-  
-  try {
-    recommendations = formData.recommendations ? JSON.parse(formData.recommendations) : [];
-  } catch (e) {
-    recommendations = [];
-  }
-  
-  try {
-    riskBreakdown = formData.riskBreakdown ? JSON.parse(formData.riskBreakdown) : {};
-  } catch (e) {
-    riskBreakdown = {};
-  }
+  const highRiskAreas = parseJsonField(formData.highRiskAreas, []);
+  const recommendations = parseJsonField(formData.recommendations, []);
+  const riskBreakdown = parseJsonField(formData.riskBreakdown, {});
   
   // Generate intelligent analysis
   const hasEntityRisk = riskBreakdown.entity > 15;
@@ -81,84 +65,32 @@ export function generateInternalEmail(formData, riskScore, submissionType) {
   else if (totalExposure > 80) potentialValue = '$15K+ engagement potential';
   else if (totalExposure > 60) potentialValue = '$10K+ engagement potential';
   
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>New Legal Risk Assessment</title>
-</head>
-<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px;">
-  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 30px; border-radius: 8px;">
-    
-    <h1 style="color: #000000; margin-bottom: 20px; font-size: 24px;">
-      🚨 New Legal Risk Assessment
-    </h1>
-    
-    <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin-bottom: 20px;">
-      <h2 style="color: #333; margin-top: 0;">Client Information</h2>
-      <p><strong>Name:</strong> ${name}</p>
-      <p><strong>Email:</strong> ${email}</p>
-      <p><strong>Risk Score:</strong> ${score}/30 (${riskLevel})</p>
-      <p><strong>Lead Priority:</strong> ${leadPriority}</p>
-      <p><strong>Urgency:</strong> ${urgency}</p>
-      <p><strong>Potential Value:</strong> ${potentialValue}</p>
-    </div>
-    
-    ${businessAnalysis || personalAnalysis ? `
-    <div style="background-color: #fff3cd; border-left: 4px solid #f0ad4e; padding: 15px; margin: 20px 0;">
-      <h3 style="color: #000000; margin-top: 0;">🎯 STRATEGIC ANALYSIS</h3>
-      ${businessAnalysis ? `<p><strong>Business Risk:</strong> ${businessAnalysis}</p>` : ''}
-      ${personalAnalysis ? `<p><strong>Personal Risk:</strong> ${personalAnalysis}</p>` : ''}
-    </div>
-    ` : ''}
-    
-    ${Object.keys(riskBreakdown).length > 0 ? `
-    <div style="background-color: #f8f9fa; border: 1px solid #dee2e6; padding: 15px; margin: 20px 0; border-radius: 5px;">
-      <h3 style="color: #000000; margin-top: 0;">📊 RISK BREAKDOWN</h3>
-      <ul style="margin: 0; padding-left: 20px;">
-        ${Object.entries(riskBreakdown).map(([area, score]) => {
-          const areaName = area.charAt(0).toUpperCase() + area.slice(1);
-          const color = score > 15 ? '#d32f2f' : score > 8 ? '#f57c00' : '#388e3c';
-          return `<li style="margin-bottom: 5px;"><strong>${areaName}:</strong> <span style="color: ${color}; font-weight: bold;">${score}/30</span></li>`;
-        }).join('')}
-      </ul>
-    </div>
-    ` : ''}
-    
-    ${highRiskAreas.length > 0 ? `
-    <div style="background-color: #ffebee; border-left: 4px solid #d32f2f; padding: 15px; margin: 20px 0;">
-      <h3 style="color: #000000; margin-top: 0;">⚠️ HIGH RISK AREAS</h3>
-      <ul style="margin: 0; padding-left: 20px;">
-        ${highRiskAreas.map(area => `<li style="margin-bottom: 5px;">${area}</li>`).join('')}
-      </ul>
-    </div>
-    ` : ''}
-    
-    ${recommendations.length > 0 ? `
-    <div style="background-color: #e8f5e8; border-left: 4px solid #4caf50; padding: 15px; margin: 20px 0;">
-      <h3 style="color: #2e7d32; margin-top: 0;">💡 RECOMMENDATIONS</h3>
-      <ul style="margin: 0; padding-left: 20px;">
-        ${recommendations.slice(0, 3).map(rec => `<li style="margin-bottom: 5px;">${rec}</li>`).join('')}
-      </ul>
-    </div>
-    ` : ''}
-    
-    <div style="margin-top: 30px; padding: 20px; background-color: #000000; border-radius: 5px;">
-      <p style="color: #ffffff; margin: 0; text-align: center; font-size: 16px;">
-        <strong>Action Required:</strong> Contact client within 24 hours
-      </p>
-    </div>
-    
-  </div>
-</body>
-</html>
-  `;
+  return renderTemplate('assessment-internal', {
+    title: 'New Legal Risk Assessment',
+    name: formData.name || 'Unknown',
+    email: formData.email || 'No email',
+    score,
+    riskLevel,
+    leadPriority,
+    urgency,
+    potentialValue,
+    hasAnalysis: !!(businessAnalysis || personalAnalysis),
+    businessAnalysis,
+    personalAnalysis,
+    riskBreakdown: Object.entries(riskBreakdown).map(([area, areaScore]) => ({
+      name: area.charAt(0).toUpperCase() + area.slice(1),
+      score: areaScore,
+      color: areaScore > 15 ? '#d32f2f' : areaScore > 8 ? '#f57c00' : '#388e3c'
+    })),
+    highRiskAreas,
+    recommendations: recommendations.slice(0, 3),
+    documents,
+    documentLinkHours: config.documents.linkTtlHours
+  });
 }
 
 export function generateResourceThankYouEmail(formData, downloadLink) {
   const clientName = formData.firstName || formData.fullName?.split(' ')[0] || 'there';
-  const urls = generateUnsubscribeUrls(formData.email || 'unknown@example.com');
   
   // Determine guide type and custom messaging
   let guideTitle = 'Legal Resource Guide';
@@ -179,122 +111,27 @@ export function generateResourceThankYouEmail(formData, downloadLink) {
     nextStepsMessage = 'This guide outlines sophisticated strategies to protect and transfer your wealth.';
   }
   
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>Your ${guideTitle} - Jacobs Counsel</title>
-</head>
-<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px;">
-  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 30px; border-radius: 8px;">
-    
-    <h1 style="color: #000000; margin-bottom: 20px; font-size: 24px;">
-      📚 Your ${guideTitle} is Ready!
-    </h1>
-    
-    <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin-bottom: 20px;">
-      <h2 style="color: #000000; margin-top: 0;">Hi ${clientName},</h2>
-      <p>Thank you for downloading our ${guideDescription}! ${nextStepsMessage}</p>
-    </div>
-    
-    <div style="text-align: center; margin: 30px 0;">
-      <a href="${downloadLink}" 
-         style="display: inline-block; background-color: #000000; color: white; padding: 15px 30px; 
-                text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">
-        📥 Download Your Guide Now
-      </a>
-    </div>
-    
-    <div style="background-color: #e8f5e8; border-left: 4px solid #4caf50; padding: 20px; margin: 30px 0;">
-      <h3 style="color: #000000; margin-top: 0;">💡 What's Next?</h3>
-      <p>Ready to take action? Schedule a consultation to discuss your specific legal needs and get personalized guidance.</p>
-    </div>
-    
-    <div style="text-align: center; margin: 40px 0;">
-      <a href="https://calendly.com/jacobscounsel/general-consultation" 
-         style="display: inline-block; background-color: #000000; color: white; padding: 15px 30px; 
-                text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">
-        📅 Schedule Free Consultation
-      </a>
-    </div>
-    
-    <div style="border-top: 1px solid #ddd; padding-top: 20px; margin-top: 30px; text-align: center; color: #666;">
-      <p style="margin: 0;">Drew Jacobs, Esq. | Jacobs Counsel</p>
-      <p style="margin: 5px 0 15px 0; font-size: 14px;">Strategic Legal Counsel for High-Performers</p>
-      <p style="margin: 0; font-size: 12px; color: #999;">
-        <a href="${urls.unsubscribeUrl}" style="color: #666; text-decoration: underline;">Unsubscribe</a> | 
-        <a href="${urls.preferencesUrl}" style="color: #666; text-decoration: underline;">Email Preferences</a>
-      </p>
-    </div>
-    
-  </div>
-</body>
-</html>
-  `;
+  return renderTemplate('resource-thank-you', {
+    title: `Your ${guideTitle} - Jacobs Counsel`,
+    clientName,
+    guideTitle,
+    guideDescription,
+    nextStepsMessage,
+    downloadLink,
+    ...generateUnsubscribeUrls(formData.email || 'unknown@example.com')
+  });
 }
 
 export function generateNewsletterWelcomeEmail(formData) {
-  const clientName = formData.firstName || 'there';
-  const urls = generateUnsubscribeUrls(formData.email || 'unknown@example.com');
-  
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>Welcome to Jacobs Counsel Newsletter</title>
-</head>
-<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px;">
-  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 30px; border-radius: 8px;">
-    
-    <h1 style="color: #000000; margin-bottom: 20px; font-size: 24px;">
-      📧 Thanks for Subscribing!
-    </h1>
-    
-    <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin-bottom: 20px;">
-      <h2 style="color: #000000; margin-top: 0;">Hi ${clientName},</h2>
-      <p>Thank you for subscribing to the Jacobs Counsel newsletter!</p>
-      <p>You'll receive strategic legal insights every Thursday at 8 AM EST. Each email is designed to be read in 3 minutes and could help protect your business and wealth.</p>
-    </div>
-    
-    <div style="background-color: #e8f5e8; border-left: 4px solid #4caf50; padding: 20px; margin: 30px 0;">
-      <h3 style="color: #000000; margin-top: 0;">📋 What to Expect</h3>
-      <ul style="margin: 10px 0 0 0; padding-left: 20px;">
-        <li>Weekly legal strategies for high-performers</li>
-        <li>Regulatory updates that affect your business</li>
-        <li>Case studies and practical insights</li>
-        <li>Proactive legal planning opportunities</li>
-      </ul>
-    </div>
-    
-    <div style="text-align: center; margin: 40px 0;">
-      <a href="https://calendly.com/jacobscounsel/general-consultation" 
-         style="display: inline-block; background-color: #000000; color: white; padding: 15px 30px; 
-                text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">
-        📅 Schedule a Consultation
-      </a>
-    </div>
-    
-    <div style="border-top: 1px solid #ddd; padding-top: 20px; margin-top: 30px; text-align: center; color: #666;">
-      <p style="margin: 0;">Drew Jacobs, Esq. | Jacobs Counsel</p>
-      <p style="margin: 5px 0 15px 0; font-size: 14px;">Strategic Legal Counsel for High-Performers</p>
-      <p style="margin: 0; font-size: 12px; color: #999;">
-        <a href="${urls.unsubscribeUrl}" style="color: #666; text-decoration: underline;">Unsubscribe</a> | 
-        <a href="${urls.preferencesUrl}" style="color: #666; text-decoration: underline;">Email Preferences</a>
-      </p>
-    </div>
-    
-  </div>
-</body>
-</html>
-  `;
+  return renderTemplate('newsletter-welcome', {
+    title: 'Welcome to Jacobs Counsel Newsletter',
+    clientName: formData.firstName || 'there',
+    ...generateUnsubscribeUrls(formData.email || 'unknown@example.com')
+  });
 }
 
 export function generateClientEmail(formData, riskScore, submissionType) {
-  const name = formData.name?.split(' ')[0] || 'there';
   const score = parseInt(formData.overallRiskScore) || 0;
-  const urls = generateUnsubscribeUrls(formData.email || 'unknown@example.com');
   
   let riskLevel = 'Low Risk';
   let riskColor = '#4caf50';
@@ -316,27 +153,9 @@ export function generateClientEmail(formData, riskScore, submissionType) {
     urgencyMessage = 'Consider a consultation to explore advanced strategies for continued protection and growth.';
   }
   
-  let highRiskAreas = [];
-  let recommendations = [];
-  let riskBreakdown = {};
-  
-  try {
-    highRiskAreas = formData.highRiskAreas ? JSON.parse(formData.highRiskAreas) : [];
-  } catch (e) {
-    highRiskAreas = [];
-  }
-  
-  try {
-    recommendations = formData.recommendations ? JSON.parse(formData.recommendations) : [];
-  } catch (e) {
-    recommendations = [];
-  }
-  
-  try {
-    riskBreakdown = formData.riskBreakdown ? JSON.parse(formData.riskBreakdown) : {};
-  } catch (e) {
-    riskBreakdown = {};
-  }
+  const highRiskAreas = parseJsonField(formData.highRiskAreas, []);
+  const recommendations = parseJsonField(formData.recommendations, []);
+  const riskBreakdown = parseJsonField(formData.riskBreakdown, {});
   
   // Generate specific insights based on risk areas
   let specificInsights = '';
@@ -352,79 +171,95 @@ export function generateClientEmail(formData, riskScore, submissionType) {
     specificInsights = 'Your business entity structure needs optimization. The right setup could provide better asset protection and tax advantages.';
   }
   
-  return `
-<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <title>Your Legal Risk Assessment Results</title>
-</head>
-<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; background-color: #f4f4f4; margin: 0; padding: 20px;">
-  <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 30px; border-radius: 8px;">
-    
-    <div style="text-align: center; margin-bottom: 30px;">
-      <h1 style="color: #000000; margin-bottom: 10px; font-size: 28px;">Legal Risk Assessment Results</h1>
-      <p style="color: #666; margin: 0;">Jacobs Counsel - Strategic Legal Guidance</p>
-    </div>
-    
-    <div style="background-color: #f5f5f5; padding: 20px; border-radius: 5px; margin-bottom: 20px;">
-      <h2 style="color: #333; margin-top: 0;">Hi ${name},</h2>
-      <p>Thank you for completing your legal risk assessment. Here's your personalized analysis:</p>
-      <p><strong>${personalizedMessage}</strong></p>
-      ${urgencyMessage ? `<p style="color: ${riskColor}; font-weight: bold;">${urgencyMessage}</p>` : ''}
-    </div>
-    
-    ${specificInsights ? `
-    <div style="background-color: #e3f2fd; border-left: 4px solid #1976d2; padding: 20px; margin: 30px 0;">
-      <h3 style="color: #000000; margin-top: 0;">💡 KEY INSIGHT FOR YOU</h3>
-      <p style="font-size: 16px; line-height: 1.6; margin: 0;">${specificInsights}</p>
-    </div>
-    ` : ''}
-    
-    <div style="text-align: center; margin: 30px 0;">
-      <div style="display: inline-block; background-color: ${riskColor}; color: white; padding: 20px 40px; border-radius: 50px;">
-        <h2 style="margin: 0; font-size: 24px;">Risk Score: ${score}/30</h2>
-        <p style="margin: 5px 0 0 0; font-size: 18px;">${riskLevel}</p>
-      </div>
-    </div>
-    
-    ${highRiskAreas.length > 0 ? `
-    <div style="background-color: #ffebee; border-left: 4px solid #d32f2f; padding: 20px; margin: 30px 0;">
-      <h3 style="color: #000000; margin-top: 0;">⚠️ Areas Requiring Immediate Attention</h3>
-      <ul style="margin: 10px 0 0 0; padding-left: 20px;">
-        ${highRiskAreas.map(area => `<li style="margin-bottom: 8px; font-weight: 500;">${area}</li>`).join('')}
-      </ul>
-    </div>
-    ` : ''}
-    
-    ${recommendations.length > 0 ? `
-    <div style="background-color: #e8f5e8; border-left: 4px solid #4caf50; padding: 20px; margin: 30px 0;">
-      <h3 style="color: #2e7d32; margin-top: 0;">📋 Your Next Steps</h3>
-      <ol style="margin: 10px 0 0 0; padding-left: 20px;">
-        ${recommendations.slice(0, 3).map(rec => `<li style="margin-bottom: 8px;">${rec}</li>`).join('')}
-      </ol>
-    </div>
-    ` : ''}
-    
-    <div style="text-align: center; margin: 40px 0;">
-      <a href="https://calendly.com/jacobscounsel/general-consultation" 
-         style="display: inline-block; background-color: #000000; color: white; padding: 15px 30px; 
-                text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 16px;">
-        📅 Schedule Free Strategy Call
-      </a>
-    </div>
-    
-    <div style="border-top: 1px solid #ddd; padding-top: 20px; margin-top: 30px; text-align: center; color: #666;">
-      <p style="margin: 0;">Drew Jacobs, Esq. | Jacobs Counsel</p>
-      <p style="margin: 5px 0 15px 0; font-size: 14px;">Strategic Legal Counsel for High-Performers</p>
-      <p style="margin: 0; font-size: 12px; color: #999;">
-        <a href="${urls.unsubscribeUrl}" style="color: #666; text-decoration: underline;">Unsubscribe</a> | 
-        <a href="${urls.preferencesUrl}" style="color: #666; text-decoration: underline;">Email Preferences</a>
-      </p>
-    </div>
-    
-  </div>
-</body>
-</html>
-  `;
-}
\ No newline at end of file
+  return renderTemplate('assessment-client', {
+    title: 'Your Legal Risk Assessment Results',
+    name: formData.name?.split(' ')[0] || 'there',
+    score,
+    riskLevel,
+    riskColor,
+    personalizedMessage,
+    urgencyMessage,
+    specificInsights,
+    highRiskAreas,
+    recommendations: recommendations.slice(0, 3),
+    ...generateUnsubscribeUrls(formData.email || 'unknown@example.com')
+  });
+}
+// Outside counsel intake - display labels for the form's select values
+const OUTSIDE_COUNSEL_LABELS = {
+  legalSpend: {
+    'under-1k': 'Under $1K / month',
+    '1k-5k': '$1K - $5K / month',
+    '5k-10k': '$5K - $10K / month',
+    '10k-25k': '$10K - $25K / month',
+    '25k-plus': '$25K+ / month',
+    'varies': 'Varies significantly'
+  },
+  timeline: {
+    'immediate': 'Immediate (this week)',
+    '2weeks': 'Within 2 weeks',
+    '1month': 'Within 1 month',
+    'flexible': 'Flexible timeline'
+  },
+  currentCounsel: {
+    'none': 'No current legal counsel',
+    'occasional': 'Uses lawyers occasionally',
+    'multiple-firms': 'Multiple law firms for different needs',
+    'primary-firm': 'Primary outside law firm',
+    'in-house': 'In-house legal counsel',
+    'mixed': 'Mix of in-house and outside counsel'
+  },
+  engagementLevel: {
+    'project-based': 'Project-Based (specific matters)',
+    'retainer': 'Monthly Retainer (ongoing support)',
+    'comprehensive': 'Comprehensive Partnership (full service)',
+    'consultation': 'Needs consultation to determine'
+  }
+};
+
+function outsideCounselLabel(field, value) {
+  if (!value) return 'Not specified';
+  return OUTSIDE_COUNSEL_LABELS[field]?.[value] || value;
+}
+
+export function generateOutsideCounselClientEmail(formData) {
+  return renderTemplate('outside-counsel-client', {
+    title: 'Your Outside Counsel Inquiry - Jacobs Counsel',
+    name: formData.contactName?.split(' ')[0] || 'there',
+    companyName: formData.companyName || 'your company',
+    isImmediate: formData.timeline === 'immediate',
+    ...generateUnsubscribeUrls(formData.email || 'unknown@example.com')
+  });
+}
+
+// Free-text answers shown as their own sections in the internal alert, in this order
+const OUTSIDE_COUNSEL_TEXT_SECTIONS = [
+  ['🏢 BUSINESS DESCRIPTION', 'businessDescription'],
+  ['⚖️ LEGAL CHALLENGES', 'legalChallenges'],
+  ['🧩 OPERATIONAL COMPLEXITY', 'operationalComplexity'],
+  ['📌 SPECIAL REQUIREMENTS', 'specialRequirements'],
+  ['❓ QUESTIONS', 'questions']
+];
+
+export function generateOutsideCounselInternalEmail(formData, leadScore, documents = []) {
+  const details = Object.fromEntries(
+    ['contactName', 'email', 'phone', 'companyName', 'industry', 'businessStage', 'revenue', 'teamSize']
+      .map(field => [field, formData[field] || 'Not specified'])
+  );
+
+  return renderTemplate('outside-counsel-internal', {
+    title: 'New Outside Counsel Inquiry',
+    details,
+    leadScore,
+    isImmediate: formData.timeline === 'immediate',
+    labels: Object.fromEntries(Object.keys(OUTSIDE_COUNSEL_LABELS).map(field => [field, outsideCounselLabel(field, formData[field])])),
+    hasFocus: !!(formData.legalFocus || formData.painPoints),
+    legalFocus: formData.legalFocus,
+    painPoints: formData.painPoints,
+    textSections: OUTSIDE_COUNSEL_TEXT_SECTIONS
+      .filter(([, field]) => formData[field])
+      .map(([title, field]) => ({ title, value: formData[field] })),
+    documents,
+    documentLinkHours: config.documents.linkTtlHours
+  });
+}
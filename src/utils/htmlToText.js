@@ -0,0 +1,80 @@
+// src/utils/htmlToText.js - Plain-text rendering of our HTML emails
+// Produces the text/plain part of every outbound message. Headings stay visually distinct,
+// lists keep their bullets or numbers, and links keep their URLs: "Book a call (https://...)".
+// Hidden elements (preheaders, tracking pixels), <head>, <style> and <script> are dropped.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  middot: '·', bull: '•', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©', reg: '®', trade: '™'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Out-of-range and surrogate references (e.g. in a forwarded reply) stay as written
+      const valid = point >= 0 && point <= 0x10ffff && !(point >= 0xd800 && point <= 0xdfff);
+      return valid ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+const stripTags = (html) => html.replace(/<[^>]+>/g, '');
+const attribute = (tag, name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'))?.slice(2).find(value => value !== undefined) ?? '';
+
+function renderLink(openTag, inner) {
+  const href = decodeEntities(attribute(openTag, 'href')).trim();
+  const label = inner.trim();
+  if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return label;
+
+  const target = href.replace(/^mailto:/i, '');
+  if (!label) return target;
+  return decodeEntities(stripTags(label)).trim() === target ? label : `${label} (${target})`;
+}
+
+function renderHeading(level, inner) {
+  const text = inner.trim();
+  if (level > 2) return `\n\n${text}\n\n`;
+  // Underline by visible width; tags inside the heading are gone by the time lines are measured
+  const width = Array.from(decodeEntities(stripTags(text))).length;
+  return `\n\n${text}\n${(level === 1 ? '=' : '-').repeat(width)}\n\n`;
+}
+
+/**
+ * Render an HTML email as readable plain text
+ * @param {String} html
+ * @returns {String} Text with \n line endings
+ */
+export function htmlToText(html) {
+  let text = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<(div|span|p|table|td)\b[^>]*display\s*:\s*none[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ');
+
+  text = text
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi, (match, attrs, inner) => renderLink(attrs, inner))
+    .replace(/<img\b[^>]*>/gi, tag => attribute(tag, 'alt') ? `[${attribute(tag, 'alt')}]` : '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => renderHeading(Number(level), inner))
+    .replace(/<ol\b[^>]*>([\s\S]*?)<\/ol>/gi, (match, items) => {
+      let number = 0;
+      return `\n${items.replace(/<li\b[^>]*>/gi, () => `\n${++number}. `)}\n`;
+    })
+    .replace(/<li\b[^>]*>/gi, '\n• ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr\b[^>]*>/gi, '\n\n----------------------------------------\n\n')
+    .replace(/<\/?(p|div|table|ul|ol|blockquote|section|header|footer)\b[^>]*>/gi, '\n\n')
+    .replace(/<\/tr>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ');
+
+  return decodeEntities(stripTags(text))
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default { htmlToText };
@@ -0,0 +1,79 @@
+// Admin authentication (src/middleware/security.js, src/routes/admin-session.js): header tokens and
+// browser sessions; ?token= is never accepted
+
+import './helpers/testDatabase.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+const express = (await import('express')).default;
+const { requireAdminToken } = await import('../src/middleware/security.js');
+const adminSession = (await import('../src/routes/admin-session.js')).default;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/admin', adminSession);
+  app.use('/admin', requireAdminToken, express.Router()
+    .get('/', (req, res) => res.send('<h1>Dashboard</h1>'))
+    .get('/api/jobs/failed', (req, res) => res.json({ ok: true })));
+
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+const get = (path, headers = {}) => fetch(`${baseUrl}${path}`, { headers, redirect: 'manual' });
+
+test('the token is accepted in the Authorization or X-Admin-Token header', async () => {
+  assert.equal((await get('/admin/api/jobs/failed', { Authorization: 'Bearer test-admin-token' })).status, 200);
+  assert.equal((await get('/admin/api/jobs/failed', { 'X-Admin-Token': 'test-admin-token' })).status, 200);
+  assert.equal((await get('/admin/api/jobs/failed', { Authorization: 'Bearer wrong' })).status, 401);
+});
+
+test('the token is never accepted in the query string', async () => {
+  assert.equal((await get('/admin/api/jobs/failed?token=test-admin-token')).status, 401);
+});
+
+test('a browser without a session is sent to the sign-in page', async () => {
+  const response = await get('/admin/', { Accept: 'text/html' });
+  assert.equal(response.status, 303);
+  assert.equal(response.headers.get('location'), '/admin/login');
+});
+
+test('signing in sets an HttpOnly, SameSite=Strict session cookie that authenticates pages', async () => {
+  const signIn = (token) => fetch(`${baseUrl}/admin/login`, {
+    method: 'POST',
+    body: new URLSearchParams({ token, next: 'templates' }),
+    redirect: 'manual'
+  });
+
+  assert.equal((await signIn('wrong')).status, 401);
+
+  const response = await signIn('test-admin-token');
+  assert.equal(response.status, 303);
+  assert.equal(response.headers.get('location'), '/admin/templates');
+
+  const cookie = response.headers.get('set-cookie');
+  assert.match(cookie, /HttpOnly/);
+  assert.match(cookie, /SameSite=Strict/);
+  assert.match(cookie, /Path=\/admin/);
+
+  const session = cookie.split(';')[0];
+  assert.equal((await get('/admin/', { Cookie: session, Accept: 'text/html' })).status, 200);
+  assert.equal((await get('/admin/', { Cookie: 'jc_admin_session=forged.value', Accept: 'text/html' })).status, 303);
+});
+
+test('sign-in only redirects within the admin pages', async () => {
+  const response = await fetch(`${baseUrl}/admin/login`, {
+    method: 'POST',
+    body: new URLSearchParams({ token: 'test-admin-token', next: '//evil.example.com' }),
+    redirect: 'manual'
+  });
+  assert.equal(response.headers.get('location'), '/admin/');
+});
@@ -0,0 +1,186 @@
+// Bounce and complaint handling (src/services/deliveryEvents.js): parsers, forged reports, soft-bounce threshold
+
+import './helpers/testDatabase.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db, { ready, leadDb } from '../src/models/database.js';
+import { parseDsn, parseDeliveryEvents, processDeliveryEvents, SOFT_BOUNCE_LIMIT } from '../src/services/deliveryEvents.js';
+import { startTracking, markTrackedSent, trackingMessageId } from '../src/services/emailTracking.js';
+import { config } from '../src/config/environment.js';
+
+after(async () => {
+  await ready;
+  await db.close();
+});
+
+const dsn = ({ action = 'failed', status = '5.1.1', recipient = 'client@example.com', originalId = '<original-1@jacobscounsel.com>', reportId = '<report-1@mx.example.net>' } = {}) => [
+  'From: Mail Delivery System <MAILER-DAEMON@mx.example.net>',
+  'To: intake@jacobscounsel.com',
+  `Message-ID: ${reportId}`,
+  'Subject: Undelivered Mail Returned to Sender',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/report; report-type=delivery-status; boundary="BOUNDARY"',
+  '',
+  '--BOUNDARY',
+  'Content-Type: text/plain',
+  '',
+  'Your message could not be delivered.',
+  '',
+  '--BOUNDARY',
+  'Content-Type: message/delivery-status',
+  '',
+  'Reporting-MTA: dns; mx.example.net',
+  '',
+  `Final-Recipient: rfc822; ${recipient}`,
+  `Action: ${action}`,
+  `Status: ${status}`,
+  'Diagnostic-Code: smtp; 550 5.1.1 User unknown',
+  '',
+  '--BOUNDARY',
+  'Content-Type: text/rfc822-headers',
+  '',
+  `Message-ID: ${originalId}`,
+  `To: ${recipient}`,
+  'Subject: Your consultation request',
+  '',
+  '--BOUNDARY--',
+  ''
+].join('\r\n');
+
+test('parseDsn reads a permanent failure as a hard bounce', () => {
+  const [event] = parseDsn(dsn());
+  assert.equal(event.email, 'client@example.com');
+  assert.equal(event.type, 'hard_bounce');
+  assert.equal(event.statusCode, '5.1.1');
+  assert.deepEqual(event.messageIds, ['<original-1@jacobscounsel.com>']);
+  assert.equal(event.eventKey, 'dsn:<report-1@mx.example.net>:client@example.com');
+});
+
+test('parseDsn reads a 4.x.x failure as a soft bounce and skips delay warnings', () => {
+  assert.equal(parseDsn(dsn({ status: '4.2.2' }))[0].type, 'soft_bounce');
+  assert.deepEqual(parseDsn(dsn({ action: 'delayed', status: '4.4.7' })), []);
+});
+
+test('parseDsn reads an ARF report as a complaint', () => {
+  const arf = [
+    'Message-ID: <arf-1@feedback.example.net>',
+    'Content-Type: multipart/report; report-type=feedback-report; boundary="ARF"',
+    '',
+    '--ARF',
+    'Content-Type: message/feedback-report',
+    '',
+    'Feedback-Type: abuse',
+    'Original-Rcpt-To: reader@example.com',
+    '',
+    '--ARF',
+    'Content-Type: message/rfc822',
+    '',
+    'Message-ID: <newsletter-7@jacobscounsel.com>',
+    'To: reader@example.com',
+    '',
+    'Hello',
+    '--ARF--',
+    ''
+  ].join('\r\n');
+
+  const [event] = parseDsn(arf);
+  assert.equal(event.email, 'reader@example.com');
+  assert.equal(event.type, 'complaint');
+  assert.equal(event.detail, 'abuse');
+  assert.deepEqual(event.messageIds, ['<newsletter-7@jacobscounsel.com>']);
+});
+
+test('parseDsn ignores mail that is not a report', () => {
+  assert.deepEqual(parseDsn('Subject: Re: my consultation\r\n\r\nThanks!'), []);
+});
+
+test('SendGrid bounces, blocks, spam reports and drops are normalized', () => {
+  const events = parseDeliveryEvents('sendgrid', [
+    { event: 'bounce', type: 'bounce', email: 'Hard@Example.com', status: '5.1.1', reason: 'no such user', sg_message_id: 'abc123.filter0001', sg_event_id: 'e1' },
+    { event: 'bounce', type: 'blocked', email: 'blocked@example.com', status: '4.7.1', sg_event_id: 'e2' },
+    { event: 'spamreport', email: 'spam@example.com', sg_event_id: 'e3' },
+    { event: 'dropped', email: 'old@example.com', reason: 'Bounced Address', sg_event_id: 'e4' },
+    { event: 'delivered', email: 'fine@example.com', sg_event_id: 'e5' }
+  ]);
+
+  assert.deepEqual(events.map(({ email, type }) => ({ email, type })), [
+    { email: 'hard@example.com', type: 'hard_bounce' },
+    { email: 'blocked@example.com', type: 'soft_bounce' },
+    { email: 'spam@example.com', type: 'complaint' },
+    { email: 'old@example.com', type: 'hard_bounce' }
+  ]);
+  assert.deepEqual(events[0].messageIds, ['abc123']);
+  assert.equal(events[0].eventKey, 'sendgrid:e1');
+  assert.ok(events.every(event => event.provider === 'sendgrid'));
+});
+
+test('unknown providers are refused', () => {
+  assert.throws(() => parseDeliveryEvents('postmark', {}), /Unknown delivery event provider/);
+});
+
+// A message we sent to the address, as sendMail records it
+async function sentTo(email) {
+  const { trackingId } = await startTracking({ email, subject: 'Your consultation request', html: '<p>Hi</p>' });
+  await markTrackedSent(trackingId, { provider: 'graph', messageId: null });
+  return trackingMessageId(trackingId);
+}
+
+test('a report naming no message we sent suppresses nothing', async () => {
+  const result = await processDeliveryEvents('dsn', dsn({ recipient: 'victim@example.com', reportId: '<forged-1@x>' }));
+  assert.deepEqual(result, { received: 1, recorded: 0, ignored: 1, suppressed: [] });
+  assert.equal(await leadDb.getSuppression('victim@example.com'), undefined);
+});
+
+test('a report for another address than the one we mailed suppresses nothing', async () => {
+  const originalId = await sentTo('real-client@example.com');
+  const result = await processDeliveryEvents('dsn', dsn({ recipient: 'victim@example.com', originalId, reportId: '<forged-2@x>' }));
+  assert.equal(result.ignored, 1);
+  assert.equal(await leadDb.getSuppression('victim@example.com'), undefined);
+});
+
+test('a report naming a message we sent hard-bounces its recipient', async () => {
+  const originalId = await sentTo('gone@example.com');
+  const result = await processDeliveryEvents('dsn', dsn({ recipient: 'gone@example.com', originalId, reportId: '<report-2@x>' }));
+  assert.deepEqual(result, { received: 1, recorded: 1, ignored: 0, suppressed: ['gone@example.com'] });
+  assert.equal((await leadDb.getSuppression('gone@example.com')).reason, 'hard_bounce');
+
+  const [history] = await db.all('SELECT status FROM email_history WHERE email = ?', 'gone@example.com');
+  assert.equal(history.status, 'bounced');
+
+  // The same report twice is recorded once
+  const again = await processDeliveryEvents('dsn', dsn({ recipient: 'gone@example.com', originalId, reportId: '<report-2@x>' }));
+  assert.equal(again.recorded, 0);
+});
+
+test('bounces never suppress the firm inbox', async () => {
+  const firm = config.notifications.intakeNotifyTo;
+  const originalId = await sentTo(firm);
+  await processDeliveryEvents('dsn', dsn({ recipient: firm, originalId, reportId: '<report-3@x>' }));
+  await processDeliveryEvents('sendgrid', [{ event: 'bounce', type: 'bounce', email: firm, status: '5.1.1', sg_event_id: 'firm-1' }]);
+
+  assert.equal(await leadDb.getSuppression(firm), undefined);
+});
+
+test(`soft bounces suppress only on the ${SOFT_BOUNCE_LIMIT}th within the window`, async () => {
+  const softBounce = (n) => processDeliveryEvents('sendgrid', [
+    { event: 'bounce', type: 'blocked', email: 'full@example.com', status: '4.2.2', sg_event_id: `soft-${n}` }
+  ]);
+
+  for (let n = 1; n < SOFT_BOUNCE_LIMIT; n++) {
+    assert.deepEqual((await softBounce(n)).suppressed, []);
+  }
+  assert.equal(await leadDb.getSuppression('full@example.com'), undefined);
+
+  assert.deepEqual((await softBounce(SOFT_BOUNCE_LIMIT)).suppressed, ['full@example.com']);
+  assert.equal((await leadDb.getSuppression('full@example.com')).reason, 'soft_bounce');
+});
+
+test('soft bounces older than the window do not count', async () => {
+  for (let n = 1; n < SOFT_BOUNCE_LIMIT; n++) {
+    await processDeliveryEvents('sendgrid', [{ event: 'bounce', type: 'blocked', email: 'slow@example.com', status: '4.2.2', sg_event_id: `old-${n}` }]);
+  }
+  await db.run("UPDATE email_delivery_events SET created_at = datetime('now', '-8 days') WHERE email = ?", 'slow@example.com');
+
+  const result = await processDeliveryEvents('sendgrid', [{ event: 'bounce', type: 'blocked', email: 'slow@example.com', status: '4.2.2', sg_event_id: 'new-1' }]);
+  assert.deepEqual(result.suppressed, []);
+});
@@ -0,0 +1,100 @@
+// Upload content inspection (src/services/documentInspection.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inspectDocument, VERDICTS } from '../src/services/documentInspection.js';
+import { buildZip } from './helpers/zip.js';
+
+const file = (originalname, content, mimetype) => ({ originalname, mimetype, buffer: Buffer.from(content) });
+const inspect = (name, content, mimetype = 'application/octet-stream', expected = mimetype) =>
+  inspectDocument(file(name, content, mimetype), expected);
+
+const DOCX_PARTS = [{ name: '[Content_Types].xml', content: '<Types/>' }, { name: 'word/document.xml', content: '<w:document/>' }];
+
+test('a real PDF is clean', async () => {
+  assert.deepEqual(await inspect('will.pdf', '%PDF-1.7\n...', 'application/pdf'), { verdict: VERDICTS.CLEAN, reason: null });
+});
+
+test('content that does not match its extension is rejected', async () => {
+  const result = await inspect('will.pdf', 'just some text', 'application/pdf');
+  assert.equal(result.verdict, VERDICTS.REJECTED);
+  assert.match(result.reason, /not a valid \.pdf/);
+});
+
+test('executables are rejected whatever they are called', async () => {
+  const result = await inspect('invoice.pdf', Buffer.concat([Buffer.from('MZ'), Buffer.alloc(64)]), 'application/pdf');
+  assert.deepEqual(result, { verdict: VERDICTS.REJECTED, reason: 'file is a program or script' });
+});
+
+test('a declared type that disagrees with the file is rejected', async () => {
+  const result = await inspect('will.pdf', '%PDF-1.7', 'image/png', 'application/pdf');
+  assert.equal(result.verdict, VERDICTS.REJECTED);
+  assert.match(result.reason, /declared type image\/png/);
+});
+
+test('a well-formed .docx is clean; one carrying macros is rejected', async () => {
+  const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  assert.equal((await inspect('lease.docx', buildZip(DOCX_PARTS), docx)).verdict, VERDICTS.CLEAN);
+
+  const macros = await inspect('lease.docx', buildZip([...DOCX_PARTS, { name: 'word/vbaProject.bin', content: 'x' }]), docx);
+  assert.deepEqual(macros, { verdict: VERDICTS.REJECTED, reason: 'contains macros' });
+});
+
+test('ZIPs with programs, traversal paths or nested archives are rejected', async () => {
+  const zip = (entries) => inspect('records.zip', buildZip(entries), 'application/zip');
+
+  assert.match((await zip([{ name: 'setup.exe', content: 'x' }])).reason, /program or script: setup\.exe/);
+  assert.match((await zip([{ name: '../../etc/passwd', content: 'x' }])).reason, /unsafe path/);
+  assert.match((await zip([{ name: 'inner.zip', content: 'x' }])).reason, /another archive/);
+  assert.match((await zip([{ name: 'scan.pdf', content: 'MZ\0\0' }])).reason, /contains a program: scan\.pdf/);
+  assert.equal((await zip([{ name: 'scan.pdf', content: '%PDF-1.4' }])).verdict, VERDICTS.CLEAN);
+});
+
+test('a truncated archive is rejected as damaged', async () => {
+  const archive = buildZip([{ name: 'scan.pdf', content: '%PDF-1.4' }]);
+  const result = await inspect('records.zip', archive.subarray(0, 40), 'application/zip');
+  assert.deepEqual(result, { verdict: VERDICTS.REJECTED, reason: 'damaged or unreadable archive' });
+});
+
+test('archives with out-of-range offsets are rejected as damaged, not thrown', async () => {
+  const damaged = { verdict: VERDICTS.REJECTED, reason: 'damaged or unreadable archive' };
+  const archive = buildZip([{ name: 'scan.pdf', content: '%PDF-1.4' }]);
+  const centralStart = archive.readUInt32LE(archive.length - 22 + 16);
+  const crafted = (patch) => {
+    const copy = Buffer.from(archive);
+    patch(copy);
+    return inspect('records.zip', copy, 'application/zip');
+  };
+
+  // Entry's local header offset far past the end of the file
+  assert.deepEqual(await crafted(copy => copy.writeUInt32LE(0xfffffff0, centralStart + 42)), damaged);
+  // Central directory offset past the end
+  assert.deepEqual(await crafted(copy => copy.writeUInt32LE(0x7fffffff, copy.length - 22 + 16)), damaged);
+  // Entry name running off the end of the file
+  assert.deepEqual(await crafted(copy => copy.writeUInt16LE(0xffff, centralStart + 28)), damaged);
+  // Entry data running off the end of the file
+  assert.deepEqual(await crafted(copy => copy.writeUInt32LE(0xffffff, centralStart + 20)), damaged);
+  // Local header extra field pushing the data past the end
+  assert.deepEqual(await crafted(copy => copy.writeUInt16LE(0xffff, 28)), damaged);
+});
+
+test('a file the inspector chokes on is rejected rather than failing the request', async () => {
+  const result = await inspectDocument({ originalname: 'will.pdf', mimetype: 'application/pdf', buffer: null }, 'application/pdf');
+  assert.deepEqual(result, { verdict: VERDICTS.REJECTED, reason: 'file could not be inspected' });
+});
+
+test('a deflated entry that understates its size is inspected from its first bytes only', async () => {
+  // 64 MB once inflated, ~64 KB in the archive, declared as 100 bytes
+  const bomb = (head) => {
+    const content = Buffer.alloc(64 * 1024 * 1024);
+    content.write(head);
+    return buildZip([{ name: 'scan.pdf', content, deflate: true, size: 100 }]);
+  };
+
+  const program = bomb('MZ');
+  const pdf = bomb('%PDF-1.4');
+  const before = process.memoryUsage().arrayBuffers;
+  assert.match((await inspect('records.zip', program, 'application/zip')).reason, /contains a program: scan\.pdf/);
+  assert.equal((await inspect('records.zip', pdf, 'application/zip')).verdict, VERDICTS.CLEAN);
+  assert.ok(process.memoryUsage().arrayBuffers - before < 32 * 1024 * 1024, 'inspection inflated the whole entry');
+});
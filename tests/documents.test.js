@@ -0,0 +1,119 @@
+// Intake documents (src/services/documents.js, src/routes/documents.js): limits, storage, download links
+
+import './helpers/testDatabase.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import db, { ready, leadDb } from '../src/models/database.js';
+import {
+  validateDocuments,
+  storeLeadDocuments,
+  listSubmissionDocuments,
+  documentDownloadUrl,
+  readDocument
+} from '../src/services/documents.js';
+import { VERDICTS } from '../src/services/documentInspection.js';
+import documentRoutes from '../src/routes/documents.js';
+
+let server;
+let baseUrl;
+let leadId;
+
+before(async () => {
+  ({ lastInsertRowid: leadId } = await leadDb.insertLead({
+    submissionId: 'estate-docs', email: 'uploader@example.com', fullName: 'Uploading Client', submissionType: 'estate-intake'
+  }));
+
+  const app = express();
+  app.use(documentRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await ready;
+  await db.close();
+});
+
+const upload = (originalname, content, verdict = VERDICTS.CLEAN, reason = null) => {
+  const buffer = Buffer.from(content);
+  return { originalname, buffer, size: buffer.length, inspection: { verdict, reason } };
+};
+
+const tokenOf = (document, ttlHours) => documentDownloadUrl(document, ttlHours).split('/documents/')[1];
+
+test('validateDocuments enforces type, size, emptiness and count', () => {
+  assert.deepEqual(validateDocuments([upload('will.pdf', '%PDF-1.7')]), []);
+
+  const messages = validateDocuments([
+    upload('setup.exe', 'MZ'),
+    { originalname: 'huge.pdf', size: 16 * 1024 * 1024 },
+    upload('empty.pdf', '')
+  ]).map(({ message }) => message);
+  assert.match(messages[0], /setup\.exe: file type not accepted/);
+  assert.match(messages[1], /huge\.pdf: files must be 15 MB or smaller/);
+  assert.match(messages[2], /empty\.pdf: file is empty/);
+
+  const many = Array.from({ length: 11 }, (_, i) => upload(`page-${i}.pdf`, '%PDF-1.7'));
+  assert.deepEqual(validateDocuments(many), [{ field: 'documents', message: 'Upload at most 10 files' }]);
+});
+
+test('the same file uploaded twice on one submission is stored once', async () => {
+  const file = upload('trust.pdf', '%PDF-1.7 trust');
+  await storeLeadDocuments({ leadId, submissionId: 'estate-dedupe', files: [file, { ...file, originalname: 'copy of trust.pdf' }] });
+  const documents = await storeLeadDocuments({ leadId, submissionId: 'estate-dedupe', files: [file] });
+
+  assert.deepEqual(documents.map(document => document.original_name), ['trust.pdf']);
+  assert.equal(documents[0].content_type, 'application/pdf');
+  assert.equal(documents[0].storage, 'disk');
+});
+
+test('rejected uploads are refused and quarantined ones stored but never served', async () => {
+  await assert.rejects(
+    storeLeadDocuments({ leadId, submissionId: 'estate-rejected', files: [upload('scan.pdf', 'MZ', VERDICTS.REJECTED, 'executable')] }),
+    /Refusing to store rejected upload scan\.pdf/
+  );
+
+  const [held] = await storeLeadDocuments({
+    leadId, submissionId: 'estate-quarantine', files: [upload('locked.zip', 'PK', VERDICTS.QUARANTINED, 'encrypted archive')]
+  });
+  assert.equal(held.quarantined, 1);
+  assert.equal(await readDocument(tokenOf(held)), null);
+});
+
+test('a download token reads the stored file until it expires', async (t) => {
+  const [document] = await storeLeadDocuments({ leadId, submissionId: 'estate-read', files: [upload('deed.pdf', '%PDF-1.7 deed')] });
+  const token = tokenOf(document, 1);
+
+  const file = await readDocument(token);
+  assert.equal(file.document.id, document.id);
+  assert.equal(file.content.toString(), '%PDF-1.7 deed');
+
+  t.mock.method(Date, 'now', () => new Date().getTime() + 61 * 60 * 1000);
+  assert.equal(await readDocument(token), null);
+});
+
+test('a tampered download token is refused', async () => {
+  const [document] = await listSubmissionDocuments('estate-read');
+  const [claims, signature] = tokenOf(document).split('.');
+  const other = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(claims, 'base64url')), d: document.id + 1 })).toString('base64url');
+
+  assert.equal(await readDocument(`${other}.${signature}`), null);
+  assert.equal((await fetch(`${baseUrl}/documents/${other}.${signature}`)).status, 404);
+});
+
+test('the Content-Disposition fallback name has no quotes, backslashes or non-ASCII characters', async () => {
+  const [document] = await listSubmissionDocuments('estate-read');
+  await db.run('UPDATE lead_documents SET original_name = ? WHERE id = ?', 'my "will"\\ café.pdf', document.id);
+
+  const response = await fetch(`${baseUrl}/documents/${tokenOf(document)}`);
+  assert.equal(response.status, 200);
+  assert.equal(
+    response.headers.get('content-disposition'),
+    `attachment; filename="my _will__ caf_.pdf"; filename*=UTF-8''${encodeURIComponent('my "will"\\ café.pdf')}`
+  );
+  assert.equal(response.headers.get('cache-control'), 'private, no-store');
+  assert.equal(await response.text(), '%PDF-1.7 deed');
+});
@@ -0,0 +1,55 @@
+// Open and click tracking (src/services/emailTracking.js)
+
+import './helpers/testDatabase.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db, { ready } from '../src/models/database.js';
+import { startTracking, markTrackedSent, recordOpen, recordClick, recordReply } from '../src/services/emailTracking.js';
+
+after(async () => {
+  await ready;
+  await db.close();
+});
+
+async function sent(email) {
+  const { trackingId } = await startTracking({ email, subject: 'Hello', html: '<p>Hi</p>' });
+  await markTrackedSent(trackingId, { provider: 'graph', messageId: null });
+  return trackingId;
+}
+
+const statusOf = async (trackingId) => (await db.get('SELECT status FROM email_history WHERE tracking_id = ?', trackingId)).status;
+
+test('an open then a click move a sent message forward', async () => {
+  const trackingId = await sent('reader@example.com');
+  await recordOpen(trackingId);
+  assert.equal(await statusOf(trackingId), 'opened');
+  await recordClick(trackingId, 'https://example.com');
+  assert.equal(await statusOf(trackingId), 'clicked');
+  await recordOpen(trackingId);
+  assert.equal(await statusOf(trackingId), 'clicked');
+});
+
+test('opens and clicks never move a replied, bounced or complained message backwards', async () => {
+  for (const status of ['replied', 'bounced', 'complained']) {
+    const trackingId = await sent(`${status}@example.com`);
+    await db.run('UPDATE email_history SET status = ? WHERE tracking_id = ?', status, trackingId);
+
+    await recordOpen(trackingId);
+    await recordClick(trackingId, 'https://example.com');
+    assert.equal(await statusOf(trackingId), status);
+  }
+});
+
+test('a click after a reply keeps the reply status and its engagement score', async () => {
+  const trackingId = await sent('talker@example.com');
+  await recordReply(trackingId);
+  await recordClick(trackingId, 'https://example.com');
+
+  const row = await db.get('SELECT status, click_count, engagement_score FROM email_history WHERE tracking_id = ?', trackingId);
+  assert.deepEqual({ ...row }, { status: 'replied', click_count: 1, engagement_score: 100 });
+});
+
+test('unknown tracking ids are ignored', async () => {
+  assert.equal(await recordOpen('00000000-0000-4000-8000-000000000000'), false);
+  assert.equal(await recordClick('00000000-0000-4000-8000-000000000000', 'https://example.com'), false);
+});
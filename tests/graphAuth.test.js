@@ -0,0 +1,72 @@
+// Microsoft Graph token cache (src/services/graphAuth.js): expiry margin, shared refreshes, 401 retry
+// fetch is stubbed: the token endpoint hands out token-1, token-2, ... and Graph answers from `graphStatuses`.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGraphToken, graphFetch, invalidateGraphToken } from '../src/services/graphAuth.js';
+
+let tokenRequests;
+let graphCalls;
+let graphStatuses;
+let tokenDelayMs;
+
+beforeEach((t) => {
+  invalidateGraphToken();
+  tokenRequests = 0;
+  graphCalls = [];
+  graphStatuses = [];
+  tokenDelayMs = 0;
+
+  t.mock.method(globalThis, 'fetch', async (url, init = {}) => {
+    if (String(url).startsWith('https://login.microsoftonline.com/')) {
+      const token = `token-${++tokenRequests}`;
+      await new Promise(resolve => setTimeout(resolve, tokenDelayMs));
+      return Response.json({ access_token: token, expires_in: 3600 });
+    }
+    graphCalls.push(init.headers.Authorization);
+    return new Response(null, { status: graphStatuses.shift() ?? 202 });
+  });
+});
+
+const later = (t, minutes) => {
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + minutes * 60 * 1000);
+};
+
+test('a token is reused until five minutes before it expires', async (t) => {
+  assert.equal(await getGraphToken(), 'token-1');
+
+  later(t, 54);
+  assert.equal(await getGraphToken(), 'token-1');
+  assert.equal(tokenRequests, 1);
+
+  later(t, 55.1);
+  assert.equal(await getGraphToken(), 'token-2');
+  assert.equal(tokenRequests, 2);
+});
+
+test('concurrent callers share one refresh', async () => {
+  tokenDelayMs = 20;
+  const tokens = await Promise.all(Array.from({ length: 5 }, () => getGraphToken()));
+
+  assert.deepEqual(tokens, Array(5).fill('token-1'));
+  assert.equal(tokenRequests, 1);
+});
+
+test('a 401 drops the cached token and retries once with a new one', async () => {
+  await getGraphToken();
+  graphStatuses = [401];
+
+  const response = await graphFetch('/users/drew%40example.com/sendMail', { method: 'POST' });
+  assert.equal(response.status, 202);
+  assert.deepEqual(graphCalls, ['Bearer token-1', 'Bearer token-2']);
+});
+
+test('a second 401 is returned rather than retried again', async () => {
+  graphStatuses = [401, 401];
+
+  const response = await graphFetch('/users/drew%40example.com/sendMail', { method: 'POST' });
+  assert.equal(response.status, 401);
+  assert.equal(graphCalls.length, 2);
+  assert.equal(tokenRequests, 2);
+});
@@ -0,0 +1,14 @@
+// tests/helpers/testDatabase.js - Point DATABASE_PATH (and document storage, captured mail) at a throwaway directory
+// Import before anything that loads src/models/database.js: the store opens (and migrates) its
+// database at import, and tests must never touch data/leads.db, data/documents or data/outbox.
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const dir = mkdtempSync(join(tmpdir(), 'jcllc-test-'));
+process.env.DATABASE_PATH = join(dir, 'leads.db');
+process.env.DOCUMENT_STORAGE_DIR = join(dir, 'documents');
+process.env.MAIL_CAPTURE_DIR = join(dir, 'outbox');
+
+process.on('exit', () => rmSync(dir, { recursive: true, force: true }));
@@ -0,0 +1,53 @@
+// tests/helpers/zip.js - Build small stored (uncompressed) or deflated ZIP archives for inspection tests
+// CRCs are left at zero: documentInspection reads the directory and entry heads, never checks them.
+
+import { deflateRawSync } from 'zlib';
+
+/**
+ * @param {Array} entries - [{ name, content: String|Buffer, deflate: Boolean, size: declared size when
+ *   it should lie (defaults to the content's length) }]
+ * @returns {Buffer} The archive
+ */
+export function buildZip(entries) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, content = '', deflate = false, size = Buffer.byteLength(content) } of entries) {
+    const nameBytes = Buffer.from(name);
+    const data = deflate ? deflateRawSync(content) : Buffer.from(content);
+    const method = deflate ? 8 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(method, 10);
+    header.writeUInt32LE(data.length, 20);
+    header.writeUInt32LE(size, 24);
+    header.writeUInt16LE(nameBytes.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
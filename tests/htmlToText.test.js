@@ -0,0 +1,20 @@
+// Plain-text rendering of HTML (src/utils/htmlToText.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToText } from '../src/utils/htmlToText.js';
+
+test('named and numeric entities are decoded', () => {
+  assert.equal(htmlToText('<p>Fish &amp; chips &#8212; &#x2713; &mdash; &rsquo;</p>'), 'Fish & chips — ✓ — ’');
+});
+
+test('out-of-range and surrogate references are left as written instead of throwing', () => {
+  assert.equal(htmlToText('<p>a &#99999999; b</p>'), 'a &#99999999; b');
+  assert.equal(htmlToText('<p>&#x110000;&#xD800;&#55296;</p>'), '&#x110000;&#xD800;&#55296;');
+  assert.equal(htmlToText('<p>&#x10FFFF;</p>'), '\u{10FFFF}');
+});
+
+test('links keep their URL and mailto links their address', () => {
+  assert.equal(htmlToText('<a href="https://example.com/book">Book a call</a>'), 'Book a call (https://example.com/book)');
+  assert.equal(htmlToText('<a href="mailto:drew@example.com">drew@example.com</a>'), 'drew@example.com');
+});
@@ -0,0 +1,110 @@
+// Intake pipeline (src/services/intakePipeline.js): submission ids, repeated submissions and internal alerts
+
+import './helpers/testDatabase.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db, { ready, leadDb } from '../src/models/database.js';
+import { registerIntake, runIntakePipeline, STANDARD_ALERT_RECIPIENTS } from '../src/services/intakePipeline.js';
+import { listLeadDocuments } from '../src/services/documents.js';
+import { processDueJobs, getJob } from '../src/services/jobQueue.js';
+import { processDeliveryEvents } from '../src/services/deliveryEvents.js';
+import { checkSuppression, TRANSACTIONAL } from '../src/services/suppression.js';
+
+const definition = registerIntake({
+  type: 'test-intake',
+  path: '/test-intake',
+  idPrefix: 'test',
+  serviceName: 'Test Intake',
+  acceptsDocuments: true,
+  integrations: [],
+  client: { subject: 'Thanks', template: () => '<p>Thanks</p>' }
+});
+
+const alerted = registerIntake({
+  type: 'test-alerted-intake',
+  path: '/test-alerted-intake',
+  idPrefix: 'alerted',
+  serviceName: 'Alerted Intake',
+  integrations: [],
+  client: { subject: 'Thanks', template: () => '<p>Thanks</p>' },
+  internal: { recipients: () => ['ops@example.com'], template: () => '<p>New lead</p>' }
+});
+
+const pdf = (name, content = '%PDF-1.7 scan') => ({
+  originalname: name,
+  mimetype: 'application/pdf',
+  size: Buffer.byteLength(content),
+  buffer: Buffer.from(content)
+});
+
+after(async () => {
+  await ready;
+  await db.close();
+});
+
+test('submission ids are generated server-side, whatever the client sends', async () => {
+  const first = await runIntakePipeline(definition, { email: 'a@example.com', submissionId: 'test-1' });
+  const second = await runIntakePipeline(definition, { email: 'b@example.com', submissionId: 'test-1' });
+
+  assert.match(first.submissionId, /^test-[0-9a-f-]{36}$/);
+  assert.notEqual(first.submissionId, second.submissionId);
+  assert.notEqual(first.leadId, second.leadId);
+  assert.equal(second.duplicate, false);
+  assert.equal(first.formData.submissionId, undefined);
+});
+
+test('a repeated idempotency key from the same address reuses the lead and queues nothing new', async () => {
+  const first = await runIntakePipeline(definition, { email: 'c@example.com', idempotencyKey: 'click-1' });
+  const retry = await runIntakePipeline(definition, { email: 'c@example.com', idempotencyKey: 'click-1' });
+
+  assert.equal(retry.duplicate, true);
+  assert.equal(retry.leadId, first.leadId);
+  assert.equal(retry.submissionId, first.submissionId);
+  assert.deepEqual(retry.jobs, first.jobs);
+  assert.equal((await leadDb.getLeadsByEmail('c@example.com')).length, 1);
+});
+
+test('a double click racing the first insert still stores one lead', async () => {
+  const [first, second] = await Promise.all([
+    runIntakePipeline(definition, { email: 'g@example.com', idempotencyKey: 'race' }),
+    runIntakePipeline(definition, { email: 'g@example.com', idempotencyKey: 'race' })
+  ]);
+
+  assert.equal(first.leadId, second.leadId);
+  assert.deepEqual([first.duplicate, second.duplicate].sort(), [false, true]);
+  assert.equal((await leadDb.getLeadsByEmail('g@example.com')).length, 1);
+});
+
+test('idempotency keys are scoped to the submitting address', async () => {
+  const mine = await runIntakePipeline(definition, { email: 'd@example.com', idempotencyKey: 'shared' });
+  const theirs = await runIntakePipeline(definition, { email: 'e@example.com', idempotencyKey: 'shared' });
+
+  assert.equal(theirs.duplicate, false);
+  assert.notEqual(theirs.leadId, mine.leadId);
+});
+
+test('uploads on a repeated submission are never attached to the stored lead', async () => {
+  const first = await runIntakePipeline(definition, { email: 'f@example.com', idempotencyKey: 'k' }, { files: [pdf('will.pdf')] });
+  const retry = await runIntakePipeline(definition, { email: 'f@example.com', idempotencyKey: 'k' },
+    { files: [pdf('other.pdf', '%PDF-1.7 someone else')] });
+
+  assert.equal(retry.duplicate, true);
+  assert.deepEqual((await listLeadDocuments(first.leadId)).map(document => document.original_name), ['will.pdf']);
+  assert.deepEqual(retry.documents.map(document => document.original_name), ['will.pdf']);
+});
+
+test('alert recipients cannot be suppressed by a bounce', async () => {
+  await processDeliveryEvents('sendgrid', [{ event: 'bounce', type: 'bounce', email: STANDARD_ALERT_RECIPIENTS[0], status: '5.1.1', sg_event_id: 'alert-1' }]);
+  assert.equal(await leadDb.getSuppression(STANDARD_ALERT_RECIPIENTS[0]), undefined);
+  assert.deepEqual(await checkSuppression(STANDARD_ALERT_RECIPIENTS[0], TRANSACTIONAL), { suppressed: false });
+});
+
+test('an internal alert with every recipient suppressed fails its job instead of completing', async () => {
+  await leadDb.suppressEmail('ops@example.com', { reason: 'hard_bounce', provider: 'sendgrid' });
+  const ctx = await runIntakePipeline(alerted, { email: 'h@example.com' });
+
+  await processDueJobs();
+  const job = await getJob(ctx.jobs['internal-alert']);
+  assert.equal(job.status, 'pending');
+  assert.match(job.last_error, /Internal alert suppressed: ops@example.com \(hard_bounce\)/);
+});
@@ -0,0 +1,130 @@
+// Durable job queue (src/services/jobQueue.js): retries, dead-letter, replay and abandon
+
+import './helpers/testDatabase.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db, { ready } from '../src/models/database.js';
+import {
+  registerJobHandler,
+  enqueueJob,
+  processDueJobs,
+  backoffSeconds,
+  replayJob,
+  abandonJob,
+  getJob,
+  findFailedJobs,
+  getJobStats
+} from '../src/services/jobQueue.js';
+
+let failing = true;
+const calls = [];
+registerJobHandler('test.flaky', async (payload) => {
+  calls.push(payload);
+  if (failing) throw new Error('provider unavailable');
+  return { sent: payload.n };
+});
+
+// Pull a retried job's run_at back to now instead of waiting out the backoff
+const makeDue = (id) => db.run('UPDATE jobs SET run_at = CURRENT_TIMESTAMP WHERE id = ?', id);
+
+after(async () => {
+  await ready;
+  await db.close();
+});
+
+test('backoff doubles from 30 seconds and is capped at 6 hours', () => {
+  assert.equal(backoffSeconds(1), 30);
+  assert.equal(backoffSeconds(2), 60);
+  assert.equal(backoffSeconds(3), 120);
+  assert.equal(backoffSeconds(30), 6 * 60 * 60);
+});
+
+test('enqueueing the same idempotency key twice is a no-op', async () => {
+  const first = await enqueueJob('test.flaky', { n: 0 }, { idempotencyKey: 'dup' });
+  const second = await enqueueJob('test.flaky', { n: 0 }, { idempotencyKey: 'dup' });
+  assert.equal(first.duplicate, false);
+  assert.equal(second.duplicate, true);
+  assert.equal(second.id, first.id);
+  await db.run('DELETE FROM jobs WHERE id = ?', first.id);
+});
+
+test('unknown job types are refused at enqueue', async () => {
+  await assert.rejects(enqueueJob('test.unknown', {}), /No job handler registered/);
+});
+
+test('a failing job retries with backoff, then moves to dead-letter', async () => {
+  failing = true;
+  const { id } = await enqueueJob('test.flaky', { n: 1 }, { maxAttempts: 2 });
+
+  assert.equal(await processDueJobs(), 1);
+  let job = await getJob(id);
+  assert.equal(job.status, 'pending');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.last_error, 'provider unavailable');
+
+  // Not due until the backoff passes
+  assert.equal(await processDueJobs(), 0);
+
+  await makeDue(id);
+  assert.equal(await processDueJobs(), 1);
+  job = await getJob(id);
+  assert.equal(job.status, 'dead');
+  assert.equal(job.attempts, 2);
+  assert.deepEqual((await findFailedJobs()).map(failed => failed.id), [id]);
+});
+
+test('a replayed dead job gets fresh attempts and completes', async () => {
+  const [dead] = await findFailedJobs();
+  failing = false;
+
+  assert.equal(await replayJob(dead.id), true);
+  let job = await getJob(dead.id);
+  assert.equal(job.status, 'pending');
+  assert.equal(job.attempts, 0);
+
+  assert.equal(await processDueJobs(), 1);
+  job = await getJob(dead.id);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.result, { sent: 1 });
+
+  // Completed jobs cannot be replayed or abandoned
+  assert.equal(await replayJob(dead.id), false);
+  assert.equal(await abandonJob(dead.id), false);
+});
+
+test('an abandoned job stays out of the queue until replayed', async () => {
+  failing = true;
+  const { id } = await enqueueJob('test.flaky', { n: 2 }, { maxAttempts: 1 });
+  await processDueJobs();
+  assert.equal((await getJob(id)).status, 'dead');
+
+  assert.equal(await abandonJob(id), true);
+  assert.equal(await abandonJob(id), false);
+  assert.equal((await getJob(id)).status, 'abandoned');
+  assert.equal(await processDueJobs(), 0);
+  assert.equal((await getJobStats()).abandoned, 1);
+
+  failing = false;
+  assert.equal(await replayJob(id), true);
+  await processDueJobs();
+  assert.equal((await getJob(id)).status, 'completed');
+});
+
+test('dead-letter filters match before the limit applies', async () => {
+  failing = true;
+  const dead = [];
+  for (const integration of ['kit', 'clio', 'clio']) {
+    const { id } = await enqueueJob('test.flaky', { integration }, { maxAttempts: 1 });
+    await processDueJobs();
+    dead.push(id);
+  }
+  // The kit job is the oldest dead job
+  await db.run("UPDATE jobs SET updated_at = datetime('now', '-1 day') WHERE id = ?", dead[0]);
+
+  const ids = (jobs) => jobs.map(job => job.id);
+  assert.deepEqual(ids(await findFailedJobs({ limit: 2 })), [dead[2], dead[1]]);
+  assert.deepEqual(ids(await findFailedJobs({ ids: [dead[0]], limit: 2 })), [dead[0]]);
+  assert.deepEqual(ids(await findFailedJobs({ integration: 'kit', limit: 2 })), [dead[0]]);
+  assert.deepEqual(ids(await findFailedJobs({ type: 'test.flaky', error: 'unavailable', limit: 1 })), [dead[2]]);
+  assert.deepEqual(await findFailedJobs({ ids: [] }), []);
+});
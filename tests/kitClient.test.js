@@ -0,0 +1,126 @@
+// Kit API client (src/services/kitClient.js): request shaping, rate limiting, pagination and the registry
+// fetch is stubbed; every test uses its own credential, so each gets a fresh rate window and registry.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KitClient, KitApiError } from '../src/services/kitClient.js';
+
+const json = (body, { status = 200, headers = {} } = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+// Answer each fetch with the next response (or a function of the request); records every call
+function stubFetch(t, responses) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, init = {}) => {
+    const call = { url: new URL(url), method: init.method, headers: init.headers, body: init.body ? JSON.parse(init.body) : undefined };
+    calls.push(call);
+    const next = responses.length > 1 ? responses.shift() : responses[0];
+    return typeof next === 'function' ? next(call) : next;
+  });
+  return calls;
+}
+
+// Record the client's waits and run them, cut to at most 100ms
+function stubSleep(t) {
+  const waits = [];
+  const realSetTimeout = globalThis.setTimeout;
+  t.mock.method(globalThis, 'setTimeout', (callback, ms) => {
+    waits.push(ms);
+    return realSetTimeout(callback, Math.min(ms, 100));
+  });
+  return waits;
+}
+
+test('v3 requests carry api_secret in the query or body and no key header', async (t) => {
+  const calls = stubFetch(t, [json({ tags: [] }), json({ tag: { id: 1, name: 'vip' } })]);
+  const kit = new KitClient({ version: 'v3', apiKey: 'v3-key', apiSecret: 'v3-secret-shaping' });
+
+  await kit.request('GET', '/tags');
+  await kit.request('POST', '/tags', { body: { tag: { name: 'vip' } } });
+
+  assert.equal(calls[0].url.origin + calls[0].url.pathname, 'https://api.convertkit.com/v3/tags');
+  assert.equal(calls[0].url.searchParams.get('api_secret'), 'v3-secret-shaping');
+  assert.equal(calls[0].body, undefined);
+  assert.deepEqual(calls[1].body, { tag: { name: 'vip' }, api_secret: 'v3-secret-shaping' });
+  assert.equal(calls[1].url.searchParams.has('api_secret'), false);
+  assert.equal(calls.some(call => 'X-Kit-Api-Key' in call.headers), false);
+});
+
+test('v4 requests carry X-Kit-Api-Key and never the secret', async (t) => {
+  const calls = stubFetch(t, [json({ tag: { id: 1, name: 'vip' } })]);
+  const kit = new KitClient({ version: 'v4', apiKey: 'kit_shaping', apiSecret: 'unused-secret' });
+
+  await kit.request('POST', '/tags', { body: { name: 'vip' } });
+
+  assert.equal(calls[0].url.href, 'https://api.kit.com/v4/tags');
+  assert.equal(calls[0].headers['X-Kit-Api-Key'], 'kit_shaping');
+  assert.deepEqual(calls[0].body, { name: 'vip' });
+});
+
+test('a 429 is retried after Retry-After, and gives up after three retries', async (t) => {
+  const waits = stubSleep(t);
+  const limited = () => json({ error: 'Too many requests' }, { status: 429, headers: { 'Retry-After': '7' } });
+  const calls = stubFetch(t, [limited(), json({ account: { name: 'Jacobs Counsel' } })]);
+  const kit = new KitClient({ version: 'v4', apiKey: 'kit_retry' });
+
+  assert.equal((await kit.getAccount()).name, 'Jacobs Counsel');
+  assert.equal(calls.length, 2);
+  assert.deepEqual(waits, [7000]);
+
+  calls.length = 0;
+  t.mock.method(globalThis, 'fetch', async () => {
+    calls.push(null);
+    return limited();
+  });
+  await assert.rejects(kit.getAccount(), (error) => error instanceof KitApiError && error.status === 429);
+  assert.equal(calls.length, 4);
+});
+
+test('the 121st request in a minute waits for the oldest to leave the window', async (t) => {
+  const waits = stubSleep(t);
+  stubFetch(t, [json({})]);
+  const kit = new KitClient({ version: 'v4', apiKey: 'kit_throttle' });
+
+  // 120 requests sent 59.95 seconds ago: the window frees up in about 50ms
+  const sentAt = Date.now() - 59950;
+  kit.state.sent.push(...Array(120).fill(sentAt));
+  await kit.request('GET', '/account');
+
+  assert.ok(waits.length > 0 && waits.every(ms => ms > 0 && ms <= 50), `waited ${waits.join(', ')}ms`);
+  assert.equal(kit.state.sent.length, 1);
+});
+
+test('v4 lists follow the cursor across pages', async (t) => {
+  const calls = stubFetch(t, [
+    json({ tags: [{ id: 1, name: 'a' }], pagination: { has_next_page: true, end_cursor: 'page-2' } }),
+    json({ tags: [{ id: 2, name: 'b' }], pagination: { has_next_page: false, end_cursor: 'page-2-end' } })
+  ]);
+  const kit = new KitClient({ version: 'v4', apiKey: 'kit_pages' });
+
+  assert.deepEqual((await kit.listTags()).map(tag => tag.name), ['a', 'b']);
+  assert.equal(calls[0].url.searchParams.has('after'), false);
+  assert.equal(calls[0].url.searchParams.get('per_page'), '1000');
+  assert.equal(calls[1].url.searchParams.get('after'), 'page-2');
+});
+
+test('a registry miss reloads the list at most once a minute', async (t) => {
+  const sequences = [{ id: 1, name: 'Welcome' }];
+  const calls = stubFetch(t, [() => json({ courses: [...sequences] })]);
+  const kit = new KitClient({ version: 'v3', apiSecret: 'v3-secret-registry' });
+
+  assert.equal((await kit.findSequence('welcome')).id, 1);
+  sequences.push({ id: 2, name: 'Nurture' });
+
+  // Just loaded: a miss does not go back to Kit
+  assert.equal(await kit.findSequence('Nurture'), null);
+  assert.equal(calls.length, 1);
+
+  // Loaded over a minute ago: a miss reloads and finds the new sequence
+  kit.state.registry.get('sequences').loadedAt -= 61 * 1000;
+  assert.equal((await kit.findSequence('Nurture')).id, 2);
+  assert.equal(calls.length, 2);
+
+  // Cached hits never call Kit
+  assert.equal((await kit.findSequence('Welcome')).id, 1);
+  assert.equal(calls.length, 2);
+});
@@ -0,0 +1,76 @@
+// Kit sequence enrollment (IntelligentKitIntegration.addToIntelligentSequence)
+
+import './helpers/testDatabase.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db, { ready, leadDb } from '../src/models/database.js';
+import { config } from '../src/config/environment.js';
+import { IntelligentKitIntegration } from '../src/services/intelligentKitIntegration.js';
+import { KitApiError } from '../src/services/kitClient.js';
+
+after(async () => {
+  await ready;
+  await db.close();
+});
+
+// Just the calls enrollment makes; every sequence exists
+const fakeKit = () => ({
+  enrolled: [],
+  async findSequence(name) {
+    return { id: 42, name };
+  },
+  async addToSequence(email, sequenceId) {
+    this.enrolled.push({ email, sequenceId });
+  }
+});
+
+const insertLead = async (submissionId, email) =>
+  (await leadDb.insertLead({ submissionId, email, fullName: 'Repeat Client', submissionType: 'estate-intake' })).lastInsertRowid;
+
+const enrollments = async (leadId) =>
+  (await leadDb.getLeadInteractions(leadId)).filter(({ interaction_type }) => interaction_type === 'kit_sequence_enrolled');
+
+test('enrollment is logged against the given lead, not the first lead with that email', async () => {
+  const earlier = await insertLead('estate-earlier', 'repeat@example.com');
+  const current = await insertLead('estate-current', 'repeat@example.com');
+  const kit = fakeKit();
+
+  const result = await new IntelligentKitIntegration(kit).addToIntelligentSequence(
+    'repeat@example.com', { firstName: 'Repeat' }, { score: 85 }, 'estate-intake', { leadId: current }
+  );
+
+  assert.equal(result.enrolled, true);
+  assert.deepEqual(kit.enrolled, [{ email: 'repeat@example.com', sequenceId: 42 }]);
+  assert.equal((await enrollments(current)).length, 1);
+  assert.equal((await enrollments(earlier)).length, 0);
+});
+
+test('a Kit failure during enrollment is thrown so the queued job retries', async () => {
+  const leadId = await insertLead('estate-outage', 'outage@example.com');
+  const kit = {
+    ...fakeKit(),
+    async addToSequence() {
+      throw new KitApiError('Kit API 503', { status: 503 });
+    }
+  };
+
+  await assert.rejects(
+    new IntelligentKitIntegration(kit).addToIntelligentSequence('outage@example.com', {}, { score: 85 }, 'estate-intake', { leadId }),
+    { name: 'KitApiError', status: 503 }
+  );
+  assert.equal((await enrollments(leadId)).length, 0);
+});
+
+test('a sequence missing from Kit, with no default, is reported as not enrolled', async () => {
+  const kit = { ...fakeKit(), async findSequence() { return null; } };
+  const integration = new IntelligentKitIntegration(kit);
+  const { defaultSequence } = config.kit;
+  config.kit.defaultSequence = '';
+  try {
+    const result = await integration.addToIntelligentSequence('missing@example.com', {}, { score: 85 }, 'estate-intake');
+    assert.equal(result.enrolled, false);
+    assert.deepEqual(kit.enrolled, []);
+  } finally {
+    config.kit.defaultSequence = defaultSequence;
+  }
+});
@@ -0,0 +1,44 @@
+// Kit account sync against src/config/kit-manifest.json (src/services/kitSync.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandKitManifest, syncKitManifest } from '../src/services/kitSync.js';
+
+// An in-memory v3 account: create* adds to what list() returns
+function fakeKit(version = 'v3') {
+  const account = { tags: [], sequences: [], customFields: [] };
+  let id = 0;
+  const create = (kind) => async (name) => {
+    const resource = kind === 'customFields' ? { id: ++id, label: name } : { id: ++id, name };
+    account[kind].push(resource);
+    return resource;
+  };
+  return {
+    version,
+    account,
+    list: async (kind) => account[kind],
+    createTag: create('tags'),
+    createSequence: create('sequences'),
+    createCustomField: create('customFields')
+  };
+}
+
+test('syncKitManifest creates every manifest name once and reports what it created', async () => {
+  const kit = fakeKit();
+  const desired = expandKitManifest();
+
+  const first = await syncKitManifest({ kit });
+  assert.equal(first.created.tags.length, desired.tags.length);
+  assert.deepEqual(first.created.sequences, desired.sequences.map(({ name }) => name));
+  assert.ok(first.created.sequences.includes('JC Estate Planning VIP Journey'));
+
+  const second = await syncKitManifest({ kit });
+  assert.deepEqual(second.created, { tags: [], sequences: [], customFields: [] });
+  assert.equal(kit.account.sequences.length, desired.sequences.length);
+});
+
+test('sequences the API cannot create are left as manual steps, not reported as created', async () => {
+  const { results, created } = await syncKitManifest({ kit: fakeKit('v4') });
+  assert.deepEqual(created.sequences, []);
+  assert.ok(results.some(result => result.kind === 'sequences' && result.status === 'manual'));
+});
@@ -0,0 +1,107 @@
+// Kit subscriber webhooks (src/services/kitWebhooks.js, src/routes/kit-webhooks.js): registration and
+// deliveries through the real route
+
+import './helpers/testDatabase.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.INBOUND_EMAIL_TOKEN = 'test-inbound-token';
+const express = (await import('express')).default;
+const { default: db, ready, leadDb } = await import('../src/models/database.js');
+const { registerKitWebhooks } = await import('../src/services/kitWebhooks.js');
+const { checkSuppression } = await import('../src/services/suppression.js');
+const kitWebhooks = (await import('../src/routes/kit-webhooks.js')).default;
+
+// The account: one tag, one form, one sequence; createWebhook records what was registered
+const kit = {
+  version: 'v4',
+  created: [],
+  listTags: async () => [{ id: 5, name: 'vip-prospect' }],
+  listForms: async () => [{ id: 7, name: 'Estate Guide' }],
+  listSequences: async () => [{ id: 9, name: 'General Welcome Sequence' }],
+  async createWebhook(webhook) {
+    this.created.push(webhook);
+    return { id: this.created.length };
+  }
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(kitWebhooks);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await ready;
+  await db.close();
+});
+
+const deliver = (event, resource, subscriber) => {
+  const url = new URL('/api/webhooks/kit', baseUrl);
+  url.searchParams.set('event', event);
+  if (resource) url.searchParams.set('resource', resource);
+  url.searchParams.set('token', 'test-inbound-token');
+  return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ subscriber }) });
+};
+
+test('registration creates each hook once and is safe to re-run', async () => {
+  const first = await registerKitWebhooks({ kit });
+  const hooks = first.created.length;
+  // tag, form and sequence hooks, one per booking link, one unsubscribe hook
+  assert.ok(hooks >= 4);
+  assert.equal(first.existing, 0);
+  assert.ok(kit.created.some(hook => hook.event === 'subscriber.tag_add' && hook.tagId === 5));
+  assert.ok(kit.created.every(hook => hook.targetUrl.includes('token=test-inbound-token')));
+
+  const second = await registerKitWebhooks({ kit });
+  assert.deepEqual(second.created, []);
+  assert.equal(second.existing, hooks);
+  assert.equal(kit.created.length, hooks);
+  assert.equal((await db.get('SELECT COUNT(*) AS count FROM kit_webhooks')).count, hooks);
+});
+
+test('deliveries for hooks this server did not register get a 404', async () => {
+  const response = await deliver('subscriber.tag_add', '999', { id: 1, email_address: 'someone@example.com' });
+  assert.equal(response.status, 404);
+  assert.equal((await deliver('subscriber.made_up', '', { email_address: 'someone@example.com' })).status, 404);
+});
+
+test('a repeated tag_add is stored once and logged once', async () => {
+  const { lastInsertRowid: leadId } = await leadDb.insertLead({
+    submissionId: 'estate-kit-tag', email: 'tagged@example.com', fullName: 'Tagged Lead', submissionType: 'estate-intake'
+  });
+  const subscriber = { id: 42, email_address: 'Tagged@Example.com', first_name: 'Tagged' };
+
+  const first = await (await deliver('subscriber.tag_add', '5', subscriber)).json();
+  const second = await (await deliver('subscriber.tag_add', '5', subscriber)).json();
+  assert.equal(first.recorded, true);
+  assert.equal(second.recorded, false);
+
+  const tags = await db.all(`
+    SELECT t.tag_name FROM subscriber_tags t JOIN subscribers s ON s.id = t.subscriber_id WHERE s.email = ?
+  `, 'tagged@example.com');
+  assert.deepEqual(tags.map(({ tag_name }) => tag_name), ['vip-prospect']);
+
+  const logged = (await leadDb.getLeadInteractions(leadId)).filter(({ interaction_type }) => interaction_type === 'kit_tag_added');
+  assert.equal(logged.length, 1);
+});
+
+test('a Kit unsubscribe unsubscribes the address here too', async () => {
+  assert.deepEqual(await checkSuppression('leaving@example.com', 'newsletter'), { suppressed: false });
+
+  const response = await deliver('subscriber.subscriber_unsubscribe', '', { id: 43, email_address: 'Leaving@Example.com' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await checkSuppression('leaving@example.com', 'newsletter'), { suppressed: true, reason: 'unsubscribed' });
+  assert.equal((await db.get('SELECT reason FROM email_unsubscribes WHERE email = ?', 'leaving@example.com')).reason, 'kit_unsubscribe');
+});
+
+test('a delivery without a subscriber email is refused', async () => {
+  assert.equal((await deliver('subscriber.tag_add', '5', {})).status, 400);
+});
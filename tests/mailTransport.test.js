@@ -0,0 +1,55 @@
+// Mail transport (src/services/mailTransport.js): SendGrid request body
+// fetch is stubbed; SendGrid is the only provider in use.
+
+import './helpers/testDatabase.js';
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db, { ready } from '../src/models/database.js';
+import { config } from '../src/config/environment.js';
+import { sendMail } from '../src/services/mailTransport.js';
+import { TRANSACTIONAL } from '../src/services/suppression.js';
+
+config.email.providers = ['sendgrid'];
+config.sendgrid.apiKey = 'test-sendgrid-key';
+
+let sent;
+
+beforeEach((t) => {
+  sent = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    sent.push({ url: String(url), body: JSON.parse(init.body) });
+    return new Response(null, { status: 202, headers: { 'X-Message-Id': `sg-${sent.length}` } });
+  });
+});
+
+after(async () => {
+  await ready;
+  await db.close();
+});
+
+const send = () => sendMail({ to: ['client@example.com'], subject: 'Hello', html: '<p>Hi</p>', category: TRANSACTIONAL });
+
+// Run with one config setting changed
+async function withConfig(section, key, value, run) {
+  const previous = section[key];
+  section[key] = value;
+  try {
+    return await run();
+  } finally {
+    section[key] = previous;
+  }
+}
+
+test('SendGrid delivers for real unless SENDGRID_SANDBOX is set, whatever NODE_ENV is', async () => {
+  const result = await withConfig(config, 'isDevelopment', true, send);
+
+  assert.equal(result.provider, 'sendgrid');
+  assert.equal(sent[0].url, 'https://api.sendgrid.com/v3/mail/send');
+  assert.equal(sent[0].body.mail_settings, undefined);
+});
+
+test('SENDGRID_SANDBOX=true sends in sandbox mode', async () => {
+  await withConfig(config.sendgrid, 'sandbox', true, send);
+
+  assert.deepEqual(sent[0].body.mail_settings, { sandbox_mode: { enable: true } });
+});
@@ -0,0 +1,59 @@
+// Schema migrations (src/db/migrate.js) against an in-memory database
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { openDatabase } from '../src/db/connection.js';
+import { loadMigrations, migrateUp, migrateDown, getMigrationStatus } from '../src/db/migrate.js';
+
+let db;
+let migrations;
+
+const tables = async () => (await db.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+
+before(async () => {
+  db = openDatabase(':memory:');
+  migrations = await loadMigrations();
+});
+
+after(() => db.close());
+
+test('migrations load in version order with up() and down()', () => {
+  const versions = migrations.map(migration => migration.version);
+  assert.deepEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.equal(new Set(versions).size, versions.length);
+  migrations.forEach(migration => {
+    assert.equal(typeof migration.up, 'function');
+    assert.equal(typeof migration.down, 'function');
+  });
+});
+
+test('migrateUp applies everything once', async () => {
+  const applied = await migrateUp(db);
+  assert.equal(applied.length, migrations.length);
+  assert.ok((await tables()).includes('leads'));
+  assert.ok((await tables()).includes('jobs'));
+
+  assert.deepEqual(await migrateUp(db), []);
+  assert.ok((await getMigrationStatus(db)).every(migration => migration.applied));
+});
+
+test('migrateDown reverts the newest migrations and migrateUp restores them', async () => {
+  const latest = migrations.at(-1);
+  const reverted = await migrateDown(db, 2);
+  assert.deepEqual(reverted.map(migration => migration.version), [latest.version, migrations.at(-2).version]);
+
+  const status = await getMigrationStatus(db);
+  assert.deepEqual(status.filter(migration => !migration.applied).map(migration => migration.version),
+    [migrations.at(-2).version, latest.version]);
+  assert.ok(!(await tables()).includes('kit_webhooks'));
+
+  assert.equal((await migrateUp(db)).length, 2);
+  assert.ok((await tables()).includes('kit_webhooks'));
+});
+
+// 004 reverts consultation_bookings to the handler's shape rather than dropping it
+test('every migration reverts cleanly and reapplies', async () => {
+  await migrateDown(db, migrations.length);
+  assert.deepEqual((await tables()).filter(name => !['schema_migrations', 'sqlite_sequence'].includes(name)), ['consultation_bookings']);
+  assert.equal((await migrateUp(db)).length, migrations.length);
+});
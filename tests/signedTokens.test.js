@@ -0,0 +1,34 @@
+// Signed URL tokens (src/utils/signedTokens.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSignedToken, verifySignedToken } from '../src/utils/signedTokens.js';
+
+test('a token verifies for its own purpose and returns its claims', () => {
+  const token = createSignedToken('email-preferences', { email: 'client@example.com' }, 60);
+  const claims = verifySignedToken('email-preferences', token);
+  assert.equal(claims.email, 'client@example.com');
+  assert.ok(claims.exp > Date.now() / 1000);
+});
+
+test('a token minted for one purpose is refused for another', () => {
+  const token = createSignedToken('unsubscribe', { email: 'client@example.com' }, 60);
+  assert.equal(verifySignedToken('document-download', token), null);
+});
+
+test('an expired token is refused', (t) => {
+  const token = createSignedToken('unsubscribe', { email: 'client@example.com' }, 60);
+  t.mock.method(Date, 'now', () => new Date().getTime() + 61 * 1000);
+  assert.equal(verifySignedToken('unsubscribe', token), null);
+});
+
+test('tampered and malformed tokens are refused', () => {
+  const token = createSignedToken('unsubscribe', { email: 'client@example.com' }, 60);
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ email: 'someone@example.com', exp: 9999999999 })).toString('base64url');
+
+  assert.equal(verifySignedToken('unsubscribe', `${forged}.${signature}`), null);
+  assert.equal(verifySignedToken('unsubscribe', `${token}.extra`), null);
+  assert.equal(verifySignedToken('unsubscribe', 'not-a-token'), null);
+  assert.equal(verifySignedToken('unsubscribe', undefined), null);
+});
@@ -0,0 +1,58 @@
+// Send suppression (src/services/suppression.js): bounces, complaints, unsubscribes and preferences
+
+import './helpers/testDatabase.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import db, { ready, leadDb } from '../src/models/database.js';
+import { checkSuppression, filterRecipients, protectAddresses, TRANSACTIONAL } from '../src/services/suppression.js';
+
+after(async () => {
+  await ready;
+  await db.close();
+});
+
+test('a clean address may receive every category', async () => {
+  assert.deepEqual(await checkSuppression('clean@example.com', 'newsletter'), { suppressed: false });
+  assert.deepEqual(await checkSuppression('clean@example.com', TRANSACTIONAL), { suppressed: false });
+});
+
+test('a bounced address gets nothing, transactional included', async () => {
+  await leadDb.suppressEmail('Bounced@Example.com', { reason: 'hard_bounce', provider: 'sendgrid' });
+  assert.deepEqual(await checkSuppression('bounced@example.com', 'follow_ups'), { suppressed: true, reason: 'hard_bounce' });
+  assert.deepEqual(await checkSuppression('bounced@example.com', TRANSACTIONAL), { suppressed: true, reason: 'hard_bounce' });
+
+  await leadDb.liftSuppression('bounced@example.com');
+  assert.deepEqual(await checkSuppression('bounced@example.com', 'follow_ups'), { suppressed: false });
+});
+
+test('a protected inbox is never held back by a bounce record', async () => {
+  protectAddresses(['Alerts@Example.com']);
+  await leadDb.suppressEmail('alerts@example.com', { reason: 'hard_bounce', provider: 'dsn' });
+  assert.deepEqual(await checkSuppression('alerts@example.com', TRANSACTIONAL), { suppressed: false });
+});
+
+test('a complaint stops marketing but not transactional mail', async () => {
+  await leadDb.suppressEmail('complainer@example.com', { reason: 'complaint', provider: 'mailgun' });
+  assert.deepEqual(await checkSuppression('complainer@example.com', 'newsletter'), { suppressed: true, reason: 'complaint' });
+  assert.deepEqual(await checkSuppression('complainer@example.com', TRANSACTIONAL), { suppressed: false });
+});
+
+test('a global unsubscribe stops every marketing category', async () => {
+  await leadDb.unsubscribeEmail('gone@example.com');
+  assert.deepEqual(await checkSuppression('gone@example.com', 'consultations'), { suppressed: true, reason: 'unsubscribed' });
+  assert.deepEqual(await checkSuppression('gone@example.com', TRANSACTIONAL), { suppressed: false });
+});
+
+test('opting out of one category leaves the others', async () => {
+  await leadDb.updateEmailPreferences('picky@example.com', { newsletter: 'on', follow_ups: 'on', consultations: 'on' });
+  assert.deepEqual(await checkSuppression('picky@example.com', 'resources'), { suppressed: true, reason: 'opted_out:resources' });
+  assert.deepEqual(await checkSuppression('picky@example.com', 'newsletter'), { suppressed: false });
+});
+
+test('filterRecipients splits a list', async () => {
+  const result = await filterRecipients(['clean@example.com', 'gone@example.com'], 'newsletter');
+  assert.deepEqual(result, {
+    allowed: ['clean@example.com'],
+    suppressed: [{ email: 'gone@example.com', reason: 'unsubscribed' }]
+  });
+});
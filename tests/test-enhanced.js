@@ -21,7 +21,7 @@ const testLeads = [
       ownBusiness: 'Yes',
       maritalStatus: 'married',
       urgency: 'Immediate - year-end planning',
-      phone: '555-WEALTH'
+      phone: '(555) 555-0142'
     }
   },
   {
@@ -48,7 +48,7 @@ const testLeads = [
       businessStage: 'Mature (5+ years)',
       servicePreference: 'Comprehensive Portfolio Management ($7,500+)',
       protectionGoal: 'enforcement',
-      phone: '555-BRAND'
+      phone: '(555) 555-0187'
     }
   },
   {